@@ -0,0 +1,197 @@
+// functions/access/accessControl.js
+const { FieldValue } = require("firebase-admin/firestore");
+const { daysBetween } = require("../utils/dates");
+
+/**
+ * Access control at the fingerprint scanner
+ * gyms/{gymId}/settings/access -> {
+ *   enabled, unpaidAction, expiredAction, frozenAction ("allow" | "warn" | "deny"),
+ *   expiredAfterDays
+ * }
+ * gyms/{gymId}/accessDecisions/{memberId} -> {
+ *   memberId, memberName, decision ("allow" | "warn" | "deny"), reason,
+ *   message, evaluatedFor (YYYY-MM-DD), updatedAt
+ * }
+ * gyms/{gymId}/accessAttempts/{attemptId} -> {
+ *   memberId, memberName, gymMemberId, deviceId, decision, reason, message,
+ *   date, attemptedAt
+ * }
+ * The member document ID is the fingerprint slot, so a scanner that has
+ * matched a finger reads accessDecisions/{slot} (kept current whenever the
+ * member changes and after the daily overdue check) or asks the checkAccess
+ * endpoint, which evaluates live and logs warned and denied attempts.
+ * Reasons, strictest first: "banned" (accessBlocked on the member), "frozen"
+ * (a freeze is active), "expired" (unpaid more than expiredAfterDays past
+ * the due date), "unpaid" (unpaid past the billing grace days).
+ */
+
+const DEFAULT_ACCESS_POLICY = {
+  enabled: false,
+  unpaidAction: "warn",
+  expiredAction: "deny",
+  frozenAction: "deny",
+  expiredAfterDays: 30,
+};
+
+const ACCESS_MESSAGES = {
+  banned: "Access blocked - see the front desk",
+  frozen: "Membership frozen",
+  expired: "Membership expired",
+  unpaid: "Payment overdue",
+};
+
+/**
+ * Reads a gym's access policy, with the billing grace days it builds on
+ */
+const getAccessPolicy = async (db, gymId) => {
+  const settingsRef = db.collection("gyms").doc(gymId).collection("settings");
+  const [accessSnap, billingSnap] = await Promise.all([
+    settingsRef.doc("access").get(),
+    settingsRef.doc("billing").get(),
+  ]);
+
+  return {
+    ...DEFAULT_ACCESS_POLICY,
+    ...(accessSnap.exists ? accessSnap.data() : {}),
+    graceDays: billingSnap.exists ? Number(billingSnap.data().graceDays) || 0 : 0,
+  };
+};
+
+/**
+ * Decides whether a member may enter.
+ * @param {Object} memberData - The member document
+ * @param {Object} policy - From getAccessPolicy
+ * @param {string} today - The gym's today (YYYY-MM-DD)
+ * @returns {Object} - { decision, reason, message }
+ */
+const evaluateAccess = (memberData, policy, today) => {
+  const allow = { decision: "allow", reason: null, message: "Welcome" };
+  const result = (decision, reason) =>
+    decision === "allow" ? allow : { decision, reason, message: ACCESS_MESSAGES[reason] };
+
+  // Banned members are kept out even when the policy is switched off
+  if (memberData.accessBlocked) {
+    return {
+      decision: "deny",
+      reason: "banned",
+      message: memberData.accessBlockedReason || ACCESS_MESSAGES.banned,
+    };
+  }
+  if (!policy.enabled) return allow;
+
+  const freeze = memberData.currentFreeze;
+  if (freeze && !freeze.cancelled && freeze.startDate <= today && today <= freeze.endDate) {
+    return result(freeze.blockCheckIn ? "deny" : policy.frozenAction, "frozen");
+  }
+
+  if (memberData.Payment_Status === "Paid") return allow;
+
+  const dueDate = memberData.nextPaymentDue;
+  const daysOverdue = dueDate ? daysBetween(dueDate, today) : null;
+  if (daysOverdue !== null && daysOverdue > Number(policy.expiredAfterDays)) {
+    return result(policy.expiredAction, "expired");
+  }
+  if (daysOverdue === null || daysOverdue > policy.graceDays) {
+    return result(policy.unpaidAction, "unpaid");
+  }
+  return allow;
+};
+
+/**
+ * Writes (or, for a deleted member, removes) a member's decision document
+ */
+const writeAccessDecision = async (db, gymId, memberId, memberData, policy, today) => {
+  const decisionRef = db
+    .collection("gyms")
+    .doc(gymId)
+    .collection("accessDecisions")
+    .doc(memberId);
+
+  if (!memberData) {
+    await decisionRef.delete();
+    return null;
+  }
+
+  const decision = {
+    memberId,
+    memberName: memberData.Name || "Unknown Member",
+    ...evaluateAccess(memberData, policy, today),
+    evaluatedFor: today,
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+  await decisionRef.set(decision);
+  return decision;
+};
+
+/**
+ * Re-evaluates every member of a gym, for decisions that change with the date
+ * @returns {Promise<number>} - How many members are warned or denied
+ */
+const refreshAccessDecisionsForGym = async (db, gymId, today) => {
+  const gymRef = db.collection("gyms").doc(gymId);
+  const [policy, membersSnapshot] = await Promise.all([
+    getAccessPolicy(db, gymId),
+    gymRef.collection("members").get(),
+  ]);
+
+  let restricted = 0;
+  let batch = db.batch();
+  let batchSize = 0;
+
+  for (const memberDoc of membersSnapshot.docs) {
+    const memberData = memberDoc.data();
+    const decision = evaluateAccess(memberData, policy, today);
+    if (decision.decision !== "allow") restricted++;
+
+    batch.set(gymRef.collection("accessDecisions").doc(memberDoc.id), {
+      memberId: memberDoc.id,
+      memberName: memberData.Name || "Unknown Member",
+      ...decision,
+      evaluatedFor: today,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    batchSize++;
+
+    if (batchSize === 500) {
+      await batch.commit();
+      batch = db.batch();
+      batchSize = 0;
+    }
+  }
+
+  if (batchSize > 0) {
+    await batch.commit();
+  }
+  return restricted;
+};
+
+/**
+ * Logs a warned or denied attempt at a scanner so staff can see it
+ */
+const logAccessAttempt = async (db, gymId, attempt) => {
+  const attemptRef = await db
+    .collection("gyms")
+    .doc(gymId)
+    .collection("accessAttempts")
+    .add({
+      memberId: attempt.memberId,
+      memberName: attempt.memberName || "Unknown Member",
+      gymMemberId: attempt.gymMemberId || "N/A",
+      deviceId: attempt.deviceId || null,
+      decision: attempt.decision,
+      reason: attempt.reason,
+      message: attempt.message,
+      date: attempt.date,
+      attemptedAt: FieldValue.serverTimestamp(),
+    });
+  return attemptRef.id;
+};
+
+module.exports = {
+  DEFAULT_ACCESS_POLICY,
+  getAccessPolicy,
+  evaluateAccess,
+  writeAccessDecision,
+  refreshAccessDecisionsForGym,
+  logAccessAttempt,
+};
@@ -0,0 +1,250 @@
+// functions/attendance/autoLogout.js
+const { Timestamp } = require("firebase-admin/firestore");
+const { getLegacySessionKeys, getLegacySessions } = require("./sessions");
+const {
+  addDays,
+  toZonedDateString,
+  zonedTimeToDate,
+} = require("../utils/dates");
+
+/**
+ * Auto-logout policy
+ * gyms/{gymId}/settings/attendance -> {
+ *   closeTime ("HH:MM", gym time zone), maxSessionHours,
+ *   imputedCheckOut ("close_time" | "typical_duration" | "member_median"),
+ *   typicalSessionMinutes,
+ *   capacity, capacityWarningPercent (only used by the app's occupancy panel)
+ * }
+ * Members who leave without scanning out are checked out with an imputed
+ * time rather than the time the job ran: the gym's closing time, check-in
+ * plus a typical session, or check-in plus the member's own median session.
+ * Sessions longer than maxSessionHours are closed as soon as the hourly job
+ * sees them, and every open session is closed once the gym has closed.
+ * Imputed check-outs are marked with checkOutImputed so duration stats can
+ * leave them out.
+ */
+
+const DEFAULT_ATTENDANCE_POLICY = {
+  closeTime: "22:00",
+  maxSessionHours: 4,
+  imputedCheckOut: "close_time",
+  typicalSessionMinutes: 90,
+};
+
+// How far back member_median looks for the member's sessions
+const MEDIAN_LOOKBACK_DAYS = 60;
+
+/**
+ * Reads a gym's auto-logout policy
+ */
+const getAttendancePolicy = async (db, gymId) => {
+  const policySnap = await db
+    .collection("gyms")
+    .doc(gymId)
+    .collection("settings")
+    .doc("attendance")
+    .get();
+  return policySnap.exists
+    ? { ...DEFAULT_ATTENDANCE_POLICY, ...policySnap.data() }
+    : { ...DEFAULT_ATTENDANCE_POLICY };
+};
+
+/**
+ * The member's median session length in minutes over recent visits, leaving
+ * out open and imputed sessions. Null when the member has no such sessions.
+ */
+const getMemberMedianMinutes = async (db, gymId, memberId, today) => {
+  const since = addDays(today, -MEDIAN_LOOKBACK_DAYS);
+  const sessionsSnapshot = await db
+    .collection("gyms")
+    .doc(gymId)
+    .collection("attendanceSessions")
+    .where("memberId", "==", memberId)
+    .get();
+
+  const minutes = sessionsSnapshot.docs
+    .map((sessionDoc) => sessionDoc.data())
+    .filter(
+      (session) =>
+        session.date >= since &&
+        session.checkInAt &&
+        session.checkOutAt &&
+        !session.checkOutImputed
+    )
+    .map(
+      (session) =>
+        (session.checkOutAt.toMillis() - session.checkInAt.toMillis()) / (1000 * 60)
+    )
+    .filter((duration) => duration > 0)
+    .sort((a, b) => a - b);
+
+  if (minutes.length === 0) return null;
+  const middle = Math.floor(minutes.length / 2);
+  return minutes.length % 2
+    ? minutes[middle]
+    : (minutes[middle - 1] + minutes[middle]) / 2;
+};
+
+/**
+ * Works out the check-out time to record for a session the member never
+ * scanned out of. Never before check-in, after now, or longer than the
+ * policy's maximum session.
+ * @param {Object} session - { date, checkInAt (Date) }
+ * @param {Object} policy - The gym's auto-logout policy
+ * @param {Object} context - { timeZone, now, memberMedianMinutes }
+ * @returns {Date}
+ */
+const getImputedCheckOut = (session, policy, context) => {
+  const { timeZone, now, memberMedianMinutes } = context;
+  const checkInMs = session.checkInAt.getTime();
+  const typicalMs = (Number(policy.typicalSessionMinutes) || 90) * 60 * 1000;
+
+  let checkOutMs;
+  if (policy.imputedCheckOut === "typical_duration") {
+    checkOutMs = checkInMs + typicalMs;
+  } else if (policy.imputedCheckOut === "member_median") {
+    checkOutMs = checkInMs + (memberMedianMinutes ? memberMedianMinutes * 60 * 1000 : typicalMs);
+  } else {
+    const closeAt = zonedTimeToDate(`${session.date} ${policy.closeTime}`, timeZone);
+    // Members who checked in after closing get a typical session instead
+    checkOutMs = closeAt && closeAt.getTime() > checkInMs ? closeAt.getTime() : checkInMs + typicalMs;
+  }
+
+  const maxMs = checkInMs + (Number(policy.maxSessionHours) || 4) * 60 * 60 * 1000;
+  checkOutMs = Math.min(checkOutMs, maxMs, now.getTime());
+  return new Date(Math.max(checkOutMs, checkInMs + 60 * 1000));
+};
+
+/**
+ * Checks out a gym's open sessions that the policy says should be closed: all
+ * of them once the gym has closed (or when closeAll is set), otherwise those
+ * past the maximum session length or left open from an earlier day. Session
+ * documents get checkOutSource "auto_logout"; unmigrated legacy session maps
+ * get the Logged_out_Time/Auto_Logout fields.
+ * @param {Object} db - Firestore instance
+ * @param {string} gymId - The gym ID
+ * @param {Object} options - { timeZone, now, closeAll }
+ * @returns {Promise<number>} - How many sessions were closed
+ */
+const closeOpenSessionsForGym = async (db, gymId, options = {}) => {
+  const { timeZone } = options;
+  const now = options.now || new Date();
+  const today = toZonedDateString(now, timeZone);
+  const policy = await getAttendancePolicy(db, gymId);
+  const gymClosed =
+    options.closeAll ||
+    zonedTimeToDate(`${today} ${policy.closeTime}`, timeZone) <= now;
+  const maxSessionMs = (Number(policy.maxSessionHours) || 4) * 60 * 60 * 1000;
+
+  const shouldClose = (session) =>
+    gymClosed ||
+    session.date < today ||
+    now - session.checkInAt >= maxSessionMs;
+
+  const gymRef = db.collection("gyms").doc(gymId);
+  const yesterday = addDays(today, -1);
+  const [openSessionsSnapshot, recentSessionsSnapshot, attendanceSnapshot] =
+    await Promise.all([
+      gymRef.collection("attendanceSessions").where("checkOutAt", "==", null).get(),
+      gymRef.collection("attendanceSessions").where("date", "in", [yesterday, today]).get(),
+      gymRef
+        .collection("attendance")
+        .where("__name__", ">=", `${yesterday}_`)
+        .where("__name__", "<", `${today}_\uf8ff`)
+        .get(),
+    ]);
+
+  const medians = {};
+  const imputeFor = async (session) => {
+    if (policy.imputedCheckOut === "member_median" && !(session.memberId in medians)) {
+      medians[session.memberId] = await getMemberMedianMinutes(db, gymId, session.memberId, today);
+    }
+    return getImputedCheckOut(session, policy, {
+      timeZone,
+      now,
+      memberMedianMinutes: medians[session.memberId],
+    });
+  };
+
+  const batch = db.batch();
+  let closed = 0;
+  // Legacy maps mirrored by a session document are written without counting
+  // as closed, so the batch is committed whenever it holds any write
+  let writes = 0;
+
+  for (const sessionDoc of openSessionsSnapshot.docs) {
+    const data = sessionDoc.data();
+    if (!data.checkInAt) continue;
+    const session = { ...data, checkInAt: data.checkInAt.toDate() };
+    if (!shouldClose(session)) continue;
+
+    const checkOutAt = await imputeFor(session);
+    console.log(
+      `🌙 Auto-logout: ${data.memberName || "Unknown"} (${sessionDoc.id}) at ${checkOutAt.toISOString()}`
+    );
+    batch.update(sessionDoc.ref, {
+      checkOutAt: Timestamp.fromDate(checkOutAt),
+      checkOutSource: "auto_logout",
+      checkOutImputed: true,
+      imputedMethod: policy.imputedCheckOut,
+    });
+    writes++;
+    closed++;
+  }
+
+  // Session documents, open or not, take precedence over their legacy maps
+  const sessionIds = new Set(
+    recentSessionsSnapshot.docs.map((sessionDoc) => sessionDoc.id)
+  );
+
+  for (const attendanceDoc of attendanceSnapshot.docs) {
+    const attendanceData = attendanceDoc.data();
+    const openKeys = getLegacySessionKeys(attendanceData).filter(
+      (key) => attendanceData[key].Logged_in_Time && !attendanceData[key].Logged_out_Time
+    );
+    if (openKeys.length === 0) continue;
+
+    const sessions = getLegacySessions(attendanceDoc.id, attendanceData, timeZone);
+    const updates = {};
+
+    for (const sessionKey of openKeys) {
+      const session = sessions.find(
+        (legacySession) => legacySession.id === `${attendanceDoc.id}_${sessionKey}`
+      );
+      if (!session || !shouldClose(session)) continue;
+
+      const checkOutAt = await imputeFor(session);
+      updates[`${sessionKey}.Logged_out_Time`] = Timestamp.fromDate(checkOutAt);
+      updates[`${sessionKey}.Auto_Logout`] = true;
+      updates[`${sessionKey}.Auto_Logout_Time`] = checkOutAt.toLocaleTimeString("en-GB", {
+        timeZone,
+        hourCycle: "h23",
+      });
+      updates[`${sessionKey}.Imputed_Method`] = policy.imputedCheckOut;
+
+      if (!sessionIds.has(session.id)) {
+        console.log(
+          `🌙 Auto-logout: ${session.memberName} in ${attendanceDoc.id}, ${sessionKey}`
+        );
+        closed++;
+      }
+    }
+
+    if (Object.keys(updates).length > 0) {
+      batch.update(attendanceDoc.ref, updates);
+      writes++;
+    }
+  }
+
+  if (writes > 0) {
+    await batch.commit();
+  }
+  return closed;
+};
+
+module.exports = {
+  DEFAULT_ATTENDANCE_POLICY,
+  getAttendancePolicy,
+  getImputedCheckOut,
+  closeOpenSessionsForGym,
+};
@@ -0,0 +1,108 @@
+// functions/attendance/rollups.js
+const { FieldValue } = require("firebase-admin/firestore");
+const { getSessionsForDate } = require("./sessions");
+const { getGymTimeZone, getZonedHour } = require("../utils/dates");
+
+/**
+ * Attendance rollups
+ * gyms/{gymId}/attendanceRollups/{YYYY-MM-DD} -> {
+ *   date, uniqueMembers, totalSessions, completedSessions, imputedCheckOuts,
+ *   totalDurationMinutes, averageSessionMinutes,
+ *   paidCheckIns, unpaidCheckIns,
+ *   hourly: { [HH]: { sessions, uniqueMembers } },
+ *   updatedAt
+ * }
+ * A day's rollup is rebuilt from that day's sessions (see ./sessions) whenever
+ * one of them is written, so it is always consistent with the raw sessions and
+ * rebuilding it twice gives the same result. Hours are the gym's local hour of
+ * check-in. Sessions closed by auto-logout with an imputed check-out count as
+ * imputedCheckOuts and are left out of the durations.
+ */
+
+/**
+ * Builds a day's rollup from its sessions.
+ * @param {string} date - The day (YYYY-MM-DD)
+ * @param {Array} sessions - Session records from getSessionsForDate
+ * @param {string} timeZone - The gym's time zone, for hourly buckets
+ * @returns {Object} - The rollup document
+ */
+const buildDailyRollup = (date, sessions, timeZone) => {
+  const members = new Set();
+  const hourlyMembers = {};
+  const rollup = {
+    date,
+    uniqueMembers: 0,
+    totalSessions: 0,
+    completedSessions: 0,
+    imputedCheckOuts: 0,
+    totalDurationMinutes: 0,
+    averageSessionMinutes: 0,
+    paidCheckIns: 0,
+    unpaidCheckIns: 0,
+    hourly: {},
+  };
+
+  sessions.forEach((session) => {
+    if (!session.checkInAt) return;
+
+    members.add(session.memberId);
+    rollup.totalSessions++;
+
+    if (session.paymentStatus === "Paid") rollup.paidCheckIns++;
+    else rollup.unpaidCheckIns++;
+
+    if (session.checkOutAt && session.checkOutImputed) {
+      rollup.imputedCheckOuts++;
+    } else if (session.checkOutAt && session.checkOutAt > session.checkInAt) {
+      rollup.completedSessions++;
+      rollup.totalDurationMinutes += Math.round(
+        (session.checkOutAt - session.checkInAt) / (1000 * 60)
+      );
+    }
+
+    const hour = String(getZonedHour(session.checkInAt, timeZone)).padStart(2, "0");
+    if (!rollup.hourly[hour]) {
+      rollup.hourly[hour] = { sessions: 0, uniqueMembers: 0 };
+      hourlyMembers[hour] = new Set();
+    }
+    rollup.hourly[hour].sessions++;
+    hourlyMembers[hour].add(session.memberId);
+  });
+
+  rollup.uniqueMembers = members.size;
+  Object.keys(hourlyMembers).forEach((hour) => {
+    rollup.hourly[hour].uniqueMembers = hourlyMembers[hour].size;
+  });
+  rollup.averageSessionMinutes = rollup.completedSessions
+    ? Math.round(rollup.totalDurationMinutes / rollup.completedSessions)
+    : 0;
+
+  return rollup;
+};
+
+/**
+ * Rebuilds the rollup for one gym and day from its sessions.
+ * @param {Object} db - Firestore instance
+ * @param {string} gymId - The gym ID
+ * @param {string} date - The day (YYYY-MM-DD)
+ * @returns {Promise<Object>} - The rollup that was written
+ */
+const rebuildDailyRollup = async (db, gymId, date) => {
+  const timeZone = await getGymTimeZone(db, gymId);
+  const sessions = await getSessionsForDate(db, gymId, date, timeZone);
+  const rollup = buildDailyRollup(date, sessions, timeZone);
+
+  await db
+    .collection("gyms")
+    .doc(gymId)
+    .collection("attendanceRollups")
+    .doc(date)
+    .set({ ...rollup, updatedAt: FieldValue.serverTimestamp() });
+
+  return rollup;
+};
+
+module.exports = {
+  buildDailyRollup,
+  rebuildDailyRollup,
+};
@@ -0,0 +1,156 @@
+// functions/attendance/sessions.js
+const { zonedTimeToDate } = require("../utils/dates");
+
+/**
+ * Attendance sessions
+ * gyms/{gymId}/attendanceSessions/{sessionId} -> {
+ *   memberId, memberName, gymMemberId, paymentStatus,
+ *   date (YYYY-MM-DD), checkInAt, checkOutAt (Timestamps; checkOutAt is null
+ *   while the member is in the gym),
+ *   source ("fingerprint" | "manual"), checkOutSource ("fingerprint" |
+ *   "manual" | "auto_logout" | null), checkOutImputed, imputedMethod (set
+ *   when auto-logout guessed the check-out, see ./autoLogout), deviceId,
+ *   legacyId, createdAt,
+ *   original, edits (set when staff correct the session from the app)
+ * }
+ * Older attendance is stored as Session1..SessionN maps on
+ * gyms/{gymId}/attendance/{YYYY-MM-DD}_{memberId}, with times written by the
+ * scanner as "YYYY-MM-DD HH:MM:SS" strings in the gym's time zone. migrateAttendanceSessions
+ * copies each map into a session document with the ID
+ * `{YYYY-MM-DD}_{memberId}_{SessionN}`. Until a day is migrated, and for
+ * scanners that still write the maps, getSessionsForDate reads both and keeps
+ * the session document when both exist.
+ */
+
+// Matches the {YYYY-MM-DD}_{memberId} attendance document ID
+const ATTENDANCE_ID_PATTERN = /^(\d{4}-\d{2}-\d{2})_(.+)$/;
+
+const parseAttendanceId = (docId) => {
+  const match = docId.match(ATTENDANCE_ID_PATTERN);
+  return match ? { date: match[1], memberId: match[2] } : null;
+};
+
+// Session keys on a legacy attendance document, in session order
+const getLegacySessionKeys = (attendanceData) => {
+  return Object.keys(attendanceData)
+    .filter(
+      (key) =>
+        /^Session\d+$/.test(key) &&
+        attendanceData[key] &&
+        typeof attendanceData[key] === "object"
+    )
+    .sort((a, b) => Number(a.slice(7)) - Number(b.slice(7)));
+};
+
+/**
+ * Reads a legacy session time: a scanner string ("YYYY-MM-DD HH:MM:SS" in
+ * the gym's time zone) or a Timestamp written by the auto-logout function.
+ * @returns {Date|null}
+ */
+const parseLegacyTime = (value, timeZone) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  return zonedTimeToDate(value, timeZone);
+};
+
+/**
+ * Converts the session maps on a legacy attendance document into session
+ * records shaped like attendanceSessions documents, with Dates for times.
+ * @param {string} docId - Attendance document ID ({YYYY-MM-DD}_{memberId})
+ * @param {Object} attendanceData - Attendance document data
+ * @param {string} timeZone - The gym's time zone, for scanner times
+ * @returns {Array} - Session records with their would-be document ID as `id`
+ */
+const getLegacySessions = (docId, attendanceData, timeZone) => {
+  const ids = parseAttendanceId(docId);
+  if (!ids) return [];
+
+  return getLegacySessionKeys(attendanceData)
+    .map((key) => {
+      const session = attendanceData[key];
+      const checkInAt = parseLegacyTime(
+        session.Logged_in_Time || session.checkInTime,
+        timeZone
+      );
+      if (!checkInAt) return null;
+
+      let checkOutSource = null;
+      if (session.Logged_out_Time || session.checkOutTime) {
+        checkOutSource = session.Auto_Logout ? "auto_logout" : "fingerprint";
+      }
+
+      return {
+        id: `${docId}_${key}`,
+        memberId: attendanceData.memberId || ids.memberId,
+        memberName: session.Name || session.name || "Unknown Member",
+        gymMemberId: session.gymMemberId || session.Gym_ID || "N/A",
+        paymentStatus: session.Payment_Status || session.paymentStatus || "Unknown",
+        date: ids.date,
+        checkInAt,
+        checkOutAt: parseLegacyTime(
+          session.Logged_out_Time || session.checkOutTime,
+          timeZone
+        ),
+        source: session.recordedBy === "manual" ? "manual" : "fingerprint",
+        checkOutSource,
+        checkOutImputed: Boolean(session.Auto_Logout),
+        deviceId: session.deviceId || null,
+        legacyId: `${docId}/${key}`,
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Reads a session document with Dates for its times.
+ */
+const readSessionDoc = (sessionDoc) => {
+  const data = sessionDoc.data();
+  return {
+    ...data,
+    id: sessionDoc.id,
+    checkInAt: data.checkInAt?.toDate ? data.checkInAt.toDate() : null,
+    checkOutAt: data.checkOutAt?.toDate ? data.checkOutAt.toDate() : null,
+  };
+};
+
+/**
+ * Every session on a day: session documents plus any legacy session maps that
+ * have not been migrated.
+ * @param {Object} db - Firestore instance
+ * @param {string} gymId - The gym ID
+ * @param {string} date - The day (YYYY-MM-DD)
+ * @param {string} timeZone - The gym's time zone
+ * @returns {Promise<Array>} - Session records
+ */
+const getSessionsForDate = async (db, gymId, date, timeZone) => {
+  const gymRef = db.collection("gyms").doc(gymId);
+  const [sessionsSnapshot, legacySnapshot] = await Promise.all([
+    gymRef.collection("attendanceSessions").where("date", "==", date).get(),
+    gymRef
+      .collection("attendance")
+      .where("__name__", ">=", `${date}_`)
+      .where("__name__", "<", `${date}_\uf8ff`)
+      .get(),
+  ]);
+
+  const sessions = sessionsSnapshot.docs.map(readSessionDoc);
+  const sessionIds = new Set(sessions.map((session) => session.id));
+
+  legacySnapshot.docs.forEach((attendanceDoc) => {
+    getLegacySessions(attendanceDoc.id, attendanceDoc.data(), timeZone).forEach((session) => {
+      if (!sessionIds.has(session.id)) {
+        sessions.push(session);
+      }
+    });
+  });
+
+  return sessions;
+};
+
+module.exports = {
+  parseAttendanceId,
+  getLegacySessionKeys,
+  getLegacySessions,
+  getSessionsForDate,
+};
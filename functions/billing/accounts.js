@@ -0,0 +1,107 @@
+// functions/billing/accounts.js
+const { addDays, addMonths } = require("../utils/dates");
+
+/**
+ * Billing rules for the scheduled jobs: the Cloud Functions copy of
+ * src/utils/billingUtils.js, which the web app uses. test/sharedLogic.test.js
+ * runs both on the same accounts and fails if they disagree, so change them
+ * together.
+ */
+
+// Months in each tier duration; "days" tiers use the tier's durationDays
+const TIER_DURATION_MONTHS = { monthly: 1, quarterly: 3, annual: 12 };
+
+/**
+ * Adds one billing duration of a tier to a YYYY-MM-DD string.
+ */
+const addTierDuration = (dateString, tier) => {
+  const durationType = (tier && tier.durationType) || "monthly";
+  if (durationType === "days") {
+    return addDays(dateString, Number(tier.durationDays) || 30);
+  }
+  return addMonths(dateString, TIER_DURATION_MONTHS[durationType] || 1);
+};
+
+/**
+ * Applies a member's payments to their charges, oldest first. Voids and
+ * refunds are negative ledger entries and cancelled charges are skipped.
+ * Non-membership charges (fees) add to the balance only.
+ */
+const calculateMemberAccount = (charges, payments, today, policy) => {
+  const totalPaid = payments.reduce((sum, p) => sum + (Number(p.amount) || 0), 0);
+  let unapplied = totalPaid;
+  let totalCharged = 0;
+  let paidThrough = null;
+  let lastChargeEnd = null;
+  let openCharge = null;
+
+  charges
+    .filter((charge) => !charge.cancelled)
+    .sort((a, b) => a.periodStart.localeCompare(b.periodStart))
+    .forEach((charge) => {
+      const amount = Number(charge.amount) || 0;
+      const amountPaid = Math.min(amount, unapplied);
+      unapplied -= amountPaid;
+      totalCharged += amount;
+
+      // Only membership periods move the paid-through date; fees are just owed
+      if ((charge.category || "membership") !== "membership") return;
+
+      if (amountPaid >= amount) {
+        if (!openCharge) paidThrough = charge.periodEnd;
+      } else if (!openCharge) {
+        openCharge = { ...charge, amountPaid };
+      }
+      if (!lastChargeEnd || charge.periodEnd > lastChargeEnd) {
+        lastChargeEnd = charge.periodEnd;
+      }
+    });
+
+  let status = "Unpaid";
+  if (paidThrough && addDays(paidThrough, Number(policy.graceDays) || 0) >= today) {
+    status = "Paid";
+  } else if (openCharge && openCharge.amountPaid > 0) {
+    status = "Partially paid";
+  }
+
+  return {
+    outstanding: Math.max(totalCharged - totalPaid, 0),
+    credit: unapplied,
+    paidThrough,
+    lastChargeEnd,
+    openCharge,
+    status,
+  };
+};
+
+/**
+ * Charges to issue once a member's last billed period has ended.
+ */
+const getChargesDue = (account, tier, policy, today) => {
+  const chargesDue = [];
+  if (!tier || account.openCharge || !account.lastChargeEnd) return chargesDue;
+
+  const price = Number(tier.price) || 0;
+  let credit = account.credit;
+  let periodStart = account.lastChargeEnd;
+
+  while (periodStart <= today && chargesDue.length < 12) {
+    const coveredByCredit = credit >= price;
+    if (!coveredByCredit && policy.extendFrom !== "previous_end") break;
+
+    const periodEnd = addTierDuration(periodStart, tier);
+    chargesDue.push({ periodStart, periodEnd, amount: price });
+    credit -= price;
+    periodStart = periodEnd;
+
+    if (!coveredByCredit) break;
+  }
+
+  return chargesDue;
+};
+
+module.exports = {
+  addTierDuration,
+  calculateMemberAccount,
+  getChargesDue,
+};
@@ -0,0 +1,97 @@
+// functions/devices/commands.js
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+
+/**
+ * Device command queue
+ * gyms/{gymId}/devices/{deviceId}/commandQueue/{commandId} -> {
+ *   type, payload, status, result, message,
+ *   attempts, maxAttempts, timeoutSeconds, deadlineAt,
+ *   createdAt, createdBy, acknowledgedAt, startedAt, completedAt
+ * }
+ * The app queues commands (src/services/deviceService.js); the scanner works
+ * through them oldest first, moving each from "queued" to "acknowledged",
+ * "running" and then "done" or "failed". Each attempt has until deadlineAt.
+ * An attempt that runs out of time is queued again while attempts remain,
+ * and marked "timed_out" after the last one.
+ */
+
+const PENDING_STATUSES = ["queued", "acknowledged", "running"];
+
+const isPastDeadline = (command, now) =>
+  Boolean(command.deadlineAt) && command.deadlineAt.toMillis() <= now.getTime();
+
+/**
+ * Re-queues or times out a gym's commands that are past their deadline
+ * @param {Object} db - Firestore instance
+ * @param {string} gymId - The gym ID
+ * @param {Date} now - The time to judge deadlines against
+ * @returns {Promise<Object>} - { retried, timedOut }
+ */
+const expireDeviceCommandsForGym = async (db, gymId, now = new Date()) => {
+  const devicesSnapshot = await db
+    .collection("gyms")
+    .doc(gymId)
+    .collection("devices")
+    .get();
+
+  let retried = 0;
+  let timedOut = 0;
+
+  for (const deviceDoc of devicesSnapshot.docs) {
+    const pendingSnapshot = await deviceDoc.ref
+      .collection("commandQueue")
+      .where("status", "in", PENDING_STATUSES)
+      .get();
+
+    for (const commandDoc of pendingSnapshot.docs) {
+      if (!isPastDeadline(commandDoc.data(), now)) continue;
+
+      // The scanner may finish the command while this runs, so re-check it
+      const outcome = await db.runTransaction(async (transaction) => {
+        const commandSnap = await transaction.get(commandDoc.ref);
+        if (!commandSnap.exists) return null;
+        const command = commandSnap.data();
+        if (!PENDING_STATUSES.includes(command.status) || !isPastDeadline(command, now)) {
+          return null;
+        }
+
+        const attempts = command.attempts || 1;
+        console.log(
+          `⏱️ Command ${command.type} (${commandDoc.id}) on ${deviceDoc.id} passed its deadline while ${command.status}`
+        );
+
+        if (attempts < (command.maxAttempts || 1)) {
+          transaction.update(commandDoc.ref, {
+            status: "queued",
+            attempts: attempts + 1,
+            deadlineAt: Timestamp.fromMillis(
+              now.getTime() + (command.timeoutSeconds || 120) * 1000
+            ),
+            acknowledgedAt: null,
+            startedAt: null,
+            message: `Attempt ${attempts} timed out while ${command.status}; retrying`,
+          });
+          return "retried";
+        }
+
+        transaction.update(commandDoc.ref, {
+          status: "timed_out",
+          completedAt: FieldValue.serverTimestamp(),
+          message: `Timed out while ${command.status} after ${attempts} attempt${
+            attempts === 1 ? "" : "s"
+          }`,
+        });
+        return "timedOut";
+      });
+
+      if (outcome === "retried") retried++;
+      if (outcome === "timedOut") timedOut++;
+    }
+  }
+
+  return { retried, timedOut };
+};
+
+module.exports = {
+  expireDeviceCommandsForGym,
+};
@@ -0,0 +1,81 @@
+// functions/devices/heartbeats.js
+const { FieldValue } = require("firebase-admin/firestore");
+const { getGymTimeZone, toZonedDateString, getZonedHour } = require("../utils/dates");
+
+/**
+ * Scanner heartbeat history
+ * The firmware refreshes last_seen (and uptime_seconds, status) on
+ * gyms/{gymId}/devices/{deviceId} every heartbeat. Each refresh is counted into
+ * gyms/{gymId}/devices/{deviceId}/heartbeats/{YYYY-MM-DD} -> {
+ *   date, hours: { [H]: heartbeats }, restarts, lastUptimeSeconds, updatedAt
+ * }
+ * Hours are the gym's local hour. A drop in uptime_seconds between two
+ * heartbeats counts as a restart. Writes that leave last_seen unchanged (staff
+ * renaming or retiring a device) are not heartbeats.
+ */
+
+// Time zones are cached per function instance so a heartbeat costs one write
+const TIME_ZONE_CACHE_MS = 10 * 60 * 1000;
+const timeZoneCache = {};
+
+const getCachedTimeZone = async (db, gymId) => {
+  const cached = timeZoneCache[gymId];
+  if (cached && Date.now() - cached.fetchedAt < TIME_ZONE_CACHE_MS) {
+    return cached.timeZone;
+  }
+  const timeZone = await getGymTimeZone(db, gymId);
+  timeZoneCache[gymId] = { timeZone, fetchedAt: Date.now() };
+  return timeZone;
+};
+
+/**
+ * Counts a device write into the heartbeat history when it is a heartbeat
+ * @param {Object} db - Firestore instance
+ * @param {string} gymId - The gym ID
+ * @param {string} deviceId - The device ID
+ * @param {Object|null} before - Device data before the write
+ * @param {Object|null} after - Device data after the write
+ * @returns {Promise<boolean>} - Whether a heartbeat was recorded
+ */
+const recordHeartbeat = async (db, gymId, deviceId, before, after) => {
+  const lastSeen = after?.last_seen?.toDate ? after.last_seen.toDate() : null;
+  if (!lastSeen) return false;
+  if (before?.last_seen?.toMillis && before.last_seen.toMillis() === lastSeen.getTime()) {
+    return false;
+  }
+
+  const timeZone = await getCachedTimeZone(db, gymId);
+  const date = toZonedDateString(lastSeen, timeZone);
+  const uptime = Number(after.uptime_seconds);
+  const restarted =
+    Number.isFinite(uptime) &&
+    Number.isFinite(Number(before?.uptime_seconds)) &&
+    uptime < Number(before.uptime_seconds);
+
+  await db
+    .collection("gyms")
+    .doc(gymId)
+    .collection("devices")
+    .doc(deviceId)
+    .collection("heartbeats")
+    .doc(date)
+    .set(
+      {
+        date,
+        hours: { [getZonedHour(lastSeen, timeZone)]: FieldValue.increment(1) },
+        restarts: FieldValue.increment(restarted ? 1 : 0),
+        lastUptimeSeconds: Number.isFinite(uptime) ? uptime : null,
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+
+  if (restarted) {
+    console.log(`🔁 Device ${deviceId} in ${gymId} restarted (uptime ${uptime}s)`);
+  }
+  return true;
+};
+
+module.exports = {
+  recordHeartbeat,
+};
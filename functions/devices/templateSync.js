@@ -0,0 +1,385 @@
+// functions/devices/templateSync.js
+const crypto = require("crypto");
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+
+/**
+ * Fingerprint template backup and multi-scanner sync
+ * The enrolling scanner uploads each new template (uploadTemplate). It is
+ * kept encrypted in
+ * gyms/{gymId}/templateVault/{fingerprintId} -> {
+ *   fingerprintId, ciphertext, iv, authTag, format, checksum,
+ *   sourceDeviceId, uploadedAt
+ * }
+ * which only Cloud Functions read, and pushed to the gym's other scanners
+ * with install_template commands. Each scanner's progress is tracked,
+ * without template data, in
+ * gyms/{gymId}/templateSync/{fingerprintId} -> {
+ *   fingerprintId, checksum, sourceDeviceId, enrollCommandId, updatedAt,
+ *   devices: { [deviceId]: "pending" | "synced" | "failed" }
+ * }
+ * A new or wiped scanner restores everything with download_templates.
+ * When the app discards an enrollment (discardedAt on the enroll command),
+ * the backup it made is deleted and the other scanners erase the finger.
+ * Scanners fetch templates from deviceTemplates with the x-device-key header.
+ * That key is shared by every gym, so both endpoints also require the
+ * calling device to be registered, and not retired, in the gym it names.
+ * Needs TEMPLATE_ENCRYPTION_KEY (32 bytes, base64) and DEVICE_API_KEY in the
+ * environment; without them the endpoints refuse to run.
+ */
+
+// Matches DEVICE_COMMANDS in src/services/deviceService.js
+const COMMAND_LIMITS = {
+  install_template: { timeoutSeconds: 120, maxAttempts: 3 },
+  delete_template: { timeoutSeconds: 120, maxAttempts: 3 },
+};
+
+// Statuses in which an enroll command is still being worked on
+const ENROLLING_STATUSES = ["acknowledged", "running"];
+
+// Command status -> the device's entry in the template's devices map
+const DEVICE_OUTCOMES = {
+  queued: "pending",
+  done: "synced",
+  failed: "failed",
+  timed_out: "failed",
+  cancelled: "failed",
+};
+
+const getEncryptionKey = (env) => {
+  const key = env.TEMPLATE_ENCRYPTION_KEY
+    ? Buffer.from(env.TEMPLATE_ENCRYPTION_KEY, "base64")
+    : null;
+  if (!key || key.length !== 32) {
+    throw new Error("TEMPLATE_ENCRYPTION_KEY must be 32 bytes, base64 encoded");
+  }
+  return key;
+};
+
+// Adds a template command for a device to a batch
+const queueTemplateCommand = (batch, deviceRef, type, payload) => {
+  const { timeoutSeconds, maxAttempts } = COMMAND_LIMITS[type];
+  batch.set(deviceRef.collection("commandQueue").doc(), {
+    type,
+    payload,
+    status: "queued",
+    result: null,
+    message: "",
+    attempts: 1,
+    maxAttempts,
+    timeoutSeconds,
+    deadlineAt: Timestamp.fromMillis(Date.now() + timeoutSeconds * 1000),
+    createdAt: FieldValue.serverTimestamp(),
+    createdBy: "template_sync",
+  });
+};
+
+/**
+ * Whether a device is registered with a gym and not retired
+ * @param {Object} db - Firestore instance
+ * @param {string} gymId - The gym ID
+ * @param {string} deviceId - The device ID
+ * @returns {Promise<boolean>}
+ */
+const isActiveDevice = async (db, gymId, deviceId) => {
+  if (!deviceId) return false;
+  const deviceSnap = await db
+    .collection("gyms")
+    .doc(String(gymId))
+    .collection("devices")
+    .doc(String(deviceId))
+    .get();
+  return deviceSnap.exists && !deviceSnap.data().retired;
+};
+
+/**
+ * Encrypts a template with AES-256-GCM
+ * @param {string} template - Template bytes, base64 encoded
+ * @returns {Object} - { ciphertext, iv, authTag, checksum }, all base64 but the checksum
+ */
+const encryptTemplate = (template, env = process.env) => {
+  const raw = Buffer.from(template, "base64");
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(env), iv);
+  const ciphertext = Buffer.concat([cipher.update(raw), cipher.final()]);
+  return {
+    ciphertext: ciphertext.toString("base64"),
+    iv: iv.toString("base64"),
+    authTag: cipher.getAuthTag().toString("base64"),
+    checksum: crypto.createHash("sha256").update(raw).digest("hex"),
+  };
+};
+
+/**
+ * Decrypts a vault record back to the base64 template
+ * @param {Object} record - A templateVault document
+ * @returns {string}
+ */
+const decryptTemplate = (record, env = process.env) => {
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(env),
+    Buffer.from(record.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(record.authTag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(record.ciphertext, "base64")),
+    decipher.final(),
+  ]).toString("base64");
+};
+
+/**
+ * Whether a template may go into a slot that already belongs to a member:
+ * only when the upload comes from an enroll command, still in progress on
+ * the uploading device, that is enrolling that same member again
+ * @param {Object} gymRef - The gym document reference
+ * @param {Object} member - The member document's data
+ * @param {Object} upload - { deviceId, commandId }
+ * @returns {Promise<boolean>}
+ */
+const isReEnrollment = async (gymRef, member, upload) => {
+  if (!upload.commandId) return false;
+  const commandSnap = await gymRef
+    .collection("devices")
+    .doc(String(upload.deviceId))
+    .collection("commandQueue")
+    .doc(String(upload.commandId))
+    .get();
+  if (!commandSnap.exists) return false;
+
+  const command = commandSnap.data();
+  const memberGymId = member.gymMemberId || member.Gym_ID;
+  return (
+    command.type === "enroll" &&
+    ENROLLING_STATUSES.includes(command.status) &&
+    Boolean(memberGymId) &&
+    command.payload?.gymMemberId === memberGymId
+  );
+};
+
+/**
+ * Stores an uploaded template and queues install_template on every other
+ * active scanner. Slots that are being cleared, or that belong to another
+ * member, are refused so their backup is never overwritten.
+ * @param {Object} db - Firestore instance
+ * @param {string} gymId - The gym ID
+ * @param {Object} upload - { deviceId, fingerprintId, template, format,
+ * commandId }, commandId being the enroll command that captured it
+ * @returns {Promise<Object>} - { checksum, queuedDevices }
+ */
+const storeTemplate = async (db, gymId, upload, env = process.env) => {
+  const fingerprintId = parseInt(upload.fingerprintId);
+  if (!Number.isInteger(fingerprintId) || !upload.template || !upload.deviceId) {
+    throw new Error("deviceId, fingerprintId and template are required");
+  }
+
+  const gymRef = db.collection("gyms").doc(gymId);
+  const [slotSnap, memberSnap] = await Promise.all([
+    gymRef.collection("fingerprintSlots").doc(String(fingerprintId)).get(),
+    gymRef.collection("members").doc(String(fingerprintId)).get(),
+  ]);
+  if (slotSnap.exists && slotSnap.data().status === "pending_deletion") {
+    throw new Error(`Fingerprint slot ${fingerprintId} is being cleared`);
+  }
+  if (memberSnap.exists && !(await isReEnrollment(gymRef, memberSnap.data(), upload))) {
+    throw new Error(`Fingerprint slot ${fingerprintId} already belongs to another member`);
+  }
+
+  const encrypted = encryptTemplate(upload.template, env);
+  const devicesSnapshot = await gymRef.collection("devices").get();
+  const targetDevices = devicesSnapshot.docs.filter(
+    (deviceDoc) => deviceDoc.id !== upload.deviceId && !deviceDoc.data().retired
+  );
+
+  const batch = db.batch();
+  batch.set(gymRef.collection("templateVault").doc(String(fingerprintId)), {
+    fingerprintId,
+    ...encrypted,
+    format: upload.format || "unknown",
+    sourceDeviceId: upload.deviceId,
+    uploadedAt: FieldValue.serverTimestamp(),
+  });
+  batch.set(gymRef.collection("templateSync").doc(String(fingerprintId)), {
+    fingerprintId,
+    checksum: encrypted.checksum,
+    sourceDeviceId: upload.deviceId,
+    enrollCommandId: upload.commandId || null,
+    updatedAt: FieldValue.serverTimestamp(),
+    devices: {
+      [upload.deviceId]: "synced",
+      ...Object.fromEntries(targetDevices.map((deviceDoc) => [deviceDoc.id, "pending"])),
+    },
+  });
+  targetDevices.forEach((deviceDoc) => {
+    queueTemplateCommand(batch, deviceDoc.ref, "install_template", {
+      fingerprintId,
+      checksum: encrypted.checksum,
+    });
+  });
+  await batch.commit();
+
+  return { checksum: encrypted.checksum, queuedDevices: targetDevices.length };
+};
+
+/**
+ * Lists a gym's backed-up templates, or returns one decrypted
+ * @param {Object} db - Firestore instance
+ * @param {string} gymId - The gym ID
+ * @param {string|null} fingerprintId - The template to return, or null for
+ * the manifest
+ * @returns {Promise<Object|Array|null>} - { fingerprintId, template, format,
+ * checksum }, or [{ fingerprintId, format, checksum }], or null if missing
+ */
+const readTemplates = async (db, gymId, fingerprintId, env = process.env) => {
+  const vaultRef = db.collection("gyms").doc(gymId).collection("templateVault");
+
+  if (fingerprintId == null) {
+    const vaultSnapshot = await vaultRef.select("fingerprintId", "format", "checksum").get();
+    return vaultSnapshot.docs
+      .map((vaultDoc) => vaultDoc.data())
+      .sort((a, b) => a.fingerprintId - b.fingerprintId);
+  }
+
+  const vaultSnap = await vaultRef.doc(String(fingerprintId)).get();
+  if (!vaultSnap.exists) return null;
+
+  const record = vaultSnap.data();
+  return {
+    fingerprintId: record.fingerprintId,
+    template: decryptTemplate(record, env),
+    format: record.format,
+    checksum: record.checksum,
+  };
+};
+
+/**
+ * Copies install_template and download_templates outcomes onto templateSync
+ * @param {Object} db - Firestore instance
+ * @param {string} gymId - The gym ID
+ * @param {string} deviceId - The device that ran the command
+ * @param {Object|null} before - Command data before the write
+ * @param {Object|null} after - Command data after the write
+ * @returns {Promise<number>} - Templates updated
+ */
+const recordTemplateSync = async (db, gymId, deviceId, before, after) => {
+  if (!after || (before && before.status === after.status)) return 0;
+
+  let fingerprintIds = [];
+  let outcome = null;
+  if (after.type === "install_template") {
+    fingerprintIds = [after.payload?.fingerprintId];
+    outcome = DEVICE_OUTCOMES[after.status];
+  } else if (after.type === "download_templates" && after.status === "done") {
+    fingerprintIds = after.result?.fingerprintIds || [];
+    outcome = "synced";
+  }
+  if (!outcome) return 0;
+
+  const syncRef = db.collection("gyms").doc(gymId).collection("templateSync");
+  const refs = fingerprintIds
+    .filter((fingerprintId) => fingerprintId != null)
+    .map((fingerprintId) => syncRef.doc(String(fingerprintId)));
+  if (refs.length === 0) return 0;
+
+  // A template purged since the command was queued has no sync entry left
+  const syncSnaps = await db.getAll(...refs);
+  const batch = db.batch();
+  let updated = 0;
+  syncSnaps.forEach((syncSnap) => {
+    if (!syncSnap.exists) return;
+    batch.update(syncSnap.ref, { [`devices.${deviceId}`]: outcome });
+    updated++;
+  });
+  if (updated > 0) await batch.commit();
+
+  console.log(`🔁 ${after.type} on ${deviceId}: ${updated} template(s) ${outcome}`);
+  return updated;
+};
+
+/**
+ * Takes back the template of an enrollment the app discarded: deletes the
+ * backup it made and queues delete_template on every other scanner it was
+ * pushed to. The enrolling device is left to the app, which erases it there.
+ * Nothing happens if a later upload has replaced the backup.
+ * @param {Object} db - Firestore instance
+ * @param {string} gymId - The gym ID
+ * @param {string} deviceId - The enrolling device
+ * @param {string} commandId - The enroll command
+ * @param {Object|null} before - Command data before the write
+ * @param {Object|null} after - Command data after the write
+ * @returns {Promise<number>} - Scanners asked to erase the template
+ */
+const retractDiscardedTemplate = async (db, gymId, deviceId, commandId, before, after) => {
+  if (!after || after.type !== "enroll" || !after.discardedAt || before?.discardedAt) {
+    return 0;
+  }
+  const fingerprintId = after.result?.fingerprintId;
+  if (fingerprintId == null) return 0;
+
+  const gymRef = db.collection("gyms").doc(gymId);
+  const syncSnap = await gymRef.collection("templateSync").doc(String(fingerprintId)).get();
+  if (!syncSnap.exists || syncSnap.data().enrollCommandId !== commandId) return 0;
+
+  const otherDeviceIds = Object.keys(syncSnap.data().devices || {}).filter(
+    (otherDeviceId) => otherDeviceId !== deviceId
+  );
+  const batch = db.batch();
+  batch.delete(gymRef.collection("templateVault").doc(String(fingerprintId)));
+  batch.delete(syncSnap.ref);
+  otherDeviceIds.forEach((otherDeviceId) => {
+    queueTemplateCommand(
+      batch,
+      gymRef.collection("devices").doc(otherDeviceId),
+      "delete_template",
+      { fingerprintId: parseInt(fingerprintId) }
+    );
+  });
+  await batch.commit();
+
+  console.log(
+    `🗑️ Discarded template ${fingerprintId} from ${deviceId} purged, erasing it from ${otherDeviceIds.length} scanner(s)`
+  );
+  return otherDeviceIds.length;
+};
+
+/**
+ * Whether a fingerprintSlots write records a member's removal: the slot is
+ * blocked, or released straight away because the gym had no scanners to
+ * erase the template from. Releasing a blocked slot is not a new removal.
+ * @param {Object|null} before - Slot data before the write
+ * @param {Object|null} after - Slot data after the write
+ * @returns {boolean}
+ */
+const isSlotRemoval = (before, after) => {
+  if (!after || !["pending_deletion", "released"].includes(after.status)) return false;
+  if (!before) return true;
+  if (before.status === "pending_deletion") return false;
+  // A released slot is removed again with a new request
+  return !(before.requestedAt && after.requestedAt && before.requestedAt.isEqual(after.requestedAt));
+};
+
+/**
+ * Deletes the backup of a removed member's template so it is never pushed
+ * to a scanner again
+ * @param {Object} db - Firestore instance
+ * @param {string} gymId - The gym ID
+ * @param {string} fingerprintId - The slot being cleared
+ */
+const purgeTemplate = async (db, gymId, fingerprintId) => {
+  const gymRef = db.collection("gyms").doc(gymId);
+  const batch = db.batch();
+  batch.delete(gymRef.collection("templateVault").doc(String(fingerprintId)));
+  batch.delete(gymRef.collection("templateSync").doc(String(fingerprintId)));
+  await batch.commit();
+};
+
+module.exports = {
+  isActiveDevice,
+  encryptTemplate,
+  decryptTemplate,
+  storeTemplate,
+  readTemplates,
+  recordTemplateSync,
+  retractDiscardedTemplate,
+  isSlotRemoval,
+  purgeTemplate,
+};
@@ -0,0 +1,79 @@
+// functions/devices/templates.js
+const { FieldValue } = require("firebase-admin/firestore");
+
+/**
+ * Fingerprint template deletion tracking
+ * Removing a member blocks their slot in
+ * gyms/{gymId}/fingerprintSlots/{fingerprintId} -> {
+ *   fingerprintId, status ("pending_deletion" | "released"),
+ *   devices: { [deviceId]: "pending" | "deleted" | "failed" }, ...
+ * }
+ * and queues a delete_template command on each device (see
+ * src/services/templateService.js). Each command's progress is copied into
+ * the slot's devices map, and the slot is released once every device has
+ * deleted the template.
+ */
+
+// Command status -> the device's entry in the slot's devices map
+const DEVICE_OUTCOMES = {
+  queued: "pending",
+  done: "deleted",
+  failed: "failed",
+  timed_out: "failed",
+  cancelled: "failed",
+};
+
+/**
+ * Records a delete_template command's outcome on the slot it clears
+ * @param {Object} db - Firestore instance
+ * @param {string} gymId - The gym ID
+ * @param {string} deviceId - The device that ran the command
+ * @param {Object|null} before - Command data before the write
+ * @param {Object|null} after - Command data after the write
+ * @returns {Promise<string|null>} - The slot's status after the update, or
+ * null if the write did not concern a blocked slot
+ */
+const recordTemplateDeletion = async (db, gymId, deviceId, before, after) => {
+  if (!after || after.type !== "delete_template") return null;
+  if (before && before.status === after.status) return null;
+
+  const outcome = DEVICE_OUTCOMES[after.status];
+  const fingerprintId = after.payload?.fingerprintId;
+  if (!outcome || fingerprintId == null) return null;
+
+  const slotRef = db
+    .collection("gyms")
+    .doc(gymId)
+    .collection("fingerprintSlots")
+    .doc(String(fingerprintId));
+
+  return db.runTransaction(async (transaction) => {
+    const slotSnap = await transaction.get(slotRef);
+    if (!slotSnap.exists) return null;
+
+    const slot = slotSnap.data();
+    if (slot.status !== "pending_deletion" || !(deviceId in (slot.devices || {}))) {
+      return null;
+    }
+
+    const devices = { ...slot.devices, [deviceId]: outcome };
+    const released = Object.values(devices).every((status) => status === "deleted");
+
+    transaction.update(slotRef, {
+      [`devices.${deviceId}`]: outcome,
+      ...(released && {
+        status: "released",
+        releasedAt: FieldValue.serverTimestamp(),
+      }),
+    });
+
+    console.log(
+      `🗑️ Template ${fingerprintId} on ${deviceId}: ${outcome}${released ? " - slot released" : ""}`
+    );
+    return released ? "released" : "pending_deletion";
+  });
+};
+
+module.exports = {
+  recordTemplateDeletion,
+};
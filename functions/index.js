@@ -1,15 +1,303 @@
 // functions/index.js
 const { onSchedule } = require("firebase-functions/v2/scheduler");
 const { onRequest } = require("firebase-functions/v2/https");
+const { onDocumentWritten } = require("firebase-functions/v2/firestore");
 const { initializeApp } = require("firebase-admin/app");
-const { getFirestore, FieldValue } = require("firebase-admin/firestore");
+const { getFirestore, FieldValue, Timestamp } = require("firebase-admin/firestore");
+const { sendPaymentRemindersForGym } = require("./notifications/reminders");
+const { rebuildDailyRollup } = require("./attendance/rollups");
+const { parseAttendanceId, getLegacySessions } = require("./attendance/sessions");
+const { closeOpenSessionsForGym } = require("./attendance/autoLogout");
+const {
+  getAccessPolicy,
+  evaluateAccess,
+  writeAccessDecision,
+  refreshAccessDecisionsForGym,
+  logAccessAttempt,
+} = require("./access/accessControl");
+const { recordHeartbeat } = require("./devices/heartbeats");
+const { expireDeviceCommandsForGym } = require("./devices/commands");
+const { recordTemplateDeletion } = require("./devices/templates");
+const {
+  isActiveDevice,
+  storeTemplate,
+  readTemplates,
+  recordTemplateSync,
+  retractDiscardedTemplate,
+  isSlotRemoval,
+  purgeTemplate,
+} = require("./devices/templateSync");
+const {
+  getToday,
+  toZonedDateString,
+  addDays,
+  getGymTimeZone,
+} = require("./utils/dates");
+const { isDeviceRequest, isAdminRequest } = require("./utils/requestKeys");
+const {
+  calculateMemberAccount,
+  getChargesDue,
+} = require("./billing/accounts");
 
 initializeApp();
 const db = getFirestore();
 
+/**
+ * Reads a gym's billing policy (gyms/{gymId}/settings/billing)
+ */
+const getBillingPolicy = async (gymId) => {
+  const policySnap = await db
+    .collection("gyms")
+    .doc(gymId)
+    .collection("settings")
+    .doc("billing")
+    .get();
+
+  return {
+    extendFrom: "previous_end",
+    graceDays: 0,
+    ...(policySnap.exists ? policySnap.data() : {}),
+  };
+};
+
+/**
+ * Groups a query snapshot's documents by their memberId field
+ */
+const groupByMember = (snapshot) => {
+  const grouped = {};
+  snapshot.forEach((itemDoc) => {
+    const item = { id: itemDoc.id, ...itemDoc.data() };
+    if (!item.memberId) return;
+    if (!grouped[item.memberId]) grouped[item.memberId] = [];
+    grouped[item.memberId].push(item);
+  });
+  return grouped;
+};
+
+/**
+ * The freeze that belongs in a member's currentFreeze: the one running today,
+ * or else the next one to start. Mirrors pickCurrentFreeze in
+ * src/services/freezeService.js.
+ */
+const pickCurrentFreeze = (freezes, today) => {
+  const freeze = freezes
+    .filter((item) => !item.cancelled && item.endDate >= today)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate))[0];
+  if (!freeze) return null;
+  return {
+    id: freeze.id,
+    startDate: freeze.startDate,
+    endDate: freeze.endDate,
+    blockCheckIn: Boolean(freeze.blockCheckIn),
+  };
+};
+
+/**
+ * Bills the next period for members whose last charge has ended and rewrites
+ * each member's payment summary from the ledger (gyms/{gymId}/charges and
+ * gyms/{gymId}/payments), applying the gym's grace days. Returns the number
+ * of members updated.
+ */
+const checkOverduePaymentsForGym = async (gymId, today) => {
+  // Get all members for this gym (handles both paid and never-paid members)
+  const gymRef = db.collection("gyms").doc(gymId);
+  const [
+    allMembersSnapshot,
+    tiersSnapshot,
+    chargesSnapshot,
+    paymentsSnapshot,
+    freezesSnapshot,
+    policy,
+  ] = await Promise.all([
+    gymRef.collection("members").get(),
+    gymRef.collection("membershipTiers").get(),
+    gymRef.collection("charges").get(),
+    gymRef.collection("payments").get(),
+    gymRef.collection("freezes").where("endDate", ">=", today).get(),
+    getBillingPolicy(gymId),
+  ]);
+
+  if (allMembersSnapshot.empty) {
+    console.log(`✅ No members found for gym ${gymId}`);
+    return 0;
+  }
+
+  const tiers = {};
+  tiersSnapshot.forEach((tierDoc) => {
+    tiers[tierDoc.id] = tierDoc.data();
+  });
+  const chargesByMember = groupByMember(chargesSnapshot);
+  const paymentsByMember = groupByMember(paymentsSnapshot);
+  const freezesByMember = groupByMember(freezesSnapshot);
+
+  const batch = db.batch();
+  let gymUpdatedCount = 0;
+  let freezesMoved = 0;
+
+  allMembersSnapshot.forEach((memberDoc) => {
+    const memberData = memberDoc.data();
+    const memberId = memberDoc.id;
+    const charges = chargesByMember[memberId] || [];
+    const payments = paymentsByMember[memberId] || [];
+
+    // Once a freeze ends, currentFreeze moves on to the next one scheduled
+    const freeze = pickCurrentFreeze(freezesByMember[memberId] || [], today);
+    if ((freeze ? freeze.id : null) !== (memberData.currentFreeze?.id || null)) {
+      batch.update(memberDoc.ref, { currentFreeze: freeze });
+      freezesMoved++;
+    }
+
+    // Frozen members are not billed or marked overdue until the freeze ends
+    if (freeze && freeze.startDate <= today) {
+      return;
+    }
+    let shouldUpdate = false;
+    let newStatus = memberData.Payment_Status;
+    let updateData = {};
+
+    // SCENARIO 1: Members with a ledger - bill the next period when due and
+    // refresh their status, balance and credit
+    if (charges.length > 0 || payments.length > 0) {
+      let account = calculateMemberAccount(charges, payments, today, policy);
+      const tier = tiers[memberData.membershipTierId];
+
+      const chargesDue = getChargesDue(account, tier, policy, today);
+      chargesDue.forEach((charge) => {
+        const chargeRef = gymRef.collection("charges").doc();
+        batch.set(chargeRef, {
+          ...charge,
+          memberId,
+          memberName: memberData.Name || "Unknown Member",
+          membershipTierId: memberData.membershipTierId || null,
+          tierName: tier.name || "",
+          category: "membership",
+          issuedDate: today,
+          createdAt: FieldValue.serverTimestamp(),
+        });
+        charges.push({ id: chargeRef.id, ...charge });
+      });
+
+      if (chargesDue.length > 0) {
+        account = calculateMemberAccount(charges, payments, today, policy);
+        console.log(
+          `🧾 Issued ${chargesDue.length} charge(s) for ${
+            memberData.Name || memberId
+          }`
+        );
+      }
+
+      const nextPaymentDue =
+        account.paidThrough ||
+        (account.openCharge ? account.openCharge.periodStart : null);
+      const summary = {
+        outstandingBalance: account.outstanding,
+        accountCredit: account.credit,
+      };
+      // Members with no due date keep whatever they have rather than an
+      // empty field
+      if (nextPaymentDue) summary.nextPaymentDue = nextPaymentDue;
+      newStatus = account.status;
+
+      shouldUpdate =
+        chargesDue.length > 0 ||
+        newStatus !== memberData.Payment_Status ||
+        Object.keys(summary).some(
+          (key) => (memberData[key] ?? null) !== summary[key]
+        );
+
+      if (shouldUpdate) {
+        updateData = summary;
+        if (newStatus !== "Paid" && memberData.Payment_Status === "Paid") {
+          console.log(
+            `⚠️ Paid member ${
+              memberData.Name || memberId
+            } payment expired - Due: ${nextPaymentDue}`
+          );
+        }
+      }
+    }
+
+    // SCENARIO 2: Never-paid members who are now overdue (30+ days after enrollment)
+    else if (
+      (memberData.Payment_Status === "Unpaid" || !memberData.Payment_Status) &&
+      typeof memberData.createdAt === "string"
+    ) {
+      // Calculate if 30 days have passed since enrollment
+      const enrollmentDate = memberData.createdAt;
+      const enrollmentDateStr = enrollmentDate.includes("T")
+        ? enrollmentDate.split("T")[0]
+        : enrollmentDate.substring(0, 10);
+
+      const overdueDateStr = addDays(enrollmentDateStr, 30);
+
+      if (overdueDateStr < today && !memberData.nextPaymentDue) {
+        // Set their due date and mark as overdue
+        updateData.nextPaymentDue = overdueDateStr;
+        newStatus = "Unpaid"; // Keep as unpaid but now with a due date
+        shouldUpdate = true;
+        console.log(
+          `⚠️ Never-paid member ${
+            memberData.Name || memberId
+          } is now overdue - Enrolled: ${enrollmentDateStr}, Due: ${overdueDateStr}`
+        );
+      }
+    }
+
+    if (shouldUpdate) {
+      updateData.Payment_Status = newStatus;
+      if (newStatus !== "Paid") {
+        updateData.overdueMarkedDate = today;
+      }
+      updateData.lastStatusUpdate = FieldValue.serverTimestamp();
+
+      batch.update(memberDoc.ref, updateData);
+      gymUpdatedCount++;
+    }
+  });
+
+  if (gymUpdatedCount > 0 || freezesMoved > 0) {
+    await batch.commit();
+    console.log(
+      `✅ Successfully updated ${gymUpdatedCount} members for gym ${gymId}`
+    );
+  }
+
+  return gymUpdatedCount;
+};
+
+/**
+ * Sends a gym's payment reminders after its overdue check. A failed reminder
+ * run is logged but never fails the billing update it follows.
+ */
+const sendRemindersAfterOverdueCheck = async (gymId, today) => {
+  try {
+    const result = await sendPaymentRemindersForGym(db, gymId, today);
+    return result.sent;
+  } catch (error) {
+    console.error(`❌ Error sending reminders for gym ${gymId}:`, error);
+    return 0;
+  }
+};
+
+/**
+ * Re-evaluates scanner access after the overdue check, since a member's
+ * decision can change just because a day has passed. Errors are logged and
+ * do not fail the overdue check.
+ * @returns {Promise<number>} - How many members are warned or denied
+ */
+const refreshAccessAfterOverdueCheck = async (gymId, today) => {
+  try {
+    return await refreshAccessDecisionsForGym(db, gymId, today);
+  } catch (error) {
+    console.error(`❌ Error refreshing access decisions for gym ${gymId}:`, error);
+    return 0;
+  }
+};
+
 /**
  * A scheduled Cloud Function that runs every day at 3:00 AM to check for
- * and update the status of members with overdue payments.
+ * and update the status of members with overdue payments, then send any
+ * payment reminders that are due and refresh scanner access decisions.
  */
 exports.updateOverduePayments = onSchedule(
   {
@@ -17,10 +305,11 @@ exports.updateOverduePayments = onSchedule(
     timeZone: "Asia/Colombo",
     region: "us-central1", // You can change this to your preferred region
   },
-  async (event) => {
+  async () => {
     console.log("🕐 Running daily check for overdue payments...");
-    const today = new Date().toISOString().split("T")[0];
+    const today = getToday();
     let totalUpdated = 0;
+    let totalReminders = 0;
 
     try {
       // Get all gyms in the database
@@ -30,98 +319,16 @@ exports.updateOverduePayments = onSchedule(
 
       for (const gymDoc of gymsSnapshot.docs) {
         const gymId = gymDoc.id;
-        console.log(`🏋️ Checking gym: ${gymId}`);
-
-        // Get all members for this gym (handles both paid and never-paid members)
-        const membersRef = db
-          .collection("gyms")
-          .doc(gymId)
-          .collection("members");
-        const allMembersSnapshot = await membersRef.get();
-
-        if (allMembersSnapshot.empty) {
-          console.log(`✅ No members found for gym ${gymId}`);
-          continue;
-        }
-
-        const batch = db.batch();
-        let gymUpdatedCount = 0;
-
-        allMembersSnapshot.forEach((memberDoc) => {
-          const memberData = memberDoc.data();
-          const memberId = memberDoc.id;
-          let shouldUpdate = false;
-          let newStatus = memberData.Payment_Status;
-          let updateData = {};
-
-          // SCENARIO 1: Previously paid members whose payment expired
-          if (
-            memberData.Payment_Status === "Paid" &&
-            memberData.nextPaymentDueDate &&
-            memberData.nextPaymentDueDate < today
-          ) {
-            newStatus = "Unpaid";
-            shouldUpdate = true;
-            console.log(
-              `⚠️ Paid member ${
-                memberData.Name || memberId
-              } payment expired - Due: ${memberData.nextPaymentDueDate}`
-            );
-          }
-
-          // SCENARIO 2: Never-paid members who are now overdue (30+ days after enrollment)
-          else if (
-            (memberData.Payment_Status === "Unpaid" ||
-              !memberData.Payment_Status) &&
-            (!memberData.paymentHistory ||
-              memberData.paymentHistory.length === 0) &&
-            memberData.createdAt
-          ) {
-            // Calculate if 30 days have passed since enrollment
-            const enrollmentDate = memberData.createdAt;
-            const enrollmentDateStr = enrollmentDate.includes("T")
-              ? enrollmentDate.split("T")[0]
-              : enrollmentDate.substring(0, 10);
-
-            const overdueDate = new Date(enrollmentDateStr);
-            overdueDate.setDate(overdueDate.getDate() + 30);
-            const overdueDateStr = overdueDate.toISOString().split("T")[0];
-
-            if (overdueDateStr < today && !memberData.nextPaymentDueDate) {
-              // Set their due date and mark as overdue
-              updateData.nextPaymentDueDate = overdueDateStr;
-              newStatus = "Unpaid"; // Keep as unpaid but now with a due date
-              shouldUpdate = true;
-              console.log(
-                `⚠️ Never-paid member ${
-                  memberData.Name || memberId
-                } is now overdue - Enrolled: ${enrollmentDateStr}, Due: ${overdueDateStr}`
-              );
-            }
-          }
-
-          if (shouldUpdate) {
-            updateData.Payment_Status = newStatus;
-            updateData.overdueMarkedDate = today;
-            updateData.lastStatusUpdate = FieldValue.serverTimestamp();
-
-            batch.update(memberDoc.ref, updateData);
-            gymUpdatedCount++;
-          }
-        });
-
-        if (gymUpdatedCount > 0) {
-          await batch.commit();
-          console.log(
-            `✅ Successfully updated ${gymUpdatedCount} members for gym ${gymId}`
-          );
-        }
+        const gymToday = getToday(gymDoc.data().timeZone);
+        console.log(`🏋️ Checking gym: ${gymId} (${gymToday})`);
 
-        totalUpdated += gymUpdatedCount;
+        totalUpdated += await checkOverduePaymentsForGym(gymId, gymToday);
+        totalReminders += await sendRemindersAfterOverdueCheck(gymId, gymToday);
+        await refreshAccessAfterOverdueCheck(gymId, gymToday);
       }
 
       console.log(
-        `🎉 Daily overdue payment check completed. Total updated: ${totalUpdated} members`
+        `🎉 Daily overdue payment check completed. Total updated: ${totalUpdated} members, ${totalReminders} reminders sent`
       );
 
       // Log summary to Firestore for admin visibility
@@ -129,6 +336,7 @@ exports.updateOverduePayments = onSchedule(
         type: "overdue_payment_check",
         timestamp: FieldValue.serverTimestamp(),
         totalMembersUpdated: totalUpdated,
+        totalRemindersSent: totalReminders,
         checkDate: today,
         status: "completed",
       });
@@ -151,19 +359,21 @@ exports.updateOverduePayments = onSchedule(
   }
 );
 /**
- * A scheduled Cloud Function that runs every day at 11:59 PM to automatically
- * log out any members who forgot to check out (didn't place finger when leaving)
+ * A scheduled Cloud Function that runs every hour to check out members who
+ * forgot to scan out (didn't place finger when leaving), following each gym's
+ * auto-logout policy (see ./attendance/autoLogout): sessions past the maximum
+ * length are closed straight away, and every open session once the gym's
+ * closing time has passed.
  */
 exports.autoLogoutForgottenMembers = onSchedule(
   {
-    schedule: "0 22 * * *", // Daily at 11:59 PM
+    schedule: "0 * * * *", // Every hour
     timeZone: "Asia/Colombo",
     region: "us-central1",
   },
-  async (event) => {
-    console.log("🌙 Running auto-logout for forgotten members at 11:59 PM...");
-    const today = new Date().toISOString().split("T")[0];
-    const currentTime = FieldValue.serverTimestamp();
+  async () => {
+    console.log("🌙 Running auto-logout for forgotten members...");
+    const today = getToday();
     let totalLoggedOut = 0;
 
     try {
@@ -178,72 +388,9 @@ exports.autoLogoutForgottenMembers = onSchedule(
         const gymId = gymDoc.id;
         console.log(`🏋️ Checking gym ${gymId} for incomplete sessions`);
 
-        // Get today's attendance documents
-        const attendanceRef = db
-          .collection("gyms")
-          .doc(gymId)
-          .collection("attendance");
-        const todayAttendanceQuery = attendanceRef
-          .where("__name__", ">=", `${today}_`)
-          .where("__name__", "<", `${today}_\uf8ff`);
-
-        const attendanceSnapshot = await todayAttendanceQuery.get();
-
-        if (attendanceSnapshot.empty) {
-          console.log(`✅ No attendance records found for gym ${gymId} today`);
-          continue;
-        }
-
-        console.log(
-          `📊 Found ${attendanceSnapshot.size} attendance documents for gym ${gymId}`
-        );
-
-        let gymLoggedOutCount = 0;
-
-        // Process each attendance document
-        for (const attendanceDoc of attendanceSnapshot.docs) {
-          const attendanceData = attendanceDoc.data();
-          const docId = attendanceDoc.id;
-          let hasUpdates = false;
-          const batch = db.batch();
-
-          // Check each session in the document
-          for (let sessionNum = 1; sessionNum <= 10; sessionNum++) {
-            const sessionKey = `Session${sessionNum}`;
-
-            if (attendanceData[sessionKey]) {
-              const session = attendanceData[sessionKey];
-
-              // Check if session has login time but no logout time
-              if (session.Logged_in_Time && !session.Logged_out_Time) {
-                console.log(
-                  `🌙 Auto-logout: ${
-                    session.Name || "Unknown"
-                  } in ${docId}, ${sessionKey}`
-                );
-
-                // Add logout time and auto-logout flag
-                const sessionUpdatePath = `${sessionKey}.Logged_out_Time`;
-                const autoLogoutFlagPath = `${sessionKey}.Auto_Logout`;
-                const autoLogoutTimePath = `${sessionKey}.Auto_Logout_Time`;
-
-                batch.update(attendanceDoc.ref, {
-                  [sessionUpdatePath]: currentTime,
-                  [autoLogoutFlagPath]: true,
-                  [autoLogoutTimePath]: "23:59:00",
-                });
-
-                hasUpdates = true;
-                gymLoggedOutCount++;
-              }
-            }
-          }
-
-          // Commit updates if any sessions were modified
-          if (hasUpdates) {
-            await batch.commit();
-          }
-        }
+        const gymLoggedOutCount = await closeOpenSessionsForGym(db, gymId, {
+          timeZone: gymDoc.data().timeZone,
+        });
 
         totalLoggedOut += gymLoggedOutCount;
         console.log(
@@ -261,7 +408,6 @@ exports.autoLogoutForgottenMembers = onSchedule(
         timestamp: FieldValue.serverTimestamp(),
         totalMembersLoggedOut: totalLoggedOut,
         logoutDate: today,
-        logoutTime: "23:59:00",
         status: "completed",
         description: "Automatically logged out members who forgot to check out",
       });
@@ -285,67 +431,28 @@ exports.autoLogoutForgottenMembers = onSchedule(
 );
 
 /**
- * Manual trigger for auto-logout (for testing)
+ * Manual trigger for auto-logout (for testing). Applies the same policy as
+ * the hourly run unless ?closeAll=true, which closes every open session.
  */
 exports.manualAutoLogout = onRequest(
   {
     region: "us-central1",
   },
   async (req, res) => {
+    const today = getToday();
+
     try {
       console.log("🔧 Manual auto-logout triggered");
 
-      const today = new Date().toISOString().split("T")[0];
-      const currentTime = FieldValue.serverTimestamp();
       let totalLoggedOut = 0;
 
       const gymsSnapshot = await db.collection("gyms").get();
 
       for (const gymDoc of gymsSnapshot.docs) {
-        const gymId = gymDoc.id;
-
-        const attendanceRef = db
-          .collection("gyms")
-          .doc(gymId)
-          .collection("attendance");
-        const todayAttendanceQuery = attendanceRef
-          .where("__name__", ">=", `${today}_`)
-          .where("__name__", "<", `${today}_\uf8ff`);
-
-        const attendanceSnapshot = await todayAttendanceQuery.get();
-
-        for (const attendanceDoc of attendanceSnapshot.docs) {
-          const attendanceData = attendanceDoc.data();
-          let hasUpdates = false;
-          const batch = db.batch();
-
-          for (let sessionNum = 1; sessionNum <= 10; sessionNum++) {
-            const sessionKey = `Session${sessionNum}`;
-
-            if (attendanceData[sessionKey]) {
-              const session = attendanceData[sessionKey];
-
-              if (session.Logged_in_Time && !session.Logged_out_Time) {
-                const sessionUpdatePath = `${sessionKey}.Logged_out_Time`;
-                const autoLogoutFlagPath = `${sessionKey}.Auto_Logout`;
-                const autoLogoutTimePath = `${sessionKey}.Auto_Logout_Time`;
-
-                batch.update(attendanceDoc.ref, {
-                  [sessionUpdatePath]: currentTime,
-                  [autoLogoutFlagPath]: true,
-                  [autoLogoutTimePath]: "23:59:00",
-                });
-
-                hasUpdates = true;
-                totalLoggedOut++;
-              }
-            }
-          }
-
-          if (hasUpdates) {
-            await batch.commit();
-          }
-        }
+        totalLoggedOut += await closeOpenSessionsForGym(db, gymDoc.id, {
+          timeZone: gymDoc.data().timeZone,
+          closeAll: req.query.closeAll === "true",
+        });
       }
 
       // Log the manual auto-logout
@@ -385,48 +492,35 @@ exports.manualAutoLogout = onRequest(
 );
 /**
  * HTTP endpoint to manually trigger overdue payment check
- * Useful for testing or manual runs
+ * Useful for testing or manual runs. It also sends the day's reminders and
+ * refreshes scanner access, so it requires the x-admin-key header
+ * (ADMIN_API_KEY).
  */
 exports.manualOverdueCheck = onRequest(
   {
     region: "us-central1", // Same region as the scheduled function
   },
   async (req, res) => {
+    if (!isAdminRequest(req)) {
+      res.status(401).json({ success: false, error: "Invalid admin key" });
+      return;
+    }
+
+    const today = getToday();
+
     try {
       console.log("🔧 Manual overdue payment check triggered");
 
-      const today = new Date().toISOString().split("T")[0];
       let totalUpdated = 0;
+      let totalReminders = 0;
 
       const gymsSnapshot = await db.collection("gyms").get();
 
       for (const gymDoc of gymsSnapshot.docs) {
-        const gymId = gymDoc.id;
-
-        const overdueMembersQuery = db
-          .collection("gyms")
-          .doc(gymId)
-          .collection("members")
-          .where("Payment_Status", "==", "Paid")
-          .where("nextPaymentDueDate", "<", today);
-
-        const overdueSnapshot = await overdueMembersQuery.get();
-
-        if (!overdueSnapshot.empty) {
-          const batch = db.batch();
-
-          overdueSnapshot.forEach((memberDoc) => {
-            const memberRef = memberDoc.ref;
-            batch.update(memberRef, {
-              Payment_Status: "Unpaid",
-              overdueMarkedDate: today,
-              lastStatusUpdate: FieldValue.serverTimestamp(),
-            });
-          });
-
-          await batch.commit();
-          totalUpdated += overdueSnapshot.size;
-        }
+        const gymToday = getToday(gymDoc.data().timeZone);
+        totalUpdated += await checkOverduePaymentsForGym(gymDoc.id, gymToday);
+        totalReminders += await sendRemindersAfterOverdueCheck(gymDoc.id, gymToday);
+        await refreshAccessAfterOverdueCheck(gymDoc.id, gymToday);
       }
 
       // Log the manual check
@@ -434,6 +528,7 @@ exports.manualOverdueCheck = onRequest(
         type: "manual_overdue_check",
         timestamp: FieldValue.serverTimestamp(),
         totalMembersUpdated: totalUpdated,
+        totalRemindersSent: totalReminders,
         checkDate: today,
         status: "completed",
         triggeredBy: "manual",
@@ -443,6 +538,7 @@ exports.manualOverdueCheck = onRequest(
         success: true,
         message: `Manual overdue check completed. Updated ${totalUpdated} members.`,
         totalUpdated,
+        totalReminders,
         checkDate: today,
       });
     } catch (error) {
@@ -464,3 +560,959 @@ exports.manualOverdueCheck = onRequest(
     }
   }
 );
+
+/**
+ * HTTP endpoint to send today's payment reminders without the overdue check.
+ * Requires the x-admin-key header (ADMIN_API_KEY).
+ * Query parameters:
+ *   gymId  - limit the run to one gym
+ *   dryRun - "true" renders the messages with the fake provider and returns
+ *            which members would be reminded, without sending or logging
+ *            anything. Addresses and message text are left out.
+ */
+exports.manualPaymentReminders = onRequest(
+  {
+    region: "us-central1",
+  },
+  async (req, res) => {
+    if (!isAdminRequest(req)) {
+      res.status(401).json({ success: false, error: "Invalid admin key" });
+      return;
+    }
+
+    const today = getToday();
+    const dryRun = req.query.dryRun === "true";
+
+    try {
+      console.log(`🔧 Manual payment reminders triggered${dryRun ? " (dry run)" : ""}`);
+
+      const gymIds = req.query.gymId
+        ? [req.query.gymId]
+        : (await db.collection("gyms").get()).docs.map((gymDoc) => gymDoc.id);
+
+      const results = {};
+      for (const gymId of gymIds) {
+        const gymToday = getToday(await getGymTimeZone(db, gymId));
+        results[gymId] = await sendPaymentRemindersForGym(db, gymId, gymToday, {
+          dryRun,
+        });
+      }
+
+      res.json({
+        success: true,
+        dryRun,
+        checkDate: today,
+        results,
+      });
+    } catch (error) {
+      console.error("❌ Manual payment reminders failed:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * One-time migration that folds the legacy payment stores into the gym-level
+ * ledger (gyms/{gymId}/payments):
+ *   - the `paymentHistory` array on each member document
+ *   - the `members/{memberId}/payments` subcollection
+ * Ledger documents get deterministic IDs, so running the migration again never
+ * creates duplicates. Once a member's entries are written, the legacy array,
+ * the subcollection documents and `nextPaymentDueDate` are removed in the same
+ * batch, leaving `nextPaymentDue` as the single due-date field. The member's
+ * status, balance and credit are recalculated from the rebuilt ledger the way
+ * the overdue check does it. Requires the x-admin-key header (ADMIN_API_KEY).
+ */
+exports.migratePaymentLedger = onRequest(
+  {
+    region: "us-central1",
+  },
+  async (req, res) => {
+    if (!isAdminRequest(req)) {
+      res.status(401).json({ success: false, error: "Invalid admin key" });
+      return;
+    }
+
+    const migrationDate = getToday();
+
+    try {
+      console.log("🔧 Payment ledger migration triggered");
+
+      let totalMigrated = 0;
+      let membersMigrated = 0;
+
+      const gymsSnapshot = await db.collection("gyms").get();
+
+      for (const gymDoc of gymsSnapshot.docs) {
+        const gymId = gymDoc.id;
+        const gymRef = db.collection("gyms").doc(gymId);
+        const gymToday = getToday(gymDoc.data().timeZone);
+        const [membersSnapshot, chargesSnapshot, paymentsSnapshot, policy] =
+          await Promise.all([
+            gymRef.collection("members").get(),
+            gymRef.collection("charges").get(),
+            gymRef.collection("payments").get(),
+            getBillingPolicy(gymId),
+          ]);
+        const chargesByMember = groupByMember(chargesSnapshot);
+        const paymentsByMember = groupByMember(paymentsSnapshot);
+
+        for (const memberDoc of membersSnapshot.docs) {
+          const memberData = memberDoc.data();
+          const memberId = memberDoc.id;
+          const legacyPaymentsSnapshot = await memberDoc.ref
+            .collection("payments")
+            .get();
+
+          const legacyArray = Array.isArray(memberData.paymentHistory)
+            ? memberData.paymentHistory
+            : [];
+
+          if (legacyArray.length === 0 && legacyPaymentsSnapshot.empty) {
+            continue;
+          }
+
+          // Normalise both legacy shapes into ledger entries
+          const entries = [];
+
+          legacyArray.forEach((payment, index) => {
+            entries.push({
+              ledgerId: `legacy_${memberId}_${payment.id || index}`,
+              amount: Number(payment.amount) || 0,
+              paymentDate: payment.date || migrationDate,
+              method: payment.method || "Cash",
+              notes: payment.notes || "",
+              recordedBy: payment.recordedBy || "admin",
+              tierName: payment.tierName || "",
+              membershipTierId: memberData.membershipTierId || null,
+              legacySource: "paymentHistory",
+            });
+          });
+
+          legacyPaymentsSnapshot.forEach((paymentDoc) => {
+            const payment = paymentDoc.data();
+            const paymentDate = payment.paymentDate?.toDate
+              ? toZonedDateString(payment.paymentDate.toDate(), gymDoc.data().timeZone)
+              : migrationDate;
+
+            entries.push({
+              ledgerId: `sub_${memberId}_${paymentDoc.id}`,
+              amount: Number(payment.amountPaid) || 0,
+              paymentDate,
+              method: payment.method || "Cash",
+              notes: payment.notes || "",
+              recordedBy: payment.recordedBy || "admin",
+              tierName: payment.tierName || "",
+              membershipTierId: payment.membershipTierId || null,
+              legacySource: "payments_subcollection",
+              legacyRef: paymentDoc.ref,
+            });
+          });
+
+          // Legacy entries did not store the period they covered, so rebuild it
+          // by chaining 30-day periods in payment order. The last period keeps
+          // whichever legacy due date the member already had, if it is later.
+          entries.sort((a, b) => a.paymentDate.localeCompare(b.paymentDate));
+
+          const legacyDue = [memberData.nextPaymentDue, memberData.nextPaymentDueDate]
+            .filter(Boolean)
+            .sort()
+            .pop();
+
+          let previousEnd = null;
+          entries.forEach((entry, index) => {
+            entry.periodStart =
+              previousEnd && previousEnd > entry.paymentDate
+                ? previousEnd
+                : entry.paymentDate;
+            entry.periodEnd = addDays(entry.periodStart, 30);
+
+            if (
+              index === entries.length - 1 &&
+              legacyDue &&
+              legacyDue > entry.periodEnd
+            ) {
+              entry.periodEnd = legacyDue;
+            }
+            previousEnd = entry.periodEnd;
+          });
+
+          const batch = db.batch();
+          // The member's ledger once the batch is written, keyed by document
+          // ID so running the migration again does not count entries twice
+          const charges = new Map(
+            (chargesByMember[memberId] || []).map((charge) => [charge.id, charge])
+          );
+          const payments = new Map(
+            (paymentsByMember[memberId] || []).map((payment) => [payment.id, payment])
+          );
+
+          // Each legacy payment settled exactly the period it covered, so it
+          // gets a matching charge for the same amount
+          entries.forEach(({ ledgerId, legacyRef, ...entry }) => {
+            const chargeId = `charge_${ledgerId}`;
+            const charge = {
+              memberId,
+              memberName: memberData.Name || "Unknown Member",
+              membershipTierId: entry.membershipTierId,
+              tierName: entry.tierName,
+              amount: entry.amount,
+              periodStart: entry.periodStart,
+              periodEnd: entry.periodEnd,
+              issuedDate: entry.paymentDate,
+              createdAt: FieldValue.serverTimestamp(),
+              migratedAt: migrationDate,
+            };
+            const payment = {
+              ...entry,
+              chargeId,
+              memberId,
+              memberName: memberData.Name || "Unknown Member",
+              createdAt: FieldValue.serverTimestamp(),
+              migratedAt: migrationDate,
+            };
+            batch.set(gymRef.collection("charges").doc(chargeId), charge);
+            batch.set(gymRef.collection("payments").doc(ledgerId), payment);
+            charges.set(chargeId, { id: chargeId, ...charge });
+            payments.set(ledgerId, { id: ledgerId, ...payment });
+
+            if (legacyRef) {
+              batch.delete(legacyRef);
+            }
+          });
+
+          // Same status rules as the overdue check
+          const account = calculateMemberAccount(
+            [...charges.values()],
+            [...payments.values()],
+            gymToday,
+            policy
+          );
+          const nextPaymentDue =
+            account.paidThrough ||
+            (account.openCharge ? account.openCharge.periodStart : null);
+
+          const latest = entries[entries.length - 1];
+          batch.update(memberDoc.ref, {
+            paymentHistory: FieldValue.delete(),
+            nextPaymentDueDate: FieldValue.delete(),
+            lastPaymentDate: latest.paymentDate,
+            ...(nextPaymentDue && { nextPaymentDue }),
+            outstandingBalance: account.outstanding,
+            accountCredit: account.credit,
+            Payment_Status: account.status,
+            ...(account.status !== "Paid" && { overdueMarkedDate: gymToday }),
+            lastStatusUpdate: FieldValue.serverTimestamp(),
+          });
+
+          await batch.commit();
+
+          totalMigrated += entries.length;
+          membersMigrated++;
+          console.log(
+            `✅ Migrated ${entries.length} payments for ${
+              memberData.Name || memberId
+            } in gym ${gymId}`
+          );
+        }
+      }
+
+      await db.collection("systemLogs").add({
+        type: "payment_ledger_migration",
+        timestamp: FieldValue.serverTimestamp(),
+        totalPaymentsMigrated: totalMigrated,
+        membersMigrated,
+        migrationDate,
+        status: "completed",
+        triggeredBy: "manual",
+      });
+
+      res.json({
+        success: true,
+        message: `Payment ledger migration completed. Migrated ${totalMigrated} payments for ${membersMigrated} members.`,
+        totalMigrated,
+        membersMigrated,
+      });
+    } catch (error) {
+      console.error("❌ Payment ledger migration failed:", error);
+
+      await db.collection("systemLogs").add({
+        type: "payment_ledger_migration",
+        timestamp: FieldValue.serverTimestamp(),
+        error: error.message,
+        migrationDate,
+        status: "failed",
+        triggeredBy: "manual",
+      });
+
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * One-time migration that stamps every attendance document with the `date`
+ * and `memberId` encoded in its ID ({YYYY-MM-DD}_{memberId}), so attendance
+ * can be queried by field instead of by scanning the collection. Documents
+ * that already have both fields are left alone, so the migration can be run
+ * again after scanners that do not set them have written more documents.
+ * Requires the x-admin-key header (ADMIN_API_KEY).
+ */
+exports.migrateAttendanceDates = onRequest(
+  {
+    region: "us-central1",
+  },
+  async (req, res) => {
+    if (!isAdminRequest(req)) {
+      res.status(401).json({ success: false, error: "Invalid admin key" });
+      return;
+    }
+
+    const migrationDate = getToday();
+
+    try {
+      console.log("🔧 Attendance date migration triggered");
+
+      let totalUpdated = 0;
+      let totalSkipped = 0;
+
+      const gymsSnapshot = await db.collection("gyms").get();
+
+      for (const gymDoc of gymsSnapshot.docs) {
+        const attendanceSnapshot = await gymDoc.ref.collection("attendance").get();
+
+        // Batches are limited to 500 writes
+        let batch = db.batch();
+        let batchSize = 0;
+
+        for (const attendanceDoc of attendanceSnapshot.docs) {
+          const attendanceData = attendanceDoc.data();
+          const match = attendanceDoc.id.match(/^(\d{4}-\d{2}-\d{2})_(.+)$/);
+
+          if (!match) {
+            console.warn(`⚠️ Skipping attendance document ${attendanceDoc.id}: unexpected ID`);
+            totalSkipped++;
+            continue;
+          }
+          if (attendanceData.date === match[1] && attendanceData.memberId === match[2]) {
+            continue;
+          }
+
+          batch.update(attendanceDoc.ref, { date: match[1], memberId: match[2] });
+          batchSize++;
+          totalUpdated++;
+
+          if (batchSize === 500) {
+            await batch.commit();
+            batch = db.batch();
+            batchSize = 0;
+          }
+        }
+
+        if (batchSize > 0) {
+          await batch.commit();
+        }
+        console.log(`✅ Attendance dates backfilled for gym ${gymDoc.id}`);
+      }
+
+      await db.collection("systemLogs").add({
+        type: "attendance_date_migration",
+        timestamp: FieldValue.serverTimestamp(),
+        totalDocumentsUpdated: totalUpdated,
+        totalDocumentsSkipped: totalSkipped,
+        migrationDate,
+        status: "completed",
+        triggeredBy: "manual",
+      });
+
+      res.json({
+        success: true,
+        message: `Attendance date migration completed. Updated ${totalUpdated} documents.`,
+        totalUpdated,
+        totalSkipped,
+      });
+    } catch (error) {
+      console.error("❌ Attendance date migration failed:", error);
+
+      await db.collection("systemLogs").add({
+        type: "attendance_date_migration",
+        timestamp: FieldValue.serverTimestamp(),
+        error: error.message,
+        migrationDate,
+        status: "failed",
+        triggeredBy: "manual",
+      });
+
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Keeps gyms/{gymId}/attendanceRollups/{date} in step with the raw attendance
+ * documents. Any write to a day's attendance rebuilds that day's rollup. Scanner
+ * documents that arrive without `date` and `memberId` are stamped with them;
+ * that write triggers this function again, which rebuilds the same rollup.
+ */
+exports.updateAttendanceRollup = onDocumentWritten(
+  {
+    document: "gyms/{gymId}/attendance/{docId}",
+    region: "us-central1",
+  },
+  async (event) => {
+    const { gymId, docId } = event.params;
+    const ids = parseAttendanceId(docId);
+    if (!ids) {
+      console.warn(`⚠️ Attendance document ${docId} has an unexpected ID; no rollup`);
+      return null;
+    }
+
+    const after = event.data.after;
+    if (after.exists) {
+      const attendanceData = after.data();
+      if (attendanceData.date !== ids.date || attendanceData.memberId !== ids.memberId) {
+        await after.ref.update({ date: ids.date, memberId: ids.memberId });
+        return null;
+      }
+    }
+
+    try {
+      await rebuildDailyRollup(db, gymId, ids.date);
+    } catch (error) {
+      console.error(`❌ Error rebuilding attendance rollup for ${gymId} on ${ids.date}:`, error);
+      throw error;
+    }
+    return null;
+  }
+);
+
+/**
+ * Rebuilds the rollup for a session's day whenever a session document is
+ * written. A session moved to another day rebuilds both days.
+ */
+exports.updateAttendanceRollupForSession = onDocumentWritten(
+  {
+    document: "gyms/{gymId}/attendanceSessions/{sessionId}",
+    region: "us-central1",
+  },
+  async (event) => {
+    const { gymId } = event.params;
+    const dates = new Set(
+      [event.data.before, event.data.after]
+        .filter((snapshot) => snapshot.exists)
+        .map((snapshot) => snapshot.data().date)
+        .filter(Boolean)
+    );
+
+    try {
+      for (const date of dates) {
+        await rebuildDailyRollup(db, gymId, date);
+      }
+    } catch (error) {
+      console.error(`❌ Error rebuilding attendance rollup for ${gymId}:`, error);
+      throw error;
+    }
+    return null;
+  }
+);
+
+/**
+ * HTTP endpoint to rebuild attendance rollups for days recorded before the
+ * rollup trigger was deployed. Requires the x-admin-key header (ADMIN_API_KEY).
+ * Query parameters:
+ *   from, to - the days to rebuild (YYYY-MM-DD); defaults to the last 30 days
+ *   gymId    - limit the run to one gym
+ */
+exports.rebuildAttendanceRollups = onRequest(
+  {
+    region: "us-central1",
+  },
+  async (req, res) => {
+    if (!isAdminRequest(req)) {
+      res.status(401).json({ success: false, error: "Invalid admin key" });
+      return;
+    }
+
+    try {
+      const to = req.query.to || getToday();
+      const from = req.query.from || addDays(to, -29);
+      console.log(`🔧 Rebuilding attendance rollups from ${from} to ${to}`);
+
+      const gymIds = req.query.gymId
+        ? [req.query.gymId]
+        : (await db.collection("gyms").get()).docs.map((gymDoc) => gymDoc.id);
+
+      let totalRebuilt = 0;
+      for (const gymId of gymIds) {
+        for (let date = from; date <= to; date = addDays(date, 1)) {
+          await rebuildDailyRollup(db, gymId, date);
+          totalRebuilt++;
+        }
+      }
+
+      res.json({
+        success: true,
+        message: `Rebuilt ${totalRebuilt} attendance rollups.`,
+        from,
+        to,
+        totalRebuilt,
+      });
+    } catch (error) {
+      console.error("❌ Attendance rollup rebuild failed:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * One-time migration that copies the Session1..SessionN maps on legacy
+ * attendance documents into gyms/{gymId}/attendanceSessions. Each session
+ * document gets the ID `{YYYY-MM-DD}_{memberId}_{SessionN}` and check-in/out
+ * times become Timestamps. Sessions that already have a document are left
+ * alone, so edits made after migrating are kept and the migration can be run
+ * again while scanners still write the old maps. The maps themselves are kept
+ * until every scanner writes session documents. Requires the x-admin-key
+ * header (ADMIN_API_KEY).
+ */
+exports.migrateAttendanceSessions = onRequest(
+  {
+    region: "us-central1",
+  },
+  async (req, res) => {
+    if (!isAdminRequest(req)) {
+      res.status(401).json({ success: false, error: "Invalid admin key" });
+      return;
+    }
+
+    const migrationDate = getToday();
+
+    try {
+      console.log("🔧 Attendance session migration triggered");
+
+      let totalMigrated = 0;
+
+      const gymsSnapshot = await db.collection("gyms").get();
+
+      for (const gymDoc of gymsSnapshot.docs) {
+        const sessionsRef = gymDoc.ref.collection("attendanceSessions");
+        const attendanceSnapshot = await gymDoc.ref.collection("attendance").get();
+        let gymMigrated = 0;
+
+        for (const attendanceDoc of attendanceSnapshot.docs) {
+          const sessions = getLegacySessions(
+            attendanceDoc.id,
+            attendanceDoc.data(),
+            gymDoc.data().timeZone
+          );
+          if (sessions.length === 0) continue;
+
+          const sessionRefs = sessions.map((session) => sessionsRef.doc(session.id));
+          const existing = await db.getAll(...sessionRefs);
+
+          const batch = db.batch();
+          let batchSize = 0;
+
+          sessions.forEach((session, index) => {
+            if (existing[index].exists) return;
+
+            // The ID becomes the document ID rather than a field
+            const sessionData = { ...session };
+            delete sessionData.id;
+
+            batch.set(sessionRefs[index], {
+              ...sessionData,
+              checkInAt: Timestamp.fromDate(session.checkInAt),
+              checkOutAt: session.checkOutAt
+                ? Timestamp.fromDate(session.checkOutAt)
+                : null,
+              createdAt: FieldValue.serverTimestamp(),
+              migratedAt: migrationDate,
+            });
+            batchSize++;
+          });
+
+          if (batchSize > 0) {
+            await batch.commit();
+            gymMigrated += batchSize;
+          }
+        }
+
+        totalMigrated += gymMigrated;
+        console.log(`✅ Migrated ${gymMigrated} attendance sessions for gym ${gymDoc.id}`);
+      }
+
+      await db.collection("systemLogs").add({
+        type: "attendance_session_migration",
+        timestamp: FieldValue.serverTimestamp(),
+        totalSessionsMigrated: totalMigrated,
+        migrationDate,
+        status: "completed",
+        triggeredBy: "manual",
+      });
+
+      res.json({
+        success: true,
+        message: `Attendance session migration completed. Migrated ${totalMigrated} sessions.`,
+        totalMigrated,
+      });
+    } catch (error) {
+      console.error("❌ Attendance session migration failed:", error);
+
+      await db.collection("systemLogs").add({
+        type: "attendance_session_migration",
+        timestamp: FieldValue.serverTimestamp(),
+        error: error.message,
+        migrationDate,
+        status: "failed",
+        triggeredBy: "manual",
+      });
+
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Keeps a member's scanner access decision (gyms/{gymId}/accessDecisions)
+ * in step with the member document: payment, freeze and block changes take
+ * effect at the scanner straight away.
+ */
+exports.updateAccessDecision = onDocumentWritten(
+  {
+    document: "gyms/{gymId}/members/{memberId}",
+    region: "us-central1",
+  },
+  async (event) => {
+    const { gymId, memberId } = event.params;
+    const after = event.data.after;
+
+    try {
+      const [policy, timeZone] = await Promise.all([
+        getAccessPolicy(db, gymId),
+        getGymTimeZone(db, gymId),
+      ]);
+      await writeAccessDecision(
+        db,
+        gymId,
+        memberId,
+        after.exists ? after.data() : null,
+        policy,
+        getToday(timeZone)
+      );
+    } catch (error) {
+      console.error(`❌ Error updating access decision for ${gymId}/${memberId}:`, error);
+    }
+    return null;
+  }
+);
+
+/**
+ * HTTP endpoint the scanners call after matching a finger to ask whether the
+ * member may enter. Evaluates the member live, logs warned and denied
+ * attempts for the attendance page, and answers with only the decision and a
+ * reason code ({ decision, reason }); the scanner shows its own text for
+ * each reason. Requires the x-device-key header (DEVICE_API_KEY).
+ * Query parameters:
+ *   gymId    - the gym
+ *   memberId - the matched fingerprint slot (member document ID)
+ *   deviceId - the scanner asking
+ */
+exports.checkAccess = onRequest(
+  {
+    region: "us-central1",
+  },
+  async (req, res) => {
+    if (!isDeviceRequest(req)) {
+      res.status(401).json({ success: false, error: "Invalid device key" });
+      return;
+    }
+
+    const { gymId, memberId, deviceId } = req.query;
+    if (!gymId || !memberId) {
+      res.status(400).json({ success: false, error: "gymId and memberId are required" });
+      return;
+    }
+
+    try {
+      const [memberSnap, policy, timeZone] = await Promise.all([
+        db.collection("gyms").doc(gymId).collection("members").doc(String(memberId)).get(),
+        getAccessPolicy(db, gymId),
+        getGymTimeZone(db, gymId),
+      ]);
+      const today = getToday(timeZone);
+
+      if (!memberSnap.exists) {
+        res.json({ success: true, decision: "deny", reason: "unknown_member" });
+        return;
+      }
+
+      const memberData = memberSnap.data();
+      const access = evaluateAccess(memberData, policy, today);
+
+      if (access.decision !== "allow") {
+        await logAccessAttempt(db, gymId, {
+          memberId: memberSnap.id,
+          memberName: memberData.Name,
+          gymMemberId: memberData.gymMemberId || memberData.Gym_ID,
+          deviceId,
+          ...access,
+          date: today,
+        });
+        console.log(
+          `🚫 Access ${access.decision} for ${memberData.Name || memberSnap.id} at ${deviceId || "unknown device"}: ${access.reason}`
+        );
+      }
+
+      res.json({
+        success: true,
+        decision: access.decision,
+        reason: access.reason,
+      });
+    } catch (error) {
+      console.error("❌ Access check failed:", error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Counts scanner heartbeats into gyms/{gymId}/devices/{deviceId}/heartbeats
+ * for the heartbeat history chart on the Devices page.
+ */
+exports.recordDeviceHeartbeat = onDocumentWritten(
+  {
+    document: "gyms/{gymId}/devices/{deviceId}",
+    region: "us-central1",
+  },
+  async (event) => {
+    const { gymId, deviceId } = event.params;
+    const { before, after } = event.data;
+
+    try {
+      await recordHeartbeat(
+        db,
+        gymId,
+        deviceId,
+        before.exists ? before.data() : null,
+        after.exists ? after.data() : null
+      );
+    } catch (error) {
+      console.error(`❌ Error recording heartbeat for ${gymId}/${deviceId}:`, error);
+    }
+    return null;
+  }
+);
+
+/**
+ * Retries or times out scanner commands that are past their deadline, so a
+ * command sent to a device that is off does not wait forever.
+ */
+exports.expireDeviceCommands = onSchedule(
+  {
+    schedule: "*/5 * * * *", // Every 5 minutes
+    timeZone: "Asia/Colombo",
+    region: "us-central1",
+  },
+  async () => {
+    try {
+      const gymsSnapshot = await db.collection("gyms").get();
+      let totalRetried = 0;
+      let totalTimedOut = 0;
+
+      for (const gymDoc of gymsSnapshot.docs) {
+        const { retried, timedOut } = await expireDeviceCommandsForGym(db, gymDoc.id);
+        totalRetried += retried;
+        totalTimedOut += timedOut;
+      }
+
+      if (totalRetried || totalTimedOut) {
+        console.log(
+          `⏱️ Device commands: ${totalRetried} retried, ${totalTimedOut} timed out`
+        );
+      }
+    } catch (error) {
+      console.error("❌ Error expiring device commands:", error);
+      throw error;
+    }
+    return null;
+  }
+);
+
+/**
+ * Copies the progress of template commands onto the records they affect:
+ * delete_template onto the fingerprint slot it clears (releasing the slot
+ * once every scanner confirms), install_template and download_templates
+ * onto each template's per-scanner sync status. A discarded enroll command
+ * has its template taken back off the scanners.
+ */
+exports.trackTemplateCommands = onDocumentWritten(
+  {
+    document: "gyms/{gymId}/devices/{deviceId}/commandQueue/{commandId}",
+    region: "us-central1",
+  },
+  async (event) => {
+    const { gymId, deviceId, commandId } = event.params;
+    const { before, after } = event.data;
+
+    const beforeData = before.exists ? before.data() : null;
+    const afterData = after.exists ? after.data() : null;
+
+    try {
+      await recordTemplateDeletion(db, gymId, deviceId, beforeData, afterData);
+      await recordTemplateSync(db, gymId, deviceId, beforeData, afterData);
+      await retractDiscardedTemplate(db, gymId, deviceId, commandId, beforeData, afterData);
+    } catch (error) {
+      console.error(
+        `❌ Error tracking template command ${gymId}/${deviceId}/${commandId}:`,
+        error
+      );
+    }
+    return null;
+  }
+);
+
+/**
+ * HTTP endpoint the enrolling scanner posts a new template to. The template
+ * is backed up encrypted and queued for every other scanner of the gym.
+ * Requires the x-device-key header. JSON body:
+ *   gymId, deviceId, fingerprintId, template (base64), format,
+ *   commandId - the enroll command that captured the template; a slot that
+ *               belongs to a member only accepts a re-enrollment of them
+ */
+exports.uploadTemplate = onRequest(
+  {
+    region: "us-central1",
+  },
+  async (req, res) => {
+    if (req.method !== "POST") {
+      res.status(405).json({ success: false, error: "Use POST" });
+      return;
+    }
+    if (!isDeviceRequest(req)) {
+      res.status(401).json({ success: false, error: "Invalid device key" });
+      return;
+    }
+
+    const { gymId, ...upload } = req.body || {};
+    if (!gymId) {
+      res.status(400).json({ success: false, error: "gymId is required" });
+      return;
+    }
+
+    try {
+      if (!(await isActiveDevice(db, gymId, upload.deviceId))) {
+        res.status(403).json({ success: false, error: "Unknown or retired device" });
+        return;
+      }
+
+      const { checksum, queuedDevices } = await storeTemplate(db, gymId, upload);
+      console.log(
+        `🔐 Template ${upload.fingerprintId} from ${upload.deviceId} backed up, pushing to ${queuedDevices} scanner(s)`
+      );
+      res.json({ success: true, checksum, queuedDevices });
+    } catch (error) {
+      console.error("❌ Template upload failed:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+/**
+ * HTTP endpoint scanners fetch backed-up templates from, for
+ * install_template and download_templates. Requires the x-device-key header.
+ * Query parameters:
+ *   gymId         - the gym
+ *   deviceId      - the calling scanner, which must belong to the gym and
+ *                   not be retired
+ *   fingerprintId - the template to return; omit for the list of templates
+ */
+exports.deviceTemplates = onRequest(
+  {
+    region: "us-central1",
+  },
+  async (req, res) => {
+    if (!isDeviceRequest(req)) {
+      res.status(401).json({ success: false, error: "Invalid device key" });
+      return;
+    }
+
+    const { gymId, deviceId, fingerprintId } = req.query;
+    if (!gymId) {
+      res.status(400).json({ success: false, error: "gymId is required" });
+      return;
+    }
+
+    try {
+      if (!(await isActiveDevice(db, gymId, deviceId))) {
+        res.status(403).json({ success: false, error: "Unknown or retired device" });
+        return;
+      }
+
+      if (fingerprintId == null) {
+        res.json({ success: true, templates: await readTemplates(db, gymId, null) });
+        return;
+      }
+
+      const template = await readTemplates(db, gymId, fingerprintId);
+      if (!template) {
+        res.status(404).json({ success: false, error: "Template not found" });
+        return;
+      }
+      res.json({ success: true, ...template });
+    } catch (error) {
+      console.error("❌ Template download failed:", error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+/**
+ * Deletes a removed member's template backup as soon as their slot is
+ * blocked, or released at once when the gym has no scanners, so it is never
+ * pushed to a scanner again.
+ */
+exports.purgeRemovedTemplate = onDocumentWritten(
+  {
+    document: "gyms/{gymId}/fingerprintSlots/{fingerprintId}",
+    region: "us-central1",
+  },
+  async (event) => {
+    const { gymId, fingerprintId } = event.params;
+    const { before, after } = event.data;
+
+    if (
+      !isSlotRemoval(
+        before.exists ? before.data() : null,
+        after.exists ? after.data() : null
+      )
+    ) {
+      return null;
+    }
+
+    try {
+      await purgeTemplate(db, gymId, fingerprintId);
+      console.log(`🗑️ Template backup ${gymId}/${fingerprintId} purged`);
+    } catch (error) {
+      console.error(`❌ Error purging template backup ${gymId}/${fingerprintId}:`, error);
+    }
+    return null;
+  }
+);
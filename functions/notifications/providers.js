@@ -0,0 +1,186 @@
+// functions/notifications/providers.js
+const nodemailer = require("nodemailer");
+
+/**
+ * Notification providers
+ * Every provider exposes the same interface:
+ *   provider.name     - stored on the notification log
+ *   provider.channel  - "sms" | "email" | "whatsapp"
+ *   provider.send({ to, subject, body, memberId }) -> Promise<{ providerMessageId }>
+ * send() throws when the message is not accepted, so the caller can log the
+ * failure. Credentials come from environment variables (functions/.env or
+ * secrets); set NOTIFICATION_PROVIDER=fake to record messages without sending.
+ */
+
+/**
+ * Generic HTTP SMS gateway. Posts JSON to SMS_GATEWAY_URL with the API key
+ * as a bearer token; most local gateways accept this shape.
+ */
+const createSmsGatewayProvider = (env) => ({
+  name: "sms_gateway",
+  channel: "sms",
+  send: async ({ to, body }) => {
+    if (!env.SMS_GATEWAY_URL || !env.SMS_GATEWAY_API_KEY) {
+      throw new Error("SMS gateway is not configured");
+    }
+
+    const response = await fetch(env.SMS_GATEWAY_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${env.SMS_GATEWAY_API_KEY}`,
+      },
+      body: JSON.stringify({
+        to,
+        from: env.SMS_SENDER_ID || undefined,
+        message: body,
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded ${response.status}: ${await response.text()}`);
+    }
+
+    const result = await response.json().catch(() => ({}));
+    return { providerMessageId: result.id || result.messageId || null };
+  },
+});
+
+/**
+ * Email over SMTP.
+ */
+const createSmtpProvider = (env) => {
+  let transport = null;
+
+  return {
+    name: "smtp",
+    channel: "email",
+    send: async ({ to, subject, body }) => {
+      if (!env.SMTP_HOST || !env.SMTP_FROM) {
+        throw new Error("SMTP is not configured");
+      }
+
+      if (!transport) {
+        const port = Number(env.SMTP_PORT) || 587;
+        transport = nodemailer.createTransport({
+          host: env.SMTP_HOST,
+          port,
+          secure: port === 465,
+          auth: env.SMTP_USER
+            ? { user: env.SMTP_USER, pass: env.SMTP_PASS }
+            : undefined,
+        });
+      }
+
+      const info = await transport.sendMail({
+        from: env.SMTP_FROM,
+        to,
+        subject,
+        text: body,
+      });
+      return { providerMessageId: info.messageId || null };
+    },
+  };
+};
+
+/**
+ * WhatsApp Business Cloud API. Free-form text is only delivered inside the
+ * 24-hour customer service window; outside it an approved template is needed,
+ * which is configured with WHATSAPP_TEMPLATE_NAME.
+ */
+const createWhatsAppProvider = (env) => ({
+  name: "whatsapp_business",
+  channel: "whatsapp",
+  send: async ({ to, body }) => {
+    if (!env.WHATSAPP_TOKEN || !env.WHATSAPP_PHONE_NUMBER_ID) {
+      throw new Error("WhatsApp Business is not configured");
+    }
+
+    const message = env.WHATSAPP_TEMPLATE_NAME
+      ? {
+          type: "template",
+          template: {
+            name: env.WHATSAPP_TEMPLATE_NAME,
+            language: { code: env.WHATSAPP_TEMPLATE_LANGUAGE || "en" },
+            components: [
+              { type: "body", parameters: [{ type: "text", text: body }] },
+            ],
+          },
+        }
+      : { type: "text", text: { body } };
+
+    const response = await fetch(
+      `https://graph.facebook.com/v20.0/${env.WHATSAPP_PHONE_NUMBER_ID}/messages`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${env.WHATSAPP_TOKEN}`,
+        },
+        body: JSON.stringify({
+          messaging_product: "whatsapp",
+          to: to.replace(/[^\d]/g, ""),
+          ...message,
+        }),
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`WhatsApp responded ${response.status}: ${await response.text()}`);
+    }
+
+    const result = await response.json();
+    return { providerMessageId: result.messages?.[0]?.id || null };
+  },
+});
+
+/**
+ * Records messages instead of sending them. Used for local runs and the
+ * emulator; the recorded messages are available on provider.sent.
+ */
+const createFakeProvider = (channel = "sms") => {
+  const sent = [];
+  return {
+    name: "fake",
+    channel,
+    sent,
+    send: async (message) => {
+      sent.push(message);
+      // Addresses and message text stay out of the logs
+      console.log(`📨 [fake ${channel}] reminder for member ${message.memberId}`);
+      return { providerMessageId: `fake-${sent.length}` };
+    },
+  };
+};
+
+const PROVIDER_FACTORIES = {
+  sms: createSmsGatewayProvider,
+  email: createSmtpProvider,
+  whatsapp: createWhatsAppProvider,
+};
+
+/**
+ * Builds the provider for a channel.
+ * @param {string} channel - "sms" | "email" | "whatsapp"
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - Provider implementing send()
+ */
+const createProvider = (channel, env = process.env) => {
+  if (env.NOTIFICATION_PROVIDER === "fake") {
+    return createFakeProvider(channel);
+  }
+
+  const factory = PROVIDER_FACTORIES[channel];
+  if (!factory) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  return factory(env);
+};
+
+module.exports = {
+  createProvider,
+  createFakeProvider,
+  createSmsGatewayProvider,
+  createSmtpProvider,
+  createWhatsAppProvider,
+};
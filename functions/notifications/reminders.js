@@ -0,0 +1,232 @@
+// functions/notifications/reminders.js
+const { FieldValue } = require("firebase-admin/firestore");
+const { createProvider, createFakeProvider } = require("./providers");
+const { renderReminder } = require("./templates");
+const { daysBetween } = require("../utils/dates");
+
+/**
+ * Payment reminders
+ * Settings live in gyms/{gymId}/settings/notifications -> {
+ *   enabled, channel ("sms" | "email" | "whatsapp"),
+ *   daysBefore, daysAfter: [n, ...], templates: { [stage]: { subject, body } }
+ * }
+ * Reminders are keyed on the member's nextPaymentDue: one `daysBefore` days
+ * ahead, one on the day, and one for each entry in `daysAfter`. Members with
+ * `notificationsOptOut` set, or who are frozen, are not contacted.
+ * Every reminder is logged in gyms/{gymId}/notifications under the ID
+ * `${memberId}_${dueDate}_${stageKey}`, so a reminder is never sent twice
+ * however often the job runs.
+ */
+
+const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: false,
+  channel: "sms",
+  daysBefore: 3,
+  daysAfter: [1, 7],
+  templates: {},
+};
+
+// Firestore error code when create() finds an existing document
+const ALREADY_EXISTS = 6;
+
+/**
+ * Reads a gym's notification settings
+ */
+const getNotificationSettings = async (db, gymId) => {
+  const settingsSnap = await db
+    .collection("gyms")
+    .doc(gymId)
+    .collection("settings")
+    .doc("notifications")
+    .get();
+  return settingsSnap.exists
+    ? { ...DEFAULT_NOTIFICATION_SETTINGS, ...settingsSnap.data() }
+    : { ...DEFAULT_NOTIFICATION_SETTINGS };
+};
+
+/**
+ * Works out which reminder, if any, is due today for a due date.
+ * @param {string|null} dueDate - The member's nextPaymentDue
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @param {Object} settings - Notification settings
+ * @returns {Object|null} - { stage, key, days }
+ */
+const getReminderStage = (dueDate, today, settings) => {
+  if (!dueDate) return null;
+
+  const daysUntilDue = daysBetween(today, dueDate);
+  const daysBefore = Number(settings.daysBefore) || 0;
+  const daysAfter = (settings.daysAfter || []).map(Number);
+
+  if (daysBefore > 0 && daysUntilDue === daysBefore) {
+    return { stage: "before_due", key: `before_${daysBefore}`, days: daysBefore };
+  }
+  if (daysUntilDue === 0) {
+    return { stage: "due_today", key: "due", days: 0 };
+  }
+  if (daysUntilDue < 0 && daysAfter.includes(-daysUntilDue)) {
+    return { stage: "overdue", key: `overdue_${-daysUntilDue}`, days: -daysUntilDue };
+  }
+  return null;
+};
+
+// Where to reach a member on a channel
+const getMemberAddress = (memberData, channel) => {
+  if (channel === "email") return memberData.Email || null;
+  return memberData.Phone_Number || null;
+};
+
+const formatAmount = (amount) => `LKR ${Number(amount || 0).toLocaleString("en-LK")}`;
+
+/**
+ * Sends today's payment reminders for one gym.
+ * @param {Object} db - Firestore instance
+ * @param {string} gymId - The gym ID
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @param {Object} options
+ * @param {Object} options.provider - Provider to use instead of the configured one
+ * @param {boolean} options.dryRun - Render messages with the fake provider without logging
+ * @returns {Promise<Object>} - { sent, failed, skipped, messages }, where
+ * messages lists the reminders a dry run would send
+ */
+const sendPaymentRemindersForGym = async (db, gymId, today, options = {}) => {
+  const result = { sent: 0, failed: 0, skipped: 0, messages: [] };
+  const settings = await getNotificationSettings(db, gymId);
+
+  if (!settings.enabled && !options.dryRun) {
+    return result;
+  }
+
+  const gymRef = db.collection("gyms").doc(gymId);
+  const [gymSnap, membersSnapshot, tiersSnapshot] = await Promise.all([
+    gymRef.get(),
+    gymRef.collection("members").get(),
+    gymRef.collection("membershipTiers").get(),
+  ]);
+
+  const gymName = (gymSnap.exists && gymSnap.data().name) || "the gym";
+  const tiers = {};
+  tiersSnapshot.forEach((tierDoc) => {
+    tiers[tierDoc.id] = tierDoc.data();
+  });
+
+  const provider =
+    options.provider ||
+    (options.dryRun
+      ? createFakeProvider(settings.channel)
+      : createProvider(settings.channel));
+
+  for (const memberDoc of membersSnapshot.docs) {
+    const memberData = memberDoc.data();
+    const reminder = getReminderStage(memberData.nextPaymentDue, today, settings);
+    if (!reminder) continue;
+
+    // Frozen members have nothing due until the freeze ends
+    const freeze = memberData.currentFreeze;
+    if (freeze && !freeze.cancelled && freeze.startDate <= today && today <= freeze.endDate) {
+      continue;
+    }
+
+    const tier = tiers[memberData.membershipTierId];
+    const amount =
+      memberData.outstandingBalance > 0
+        ? memberData.outstandingBalance
+        : tier?.price || 0;
+    const { subject, body } = renderReminder(
+      reminder.stage,
+      {
+        memberName: memberData.Name || "there",
+        gymName,
+        dueDate: memberData.nextPaymentDue,
+        amount: formatAmount(amount),
+        days: reminder.days,
+      },
+      settings.templates
+    );
+    const to = getMemberAddress(memberData, provider.channel);
+
+    const logEntry = {
+      memberId: memberDoc.id,
+      memberName: memberData.Name || "Unknown Member",
+      channel: provider.channel,
+      provider: provider.name,
+      stage: reminder.stage,
+      stageKey: reminder.key,
+      dueDate: memberData.nextPaymentDue,
+      to,
+      subject,
+      body,
+      sentDate: today,
+      createdAt: FieldValue.serverTimestamp(),
+    };
+
+    let skipReason = null;
+    if (memberData.notificationsOptOut) skipReason = "opted_out";
+    else if (!to) skipReason = `no_${provider.channel === "email" ? "email" : "phone"}`;
+
+    if (options.dryRun) {
+      // Contact details and message text stay out of the dry-run result
+      result.messages.push({
+        memberId: logEntry.memberId,
+        memberName: logEntry.memberName,
+        channel: logEntry.channel,
+        stage: logEntry.stage,
+        stageKey: logEntry.stageKey,
+        dueDate: logEntry.dueDate,
+        skipReason,
+      });
+      if (skipReason) result.skipped++;
+      else {
+        await provider.send({ to, subject, body, memberId: memberDoc.id });
+        result.sent++;
+      }
+      continue;
+    }
+
+    // Claiming the log entry first stops a second run sending the same reminder
+    const logRef = gymRef
+      .collection("notifications")
+      .doc(`${memberDoc.id}_${memberData.nextPaymentDue}_${reminder.key}`);
+    try {
+      await logRef.create({
+        ...logEntry,
+        status: skipReason ? "skipped" : "pending",
+        skipReason,
+      });
+    } catch (error) {
+      if (error.code === ALREADY_EXISTS) continue;
+      throw error;
+    }
+
+    if (skipReason) {
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      const { providerMessageId } = await provider.send({ to, subject, body, memberId: memberDoc.id });
+      await logRef.update({
+        status: "sent",
+        providerMessageId,
+        sentAt: FieldValue.serverTimestamp(),
+      });
+      result.sent++;
+    } catch (error) {
+      console.error(`❌ Reminder to ${memberData.Name || memberDoc.id} failed:`, error);
+      await logRef.update({ status: "failed", error: error.message });
+      result.failed++;
+    }
+  }
+
+  console.log(
+    `📨 Reminders for gym ${gymId}: ${result.sent} sent, ${result.failed} failed, ${result.skipped} skipped`
+  );
+  return result;
+};
+
+module.exports = {
+  DEFAULT_NOTIFICATION_SETTINGS,
+  getNotificationSettings,
+  getReminderStage,
+  sendPaymentRemindersForGym,
+};
@@ -0,0 +1,62 @@
+// functions/notifications/templates.js
+
+/**
+ * Reminder templates, one per stage. Placeholders in double braces are
+ * replaced with member and gym details: {{memberName}}, {{gymName}},
+ * {{dueDate}}, {{amount}}, {{days}}. A gym can override any template in
+ * gyms/{gymId}/settings/notifications -> templates.{stage}.
+ */
+const DEFAULT_TEMPLATES = {
+  before_due: {
+    subject: "Your {{gymName}} membership is due soon",
+    body: "Hi {{memberName}}, your {{gymName}} membership is due on {{dueDate}} ({{days}} days). Amount: {{amount}}.",
+  },
+  due_today: {
+    subject: "Your {{gymName}} membership is due today",
+    body: "Hi {{memberName}}, your {{gymName}} membership payment of {{amount}} is due today ({{dueDate}}).",
+  },
+  overdue: {
+    subject: "Your {{gymName}} membership payment is overdue",
+    body: "Hi {{memberName}}, your {{gymName}} membership payment of {{amount}} was due on {{dueDate}} and is {{days}} days overdue. Please visit the front desk to renew.",
+  },
+};
+
+/**
+ * Fills in a template string. Unknown placeholders are left as they are so a
+ * typo in a custom template is visible in the message log.
+ * @param {string} template - Template text
+ * @param {Object} variables - Placeholder values
+ * @returns {string}
+ */
+const renderTemplate = (template, variables) => {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    variables[key] !== undefined && variables[key] !== null
+      ? String(variables[key])
+      : match
+  );
+};
+
+/**
+ * Renders the reminder for a stage using the gym's templates where set.
+ * @param {string} stage - "before_due" | "due_today" | "overdue"
+ * @param {Object} variables - Placeholder values
+ * @param {Object} customTemplates - The gym's overrides, by stage
+ * @returns {Object} - { subject, body }
+ */
+const renderReminder = (stage, variables, customTemplates = {}) => {
+  const custom = customTemplates[stage] || {};
+  const template = {
+    subject: custom.subject || DEFAULT_TEMPLATES[stage].subject,
+    body: custom.body || DEFAULT_TEMPLATES[stage].body,
+  };
+  return {
+    subject: renderTemplate(template.subject, variables),
+    body: renderTemplate(template.body, variables),
+  };
+};
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+  renderReminder,
+};
@@ -0,0 +1,90 @@
+// functions/test/fakeFirestore.js
+
+/**
+ * A small in-memory stand-in for the Admin SDK Firestore, covering what the
+ * modules under test use: collection/doc references, get, set, create,
+ * update, delete and batches. Documents are kept by path, e.g.
+ * "gyms/gym1/members/7". Field values are stored as given, so
+ * FieldValue sentinels are kept as they are rather than applied.
+ */
+
+// Firestore error code when create() finds an existing document
+const ALREADY_EXISTS = 6;
+
+const createFakeFirestore = (initialDocs = {}) => {
+  const docs = new Map(Object.entries(initialDocs));
+
+  const snapshotOf = (ref) => ({
+    id: ref.id,
+    ref,
+    exists: docs.has(ref.path),
+    data: () => docs.get(ref.path),
+  });
+
+  const docRef = (path) => {
+    const ref = {
+      id: path.split("/").pop(),
+      path,
+      collection: (name) => collectionRef(`${path}/${name}`),
+      get: async () => snapshotOf(ref),
+      set: async (data, options = {}) => {
+        docs.set(path, options.merge ? { ...docs.get(path), ...data } : { ...data });
+      },
+      create: async (data) => {
+        if (docs.has(path)) {
+          const error = new Error(`Document already exists: ${path}`);
+          error.code = ALREADY_EXISTS;
+          throw error;
+        }
+        docs.set(path, { ...data });
+      },
+      update: async (data) => {
+        if (!docs.has(path)) throw new Error(`No document to update: ${path}`);
+        docs.set(path, { ...docs.get(path), ...data });
+      },
+      delete: async () => {
+        docs.delete(path);
+      },
+    };
+    return ref;
+  };
+
+  let autoId = 0;
+  const collectionRef = (path) => ({
+    id: path.split("/").pop(),
+    path,
+    doc: (id) => docRef(`${path}/${id || `auto_${++autoId}`}`),
+    get: async () => {
+      const depth = path.split("/").length + 1;
+      const matches = [...docs.keys()]
+        .filter((key) => key.startsWith(`${path}/`) && key.split("/").length === depth)
+        .sort()
+        .map((key) => snapshotOf(docRef(key)));
+      return {
+        docs: matches,
+        empty: matches.length === 0,
+        size: matches.length,
+        forEach: (callback) => matches.forEach(callback),
+      };
+    },
+  });
+
+  return {
+    docs,
+    collection: (name) => collectionRef(name),
+    doc: (path) => docRef(path),
+    batch: () => {
+      const writes = [];
+      return {
+        set: (ref, data, options) => writes.push(() => ref.set(data, options)),
+        update: (ref, data) => writes.push(() => ref.update(data)),
+        delete: (ref) => writes.push(() => ref.delete()),
+        commit: async () => {
+          for (const write of writes) await write();
+        },
+      };
+    },
+  };
+};
+
+module.exports = { createFakeFirestore };
@@ -0,0 +1,162 @@
+// functions/test/reminders.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeFirestore } = require("./fakeFirestore");
+const { createFakeProvider, createProvider } = require("../notifications/providers");
+const { renderReminder, renderTemplate } = require("../notifications/templates");
+const {
+  getReminderStage,
+  sendPaymentRemindersForGym,
+} = require("../notifications/reminders");
+
+const TODAY = "2025-03-10";
+
+const buildGym = (members, settings = {}) =>
+  createFakeFirestore({
+    "gyms/gym1": { name: "Iron Temple" },
+    "gyms/gym1/settings/notifications": { enabled: true, channel: "sms", ...settings },
+    "gyms/gym1/membershipTiers/basic": { name: "Basic", price: 3000 },
+    ...Object.fromEntries(
+      Object.entries(members).map(([id, member]) => [
+        `gyms/gym1/members/${id}`,
+        { membershipTierId: "basic", ...member },
+      ])
+    ),
+  });
+
+test("getReminderStage picks the before, due and overdue stages", () => {
+  const settings = { daysBefore: 3, daysAfter: [1, 7] };
+  assert.deepEqual(getReminderStage("2025-03-13", TODAY, settings), {
+    stage: "before_due",
+    key: "before_3",
+    days: 3,
+  });
+  assert.equal(getReminderStage(TODAY, TODAY, settings).key, "due");
+  assert.equal(getReminderStage("2025-03-03", TODAY, settings).key, "overdue_7");
+  assert.equal(getReminderStage("2025-03-05", TODAY, settings), null);
+  assert.equal(getReminderStage(null, TODAY, settings), null);
+});
+
+test("renderTemplate fills placeholders and leaves unknown ones visible", () => {
+  assert.equal(
+    renderTemplate("Hi {{ memberName }}, {{unknown}}", { memberName: "Nimal" }),
+    "Hi Nimal, {{unknown}}"
+  );
+});
+
+test("renderReminder prefers the gym's template for a stage", () => {
+  const variables = { memberName: "Nimal", gymName: "Iron Temple", dueDate: TODAY };
+  const custom = { due_today: { body: "{{memberName}}, pay today at {{gymName}}" } };
+
+  const rendered = renderReminder("due_today", variables, custom);
+  assert.equal(rendered.body, "Nimal, pay today at Iron Temple");
+  assert.equal(rendered.subject, "Your Iron Temple membership is due today");
+});
+
+test("createProvider returns the fake provider when NOTIFICATION_PROVIDER=fake", () => {
+  const provider = createProvider("whatsapp", { NOTIFICATION_PROVIDER: "fake" });
+  assert.equal(provider.name, "fake");
+  assert.equal(provider.channel, "whatsapp");
+});
+
+test("sends rendered reminders through the fake provider and logs them", async () => {
+  const db = buildGym({
+    7: { Name: "Nimal", Phone_Number: "+94771234567", nextPaymentDue: TODAY },
+    8: { Name: "Kamala", Phone_Number: "+94777654321", nextPaymentDue: "2025-04-01" },
+  });
+  const provider = createFakeProvider("sms");
+
+  const result = await sendPaymentRemindersForGym(db, "gym1", TODAY, { provider });
+
+  assert.equal(result.sent, 1);
+  assert.deepEqual(provider.sent, [
+    {
+      to: "+94771234567",
+      subject: "Your Iron Temple membership is due today",
+      body: "Hi Nimal, your Iron Temple membership payment of LKR 3,000 is due today (2025-03-10).",
+      memberId: "7",
+    },
+  ]);
+
+  const log = db.docs.get(`gyms/gym1/notifications/7_${TODAY}_due`);
+  assert.equal(log.status, "sent");
+  assert.equal(log.providerMessageId, "fake-1");
+});
+
+test("a reminder is only sent once per member, due date and stage", async () => {
+  const db = buildGym({
+    7: { Name: "Nimal", Phone_Number: "+94771234567", nextPaymentDue: TODAY },
+  });
+  const provider = createFakeProvider("sms");
+
+  await sendPaymentRemindersForGym(db, "gym1", TODAY, { provider });
+  const second = await sendPaymentRemindersForGym(db, "gym1", TODAY, { provider });
+
+  assert.equal(second.sent, 0);
+  assert.equal(provider.sent.length, 1);
+
+  // A new due date is a new reminder
+  await db.doc("gyms/gym1/members/7").update({ nextPaymentDue: "2025-04-10" });
+  await sendPaymentRemindersForGym(db, "gym1", "2025-04-10", { provider });
+  assert.equal(provider.sent.length, 2);
+  assert.ok(db.docs.has("gyms/gym1/notifications/7_2025-04-10_due"));
+});
+
+test("opted-out, unreachable and frozen members are not contacted", async () => {
+  const db = buildGym({
+    1: { Name: "Opted Out", Phone_Number: "+9471", nextPaymentDue: TODAY, notificationsOptOut: true },
+    2: { Name: "No Phone", nextPaymentDue: TODAY },
+    3: {
+      Name: "Frozen",
+      Phone_Number: "+9473",
+      nextPaymentDue: TODAY,
+      currentFreeze: { startDate: "2025-03-01", endDate: "2025-03-31" },
+    },
+  });
+  const provider = createFakeProvider("sms");
+
+  const result = await sendPaymentRemindersForGym(db, "gym1", TODAY, { provider });
+
+  assert.equal(provider.sent.length, 0);
+  assert.equal(result.skipped, 2);
+  assert.equal(db.docs.get(`gyms/gym1/notifications/1_${TODAY}_due`).skipReason, "opted_out");
+  assert.equal(db.docs.get(`gyms/gym1/notifications/2_${TODAY}_due`).skipReason, "no_phone");
+  assert.ok(!db.docs.has(`gyms/gym1/notifications/3_${TODAY}_due`));
+});
+
+test("a dry run logs nothing and leaves contact details out of the result", async () => {
+  const db = buildGym(
+    { 7: { Name: "Nimal", Phone_Number: "+94771234567", nextPaymentDue: TODAY } },
+    { enabled: false }
+  );
+
+  const result = await sendPaymentRemindersForGym(db, "gym1", TODAY, { dryRun: true });
+
+  assert.equal(result.sent, 1);
+  assert.deepEqual(result.messages, [
+    {
+      memberId: "7",
+      memberName: "Nimal",
+      channel: "sms",
+      stage: "due_today",
+      stageKey: "due",
+      dueDate: TODAY,
+      skipReason: null,
+    },
+  ]);
+  assert.ok(![...db.docs.keys()].some((path) => path.includes("/notifications/")));
+});
+
+test("the fake provider logs neither addresses nor message text", async () => {
+  const provider = createFakeProvider("email");
+  const logged = [];
+  const { log } = console;
+  console.log = (...args) => logged.push(args.join(" "));
+  try {
+    await provider.send({ to: "nimal@example.com", subject: "Due", body: "Pay LKR 3,000", memberId: "7" });
+  } finally {
+    console.log = log;
+  }
+
+  assert.deepEqual(logged, ["📨 [fake email] reminder for member 7"]);
+});
@@ -0,0 +1,199 @@
+// functions/test/sharedLogic.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dates = require("../utils/dates");
+const accounts = require("../billing/accounts");
+
+/**
+ * The Cloud Functions keep CommonJS copies of the web app's date helpers
+ * (src/utils/dateUtils.js) and billing rules (src/utils/billingUtils.js).
+ * These tests run both on the same fixtures so the overdue check and
+ * reminders never disagree with what the app shows.
+ */
+
+const loadWebApp = async () => ({
+  dateUtils: await import("../../src/utils/dateUtils.js"),
+  billingUtils: await import("../../src/utils/billingUtils.js"),
+});
+
+const TIME_ZONES = ["Asia/Colombo", "Europe/London", "America/New_York", "Australia/Sydney", "UTC"];
+
+const INSTANTS = [
+  "2025-01-01T00:00:00Z",
+  "2025-03-09T06:59:59Z", // New York DST starts
+  "2025-03-30T00:30:00Z", // London DST starts
+  "2025-04-05T15:59:59Z", // Sydney DST ends
+  "2025-10-26T01:00:00Z", // London DST ends
+  "2025-12-31T18:29:59Z", // Colombo midnight
+  "2024-02-29T23:00:00Z",
+].map((instant) => new Date(instant));
+
+const DATES = ["2024-01-31", "2024-02-29", "2025-01-31", "2025-03-30", "2025-12-31"];
+
+test("date helpers agree on zoned dates and hours", async () => {
+  const { dateUtils } = await loadWebApp();
+  TIME_ZONES.forEach((timeZone) => {
+    INSTANTS.forEach((instant) => {
+      assert.equal(
+        dates.toZonedDateString(instant, timeZone),
+        dateUtils.toZonedDateString(instant, timeZone),
+        `toZonedDateString ${instant.toISOString()} ${timeZone}`
+      );
+      assert.equal(
+        dates.getZonedHour(instant, timeZone),
+        dateUtils.getZonedHour(instant, timeZone),
+        `getZonedHour ${instant.toISOString()} ${timeZone}`
+      );
+    });
+  });
+});
+
+test("date helpers agree on wall-clock times across DST changes", async () => {
+  const { dateUtils } = await loadWebApp();
+  const wallClockTimes = [
+    "2025-03-09 02:30", // does not exist in New York
+    "2025-11-02 01:30:00", // happens twice in New York
+    "2025-03-30T01:15:00",
+    "2025-07-17 06:35:30",
+    "not a date",
+  ];
+  TIME_ZONES.forEach((timeZone) => {
+    wallClockTimes.forEach((wallClock) => {
+      assert.deepEqual(
+        dates.zonedTimeToDate(wallClock, timeZone),
+        dateUtils.zonedTimeToDate(wallClock, timeZone),
+        `zonedTimeToDate ${wallClock} ${timeZone}`
+      );
+    });
+  });
+});
+
+test("date helpers agree on date-string arithmetic", async () => {
+  const { dateUtils } = await loadWebApp();
+  DATES.forEach((date) => {
+    [-400, -31, -1, 0, 1, 29, 366].forEach((days) => {
+      assert.equal(dates.addDays(date, days), dateUtils.addDays(date, days));
+    });
+    [-13, -1, 1, 3, 12, 25].forEach((months) => {
+      assert.equal(dates.addMonths(date, months), dateUtils.addMonths(date, months));
+    });
+    DATES.forEach((other) => {
+      assert.equal(dates.daysBetween(date, other), dateUtils.daysBetween(date, other));
+    });
+  });
+  assert.equal(dates.DEFAULT_TIME_ZONE, dateUtils.DEFAULT_TIME_ZONE);
+});
+
+const TIERS = [
+  undefined,
+  { price: 3000 },
+  { price: 3000, durationType: "monthly" },
+  { price: 8000, durationType: "quarterly" },
+  { price: 30000, durationType: "annual" },
+  { price: 1500, durationType: "days", durationDays: 45 },
+  { price: 1500, durationType: "days" },
+];
+
+test("billing rules agree on tier durations", async () => {
+  const { billingUtils } = await loadWebApp();
+  TIERS.forEach((tier) => {
+    DATES.forEach((date) => {
+      assert.equal(
+        accounts.addTierDuration(date, tier),
+        billingUtils.addTierDuration(date, tier),
+        `addTierDuration ${date} ${JSON.stringify(tier)}`
+      );
+    });
+  });
+});
+
+const charge = (id, periodStart, periodEnd, amount, extra = {}) => ({
+  id,
+  periodStart,
+  periodEnd,
+  amount,
+  ...extra,
+});
+const payment = (id, paymentDate, amount, extra = {}) => ({ id, paymentDate, amount, ...extra });
+
+const ACCOUNTS = {
+  "never billed": { charges: [], payments: [] },
+  "paid up": {
+    charges: [charge("c1", "2025-01-01", "2025-02-01", 3000), charge("c2", "2025-02-01", "2025-03-01", 3000)],
+    payments: [payment("p1", "2025-01-01", 3000), payment("p2", "2025-02-01", 3000)],
+  },
+  "partly paid": {
+    charges: [charge("c1", "2025-01-01", "2025-02-01", 3000), charge("c2", "2025-02-01", "2025-03-01", 3000)],
+    payments: [payment("p1", "2025-01-01", 3000), payment("p2", "2025-02-03", 1000)],
+  },
+  "in credit": {
+    charges: [charge("c1", "2025-01-01", "2025-02-01", 3000)],
+    payments: [payment("p1", "2025-01-01", 10000)],
+  },
+  "voided payment": {
+    charges: [charge("c1", "2025-01-01", "2025-02-01", 3000)],
+    payments: [
+      payment("p1", "2025-01-01", 3000),
+      payment("v1", "2025-01-02", -3000, { type: "void", reversesPaymentId: "p1" }),
+    ],
+  },
+  "cancelled charge": {
+    charges: [
+      charge("c1", "2025-01-01", "2025-02-01", 3000),
+      charge("c2", "2025-02-01", "2025-03-01", 3000, { cancelled: true }),
+    ],
+    payments: [payment("p1", "2025-01-01", 3000)],
+  },
+  "freeze fee owed": {
+    charges: [
+      charge("c1", "2025-01-01", "2025-02-01", 3000),
+      charge("f1", "2025-01-10", "2025-01-10", 500, { category: "freeze_fee" }),
+    ],
+    payments: [payment("p1", "2025-01-01", 3000)],
+  },
+  "charges out of order": {
+    charges: [charge("c2", "2025-02-01", "2025-03-01", 3000), charge("c1", "2025-01-01", "2025-02-01", 3000)],
+    payments: [payment("p1", "2025-01-01", 4500)],
+  },
+};
+
+const POLICIES = [
+  { extendFrom: "previous_end", graceDays: 0 },
+  { extendFrom: "previous_end", graceDays: 5 },
+  { extendFrom: "payment_date", graceDays: 0 },
+];
+
+const TODAYS = ["2025-01-15", "2025-02-03", "2025-03-01", "2025-03-04", "2025-09-01"];
+
+// The fields the Cloud Functions read from an account
+const comparable = (account) => ({
+  outstanding: account.outstanding,
+  credit: account.credit,
+  paidThrough: account.paidThrough,
+  lastChargeEnd: account.lastChargeEnd,
+  status: account.status,
+  openChargeId: account.openCharge ? account.openCharge.id : null,
+  openChargePaid: account.openCharge ? account.openCharge.amountPaid : null,
+});
+
+test("billing rules agree on member accounts and the charges due", async () => {
+  const { billingUtils } = await loadWebApp();
+  Object.entries(ACCOUNTS).forEach(([name, { charges, payments }]) => {
+    POLICIES.forEach((policy) => {
+      TODAYS.forEach((today) => {
+        const label = `${name}, ${JSON.stringify(policy)}, ${today}`;
+        const functionsAccount = accounts.calculateMemberAccount(charges, payments, today, policy);
+        const webAccount = billingUtils.calculateMemberAccount(charges, payments, { today, policy });
+        assert.deepEqual(comparable(functionsAccount), comparable(webAccount), label);
+
+        TIERS.filter(Boolean).forEach((tier) => {
+          assert.deepEqual(
+            accounts.getChargesDue(functionsAccount, tier, policy, today),
+            billingUtils.getChargesDue({ account: webAccount, tier, policy, today }),
+            `${label}, ${JSON.stringify(tier)}`
+          );
+        });
+      });
+    });
+  });
+});
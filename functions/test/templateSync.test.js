@@ -0,0 +1,147 @@
+// functions/test/templateSync.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { createFakeFirestore } = require("./fakeFirestore");
+const {
+  isActiveDevice,
+  isSlotRemoval,
+  readTemplates,
+  retractDiscardedTemplate,
+  storeTemplate,
+} = require("../devices/templateSync");
+
+const ENV = { TEMPLATE_ENCRYPTION_KEY: crypto.randomBytes(32).toString("base64") };
+const TEMPLATE = crypto.randomBytes(64).toString("base64");
+
+const buildGym = (docs = {}) =>
+  createFakeFirestore({
+    "gyms/gym1": { name: "Iron Temple" },
+    "gyms/gym1/devices/front": { status: "online" },
+    "gyms/gym1/devices/back": { status: "online" },
+    "gyms/gym1/devices/old": { status: "offline", retired: true },
+    ...docs,
+  });
+
+const upload = (extra = {}) => ({
+  deviceId: "front",
+  fingerprintId: 5,
+  template: TEMPLATE,
+  format: "simulated",
+  ...extra,
+});
+
+const queuedCommands = (db, deviceId) =>
+  [...db.docs.entries()].filter(([path]) =>
+    path.startsWith(`gyms/gym1/devices/${deviceId}/commandQueue/`)
+  );
+
+test("a new template is backed up and queued for the other active scanners", async () => {
+  const db = buildGym();
+
+  const result = await storeTemplate(db, "gym1", upload({ commandId: "enroll1" }), ENV);
+
+  assert.equal(result.queuedDevices, 1);
+  assert.equal(queuedCommands(db, "back").length, 1);
+  assert.equal(queuedCommands(db, "old").length, 0);
+  assert.deepEqual(db.docs.get("gyms/gym1/templateSync/5").devices, {
+    front: "synced",
+    back: "pending",
+  });
+  assert.equal(db.docs.get("gyms/gym1/templateSync/5").enrollCommandId, "enroll1");
+  assert.equal((await readTemplates(db, "gym1", 5, ENV)).template, TEMPLATE);
+});
+
+test("a slot being cleared is refused", async () => {
+  const db = buildGym({ "gyms/gym1/fingerprintSlots/5": { status: "pending_deletion" } });
+
+  await assert.rejects(storeTemplate(db, "gym1", upload(), ENV), /being cleared/);
+  assert.ok(!db.docs.has("gyms/gym1/templateVault/5"));
+});
+
+test("a slot that belongs to another member is refused and its backup kept", async () => {
+  const db = buildGym({
+    "gyms/gym1/members/5": { Name: "Nimal", gymMemberId: "GYM-0005" },
+    "gyms/gym1/templateVault/5": { fingerprintId: 5, checksum: "nimal" },
+    "gyms/gym1/devices/front/commandQueue/enroll1": {
+      type: "enroll",
+      status: "running",
+      payload: { memberName: "Kamala", gymMemberId: "GYM-0006" },
+    },
+  });
+
+  await assert.rejects(
+    storeTemplate(db, "gym1", upload({ commandId: "enroll1" }), ENV),
+    /already belongs to another member/
+  );
+  await assert.rejects(storeTemplate(db, "gym1", upload(), ENV), /already belongs/);
+  assert.equal(db.docs.get("gyms/gym1/templateVault/5").checksum, "nimal");
+  assert.equal(queuedCommands(db, "back").length, 0);
+});
+
+test("a member's own slot accepts a running re-enrollment of them only", async () => {
+  const enroll = (status) => ({
+    type: "enroll",
+    status,
+    payload: { memberName: "Nimal", gymMemberId: "GYM-0005" },
+  });
+  const db = buildGym({
+    "gyms/gym1/members/5": { Name: "Nimal", gymMemberId: "GYM-0005" },
+    "gyms/gym1/devices/front/commandQueue/finished": enroll("done"),
+    "gyms/gym1/devices/back/commandQueue/elsewhere": enroll("running"),
+    "gyms/gym1/devices/front/commandQueue/enroll1": enroll("running"),
+  });
+
+  await assert.rejects(storeTemplate(db, "gym1", upload({ commandId: "finished" }), ENV));
+  await assert.rejects(storeTemplate(db, "gym1", upload({ commandId: "elsewhere" }), ENV));
+
+  const result = await storeTemplate(db, "gym1", upload({ commandId: "enroll1" }), ENV);
+  assert.equal(result.queuedDevices, 1);
+});
+
+test("only registered, active devices of the gym count as its scanners", async () => {
+  const db = buildGym();
+
+  assert.equal(await isActiveDevice(db, "gym1", "front"), true);
+  assert.equal(await isActiveDevice(db, "gym1", "old"), false);
+  assert.equal(await isActiveDevice(db, "gym2", "front"), false);
+  assert.equal(await isActiveDevice(db, "gym1", undefined), false);
+});
+
+test("blocking a slot, or releasing it without scanners, counts as a removal", () => {
+  const at = (millis) => ({ isEqual: (other) => other.millis === millis, millis });
+  const blocked = { status: "pending_deletion", requestedAt: at(1) };
+  const released = { status: "released", requestedAt: at(1) };
+
+  assert.equal(isSlotRemoval(null, blocked), true);
+  assert.equal(isSlotRemoval(null, released), true);
+  assert.equal(isSlotRemoval(released, { status: "released", requestedAt: at(2) }), true);
+  assert.equal(isSlotRemoval(released, { status: "pending_deletion", requestedAt: at(2) }), true);
+
+  // Progress on a removal already handled
+  assert.equal(isSlotRemoval(blocked, released), false);
+  assert.equal(isSlotRemoval(blocked, { ...blocked, devices: { front: "deleted" } }), false);
+  assert.equal(isSlotRemoval(released, { ...released }), false);
+  assert.equal(isSlotRemoval(blocked, null), false);
+});
+
+test("a discarded enrollment's backup is purged and erased from the other scanners", async () => {
+  const db = buildGym();
+  await storeTemplate(db, "gym1", upload({ commandId: "enroll1" }), ENV);
+  const enroll = { type: "enroll", status: "done", result: { fingerprintId: 5 } };
+  const discarded = { ...enroll, discardedAt: "now" };
+
+  assert.equal(await retractDiscardedTemplate(db, "gym1", "front", "enroll1", null, enroll), 0);
+  assert.equal(await retractDiscardedTemplate(db, "gym1", "front", "other", enroll, discarded), 0);
+  assert.ok(db.docs.has("gyms/gym1/templateVault/5"));
+
+  const erased = await retractDiscardedTemplate(db, "gym1", "front", "enroll1", enroll, discarded);
+
+  assert.equal(erased, 1);
+  assert.ok(!db.docs.has("gyms/gym1/templateVault/5"));
+  assert.ok(!db.docs.has("gyms/gym1/templateSync/5"));
+  const deletions = queuedCommands(db, "back").filter(([, command]) => command.type === "delete_template");
+  assert.equal(deletions.length, 1);
+  assert.deepEqual(deletions[0][1].payload, { fingerprintId: 5 });
+  assert.equal(queuedCommands(db, "front").length, 0);
+});
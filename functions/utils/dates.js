@@ -0,0 +1,130 @@
+// functions/utils/dates.js
+
+/**
+ * Date helpers for the Cloud Functions. Mirrors src/utils/dateUtils.js:
+ * business dates are "YYYY-MM-DD" strings in the gym's time zone
+ * (gyms/{gymId}.timeZone), and date-string arithmetic is done in UTC.
+ * test/sharedLogic.test.js checks that both give the same results.
+ */
+
+// Used for gyms that have not chosen a time zone
+const DEFAULT_TIME_ZONE = "Asia/Colombo";
+
+// Reads the calendar and clock fields of an instant in a time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone || DEFAULT_TIME_ZONE,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  return Object.fromEntries(parts.map((part) => [part.type, part.value]));
+};
+
+/**
+ * The date (YYYY-MM-DD) of an instant in a time zone
+ */
+const toZonedDateString = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Today's date (YYYY-MM-DD) in a time zone
+ */
+const getToday = (timeZone) => toZonedDateString(new Date(), timeZone);
+
+/**
+ * The hour (0-23) of an instant in a time zone
+ */
+const getZonedHour = (date, timeZone) => {
+  return parseInt(getZonedParts(date, timeZone).hour, 10);
+};
+
+/**
+ * Converts a wall-clock time in a time zone ("YYYY-MM-DD HH:MM[:SS]") to a
+ * Date, or null if it cannot be read
+ */
+const zonedTimeToDate = (dateTimeString, timeZone) => {
+  const [datePart, timePart = "00:00:00"] = String(dateTimeString).trim().split(/[ T]/);
+  const utcGuess = new Date(`${datePart}T${timePart}Z`);
+  if (isNaN(utcGuess.getTime())) return null;
+
+  // The zone's offset at that moment, checked again in case it crosses a DST change
+  const offsetAt = (date) => {
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(
+      Number(parts.year),
+      Number(parts.month) - 1,
+      Number(parts.day),
+      Number(parts.hour),
+      Number(parts.minute),
+      Number(parts.second)
+    );
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+  };
+  const firstOffset = offsetAt(utcGuess);
+  const result = new Date(utcGuess.getTime() - firstOffset);
+  const secondOffset = offsetAt(result);
+  return secondOffset === firstOffset
+    ? result
+    : new Date(utcGuess.getTime() - secondOffset);
+};
+
+/**
+ * Adds days to a YYYY-MM-DD string
+ */
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+};
+
+/**
+ * Adds calendar months to a YYYY-MM-DD string, clamping to the last day of
+ * the target month (Jan 31 + 1 month = Feb 28/29)
+ */
+const addMonths = (dateString, months) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDayOfMonth = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDayOfMonth));
+  return date.toISOString().split("T")[0];
+};
+
+/**
+ * Whole days from one YYYY-MM-DD string to another
+ */
+const daysBetween = (fromDate, toDate) => {
+  const from = new Date(`${fromDate}T00:00:00Z`);
+  const to = new Date(`${toDate}T00:00:00Z`);
+  return Math.round((to - from) / (1000 * 60 * 60 * 24));
+};
+
+/**
+ * Reads a gym's time zone from its document
+ */
+const getGymTimeZone = async (db, gymId) => {
+  const gymSnap = await db.collection("gyms").doc(gymId).get();
+  return (gymSnap.exists && gymSnap.data().timeZone) || DEFAULT_TIME_ZONE;
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  toZonedDateString,
+  getToday,
+  getZonedHour,
+  zonedTimeToDate,
+  addDays,
+  addMonths,
+  daysBetween,
+  getGymTimeZone,
+};
@@ -0,0 +1,40 @@
+// functions/utils/requestKeys.js
+const crypto = require("crypto");
+
+/**
+ * Shared keys for the HTTP endpoints. Scanners send x-device-key, checked
+ * against DEVICE_API_KEY; admin tools and scripts send x-admin-key, checked
+ * against ADMIN_API_KEY. When the key is not set in the environment every
+ * request is refused.
+ */
+
+// Compares a request header with the expected key in constant time
+const hasRequestKey = (req, header, expectedKey) => {
+  if (!expectedKey) return false;
+  const expected = Buffer.from(expectedKey);
+  const given = Buffer.from(req.get(header) || "");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * Whether a scanner request carries the shared device key
+ * @param {Object} req - The HTTP request
+ * @param {Object} env - Environment variables (defaults to process.env)
+ */
+const isDeviceRequest = (req, env = process.env) => {
+  return hasRequestKey(req, "x-device-key", env.DEVICE_API_KEY);
+};
+
+/**
+ * Whether a request carries the admin key
+ * @param {Object} req - The HTTP request
+ * @param {Object} env - Environment variables (defaults to process.env)
+ */
+const isAdminRequest = (req, env = process.env) => {
+  return hasRequestKey(req, "x-admin-key", env.ADMIN_API_KEY);
+};
+
+module.exports = {
+  isDeviceRequest,
+  isAdminRequest,
+};
@@ -0,0 +1,308 @@
+// scripts/device-simulator/commands.js
+import { randomBytes, createHash } from "node:crypto";
+
+/**
+ * The simulated firmware's command handling, kept apart from Firestore so it
+ * can be tested without the emulators (scripts/device-simulator/test).
+ * simulator.js connects it to the real command queue.
+ * Enroll outcomes:
+ *   success        - assigns the lowest free slot not in blockedSlots
+ *   sensor_failure - fails with a sensor error
+ *   timeout        - never finishes, leaving the deadline to expire
+ *   duplicate      - fails because the finger is already enrolled
+ */
+
+export const ENROLL_OUTCOMES = ["success", "sensor_failure", "timeout", "duplicate"];
+
+// Statuses in which the device still owns a command it claimed
+const OWNED_STATUSES = ["acknowledged", "running"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Whether the device may claim a command
+ * @param {Object|undefined} command - Command data, undefined if deleted
+ */
+export const canClaimCommand = (command) => command?.status === "queued";
+
+/**
+ * Whether an update still belongs to the attempt the device is running.
+ * Staff cancelling, the deadline expiring or a retry all take it away.
+ * @param {Object|undefined} command - Command data, undefined if deleted
+ * @param {number} attempts - The attempt the device claimed
+ */
+export const ownsCommandAttempt = (command, attempts) =>
+  Boolean(command) &&
+  OWNED_STATUSES.includes(command.status) &&
+  (command.attempts || 1) === attempts;
+
+/**
+ * Orders the queued commands of a queue snapshot, oldest first. Commands
+ * still waiting for their server timestamp count as created now.
+ * @param {Array<Object>} commandDocs - Documents with id and data()
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<string>} - Command IDs
+ */
+export const orderQueuedCommands = (commandDocs, now = Date.now()) => {
+  const createdAt = (commandDoc) => commandDoc.data().createdAt?.toMillis() ?? now;
+  return [...commandDocs]
+    .sort((a, b) => createdAt(a) - createdAt(b))
+    .map((commandDoc) => commandDoc.id);
+};
+
+/**
+ * The fields a heartbeat writes besides last_seen
+ * @param {string} status - "online" or "busy"
+ * @param {number} bootedAt - When the device last booted, in milliseconds
+ * @param {number} now - Current time in milliseconds
+ */
+export const heartbeatFields = (status, bootedAt, now = Date.now()) => ({
+  uptime_seconds: Math.floor((now - bootedAt) / 1000),
+  status,
+});
+
+/**
+ * Creates the handler for each command type. A handler resolves with
+ * { result, message, reboot } to finish the command, resolves with null to
+ * leave it running, or throws to fail it.
+ * @param {Object} device
+ * @param {string} device.gymId - The gym the device belongs to
+ * @param {string} device.deviceId - The device ID
+ * @param {Map} device.slots - fingerprintId -> { template (base64), checksum }
+ * @param {number} device.capacity - Number of fingerprint slots
+ * @param {number} device.enrollSeconds - How long a finger takes to capture
+ * @param {Function} device.getEnrollOutcome - Returns one of ENROLL_OUTCOMES
+ * @param {Function} device.setTimeZone - Called by sync_time with the time
+ *   zone it was sent, if any; returns the time zone now in use
+ * @param {Function|null} device.callFunction - Calls a Cloud Function by
+ *   name, null when the Functions emulator is not configured
+ * @param {Function} device.log - Logs a message
+ * @returns {Object} - Command type -> handler(command, progress)
+ */
+export const createCommandHandlers = (device) => {
+  const callFunction = (name, request) => {
+    if (!device.callFunction) {
+      throw new Error("Cloud Functions emulator is not configured (--functions-url)");
+    }
+    return device.callFunction(name, request);
+  };
+
+  const installTemplate = async (fingerprintId) => {
+    const data = await callFunction("deviceTemplates", {
+      params: { gymId: device.gymId, deviceId: device.deviceId, fingerprintId },
+    });
+    device.slots.set(Number(fingerprintId), { template: data.template, checksum: data.checksum });
+    return data;
+  };
+
+  const freeSlot = (blockedSlots = []) => {
+    for (let slot = 1; slot <= device.capacity; slot++) {
+      if (!device.slots.has(slot) && !blockedSlots.includes(slot)) return slot;
+    }
+    return null;
+  };
+
+  const enroll = async (command, progress) => {
+    const captureMs = (device.enrollSeconds * 1000) / 3;
+    await progress("Place finger on the sensor");
+    await sleep(captureMs);
+    await progress("Remove finger");
+    await sleep(captureMs);
+    await progress("Place the same finger again");
+    await sleep(captureMs);
+
+    const outcome = device.getEnrollOutcome();
+    if (outcome === "timeout") {
+      device.log("⏳ Simulating a hung enrollment - leaving the command running");
+      return null;
+    }
+    if (outcome === "sensor_failure") {
+      throw new Error("Sensor error: could not capture a clear image");
+    }
+    if (outcome === "duplicate") {
+      const existing = device.slots.keys().next().value ?? 1;
+      throw new Error(`Finger already enrolled as fingerprint ID ${existing}`);
+    }
+
+    const fingerprintId = freeSlot(command.payload.blockedSlots);
+    if (fingerprintId === null) {
+      throw new Error("Sensor storage is full");
+    }
+
+    const template = randomBytes(498).toString("base64");
+    device.slots.set(fingerprintId, {
+      template,
+      checksum: createHash("sha256").update(Buffer.from(template, "base64")).digest("hex"),
+    });
+
+    if (device.callFunction) {
+      try {
+        await device.callFunction("uploadTemplate", {
+          method: "POST",
+          body: {
+            gymId: device.gymId,
+            deviceId: device.deviceId,
+            fingerprintId,
+            template,
+            format: "simulated",
+            commandId: command.id,
+          },
+        });
+      } catch (error) {
+        device.log(`⚠️ Template upload failed: ${error.message}`);
+      }
+    }
+
+    return {
+      result: { fingerprintId },
+      message: `Enrolled ${command.payload.memberName || "member"} as fingerprint ID ${fingerprintId}`,
+    };
+  };
+
+  return {
+    enroll,
+    delete_template: async (command) => {
+      const existed = device.slots.delete(Number(command.payload.fingerprintId));
+      return {
+        message: existed
+          ? `Deleted fingerprint ID ${command.payload.fingerprintId}`
+          : `Fingerprint ID ${command.payload.fingerprintId} was already empty`,
+      };
+    },
+    install_template: async (command) => {
+      await installTemplate(command.payload.fingerprintId);
+      return { message: `Installed fingerprint ID ${command.payload.fingerprintId}` };
+    },
+    download_templates: async () => {
+      const { templates } = await callFunction("deviceTemplates", {
+        params: { gymId: device.gymId, deviceId: device.deviceId },
+      });
+      const fingerprintIds = [];
+      for (const { fingerprintId, checksum } of templates) {
+        if (device.slots.get(fingerprintId)?.checksum !== checksum) {
+          await installTemplate(fingerprintId);
+        }
+        fingerprintIds.push(fingerprintId);
+      }
+      return {
+        result: { templateCount: templates.length, fingerprintIds },
+        message: `Holding ${templates.length} backed-up fingerprints`,
+      };
+    },
+    clear_all: async () => {
+      const count = device.slots.size;
+      device.slots.clear();
+      return { message: `Cleared ${count} fingerprints` };
+    },
+    sync_time: async (command) => {
+      const timeZone = device.setTimeZone(command.payload.timeZone);
+      return {
+        result: { offsetMs: Date.now() - (command.payload.sentAt || Date.now()) },
+        message: `Clock set, time zone ${timeZone}`,
+      };
+    },
+    reboot: async () => ({ message: "Rebooting", reboot: true }),
+  };
+};
+
+/**
+ * Runs one command the way the firmware does (see
+ * src/services/deviceService.js): claims it, moves it to "running", then
+ * "done" or "failed", and stops writing once staff cancel it or the attempt
+ * is no longer the device's.
+ * @param {string} commandId - The command to run
+ * @param {Object} options
+ * @param {Object} options.queue - The command queue:
+ *   claim(commandId) -> command data, or null if it cannot be claimed;
+ *   update(commandId, attempts, fields) -> false if the attempt is not ours;
+ *   watchCancel(commandId, onCancel) -> unsubscribe;
+ *   timestamp() -> the value written to startedAt and completedAt
+ * @param {Object} options.handlers - From createCommandHandlers
+ * @param {Function} options.setBusy - Called with true before and false after
+ * @param {Function} options.reboot - Called after a reboot command finishes
+ * @param {Function} options.log - Logs a message
+ */
+export const runCommand = async (commandId, { queue, handlers, setBusy, reboot, log }) => {
+  const command = await queue.claim(commandId);
+  if (!command) return;
+
+  const attempts = command.attempts || 1;
+  log(`📥 ${command.type} (${commandId}), attempt ${attempts}`);
+
+  let cancelled = false;
+  const unsubscribeCommand = queue.watchCancel(commandId, () => {
+    cancelled = true;
+  });
+  const progress = async (message) => {
+    if (cancelled) throw new Error("cancelled");
+    await queue.update(commandId, attempts, { message });
+  };
+
+  try {
+    await setBusy(true);
+    await queue.update(commandId, attempts, {
+      status: "running",
+      startedAt: queue.timestamp(),
+    });
+
+    const handler = handlers[command.type];
+    if (!handler) {
+      throw new Error(`Unsupported command "${command.type}"`);
+    }
+
+    const outcome = await handler(
+      { ...command, id: commandId, payload: command.payload || {} },
+      progress
+    );
+    if (cancelled) throw new Error("cancelled");
+    if (outcome) {
+      await queue.update(commandId, attempts, {
+        status: "done",
+        result: outcome.result || null,
+        message: outcome.message || "",
+        completedAt: queue.timestamp(),
+      });
+      log(`✅ ${command.type}: ${outcome.message}`);
+      if (outcome.reboot) await reboot();
+    }
+  } catch (error) {
+    if (cancelled) {
+      log(`🛑 ${command.type} cancelled`);
+    } else {
+      await queue.update(commandId, attempts, {
+        status: "failed",
+        message: error.message,
+        completedAt: queue.timestamp(),
+      });
+      log(`❌ ${command.type}: ${error.message}`);
+    }
+  } finally {
+    unsubscribeCommand();
+    await setBusy(false);
+  }
+};
+
+/**
+ * Works through queued commands one at a time. Each queue snapshot replaces
+ * the waiting list; a command already running is finished first.
+ * @param {Function} run - Runs one command ID
+ * @returns {Function} - poll(commandIds), resolving once the list is empty
+ *   or straight away if another poll is already working through it
+ */
+export const createCommandWorker = (run) => {
+  let waiting = [];
+  let working = false;
+
+  return async (commandIds) => {
+    waiting = [...commandIds];
+    if (working) return;
+    working = true;
+    try {
+      while (waiting.length > 0) {
+        await run(waiting.shift());
+      }
+    } finally {
+      working = false;
+    }
+  };
+};
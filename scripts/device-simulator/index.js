@@ -0,0 +1,138 @@
+// scripts/device-simulator/index.js
+import { createInterface } from "node:readline";
+import { parseArgs } from "node:util";
+import { createDeviceSimulator, ENROLL_OUTCOMES } from "./simulator.js";
+
+/**
+ * Runs a simulated scanner against the Firebase emulators.
+ *   npm run simulate:device -- --gym <gymId> [options]
+ * Start the emulators first (firebase emulators:start) and run the web app
+ * with VITE_USE_EMULATORS=true so both sides share the same data.
+ */
+
+const USAGE = `Options:
+  --gym <id>                  Gym to register with (required)
+  --device <id>               Device ID (default fingerprint_scanner_sim)
+  --location <text>           Location shown on the Devices page
+  --project <id>              Emulator project ID, the web app's VITE_FIREBASE_PROJECT_ID (default demo-gym)
+  --emulator <host:port>      Firestore emulator (default FIRESTORE_EMULATOR_HOST or 127.0.0.1:8080)
+  --functions-url <url>       Functions emulator base URL, enables checkAccess and template sync
+  --enroll-outcome <outcome>  ${ENROLL_OUTCOMES.join(" | ")} (default success)
+  --enroll-seconds <n>        Time to capture a finger (default 6)
+  --heartbeat <seconds>       Heartbeat interval (default 30)
+  --checkins-per-minute <n>   Scan random enrolled members automatically (default 0)
+Set DEVICE_API_KEY to the key the functions expect for checkAccess and template sync.`;
+
+const COMMANDS = `Commands:
+  scan <memberId>    Check a member in, or out if they are in the gym
+  outcome <outcome>  Change the enroll outcome (${ENROLL_OUTCOMES.join(", ")})
+  slots              List the fingerprint slots held on this device
+  offline | online   Pause or resume heartbeats
+  help               Show this list
+  quit               Stop the simulator`;
+
+const { values } = parseArgs({
+  options: {
+    gym: { type: "string" },
+    device: { type: "string" },
+    location: { type: "string" },
+    project: { type: "string", default: "demo-gym" },
+    emulator: { type: "string", default: process.env.FIRESTORE_EMULATOR_HOST || "127.0.0.1:8080" },
+    "functions-url": { type: "string" },
+    "enroll-outcome": { type: "string", default: "success" },
+    "enroll-seconds": { type: "string", default: "6" },
+    heartbeat: { type: "string", default: "30" },
+    "checkins-per-minute": { type: "string", default: "0" },
+    help: { type: "boolean", default: false },
+  },
+});
+
+if (values.help || !values.gym) {
+  console.log(USAGE);
+  process.exit(values.help ? 0 : 1);
+}
+if (!ENROLL_OUTCOMES.includes(values["enroll-outcome"])) {
+  console.error(`--enroll-outcome must be one of ${ENROLL_OUTCOMES.join(", ")}`);
+  process.exit(1);
+}
+
+const simulator = createDeviceSimulator({
+  gymId: values.gym,
+  ...(values.device && { deviceId: values.device }),
+  ...(values.location && { location: values.location }),
+  projectId: values.project,
+  emulatorHost: values.emulator,
+  functionsUrl: values["functions-url"] || null,
+  deviceKey: process.env.DEVICE_API_KEY || null,
+  enrollOutcome: values["enroll-outcome"],
+  enrollSeconds: Number(values["enroll-seconds"]),
+  heartbeatSeconds: Number(values.heartbeat),
+});
+
+await simulator.start();
+
+let checkInTimer = null;
+const checkInsPerMinute = Number(values["checkins-per-minute"]);
+if (checkInsPerMinute > 0) {
+  checkInTimer = setInterval(() => {
+    const slots = simulator.getSlots();
+    if (slots.length === 0) return;
+    const memberId = slots[Math.floor(Math.random() * slots.length)];
+    simulator.scan(memberId).catch((error) => console.error(`❌ Scan failed: ${error.message}`));
+  }, 60000 / checkInsPerMinute);
+}
+
+const shutdown = async () => {
+  clearInterval(checkInTimer);
+  await simulator.stop();
+  process.exit(0);
+};
+
+const rl = createInterface({ input: process.stdin, output: process.stdout, prompt: "sim> " });
+console.log(COMMANDS);
+rl.prompt();
+
+rl.on("line", async (line) => {
+  const [command, argument] = line.trim().split(/\s+/);
+  try {
+    switch (command) {
+      case "scan":
+        if (!argument) throw new Error("Usage: scan <memberId>");
+        await simulator.scan(argument);
+        break;
+      case "outcome":
+        simulator.setEnrollOutcome(argument);
+        console.log(`Enroll outcome: ${argument}`);
+        break;
+      case "slots":
+        console.log(simulator.getSlots().join(", ") || "No fingerprints stored");
+        break;
+      case "offline":
+        simulator.setHeartbeatsPaused(true);
+        console.log("Heartbeats paused - the device shows offline after 2 minutes");
+        break;
+      case "online":
+        simulator.setHeartbeatsPaused(false);
+        console.log("Heartbeats resumed");
+        break;
+      case "help":
+        console.log(COMMANDS);
+        break;
+      case "quit":
+      case "exit":
+        rl.close();
+        return;
+      case undefined:
+      case "":
+        break;
+      default:
+        console.log(`Unknown command "${command}". Type help for the list.`);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+  }
+  rl.prompt();
+});
+
+rl.on("close", shutdown);
+process.on("SIGINT", shutdown);
@@ -0,0 +1,336 @@
+// scripts/device-simulator/simulator.js
+import { initializeApp } from "firebase/app";
+import {
+  getFirestore,
+  connectFirestoreEmulator,
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  addDoc,
+  updateDoc,
+  query,
+  where,
+  onSnapshot,
+  runTransaction,
+  serverTimestamp,
+  Timestamp,
+} from "firebase/firestore";
+import { DEFAULT_TIME_ZONE, getToday } from "../../src/utils/dateUtils.js";
+import {
+  ENROLL_OUTCOMES,
+  canClaimCommand,
+  createCommandHandlers,
+  createCommandWorker,
+  heartbeatFields,
+  orderQueuedCommands,
+  ownsCommandAttempt,
+  runCommand,
+} from "./commands.js";
+
+export { ENROLL_OUTCOMES };
+
+/**
+ * ESP32 fingerprint scanner simulator
+ * Behaves like the firmware against the Firestore emulator, so enrollment,
+ * device management and attendance can be exercised without hardware:
+ * - registers gyms/{gymId}/devices/{deviceId} and refreshes last_seen,
+ *   uptime_seconds and status every heartbeat
+ * - works through its commandQueue as described in
+ *   src/services/deviceService.js, with the handlers in commands.js
+ * - keeps its fingerprint slots in memory, uploads enrolled templates and
+ *   installs others' when the Cloud Functions emulator is configured
+ * - records check-ins and check-outs as attendanceSessions, asking
+ *   checkAccess first when the Cloud Functions emulator is configured
+ */
+
+const FIRMWARE_VERSION = "simulator-1.0";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Creates a simulated scanner. Nothing runs until start().
+ * @param {Object} options
+ * @param {string} options.gymId - The gym to register with
+ * @param {string} options.deviceId - Defaults to "fingerprint_scanner_sim"
+ * @param {string} options.location - Shown on the Devices page
+ * @param {string} options.projectId - Emulator project ID
+ * @param {string} options.emulatorHost - Firestore emulator "host:port"
+ * @param {string} options.functionsUrl - Functions emulator base URL, e.g.
+ *   http://127.0.0.1:5001/{projectId}/us-central1 (optional)
+ * @param {string} options.deviceKey - Sent as x-device-key (optional)
+ * @param {number} options.heartbeatSeconds - Defaults to 30
+ * @param {string} options.enrollOutcome - One of ENROLL_OUTCOMES
+ * @param {number} options.enrollSeconds - How long a finger takes to capture
+ * @param {number} options.capacity - Number of fingerprint slots (default 127)
+ * @param {Function} options.log - Defaults to console.log
+ * @returns {Object} The simulator
+ */
+export const createDeviceSimulator = (options) => {
+  const settings = {
+    deviceId: "fingerprint_scanner_sim",
+    location: "Simulator",
+    projectId: "demo-gym",
+    emulatorHost: "127.0.0.1:8080",
+    functionsUrl: null,
+    deviceKey: null,
+    heartbeatSeconds: 30,
+    enrollOutcome: "success",
+    enrollSeconds: 6,
+    capacity: 127,
+    log: console.log,
+    ...options,
+  };
+  if (!settings.gymId) {
+    throw new Error("gymId is required");
+  }
+
+  const app = initializeApp({ projectId: settings.projectId }, `simulator-${settings.deviceId}`);
+  const db = getFirestore(app);
+  const [host, port] = settings.emulatorHost.split(":");
+  connectFirestoreEmulator(db, host, Number(port));
+
+  const deviceRef = doc(db, "gyms", settings.gymId, "devices", settings.deviceId);
+  const queueRef = collection(deviceRef, "commandQueue");
+  const log = (message) => settings.log(`[${settings.deviceId}] ${message}`);
+
+  // slot -> { template (base64), checksum }
+  const slots = new Map();
+  let bootedAt = Date.now();
+  let status = "online";
+  let heartbeatsPaused = false;
+  let heartbeatTimer = null;
+  let unsubscribeQueue = null;
+  let timeZone = DEFAULT_TIME_ZONE;
+  let enrollOutcome = settings.enrollOutcome;
+
+  // ==================== HEARTBEAT ====================
+
+  const sendHeartbeat = async () => {
+    if (heartbeatsPaused) return;
+    try {
+      await updateDoc(deviceRef, {
+        last_seen: serverTimestamp(),
+        ...heartbeatFields(status, bootedAt),
+      });
+    } catch (error) {
+      log(`❌ Heartbeat failed: ${error.message}`);
+    }
+  };
+
+  const setStatus = async (newStatus) => {
+    status = newStatus;
+    await sendHeartbeat();
+  };
+
+  // ==================== FUNCTIONS EMULATOR ====================
+
+  const callFunction = async (name, { method = "GET", params = {}, body } = {}) => {
+    if (!settings.functionsUrl) {
+      throw new Error("Cloud Functions emulator is not configured (--functions-url)");
+    }
+    const url = new URL(`${settings.functionsUrl}/${name}`);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+
+    const response = await fetch(url, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(settings.deviceKey && { "x-device-key": settings.deviceKey }),
+      },
+      body: body && JSON.stringify(body),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.success === false) {
+      throw new Error(data.error || `${name} answered ${response.status}`);
+    }
+    return data;
+  };
+
+  // ==================== COMMAND QUEUE ====================
+
+  const commandQueue = {
+    claim: (commandId) => {
+      const commandRef = doc(queueRef, commandId);
+      return runTransaction(db, async (transaction) => {
+        const command = (await transaction.get(commandRef)).data();
+        if (!canClaimCommand(command)) return null;
+        transaction.update(commandRef, {
+          status: "acknowledged",
+          acknowledgedAt: serverTimestamp(),
+        });
+        return command;
+      });
+    },
+    update: (commandId, attempts, fields) => {
+      const commandRef = doc(queueRef, commandId);
+      return runTransaction(db, async (transaction) => {
+        const command = (await transaction.get(commandRef)).data();
+        if (!ownsCommandAttempt(command, attempts)) return false;
+        transaction.update(commandRef, fields);
+        return true;
+      });
+    },
+    watchCancel: (commandId, onCancel) =>
+      onSnapshot(doc(queueRef, commandId), (commandSnap) => {
+        if (commandSnap.data()?.status === "cancelled") onCancel();
+      }),
+    timestamp: serverTimestamp,
+  };
+
+  const handlers = createCommandHandlers({
+    gymId: settings.gymId,
+    deviceId: settings.deviceId,
+    slots,
+    capacity: settings.capacity,
+    enrollSeconds: settings.enrollSeconds,
+    getEnrollOutcome: () => enrollOutcome,
+    setTimeZone: (newTimeZone) => {
+      if (newTimeZone) timeZone = newTimeZone;
+      return timeZone;
+    },
+    callFunction: settings.functionsUrl ? callFunction : null,
+    log,
+  });
+
+  // Runs queued commands one at a time, oldest first
+  const pollQueue = createCommandWorker((commandId) =>
+    runCommand(commandId, {
+      queue: commandQueue,
+      handlers,
+      setBusy: async (busy) => {
+        if (busy) await setStatus("busy");
+        else if (status === "busy") await setStatus("online");
+      },
+      reboot,
+      log,
+    })
+  );
+
+  const reboot = async () => {
+    heartbeatsPaused = true;
+    await sleep(3000);
+    bootedAt = Date.now();
+    heartbeatsPaused = false;
+    await setStatus("online");
+    log("🔄 Rebooted");
+  };
+
+  // ==================== ATTENDANCE ====================
+
+  /**
+   * Simulates a finger on the sensor: checks the member in, or out if they
+   * are already in the gym
+   * @param {string|number} memberId - The fingerprint slot (member document ID)
+   * @returns {Promise<Object>} - { action: "check_in" | "check_out" | "denied", ... }
+   */
+  const scan = async (memberId) => {
+    const id = String(memberId);
+    const memberSnap = await getDoc(doc(db, "gyms", settings.gymId, "members", id));
+    if (!memberSnap.exists()) {
+      log(`🚫 Fingerprint ${id} is not registered`);
+      return { action: "denied", reason: "unknown_member" };
+    }
+
+    if (settings.functionsUrl) {
+      const access = await callFunction("checkAccess", {
+        params: { gymId: settings.gymId, memberId: id, deviceId: settings.deviceId },
+      });
+      if (access.decision === "deny") {
+        log(`🚫 ${memberSnap.data().Name || id}: ${access.reason}`);
+        return { action: "denied", reason: access.reason };
+      }
+    }
+
+    const today = getToday(timeZone);
+    const sessionsRef = collection(db, "gyms", settings.gymId, "attendanceSessions");
+    const todaySnapshot = await getDocs(
+      query(sessionsRef, where("memberId", "==", id), where("date", "==", today))
+    );
+    const openSession = todaySnapshot.docs.find((sessionDoc) => !sessionDoc.data().checkOutAt);
+    const member = memberSnap.data();
+
+    if (openSession) {
+      await updateDoc(openSession.ref, {
+        checkOutAt: Timestamp.now(),
+        checkOutSource: "fingerprint",
+      });
+      log(`👋 ${member.Name} checked out`);
+      return { action: "check_out", sessionId: openSession.id };
+    }
+
+    const sessionRef = await addDoc(sessionsRef, {
+      memberId: id,
+      memberName: member.Name || "Unknown Member",
+      gymMemberId: member.gymMemberId || member.Gym_ID || "N/A",
+      paymentStatus: member.Payment_Status || "Unpaid",
+      date: today,
+      checkInAt: Timestamp.now(),
+      checkOutAt: null,
+      source: "fingerprint",
+      checkOutSource: null,
+      deviceId: settings.deviceId,
+      createdAt: Timestamp.now(),
+    });
+    log(`👆 ${member.Name} checked in`);
+    return { action: "check_in", sessionId: sessionRef.id };
+  };
+
+  // ==================== LIFECYCLE ====================
+
+  const start = async () => {
+    const gymSnap = await getDoc(doc(db, "gyms", settings.gymId));
+    timeZone = gymSnap.data()?.timeZone || DEFAULT_TIME_ZONE;
+
+    await setDoc(
+      deviceRef,
+      {
+        location: settings.location,
+        status,
+        last_seen: serverTimestamp(),
+        uptime_seconds: 0,
+        version: FIRMWARE_VERSION,
+        capabilities: { enrollment: true, attendance: true, audio: false },
+      },
+      { merge: true }
+    );
+    heartbeatTimer = setInterval(sendHeartbeat, settings.heartbeatSeconds * 1000);
+
+    unsubscribeQueue = onSnapshot(
+      query(queueRef, where("status", "==", "queued")),
+      (queueSnapshot) => {
+        pollQueue(orderQueuedCommands(queueSnapshot.docs));
+      },
+      (error) => log(`❌ Command queue listener failed: ${error.message}`)
+    );
+
+    log(`🟢 Online at gym ${settings.gymId} (${timeZone})`);
+  };
+
+  const stop = async () => {
+    clearInterval(heartbeatTimer);
+    if (unsubscribeQueue) unsubscribeQueue();
+    await updateDoc(deviceRef, { status: "offline" }).catch(() => {});
+    log("🔴 Stopped");
+  };
+
+  return {
+    deviceId: settings.deviceId,
+    start,
+    stop,
+    scan,
+    getSlots: () => [...slots.keys()].sort((a, b) => a - b),
+    getEnrollOutcome: () => enrollOutcome,
+    setEnrollOutcome: (outcome) => {
+      if (!ENROLL_OUTCOMES.includes(outcome)) {
+        throw new Error(`Enroll outcome must be one of ${ENROLL_OUTCOMES.join(", ")}`);
+      }
+      enrollOutcome = outcome;
+    },
+    // Stops heartbeats without stopping the device, so it shows as offline
+    setHeartbeatsPaused: (paused) => {
+      heartbeatsPaused = paused;
+    },
+  };
+};
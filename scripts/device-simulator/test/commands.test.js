@@ -0,0 +1,307 @@
+// scripts/device-simulator/test/commands.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  canClaimCommand,
+  createCommandHandlers,
+  createCommandWorker,
+  heartbeatFields,
+  orderQueuedCommands,
+  ownsCommandAttempt,
+  runCommand,
+} from "../commands.js";
+
+const STAMP = "server-timestamp";
+
+// An in-memory command queue following the same rules as the simulator's
+// Firestore one
+const createQueue = (commands) => {
+  const docs = new Map(Object.entries(commands));
+  const cancelWatchers = new Map();
+  return {
+    docs,
+    claim: async (commandId) => {
+      const command = docs.get(commandId);
+      if (!canClaimCommand(command)) return null;
+      docs.set(commandId, { ...command, status: "acknowledged", acknowledgedAt: STAMP });
+      return command;
+    },
+    update: async (commandId, attempts, fields) => {
+      if (!ownsCommandAttempt(docs.get(commandId), attempts)) return false;
+      docs.set(commandId, { ...docs.get(commandId), ...fields });
+      return true;
+    },
+    watchCancel: (commandId, onCancel) => {
+      cancelWatchers.set(commandId, onCancel);
+      return () => cancelWatchers.delete(commandId);
+    },
+    timestamp: () => STAMP,
+    cancel: (commandId) => {
+      docs.set(commandId, { ...docs.get(commandId), status: "cancelled" });
+      cancelWatchers.get(commandId)?.();
+    },
+  };
+};
+
+const createDevice = (overrides = {}) => {
+  let timeZone = "Asia/Colombo";
+  const device = {
+    gymId: "gym1",
+    deviceId: "scanner_1",
+    slots: new Map(),
+    capacity: 5,
+    enrollSeconds: 0,
+    enrollOutcome: "success",
+    getEnrollOutcome: () => device.enrollOutcome,
+    setTimeZone: (newTimeZone) => {
+      if (newTimeZone) timeZone = newTimeZone;
+      return timeZone;
+    },
+    callFunction: null,
+    log: () => {},
+    ...overrides,
+  };
+  return device;
+};
+
+const run = (commandId, queue, device, extra = {}) => {
+  const busy = [];
+  const promise = runCommand(commandId, {
+    queue,
+    handlers: createCommandHandlers(device),
+    setBusy: async (value) => busy.push(value),
+    reboot: async () => {},
+    log: () => {},
+    ...extra,
+  });
+  return promise.then(() => busy);
+};
+
+const enrollCommand = (payload = {}) => ({
+  type: "enroll",
+  status: "queued",
+  payload: { memberName: "Nimal", ...payload },
+});
+
+test("enroll stores the finger in the lowest free slot outside blockedSlots", async () => {
+  const device = createDevice();
+  device.slots.set(1, { template: "a", checksum: "a" });
+  const queue = createQueue({ c1: enrollCommand({ blockedSlots: [2, 3] }) });
+
+  const busy = await run("c1", queue, device);
+
+  const command = queue.docs.get("c1");
+  assert.equal(command.status, "done");
+  assert.deepEqual(command.result, { fingerprintId: 4 });
+  assert.equal(command.message, "Enrolled Nimal as fingerprint ID 4");
+  assert.equal(command.startedAt, STAMP);
+  assert.equal(command.completedAt, STAMP);
+  assert.deepEqual([...device.slots.keys()], [1, 4]);
+  assert.deepEqual(busy, [true, false]);
+});
+
+test("enroll uploads the new template when the Functions emulator is configured", async () => {
+  const calls = [];
+  const device = createDevice({
+    callFunction: async (name, request) => {
+      calls.push({ name, ...request });
+      return { success: true };
+    },
+  });
+  const queue = createQueue({ c1: enrollCommand() });
+
+  await run("c1", queue, device);
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].name, "uploadTemplate");
+  assert.equal(calls[0].method, "POST");
+  assert.equal(calls[0].body.fingerprintId, 1);
+  assert.equal(calls[0].body.commandId, "c1");
+  assert.equal(calls[0].body.template, device.slots.get(1).template);
+});
+
+test("enroll fails on a sensor failure, a duplicate finger or full storage", async () => {
+  const cases = [
+    ["sensor_failure", "Sensor error: could not capture a clear image"],
+    ["duplicate", "Finger already enrolled as fingerprint ID 1"],
+  ];
+  for (const [outcome, message] of cases) {
+    const device = createDevice({ enrollOutcome: outcome });
+    const queue = createQueue({ c1: enrollCommand() });
+    await run("c1", queue, device);
+    assert.equal(queue.docs.get("c1").status, "failed", outcome);
+    assert.equal(queue.docs.get("c1").message, message, outcome);
+    assert.equal(device.slots.size, 0, outcome);
+  }
+
+  const full = createDevice({ capacity: 2 });
+  full.slots.set(1, {});
+  const queue = createQueue({ c1: enrollCommand({ blockedSlots: [2] }) });
+  await run("c1", queue, full);
+  assert.equal(queue.docs.get("c1").status, "failed");
+  assert.equal(queue.docs.get("c1").message, "Sensor storage is full");
+});
+
+test("a hung enroll leaves the command running", async () => {
+  const device = createDevice({ enrollOutcome: "timeout" });
+  const queue = createQueue({ c1: enrollCommand() });
+
+  await run("c1", queue, device);
+
+  assert.equal(queue.docs.get("c1").status, "running");
+  assert.equal(queue.docs.get("c1").message, "Place the same finger again");
+  assert.equal(device.slots.size, 0);
+});
+
+test("a cancelled enroll stops writing to the command", async () => {
+  const device = createDevice();
+  const queue = createQueue({ c1: enrollCommand() });
+  const progressUpdates = [];
+  const update = queue.update;
+  queue.update = async (commandId, attempts, fields) => {
+    if (fields.message) progressUpdates.push(fields.message);
+    // Staff cancel while the member lifts their finger
+    if (fields.message === "Remove finger") queue.cancel(commandId);
+    return update(commandId, attempts, fields);
+  };
+
+  await run("c1", queue, device);
+
+  assert.equal(queue.docs.get("c1").status, "cancelled");
+  assert.deepEqual(progressUpdates, ["Place finger on the sensor", "Remove finger"]);
+  assert.equal(device.slots.size, 0);
+});
+
+test("delete_template empties the slot and succeeds when it was already empty", async () => {
+  const device = createDevice();
+  device.slots.set(3, { template: "a", checksum: "a" });
+  const queue = createQueue({
+    c1: { type: "delete_template", status: "queued", payload: { fingerprintId: 3 } },
+    c2: { type: "delete_template", status: "queued", payload: { fingerprintId: "3" } },
+  });
+
+  await run("c1", queue, device);
+  await run("c2", queue, device);
+
+  assert.equal(device.slots.has(3), false);
+  assert.equal(queue.docs.get("c1").status, "done");
+  assert.equal(queue.docs.get("c1").message, "Deleted fingerprint ID 3");
+  assert.equal(queue.docs.get("c2").status, "done");
+  assert.equal(queue.docs.get("c2").message, "Fingerprint ID 3 was already empty");
+});
+
+test("download_templates installs only templates whose checksum differs", async () => {
+  const installed = [];
+  const device = createDevice({
+    callFunction: async (name, { params }) => {
+      assert.equal(params.deviceId, "scanner_1");
+      if (params.fingerprintId === undefined) {
+        return {
+          templates: [
+            { fingerprintId: 1, checksum: "same" },
+            { fingerprintId: 2, checksum: "new" },
+          ],
+        };
+      }
+      installed.push(params.fingerprintId);
+      return { template: "t", checksum: "new" };
+    },
+  });
+  device.slots.set(1, { template: "t", checksum: "same" });
+  const queue = createQueue({ c1: { type: "download_templates", status: "queued" } });
+
+  await run("c1", queue, device);
+
+  assert.deepEqual(installed, [2]);
+  assert.deepEqual(queue.docs.get("c1").result, { templateCount: 2, fingerprintIds: [1, 2] });
+  assert.deepEqual(device.slots.get(2), { template: "t", checksum: "new" });
+});
+
+test("template commands fail without the Functions emulator", async () => {
+  const queue = createQueue({
+    c1: { type: "install_template", status: "queued", payload: { fingerprintId: 2 } },
+  });
+
+  await run("c1", queue, createDevice());
+
+  assert.equal(queue.docs.get("c1").status, "failed");
+  assert.match(queue.docs.get("c1").message, /not configured/);
+});
+
+test("sync_time switches the time zone and reboot reboots after finishing", async () => {
+  const device = createDevice();
+  const queue = createQueue({
+    c1: { type: "sync_time", status: "queued", payload: { timeZone: "Europe/London" } },
+    c2: { type: "reboot", status: "queued" },
+  });
+  let rebooted = false;
+
+  await run("c1", queue, device);
+  await run("c2", queue, device, {
+    reboot: async () => {
+      rebooted = queue.docs.get("c2").status === "done";
+    },
+  });
+
+  assert.equal(queue.docs.get("c1").message, "Clock set, time zone Europe/London");
+  assert.equal(rebooted, true);
+});
+
+test("unsupported commands fail", async () => {
+  const queue = createQueue({ c1: { type: "self_destruct", status: "queued" } });
+
+  await run("c1", queue, createDevice());
+
+  assert.equal(queue.docs.get("c1").status, "failed");
+  assert.equal(queue.docs.get("c1").message, 'Unsupported command "self_destruct"');
+});
+
+test("only queued commands are claimed and only the current attempt is written", async () => {
+  assert.equal(canClaimCommand({ status: "queued" }), true);
+  assert.equal(canClaimCommand({ status: "running" }), false);
+  assert.equal(canClaimCommand(undefined), false);
+
+  assert.equal(ownsCommandAttempt({ status: "running" }, 1), true);
+  assert.equal(ownsCommandAttempt({ status: "acknowledged", attempts: 2 }, 2), true);
+  assert.equal(ownsCommandAttempt({ status: "running", attempts: 2 }, 1), false);
+  assert.equal(ownsCommandAttempt({ status: "timed_out" }, 1), false);
+  assert.equal(ownsCommandAttempt(undefined, 1), false);
+
+  // A command another device already took is left alone
+  const queue = createQueue({ c1: { type: "clear_all", status: "acknowledged" } });
+  const busy = await run("c1", queue, createDevice());
+  assert.equal(queue.docs.get("c1").status, "acknowledged");
+  assert.deepEqual(busy, []);
+});
+
+test("queued commands run one at a time, oldest first", async () => {
+  const at = (millis) => ({ toMillis: () => millis });
+  const snapshotDoc = (id, createdAt) => ({ id, data: () => ({ createdAt }) });
+  assert.deepEqual(
+    orderQueuedCommands(
+      [snapshotDoc("pending", undefined), snapshotDoc("late", at(200)), snapshotDoc("early", at(100))],
+      150
+    ),
+    ["early", "pending", "late"]
+  );
+
+  const order = [];
+  let running = 0;
+  let poll;
+  poll = createCommandWorker(async (commandId) => {
+    running++;
+    assert.equal(running, 1, "commands overlap");
+    // A new snapshot arrives while the first command runs
+    if (commandId === "a") await poll(["b", "c"]);
+    await new Promise((resolve) => setImmediate(resolve));
+    order.push(commandId);
+    running--;
+  });
+
+  await poll(["a"]);
+  assert.deepEqual(order, ["a", "b", "c"]);
+});
+
+test("heartbeats report uptime since boot and the status", () => {
+  assert.deepEqual(heartbeatFields("busy", 1000, 62500), { uptime_seconds: 61, status: "busy" });
+});
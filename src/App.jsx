@@ -21,8 +21,11 @@ import MembersPage from "./pages/MembersPage";
 import EnrollmentPage from "./pages/EnrollmentPage"; // ✅ NEW ENROLLMENT PAGE
 import MemberProfilePage from "./pages/MemberProfilePage";
 import AttendancePage from "./pages/AttendancePage";
+import AttendanceAnalyticsPage from "./pages/AttendanceAnalyticsPage";
 import SettingsPage from "./pages/SettingsPage";
 import PaymentAnalyticsPage from "./pages/PaymentAnalyticsPage";
+import CashUpPage from "./pages/CashUpPage";
+import DevicesPage from "./pages/DevicesPage";
 
 function App() {
   return (
@@ -74,6 +77,14 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/attendance/analytics"
+              element={
+                <ProtectedRoute>
+                  <AttendanceAnalyticsPage />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/settings"
               element={
@@ -90,6 +101,22 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/cash-up"
+              element={
+                <ProtectedRoute>
+                  <CashUpPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/devices"
+              element={
+                <ProtectedRoute>
+                  <DevicesPage />
+                </ProtectedRoute>
+              }
+            />
 
             {/* Catch-all redirect */}
             <Route path="*" element={<Navigate to="/" replace />} />
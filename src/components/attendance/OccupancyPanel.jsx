@@ -0,0 +1,151 @@
+// src/components/attendance/OccupancyPanel.jsx
+import React, { useState, useEffect, useRef } from "react";
+import { useAuth } from "../../context/AuthContext";
+import toast from "react-hot-toast";
+import { subscribeToOccupancy } from "../../services/attendanceService";
+import {
+  getAttendancePolicy,
+  DEFAULT_ATTENDANCE_POLICY,
+} from "../../services/settingsService";
+import { formatZonedTime, getToday } from "../../utils/dateUtils";
+
+// How often elapsed times are redrawn
+const TICK_MS = 60 * 1000;
+
+const formatElapsed = (checkInTime, now) => {
+  const minutes = Math.max(0, Math.floor((now - checkInTime) / (1000 * 60)));
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+/**
+ * Live list of the members currently in the gym, with a warning when
+ * occupancy reaches the capacity warning level in the attendance policy.
+ */
+const OccupancyPanel = () => {
+  const { gymInfo } = useAuth();
+  const [openSessions, setOpenSessions] = useState([]);
+  const [policy, setPolicy] = useState(DEFAULT_ATTENDANCE_POLICY);
+  const [now, setNow] = useState(new Date());
+  const [connected, setConnected] = useState(false);
+  const warnedLevel = useRef(null);
+
+  const today = getToday(gymInfo?.timeZone);
+
+  useEffect(() => {
+    if (!gymInfo?.id) return;
+
+    const fetchPolicy = async () => {
+      try {
+        setPolicy(await getAttendancePolicy(gymInfo.id));
+      } catch (error) {
+        console.error("❌ Error loading attendance policy:", error);
+      }
+    };
+
+    fetchPolicy();
+  }, [gymInfo]);
+
+  useEffect(() => {
+    if (!gymInfo?.id) return;
+
+    const unsubscribe = subscribeToOccupancy(
+      gymInfo.id,
+      today,
+      gymInfo.timeZone,
+      (sessions) => {
+        setOpenSessions(sessions);
+        setConnected(true);
+      },
+      () => setConnected(false)
+    );
+    return unsubscribe;
+  }, [gymInfo, today]);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), TICK_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const capacity = Number(policy.capacity) || 0;
+  const occupancy = openSessions.length;
+  const percent = capacity ? Math.round((occupancy / capacity) * 100) : 0;
+  let level = null;
+  if (capacity && occupancy >= capacity) level = "full";
+  else if (capacity && percent >= Number(policy.capacityWarningPercent)) level = "near";
+
+  // Notify once each time occupancy rises into a warning level
+  useEffect(() => {
+    if (level && level !== warnedLevel.current) {
+      const message =
+        level === "full"
+          ? `The gym is at capacity (${occupancy}/${capacity}).`
+          : `The gym is nearly full (${occupancy}/${capacity}).`;
+      toast(message, { icon: "⚠️", duration: 6000 });
+    }
+    warnedLevel.current = level;
+  }, [level, occupancy, capacity]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">In the Gym Now</h3>
+          <p className="text-xs text-gray-500">
+            {connected ? "Live" : "Connecting..."} • {today}
+          </p>
+        </div>
+        <div className="text-right">
+          <span className="text-3xl font-bold text-gray-900">{occupancy}</span>
+          {capacity > 0 && <span className="text-lg text-gray-500"> / {capacity}</span>}
+        </div>
+      </div>
+
+      {capacity > 0 && (
+        <div className="w-full bg-gray-200 rounded-full h-2 mb-4">
+          <div
+            className={`h-2 rounded-full transition-all duration-300 ${
+              level === "full" ? "bg-red-600" : level === "near" ? "bg-yellow-500" : "bg-green-600"
+            }`}
+            style={{ width: `${Math.min(percent, 100)}%` }}
+          ></div>
+        </div>
+      )}
+
+      {level && (
+        <div
+          className={`mb-4 p-3 rounded-lg text-sm font-medium ${
+            level === "full" ? "bg-red-50 text-red-800" : "bg-yellow-50 text-yellow-800"
+          }`}
+        >
+          {level === "full"
+            ? "At capacity. Hold new check-ins until members leave."
+            : `Occupancy is at ${percent}% of capacity.`}
+        </div>
+      )}
+
+      {openSessions.length === 0 ? (
+        <p className="text-sm text-gray-500">Nobody is checked in right now.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 max-h-80 overflow-y-auto">
+          {openSessions.map((session) => (
+            <li key={session.id} className="py-2 flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{session.memberName}</p>
+                <p className="text-xs text-gray-500">
+                  ID: {session.gymMemberId} • In at{" "}
+                  {formatZonedTime(session.checkInTime, gymInfo?.timeZone)}
+                </p>
+              </div>
+              <span className="text-sm text-gray-700">
+                {formatElapsed(session.checkInTime, now)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OccupancyPanel;
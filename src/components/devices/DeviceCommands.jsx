@@ -0,0 +1,202 @@
+// src/components/devices/DeviceCommands.jsx
+import React, { useState, useEffect } from "react";
+import { toast } from "react-hot-toast";
+import {
+  DEVICE_COMMANDS,
+  COMMAND_STATUSES,
+  PENDING_COMMAND_STATUSES,
+  subscribeToDeviceCommands,
+  queueDeviceCommand,
+  cancelDeviceCommand,
+  retryDeviceCommand,
+} from "../../services/deviceService";
+import { DEFAULT_TIME_ZONE } from "../../utils/dateUtils";
+
+const STATUS_COLORS = {
+  queued: "bg-gray-100 text-gray-700",
+  acknowledged: "bg-blue-100 text-blue-700",
+  running: "bg-yellow-100 text-yellow-800",
+  done: "bg-green-100 text-green-700",
+  failed: "bg-red-100 text-red-700",
+  cancelled: "bg-gray-100 text-gray-500",
+  timed_out: "bg-orange-100 text-orange-700",
+};
+
+const describePayload = (command) => {
+  if (command.type === "enroll") return command.payload.memberName;
+  if (["delete_template", "install_template"].includes(command.type)) {
+    return `ID ${command.payload.fingerprintId}`;
+  }
+  if (command.type === "download_templates" && command.result?.templateCount != null) {
+    return `${command.result.templateCount} fingerprints`;
+  }
+  return "";
+};
+
+/**
+ * Sends commands to a device and lists its recent ones as they progress
+ * @param {string} gymId - The gym ID
+ * @param {Object} device - From subscribeToDevices
+ * @param {string} timeZone - The gym's time zone, sent with sync_time
+ * @param {string} userEmail - Recorded as the sender
+ */
+const DeviceCommands = ({ gymId, device, timeZone, userEmail }) => {
+  const [commands, setCommands] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    setCommands(null);
+    const unsubscribe = subscribeToDeviceCommands(gymId, device.id, setCommands, () =>
+      setCommands([])
+    );
+    return unsubscribe;
+  }, [gymId, device.id]);
+
+  const send = async (type, payload = {}) => {
+    setSending(true);
+    try {
+      await queueDeviceCommand(gymId, device.id, type, payload, userEmail);
+      toast.success(`${DEVICE_COMMANDS[type].label} queued`);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleSyncTime = () => {
+    send("sync_time", { timeZone: timeZone || DEFAULT_TIME_ZONE, sentAt: Date.now() });
+  };
+
+  const handleDeleteTemplate = () => {
+    const input = window.prompt("Fingerprint ID to delete from this device:");
+    if (input === null) return;
+    const fingerprintId = parseInt(input, 10);
+    if (!Number.isInteger(fingerprintId) || fingerprintId < 1) {
+      toast.error("Enter a valid fingerprint ID");
+      return;
+    }
+    send("delete_template", { fingerprintId });
+  };
+
+  const handleClearAll = () => {
+    if (
+      window.confirm(
+        `Erase every fingerprint stored on ${device.name || device.location}? Members will not be able to check in on it until their fingerprints are loaded again.`
+      )
+    ) {
+      send("clear_all");
+    }
+  };
+
+  const handleCancel = async (command) => {
+    try {
+      await cancelDeviceCommand(gymId, device.id, command.id, userEmail);
+      toast.success(`${command.label} cancelled`);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleRetry = async (command) => {
+    try {
+      await retryDeviceCommand(gymId, device.id, command, userEmail);
+      toast.success(`${command.label} queued again`);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const buttonClass =
+    "px-3 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors";
+
+  return (
+    <div className="bg-white rounded-lg p-4">
+      <h4 className="font-medium text-gray-900 mb-3">Commands</h4>
+
+      {!device.retired && (
+        <div className="grid grid-cols-2 gap-2 mb-4">
+          <button onClick={handleSyncTime} disabled={sending} className={buttonClass}>
+            🕒 Sync Time
+          </button>
+          <button onClick={() => send("reboot")} disabled={sending} className={buttonClass}>
+            🔄 Reboot
+          </button>
+          <button
+            onClick={handleDeleteTemplate}
+            disabled={sending}
+            className={`${buttonClass} col-span-2`}
+          >
+            🗑️ Delete Fingerprint
+          </button>
+          <button
+            onClick={handleClearAll}
+            disabled={sending}
+            className={`${buttonClass} col-span-2 text-red-600 border-red-200 hover:bg-red-50`}
+          >
+            ⚠️ Clear All Fingerprints
+          </button>
+        </div>
+      )}
+
+      {commands === null ? (
+        <p className="text-sm text-gray-500">Loading commands...</p>
+      ) : commands.length === 0 ? (
+        <p className="text-sm text-gray-500">No commands sent to this device yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {commands.map((command) => (
+            <li key={command.id} className="py-2 text-sm">
+              <div className="flex items-center justify-between">
+                <div>
+                  <span className="font-medium text-gray-900">{command.label}</span>
+                  {describePayload(command) && (
+                    <span className="text-gray-500"> • {describePayload(command)}</span>
+                  )}
+                </div>
+                <span
+                  className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                    STATUS_COLORS[command.status] || STATUS_COLORS.queued
+                  }`}
+                >
+                  {COMMAND_STATUSES[command.status] || command.status}
+                  {command.maxAttempts > 1 && ` (${command.attempts}/${command.maxAttempts})`}
+                </span>
+              </div>
+              <div className="flex items-center justify-between text-xs text-gray-500 mt-1">
+                <span>
+                  {command.createdAt?.toLocaleString() || "Sending..."}
+                  {command.createdBy ? ` • ${command.createdBy}` : ""}
+                </span>
+                {PENDING_COMMAND_STATUSES.includes(command.status) ? (
+                  <button
+                    onClick={() => handleCancel(command)}
+                    className="text-red-600 hover:text-red-700 font-medium"
+                  >
+                    Cancel
+                  </button>
+                ) : (
+                  command.status !== "done" &&
+                  command.type !== "enroll" &&
+                  !device.retired && (
+                    <button
+                      onClick={() => handleRetry(command)}
+                      className="text-blue-600 hover:text-blue-700 font-medium"
+                    >
+                      Retry
+                    </button>
+                  )
+                )}
+              </div>
+              {command.message && (
+                <p className="text-xs text-gray-600 mt-1">{command.message}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DeviceCommands;
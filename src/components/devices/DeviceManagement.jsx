@@ -0,0 +1,646 @@
+// src/components/devices/DeviceManagement.jsx - Production Device Management
+import React, { useState, useEffect, useCallback } from "react";
+import { useAuth } from "../../context/AuthContext";
+import {
+  subscribeToDevices,
+  isDeviceOnline,
+  updateDeviceDetails,
+  setDeviceRetired,
+  getDeviceHeartbeats,
+} from "../../services/deviceService";
+import { getToday } from "../../utils/dateUtils";
+import HeartbeatChart from "./HeartbeatChart";
+import DeviceCommands from "./DeviceCommands";
+import TemplateSyncPanel from "./TemplateSyncPanel";
+import { subscribeToTemplateSync, summarizeDeviceSync } from "../../services/templateService";
+import { toast } from "react-hot-toast";
+
+// How often online/offline and "last seen" are re-judged between heartbeats
+const TICK_MS = 15 * 1000;
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+const DeviceManagement = () => {
+  const { user, gymInfo } = useAuth();
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [connected, setConnected] = useState(false);
+  const [now, setNow] = useState(new Date());
+  const [selectedDevice, setSelectedDevice] = useState(null);
+  const [heartbeats, setHeartbeats] = useState(null);
+  const [editForm, setEditForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [showRetired, setShowRetired] = useState(false);
+  const [templates, setTemplates] = useState([]);
+
+  // Live device list; every heartbeat updates it
+  useEffect(() => {
+    if (!gymInfo?.id) return;
+
+    const unsubscribe = subscribeToDevices(
+      gymInfo.id,
+      (deviceList) => {
+        setDevices(deviceList);
+        setConnected(true);
+        setLoading(false);
+      },
+      () => {
+        setConnected(false);
+        setLoading(false);
+        toast.error("Lost connection to the device list");
+      }
+    );
+    return unsubscribe;
+  }, [gymInfo?.id]);
+
+  // Which backed-up fingerprints each device holds
+  useEffect(() => {
+    if (!gymInfo?.id) return;
+    return subscribeToTemplateSync(gymInfo.id, setTemplates);
+  }, [gymInfo?.id]);
+
+  // A device that stops sending heartbeats never triggers the listener, so
+  // re-check online state on a timer
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), TICK_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const fetchHeartbeats = useCallback(
+    async (deviceId) => {
+      if (!gymInfo?.id) return;
+
+      try {
+        setHeartbeats(null);
+        setHeartbeats(
+          await getDeviceHeartbeats(gymInfo.id, deviceId, getToday(gymInfo.timeZone))
+        );
+      } catch (error) {
+        toast.error(error.message);
+        setHeartbeats([]);
+      }
+    },
+    [gymInfo]
+  );
+
+  // Handle device selection
+  const handleDeviceSelect = (deviceId) => {
+    setSelectedDevice(deviceId);
+    setEditForm(null);
+    fetchHeartbeats(deviceId);
+  };
+
+  const device = devices.find((d) => d.id === selectedDevice);
+  const activeDevices = devices.filter((d) => !d.retired);
+  const retiredDevices = devices.filter((d) => d.retired);
+
+  const handleSaveDetails = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await updateDeviceDetails(gymInfo.id, device.id, editForm);
+      toast.success("Device updated");
+      setEditForm(null);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRetire = async (retired) => {
+    const label = device.name || device.location;
+    if (
+      retired &&
+      !window.confirm(
+        `Retire ${label}? It will no longer be offered for enrollment. You can reinstate it later.`
+      )
+    ) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await setDeviceRetired(gymInfo.id, device.id, retired, user?.email);
+      toast.success(retired ? `${label} retired` : `${label} reinstated`);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Get status color for device
+  const getStatusColor = (device) => {
+    if (device.retired) return "text-gray-600 bg-gray-100";
+    if (!isDeviceOnline(device, now)) return "text-red-600 bg-red-50";
+    if (device.status === "online") return "text-green-600 bg-green-50";
+    if (device.status === "busy") return "text-yellow-600 bg-yellow-50";
+    return "text-gray-600 bg-gray-50";
+  };
+
+  // Get status icon
+  const getStatusIcon = (device) => {
+    if (device.retired) return "⚫";
+    if (!isDeviceOnline(device, now)) return "🔴";
+    if (device.status === "online") return "🟢";
+    if (device.status === "busy") return "🟡";
+    return "⚪";
+  };
+
+  const getStatusLabel = (device) => {
+    if (device.retired) return "retired";
+    return isDeviceOnline(device, now) ? device.status : "offline";
+  };
+
+  // Format uptime
+  const formatUptime = (seconds) => {
+    if (!seconds) return "Unknown";
+
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+
+    if (days > 0) return `${days}d ${hours}h ${mins}m`;
+    if (hours > 0) return `${hours}h ${mins}m`;
+    return `${mins}m`;
+  };
+
+  // Format last seen time
+  const formatLastSeen = (lastSeen) => {
+    if (!lastSeen) return "Never";
+
+    const timeDiff = Math.max(0, Math.floor((now - lastSeen) / 1000));
+    if (timeDiff < 60) return "Just now";
+    if (timeDiff < 3600) return `${Math.floor(timeDiff / 60)}m ago`;
+    if (timeDiff < 86400) return `${Math.floor(timeDiff / 3600)}h ago`;
+    return `${Math.floor(timeDiff / 86400)}d ago`;
+  };
+
+  const renderDeviceCard = (device) => {
+    const sync = summarizeDeviceSync(templates, device.id);
+    return (
+      <div
+        key={device.id}
+        className={`border rounded-lg p-4 cursor-pointer transition-all ${
+          selectedDevice === device.id
+            ? "border-blue-500 bg-blue-50"
+            : "border-gray-200 hover:border-gray-300"
+        } ${device.retired ? "opacity-75" : ""}`}
+        onClick={() => handleDeviceSelect(device.id)}
+      >
+        <div className="flex items-center justify-between mb-2">
+          <div className="flex items-center space-x-3">
+            <span className="text-xl">{getStatusIcon(device)}</span>
+            <div>
+              <h4 className="font-medium text-gray-900">{device.name || device.location}</h4>
+              <p className="text-sm text-gray-600">
+                {device.name ? `${device.location} • ` : ""}
+                {device.id}
+              </p>
+            </div>
+          </div>
+          <span
+            className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(device)}`}
+          >
+            {getStatusLabel(device)}
+          </span>
+        </div>
+
+        <div className="grid grid-cols-4 gap-4 text-sm">
+          <div>
+            <span className="text-gray-500">Last Seen:</span>
+            <p className="font-medium">{formatLastSeen(device.lastSeen)}</p>
+          </div>
+          <div>
+            <span className="text-gray-500">Version:</span>
+            <p className="font-medium">{device.version}</p>
+          </div>
+          <div>
+            <span className="text-gray-500">Uptime:</span>
+            <p className="font-medium">{formatUptime(device.uptimeSeconds)}</p>
+          </div>
+          <div>
+            <span className="text-gray-500">Fingerprints:</span>
+            <p
+              className={`font-medium ${
+                sync.synced < sync.total && !device.retired ? "text-yellow-600" : ""
+              }`}
+            >
+              {sync.synced}/{sync.total}
+            </p>
+          </div>
+        </div>
+
+        {device.capabilities && (
+          <div className="mt-2 flex flex-wrap gap-1">
+            {device.capabilities.enrollment && (
+              <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                📝 Enrollment
+              </span>
+            )}
+            {device.capabilities.attendance && (
+              <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                👆 Attendance
+              </span>
+            )}
+            {device.capabilities.audio && (
+              <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                🔊 Audio
+              </span>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="animate-pulse">
+          <div className="h-6 bg-gray-200 rounded w-1/4 mb-4"></div>
+          <div className="space-y-3">
+            {[1, 2, 3].map((i) => (
+              <div key={i} className="h-16 bg-gray-200 rounded"></div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm">
+      {/* Header */}
+      <div className="border-b border-gray-200 px-6 py-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">
+              Device Management
+            </h2>
+            <p className="text-sm text-gray-600 mt-1">
+              Monitor and manage fingerprint scanners and access devices
+            </p>
+          </div>
+          <span
+            className={`flex items-center space-x-2 text-sm ${
+              connected ? "text-green-600" : "text-red-600"
+            }`}
+          >
+            <span
+              className={`h-2 w-2 rounded-full ${connected ? "bg-green-500" : "bg-red-500"}`}
+            ></span>
+            <span>{connected ? "Live" : "Disconnected"}</span>
+          </span>
+        </div>
+      </div>
+
+      <div className="p-6">
+        {devices.length === 0 ? (
+          <div className="text-center py-12">
+            <div className="text-gray-400 text-6xl mb-4">📱</div>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">
+              No Devices Found
+            </h3>
+            <p className="text-gray-600 mb-4">
+              No ESP32 devices are currently registered with this gym.
+            </p>
+            <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-left max-w-md mx-auto">
+              <h4 className="font-medium text-blue-900 mb-2">
+                To add a device:
+              </h4>
+              <ol className="text-sm text-blue-800 space-y-1">
+                <li>1. Flash the ESP32 with the production firmware</li>
+                <li>2. Configure WiFi and Firebase credentials</li>
+                <li>3. Set the correct GYM_ID in the firmware</li>
+                <li>4. Power on the device - it will auto-register</li>
+              </ol>
+            </div>
+          </div>
+        ) : (
+          <div className="grid lg:grid-cols-2 gap-6">
+            {/* Device List */}
+            <div className="space-y-4">
+              <h3 className="font-medium text-gray-900 mb-3">
+                Devices ({activeDevices.length})
+              </h3>
+
+              {activeDevices.map(renderDeviceCard)}
+
+              {retiredDevices.length > 0 && (
+                <div>
+                  <button
+                    onClick={() => setShowRetired(!showRetired)}
+                    className="text-sm text-gray-600 hover:text-gray-900 font-medium"
+                  >
+                    {showRetired ? "Hide" : "Show"} retired devices ({retiredDevices.length})
+                  </button>
+                  {showRetired && (
+                    <div className="mt-3 space-y-4">{retiredDevices.map(renderDeviceCard)}</div>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {/* Device Details */}
+            <div className="bg-gray-50 rounded-lg p-4">
+              {device ? (
+                <div>
+                  <h3 className="font-medium text-gray-900 mb-4">
+                    Device Details
+                  </h3>
+
+                  <div className="space-y-4">
+                    {/* Device Information */}
+                    <div className="bg-white rounded-lg p-4">
+                      <div className="flex items-center justify-between mb-3">
+                        <h4 className="font-medium text-gray-900">Device Information</h4>
+                        {!editForm && (
+                          <button
+                            onClick={() =>
+                              setEditForm({ name: device.name, location: device.location })
+                            }
+                            className="text-sm text-blue-600 hover:text-blue-700 font-medium"
+                          >
+                            Rename / Relocate
+                          </button>
+                        )}
+                      </div>
+
+                      {editForm ? (
+                        <form onSubmit={handleSaveDetails} className="space-y-3">
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                              Name
+                            </label>
+                            <input
+                              type="text"
+                              value={editForm.name}
+                              placeholder="e.g. Front door scanner"
+                              onChange={(e) => setEditForm({ ...editForm, name: e.target.value })}
+                              className={inputClass}
+                            />
+                          </div>
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                              Location
+                            </label>
+                            <input
+                              type="text"
+                              required
+                              value={editForm.location}
+                              onChange={(e) =>
+                                setEditForm({ ...editForm, location: e.target.value })
+                              }
+                              className={inputClass}
+                            />
+                          </div>
+                          <div className="flex space-x-2">
+                            <button
+                              type="submit"
+                              disabled={saving}
+                              className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors text-sm"
+                            >
+                              {saving ? "Saving..." : "Save"}
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => setEditForm(null)}
+                              className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 text-sm"
+                            >
+                              Cancel
+                            </button>
+                          </div>
+                        </form>
+                      ) : (
+                        <div className="space-y-3 text-sm">
+                          <div className="flex justify-between">
+                            <span className="text-gray-500">Name:</span>
+                            <span className="font-medium">{device.name || "Not set"}</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-500">Location:</span>
+                            <span className="font-medium">{device.location}</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-500">Status:</span>
+                            <span className="font-medium">{getStatusLabel(device)}</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-500">Last Heartbeat:</span>
+                            <span className="font-medium">
+                              {device.lastSeen
+                                ? `${device.lastSeen.toLocaleString()} (${formatLastSeen(device.lastSeen)})`
+                                : "Never"}
+                            </span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-500">
+                              Firmware Version:
+                            </span>
+                            <span className="font-medium">{device.version}</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-500">Uptime:</span>
+                            <span className="font-medium">
+                              {formatUptime(device.uptimeSeconds)}
+                            </span>
+                          </div>
+                          {device.retired && (
+                            <div className="flex justify-between">
+                              <span className="text-gray-500">Retired:</span>
+                              <span className="font-medium">
+                                {device.retiredAt?.toLocaleDateString() || "Yes"}
+                                {device.retiredBy ? ` by ${device.retiredBy}` : ""}
+                              </span>
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </div>
+
+                    {/* Capabilities */}
+                    {Object.keys(device.capabilities).length > 0 && (
+                      <div className="bg-white rounded-lg p-4">
+                        <h4 className="font-medium text-gray-900 mb-3">
+                          Capabilities
+                        </h4>
+                        <div className="space-y-2">
+                          {Object.entries(device.capabilities).map(
+                            ([capability, enabled]) => (
+                              <div
+                                key={capability}
+                                className="flex items-center justify-between text-sm"
+                              >
+                                <span className="text-gray-600 capitalize">
+                                  {capability.replace("_", " ")}:
+                                </span>
+                                <span
+                                  className={`font-medium ${
+                                    enabled ? "text-green-600" : "text-gray-400"
+                                  }`}
+                                >
+                                  {enabled ? "✅ Enabled" : "❌ Disabled"}
+                                </span>
+                              </div>
+                            )
+                          )}
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Heartbeat History */}
+                    <div className="bg-white rounded-lg p-4">
+                      <div className="flex items-center justify-between mb-3">
+                        <h4 className="font-medium text-gray-900">
+                          Heartbeat History (7 days)
+                        </h4>
+                        <button
+                          onClick={() => fetchHeartbeats(device.id)}
+                          className="text-sm text-blue-600 hover:text-blue-700 font-medium"
+                        >
+                          Refresh
+                        </button>
+                      </div>
+                      {heartbeats ? (
+                        <HeartbeatChart history={heartbeats} />
+                      ) : (
+                        <p className="text-sm text-gray-500">Loading heartbeats...</p>
+                      )}
+                    </div>
+
+                    {/* Fingerprint Sync */}
+                    <TemplateSyncPanel
+                      gymId={gymInfo.id}
+                      device={device}
+                      templates={templates}
+                      userEmail={user?.email}
+                    />
+
+                    {/* Command Queue */}
+                    <DeviceCommands
+                      gymId={gymInfo.id}
+                      device={device}
+                      timeZone={gymInfo.timeZone}
+                      userEmail={user?.email}
+                    />
+
+                    {/* Quick Actions */}
+                    <div className="bg-white rounded-lg p-4">
+                      <h4 className="font-medium text-gray-900 mb-3">
+                        Quick Actions
+                      </h4>
+                      <div className="grid grid-cols-1 gap-2">
+                        <button
+                          onClick={() => handleRetire(!device.retired)}
+                          disabled={saving}
+                          className={`flex items-center justify-center space-x-2 px-3 py-2 text-white rounded-lg disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors ${
+                            device.retired
+                              ? "bg-green-600 hover:bg-green-700"
+                              : "bg-red-600 hover:bg-red-700"
+                          }`}
+                        >
+                          <span>{device.retired ? "Reinstate Device" : "Retire Device"}</span>
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              ) : (
+                <div className="text-center py-8">
+                  <div className="text-gray-400 text-4xl mb-4">📱</div>
+                  <h3 className="font-medium text-gray-900 mb-2">
+                    Select a Device
+                  </h3>
+                  <p className="text-gray-600 text-sm">
+                    Click on a device from the list to view detailed information
+                    and management options.
+                  </p>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* System Status Summary */}
+        {activeDevices.length > 0 && (
+          <div className="mt-8 bg-gray-50 rounded-lg p-4">
+            <h3 className="font-medium text-gray-900 mb-4">
+              System Status Summary
+            </h3>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
+              <div className="bg-white rounded-lg p-3">
+                <div className="text-2xl font-bold text-blue-600">
+                  {activeDevices.length}
+                </div>
+                <div className="text-sm text-gray-600">Total Devices</div>
+              </div>
+              <div className="bg-white rounded-lg p-3">
+                <div className="text-2xl font-bold text-green-600">
+                  {activeDevices.filter((d) => isDeviceOnline(d, now)).length}
+                </div>
+                <div className="text-sm text-gray-600">Online</div>
+              </div>
+              <div className="bg-white rounded-lg p-3">
+                <div className="text-2xl font-bold text-red-600">
+                  {activeDevices.filter((d) => !isDeviceOnline(d, now)).length}
+                </div>
+                <div className="text-sm text-gray-600">Offline</div>
+              </div>
+              <div className="bg-white rounded-lg p-3">
+                <div className="text-2xl font-bold text-purple-600">
+                  {activeDevices.filter((d) => d.capabilities?.enrollment).length}
+                </div>
+                <div className="text-sm text-gray-600">Enrollment Ready</div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Help Section */}
+        <div className="mt-8 bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <h3 className="font-medium text-blue-900 mb-2">
+            💡 Device Management Tips
+          </h3>
+          <ul className="text-sm text-blue-800 space-y-1">
+            <li>
+              • Devices automatically register when powered on with correct
+              configuration
+            </li>
+            <li>
+              • Green status means the device is online and ready for operations
+            </li>
+            <li>
+              • Yellow status indicates the device is busy processing a request
+            </li>
+            <li>
+              • Red status means no heartbeat for over 2 minutes - check power
+              and WiFi
+            </li>
+            <li>
+              • Gaps in the heartbeat history show when a device dropped off the
+              network
+            </li>
+            <li>
+              • Retired devices are kept on record but are no longer offered for
+              enrollment
+            </li>
+            <li>
+              • New fingerprints are backed up and sent to every scanner; use
+              Restore to load them onto a new or replaced sensor
+            </li>
+            <li>
+              • Commands wait in the device's queue until it picks them up, and
+              are retried if the device does not finish in time
+            </li>
+            <li>• Check device logs via serial monitor for troubleshooting</li>
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeviceManagement;
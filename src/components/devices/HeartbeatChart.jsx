@@ -0,0 +1,84 @@
+// src/components/devices/HeartbeatChart.jsx
+import React from "react";
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const formatDay = (dateString) => {
+  return new Date(`${dateString}T00:00:00Z`).toLocaleDateString("en-US", {
+    weekday: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+};
+
+/**
+ * Day × hour strip of a device's heartbeats. Empty hours on a day the device
+ * was otherwise up point to dropped connections or power cuts.
+ * @param {Array} history - From getDeviceHeartbeats
+ */
+const HeartbeatChart = ({ history }) => {
+  const maxCount = Math.max(
+    0,
+    ...history.flatMap((day) => Object.values(day.hours))
+  );
+
+  if (maxCount === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        No heartbeats recorded in the last {history.length} days.
+      </p>
+    );
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-xs">
+        <thead>
+          <tr>
+            <th></th>
+            {HOURS.map((hour) => (
+              <th key={hour} className="px-px font-normal text-gray-400">
+                {hour % 6 === 0 ? hour : ""}
+              </th>
+            ))}
+            <th className="pl-2 font-medium text-gray-500 text-right">Beats</th>
+            <th className="pl-2 font-medium text-gray-500 text-right">Restarts</th>
+          </tr>
+        </thead>
+        <tbody>
+          {history.map((day) => (
+            <tr key={day.date}>
+              <td className="pr-2 text-gray-600 whitespace-nowrap">{formatDay(day.date)}</td>
+              {HOURS.map((hour) => {
+                const count = day.hours[hour] || 0;
+                return (
+                  <td key={hour} className="px-px">
+                    <div
+                      title={`${day.date} ${hour}:00 - ${count} heartbeats`}
+                      className="h-4 w-2.5 rounded-sm"
+                      style={{
+                        backgroundColor: count
+                          ? `rgba(22, 163, 74, ${0.2 + (count / maxCount) * 0.8})`
+                          : "#e5e7eb",
+                      }}
+                    ></div>
+                  </td>
+                );
+              })}
+              <td className="pl-2 text-right text-gray-700">{day.total}</td>
+              <td
+                className={`pl-2 text-right ${
+                  day.restarts > 0 ? "text-red-600 font-medium" : "text-gray-400"
+                }`}
+              >
+                {day.restarts}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default HeartbeatChart;
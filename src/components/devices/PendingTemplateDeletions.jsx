@@ -0,0 +1,133 @@
+// src/components/devices/PendingTemplateDeletions.jsx
+import React, { useState, useEffect } from "react";
+import { useAuth } from "../../context/AuthContext";
+import { toast } from "react-hot-toast";
+import {
+  subscribeToPendingTemplateDeletions,
+  retryTemplateDeletion,
+  forceReleaseFingerprintSlot,
+} from "../../services/templateService";
+
+const DEVICE_STATUS_COLORS = {
+  pending: "bg-yellow-100 text-yellow-800",
+  deleted: "bg-green-100 text-green-700",
+  failed: "bg-red-100 text-red-700",
+};
+
+/**
+ * Fingerprint slots of removed members that some scanners have not yet
+ * erased. Slots listed here cannot be given to new members.
+ */
+const PendingTemplateDeletions = () => {
+  const { user, gymInfo } = useAuth();
+  const [slots, setSlots] = useState([]);
+  const [busySlot, setBusySlot] = useState(null);
+
+  useEffect(() => {
+    if (!gymInfo?.id) return;
+    return subscribeToPendingTemplateDeletions(gymInfo.id, setSlots, () =>
+      toast.error("Could not load pending fingerprint deletions")
+    );
+  }, [gymInfo?.id]);
+
+  const handleRetry = async (slot) => {
+    setBusySlot(slot.id);
+    try {
+      await retryTemplateDeletion(gymInfo.id, slot, user?.email);
+      toast.success(`Deletion of fingerprint ${slot.fingerprintId} queued again`);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusySlot(null);
+    }
+  };
+
+  const handleRelease = async (slot) => {
+    if (
+      !window.confirm(
+        `Release fingerprint slot ${slot.fingerprintId} without every scanner confirming? Only do this if the remaining scanners were wiped or replaced - otherwise a new member could be matched to ${slot.memberName || "the old member"}'s fingerprint.`
+      )
+    ) {
+      return;
+    }
+
+    setBusySlot(slot.id);
+    try {
+      await forceReleaseFingerprintSlot(gymInfo.id, slot.fingerprintId, user?.email);
+      toast.success(`Fingerprint slot ${slot.fingerprintId} released`);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusySlot(null);
+    }
+  };
+
+  if (slots.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <h3 className="font-medium text-gray-900">
+        Pending Fingerprint Deletions ({slots.length})
+      </h3>
+      <p className="text-sm text-gray-600 mt-1 mb-4">
+        These slots belonged to deleted or archived members and stay blocked
+        until every scanner confirms the fingerprint is erased.
+      </p>
+
+      <div className="divide-y divide-gray-100">
+        {slots.map((slot) => {
+          const hasFailures = Object.values(slot.devices).includes("failed");
+          return (
+            <div key={slot.id} className="py-3 flex items-start justify-between">
+              <div className="text-sm">
+                <p className="font-medium text-gray-900">
+                  Slot {slot.fingerprintId}
+                  {slot.memberName && (
+                    <span className="font-normal text-gray-600"> • {slot.memberName}</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 mt-0.5">
+                  {slot.reason === "archived" ? "Archived" : "Deleted"}
+                  {slot.requestedAt ? ` ${slot.requestedAt.toLocaleString()}` : ""}
+                  {slot.requestedBy ? ` by ${slot.requestedBy}` : ""}
+                </p>
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {Object.entries(slot.devices).map(([deviceId, status]) => (
+                    <span
+                      key={deviceId}
+                      className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                        DEVICE_STATUS_COLORS[status] || DEVICE_STATUS_COLORS.pending
+                      }`}
+                    >
+                      {deviceId}: {status}
+                    </span>
+                  ))}
+                </div>
+              </div>
+              <div className="flex flex-col items-end space-y-1 text-sm">
+                {hasFailures && (
+                  <button
+                    onClick={() => handleRetry(slot)}
+                    disabled={busySlot === slot.id}
+                    className="text-blue-600 hover:text-blue-700 font-medium disabled:opacity-50"
+                  >
+                    Retry
+                  </button>
+                )}
+                <button
+                  onClick={() => handleRelease(slot)}
+                  disabled={busySlot === slot.id}
+                  className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                >
+                  Release anyway
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PendingTemplateDeletions;
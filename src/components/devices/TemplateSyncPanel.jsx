@@ -0,0 +1,82 @@
+// src/components/devices/TemplateSyncPanel.jsx
+import React, { useState } from "react";
+import { toast } from "react-hot-toast";
+import { summarizeDeviceSync, restoreDeviceTemplates } from "../../services/templateService";
+
+const SYNC_COUNTS = [
+  { key: "synced", label: "Synced", color: "text-green-600" },
+  { key: "pending", label: "Pending", color: "text-yellow-600" },
+  { key: "failed", label: "Failed", color: "text-red-600" },
+  { key: "missing", label: "Missing", color: "text-gray-600" },
+];
+
+/**
+ * How many of the gym's backed-up fingerprints a device holds, with a
+ * restore for new, replaced or out-of-date sensors
+ * @param {string} gymId - The gym ID
+ * @param {Object} device - From subscribeToDevices
+ * @param {Array} templates - From subscribeToTemplateSync
+ * @param {string} userEmail - Recorded as the sender of the restore
+ */
+const TemplateSyncPanel = ({ gymId, device, templates, userEmail }) => {
+  const [restoring, setRestoring] = useState(false);
+  const summary = summarizeDeviceSync(templates, device.id);
+  const outOfSync = summary.total - summary.synced;
+
+  const handleRestore = async () => {
+    setRestoring(true);
+    try {
+      await restoreDeviceTemplates(gymId, device.id, userEmail);
+      toast.success("Fingerprint restore queued");
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-medium text-gray-900">Fingerprint Sync</h4>
+        <span className="text-sm text-gray-600">
+          {summary.synced} of {summary.total} on this device
+        </span>
+      </div>
+
+      {summary.total === 0 ? (
+        <p className="text-sm text-gray-500">
+          No fingerprints backed up yet. New enrollments are backed up and sent
+          to every scanner automatically.
+        </p>
+      ) : (
+        <div className="grid grid-cols-4 gap-2 text-center text-sm">
+          {SYNC_COUNTS.map(({ key, label, color }) => (
+            <div key={key}>
+              <div className={`text-lg font-semibold ${summary[key] ? color : "text-gray-300"}`}>
+                {summary[key]}
+              </div>
+              <div className="text-xs text-gray-500">{label}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!device.retired && summary.total > 0 && (
+        <button
+          onClick={handleRestore}
+          disabled={restoring}
+          className="mt-3 w-full px-3 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {restoring
+            ? "Queuing..."
+            : outOfSync > 0
+            ? `⬇️ Restore ${outOfSync} Missing Fingerprint${outOfSync === 1 ? "" : "s"}`
+            : "⬇️ Restore All Fingerprints"}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TemplateSyncPanel;
@@ -1,17 +1,22 @@
 // src/components/members/NewMemberModal.jsx - PORTAL VERSION
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { createPortal } from "react-dom";
 import { useAuth } from "../../context/AuthContext";
 import toast from "react-hot-toast";
 import {
   createMemberAndStartEnrollment,
-  listenToEnrollmentStatus,
   cancelEnrollment,
 } from "../../services/enrollmentService";
-import { getMembershipTiers } from "../../services/settingsService";
+import {
+  getMembershipTiers,
+  getTierDurationLabel,
+} from "../../services/settingsService";
+
+// The modal always enrolls on the main scanner
+const ENROLLMENT_DEVICE_ID = "fingerprint_scanner_1";
 
 const NewMemberModal = ({ isOpen, onClose, onMemberAdded }) => {
-  const { gymInfo } = useAuth();
+  const { user, gymInfo } = useAuth();
 
   // Form state
   const [formData, setFormData] = useState({
@@ -30,8 +35,8 @@ const NewMemberModal = ({ isOpen, onClose, onMemberAdded }) => {
   const [assignedFingerprintId, setAssignedFingerprintId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
 
-  // Real-time listener
-  const [unsubscribe, setUnsubscribe] = useState(null);
+  // The queued enroll command, needed to cancel it
+  const commandIdRef = useRef(null);
   const [membershipTiers, setMembershipTiers] = useState([]);
 
   // Portal container
@@ -71,18 +76,13 @@ const NewMemberModal = ({ isOpen, onClose, onMemberAdded }) => {
     } else {
       // Restore body scroll when modal closes
       document.body.style.overflow = "unset";
-      // Cleanup listener when modal closes
-      if (unsubscribe) {
-        unsubscribe();
-        setUnsubscribe(null);
-      }
     }
 
     // Cleanup on unmount
     return () => {
       document.body.style.overflow = "unset";
     };
-  }, [isOpen, unsubscribe]);
+  }, [isOpen]);
 
   const resetForm = () => {
     setFormData({
@@ -98,6 +98,7 @@ const NewMemberModal = ({ isOpen, onClose, onMemberAdded }) => {
     setEnrollmentStatus("");
     setAssignedFingerprintId(null);
     setIsLoading(false);
+    commandIdRef.current = null;
   };
   // ADD THIS useEffect:
   useEffect(() => {
@@ -151,7 +152,20 @@ const NewMemberModal = ({ isOpen, onClose, onMemberAdded }) => {
       // A single call now handles the entire process
       const enrollmentResult = await createMemberAndStartEnrollment(
         gymInfo.id,
-        formData
+        formData,
+        ENROLLMENT_DEVICE_ID,
+        (statusUpdate) => {
+          commandIdRef.current = statusUpdate.commandId;
+          if (statusUpdate.status === "queued") {
+            setEnrollmentState("waiting");
+          } else if (["acknowledged", "running"].includes(statusUpdate.status)) {
+            setEnrollmentState("processing");
+            setEnrollmentStatus(
+              "Fingerprint enrollment in progress. Place finger on sensor as instructed."
+            );
+          }
+        },
+        user?.email
       );
 
       if (enrollmentResult.success) {
@@ -202,9 +216,17 @@ const NewMemberModal = ({ isOpen, onClose, onMemberAdded }) => {
   };
 
   const handleCancel = async () => {
-    if (enrollmentState === "requesting" || enrollmentState === "waiting") {
+    if (
+      commandIdRef.current &&
+      ["requesting", "waiting", "processing"].includes(enrollmentState)
+    ) {
       try {
-        await cancelEnrollment(gymInfo.id);
+        await cancelEnrollment(
+          gymInfo.id,
+          ENROLLMENT_DEVICE_ID,
+          commandIdRef.current,
+          user?.email
+        );
         toast.success("Enrollment cancelled");
       } catch (error) {
         console.error("Cancel error:", error);
@@ -467,7 +489,7 @@ const NewMemberModal = ({ isOpen, onClose, onMemberAdded }) => {
               <option value="">Select membership tier (optional)</option>
               {membershipTiers.map((tier) => (
                 <option key={tier.id} value={tier.id}>
-                  {tier.name} - LKR {tier.price}/month
+                  {tier.name} - LKR {tier.price}/{getTierDurationLabel(tier)}
                 </option>
               ))}
             </select>
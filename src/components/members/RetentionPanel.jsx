@@ -0,0 +1,209 @@
+// src/components/members/RetentionPanel.jsx
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../../context/AuthContext";
+import {
+  getRetentionOverview,
+  RISK_SIGNALS,
+  RETENTION_THRESHOLDS,
+} from "../../services/retentionService";
+
+// Members listed before "Show all"
+const COLLAPSED_COUNT = 8;
+
+const SIGNAL_STYLES = {
+  frequency_drop: "bg-yellow-100 text-yellow-800",
+  inactive_paying: "bg-orange-100 text-orange-800",
+  payment_lapsed: "bg-red-100 text-red-800",
+};
+
+const formatMonth = (month) => {
+  return new Date(`${month}-01T00:00:00Z`).toLocaleDateString("en-US", {
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+};
+
+/**
+ * Ranked list of members at risk of leaving, with join-month cohort
+ * retention. Loads on its own so the rest of the dashboard is not held up
+ * by the attendance history it reads.
+ */
+const RetentionPanel = () => {
+  const { gymInfo } = useAuth();
+  const navigate = useNavigate();
+  const [overview, setOverview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+
+  useEffect(() => {
+    if (!gymInfo?.id) return;
+
+    const fetchOverview = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setOverview(await getRetentionOverview(gymInfo.id));
+      } catch (error) {
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOverview();
+  }, [gymInfo]);
+
+  if (loading) {
+    return (
+      <div className="bg-white shadow rounded-lg p-6 text-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600 mx-auto"></div>
+        <p className="mt-2 text-sm text-gray-600">Checking member retention...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-white shadow rounded-lg p-6">
+        <p className="text-sm text-red-600">{error}</p>
+      </div>
+    );
+  }
+
+  const { atRisk, cohorts } = overview;
+  const visibleMembers = showAll ? atRisk : atRisk.slice(0, COLLAPSED_COUNT);
+  const maxOffset = Math.max(0, ...cohorts.map((cohort) => cohort.retention.length - 1));
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      {/* At-risk members */}
+      <div className="bg-white shadow rounded-lg">
+        <div className="px-4 py-5 sm:p-6">
+          <div className="flex items-center justify-between mb-1">
+            <h3 className="text-lg leading-6 font-medium text-gray-900">Members at Risk</h3>
+            <span className="text-sm text-gray-500">{atRisk.length} flagged</span>
+          </div>
+          <p className="text-xs text-gray-500 mb-4">
+            Visits down {RETENTION_THRESHOLDS.FREQUENCY_DROP_PERCENT}% or more over the last{" "}
+            {RETENTION_THRESHOLDS.RECENT_DAYS} days, paid up with no visit for{" "}
+            {RETENTION_THRESHOLDS.INACTIVE_DAYS}+ days, or payment lapsed. Frozen members are
+            left out.
+          </p>
+
+          {atRisk.length === 0 ? (
+            <p className="text-sm text-gray-500">No members look at risk right now.</p>
+          ) : (
+            <>
+              <ul className="divide-y divide-gray-100">
+                {visibleMembers.map((member) => (
+                  <li
+                    key={member.memberId}
+                    onClick={() => navigate(`/members/${member.memberId}`)}
+                    className="py-3 flex items-start justify-between cursor-pointer hover:bg-gray-50"
+                  >
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{member.name}</p>
+                      <p className="text-xs text-gray-500">
+                        ID: {member.gymMemberId} • Last visit: {member.lastVisit || "None on record"}
+                      </p>
+                      <div className="mt-1 flex flex-wrap gap-1">
+                        {member.signals.map((signal) => (
+                          <span
+                            key={signal.type}
+                            title={signal.detail}
+                            className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+                              SIGNAL_STYLES[signal.type]
+                            }`}
+                          >
+                            {RISK_SIGNALS[signal.type]}: {signal.detail}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                    <span className="ml-4 text-sm font-semibold text-gray-700">{member.score}</span>
+                  </li>
+                ))}
+              </ul>
+              {atRisk.length > COLLAPSED_COUNT && (
+                <button
+                  onClick={() => setShowAll(!showAll)}
+                  className="mt-3 text-sm text-green-600 hover:text-green-700 font-medium"
+                >
+                  {showAll ? "Show fewer" : `Show all ${atRisk.length}`}
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Cohort retention */}
+      <div className="bg-white shadow rounded-lg">
+        <div className="px-4 py-5 sm:p-6">
+          <h3 className="text-lg leading-6 font-medium text-gray-900 mb-1">
+            Retention by Join Month
+          </h3>
+          <p className="text-xs text-gray-500 mb-4">
+            Share of each month's new members who visited in each month after joining.
+            Month 0 is the month they joined. The current month is still in progress (*).
+          </p>
+
+          {cohorts.length === 0 ? (
+            <p className="text-sm text-gray-500">No members joined in the last few months.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-xs">
+                <thead>
+                  <tr>
+                    <th className="px-2 py-1 text-left font-medium text-gray-500">Joined</th>
+                    <th className="px-2 py-1 text-right font-medium text-gray-500">Members</th>
+                    {Array.from({ length: maxOffset + 1 }, (_, offset) => (
+                      <th key={offset} className="px-2 py-1 text-center font-medium text-gray-500">
+                        M{offset}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {cohorts.map((cohort) => (
+                    <tr key={cohort.month}>
+                      <td className="px-2 py-1 text-gray-700 whitespace-nowrap">
+                        {formatMonth(cohort.month)}
+                      </td>
+                      <td className="px-2 py-1 text-right text-gray-700">{cohort.size}</td>
+                      {Array.from({ length: maxOffset + 1 }, (_, offset) => {
+                        const point = cohort.retention[offset];
+                        return (
+                          <td key={offset} className="p-0.5">
+                            {point && (
+                              <div
+                                title={`${point.active} of ${cohort.size} visited in ${formatMonth(point.month)}`}
+                                className={`h-7 rounded flex items-center justify-center ${
+                                  point.percent > 60 ? "text-white" : "text-gray-700"
+                                }`}
+                                style={{
+                                  backgroundColor: `rgba(22, 163, 74, ${0.08 + (point.percent / 100) * 0.92})`,
+                                }}
+                              >
+                                {point.percent}%{point.partial ? "*" : ""}
+                              </div>
+                            )}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RetentionPanel;
@@ -0,0 +1,93 @@
+// src/components/payments/ChargeItemPicker.jsx
+import React from "react";
+import { CHARGE_CATEGORIES } from "../../services/settingsService";
+
+/**
+ * Lets the desk add joining fees and add-ons from the charge item catalogue
+ * to a payment. `selected` is the list handed to recordPayment as `items`.
+ */
+const ChargeItemPicker = ({ catalogue, selected, onChange }) => {
+  const activeItems = catalogue.filter((item) => item.active !== false);
+
+  if (activeItems.length === 0) return null;
+
+  const getSelected = (itemId) => selected.find((item) => item.itemId === itemId);
+
+  const toggleItem = (item) => {
+    if (getSelected(item.id)) {
+      onChange(selected.filter((s) => s.itemId !== item.id));
+    } else {
+      onChange([
+        ...selected,
+        {
+          itemId: item.id,
+          name: item.name,
+          category: item.category,
+          price: item.price,
+          quantity: 1,
+        },
+      ]);
+    }
+  };
+
+  const setQuantity = (itemId, quantity) => {
+    onChange(
+      selected.map((s) =>
+        s.itemId === itemId ? { ...s, quantity: Math.max(parseInt(quantity) || 1, 1) } : s
+      )
+    );
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat("en-LK", {
+      style: "currency",
+      currency: "LKR",
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(amount || 0);
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Joining Fee & Add-ons
+      </label>
+      <div className="border border-gray-200 rounded-md divide-y divide-gray-100">
+        {activeItems.map((item) => {
+          const chosen = getSelected(item.id);
+          return (
+            <div key={item.id} className="flex items-center justify-between px-3 py-2 text-sm">
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={Boolean(chosen)}
+                  onChange={() => toggleItem(item)}
+                  className="h-4 w-4 text-green-600 border-gray-300 rounded"
+                />
+                <span className="text-gray-900">{item.name}</span>
+                <span className="text-xs text-gray-500">
+                  {CHARGE_CATEGORIES[item.category] || item.category}
+                </span>
+              </label>
+              <div className="flex items-center space-x-2">
+                {chosen && (
+                  <input
+                    type="number"
+                    value={chosen.quantity}
+                    onChange={(e) => setQuantity(item.id, e.target.value)}
+                    className="w-14 px-2 py-1 border border-gray-300 rounded text-right"
+                    min="1"
+                    step="1"
+                  />
+                )}
+                <span className="text-gray-600">{formatCurrency(item.price)}</span>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ChargeItemPicker;
@@ -0,0 +1,134 @@
+// src/components/payments/PaymentReceiptModal.jsx
+import React, { useState, useEffect } from "react";
+import { useAuth } from "../../context/AuthContext";
+import toast from "react-hot-toast";
+import { getPaymentReceipt } from "../../services/paymentService";
+import {
+  getReceiptHeading,
+  getReceiptRows,
+  downloadReceiptPdf,
+  printReceipt,
+} from "../../services/receiptService";
+
+const PaymentReceiptModal = ({ paymentId, onClose }) => {
+  const { gymInfo } = useAuth();
+  const [payment, setPayment] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadFailed, setLoadFailed] = useState(false);
+
+  useEffect(() => {
+    if (!gymInfo?.id || !paymentId) return;
+
+    const fetchReceipt = async () => {
+      try {
+        setLoading(true);
+        setLoadFailed(false);
+        const receipt = await getPaymentReceipt(gymInfo.id, paymentId);
+        setPayment(receipt);
+      } catch (error) {
+        console.error("Error loading receipt:", error);
+        toast.error("Failed to load receipt");
+        setLoadFailed(true);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReceipt();
+  }, [gymInfo, paymentId]);
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat("en-LK", {
+      style: "currency",
+      currency: "LKR",
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(amount || 0);
+  };
+
+  const heading = payment ? getReceiptHeading(payment) : null;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-full max-w-md shadow-lg rounded-md bg-white">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : loadFailed || !payment ? (
+          <div className="text-center py-8">
+            <p className="text-gray-600">This receipt could not be loaded.</p>
+            <button
+              onClick={onClose}
+              className="mt-4 px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+            >
+              Close
+            </button>
+          </div>
+        ) : (
+          <div>
+            {/* Gym header */}
+            <div className="text-center border-b border-gray-200 pb-4 mb-4">
+              <h3 className="text-xl font-bold text-gray-900">{gymInfo?.name}</h3>
+              {gymInfo?.address && (
+                <p className="text-sm text-gray-600">{gymInfo.address}</p>
+              )}
+              {gymInfo?.contact && (
+                <p className="text-sm text-gray-600">{gymInfo.contact}</p>
+              )}
+              <p className="mt-3 text-sm font-semibold tracking-wide text-gray-800">
+                {heading.title}
+              </p>
+            </div>
+
+            {/* Receipt details */}
+            <dl className="space-y-2">
+              {getReceiptRows(payment).map(({ label, value }) => (
+                <div key={label} className="flex justify-between text-sm">
+                  <dt className="font-medium text-gray-600">{label}</dt>
+                  <dd className="text-gray-900 text-right ml-4">{value}</dd>
+                </div>
+              ))}
+            </dl>
+
+            <div className="flex justify-between items-center border-t border-gray-200 mt-4 pt-4">
+              <span className="font-semibold text-gray-900">
+                {heading.amountLabel}
+              </span>
+              <span
+                className={`text-lg font-bold ${
+                  payment.amount < 0 ? "text-red-600" : "text-green-600"
+                }`}
+              >
+                {formatCurrency(heading.amount)}
+              </span>
+            </div>
+
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={onClose}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+              >
+                Close
+              </button>
+              <button
+                onClick={() => downloadReceiptPdf(payment, gymInfo)}
+                className="px-4 py-2 text-sm font-medium text-blue-700 bg-blue-50 rounded-md hover:bg-blue-100"
+              >
+                Save PDF
+              </button>
+              <button
+                onClick={() => printReceipt(payment, gymInfo)}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700"
+              >
+                Print
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaymentReceiptModal;
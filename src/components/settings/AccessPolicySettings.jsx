@@ -0,0 +1,122 @@
+// src/components/settings/AccessPolicySettings.jsx
+import React, { useState, useEffect } from "react";
+import { useAuth } from "../../context/AuthContext";
+import toast from "react-hot-toast";
+import {
+  getAccessPolicy,
+  updateAccessPolicy,
+  DEFAULT_ACCESS_POLICY,
+  ACCESS_ACTIONS,
+} from "../../services/settingsService";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent";
+
+const ACTION_FIELDS = [
+  { field: "unpaidAction", label: "Payment overdue (past grace days)" },
+  { field: "expiredAction", label: "Expired" },
+  { field: "frozenAction", label: "Frozen" },
+];
+
+const AccessPolicySettings = () => {
+  const { gymInfo } = useAuth();
+  const [policy, setPolicy] = useState(DEFAULT_ACCESS_POLICY);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!gymInfo?.id) return;
+
+    const fetchPolicy = async () => {
+      try {
+        setPolicy(await getAccessPolicy(gymInfo.id));
+      } catch (error) {
+        toast.error(error.message);
+      }
+    };
+
+    fetchPolicy();
+  }, [gymInfo]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!(Number(policy.expiredAfterDays) >= 0)) {
+      return toast.error("Days before a membership counts as expired cannot be negative.");
+    }
+
+    setSaving(true);
+    try {
+      await updateAccessPolicy(gymInfo.id, policy);
+      toast.success("Access policy saved!");
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white shadow-sm rounded-lg p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-2">Scanner Access</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        Decides what the fingerprint scanner does for members who are overdue, expired or
+        frozen. Warned and denied attempts show on the attendance page. Members blocked from
+        their profile are always denied. Freezes that block check-in always deny entry.
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={policy.enabled}
+            onChange={(e) => setPolicy({ ...policy, enabled: e.target.checked })}
+            className="h-4 w-4 text-green-600 border-gray-300 rounded"
+          />
+          <span>Check membership status at the scanner</span>
+        </label>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {ACTION_FIELDS.map(({ field, label }) => (
+            <div key={field}>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+              <select
+                value={policy[field]}
+                disabled={!policy.enabled}
+                onChange={(e) => setPolicy({ ...policy, [field]: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(ACCESS_ACTIONS).map(([value, actionLabel]) => (
+                  <option key={value} value={value}>
+                    {actionLabel}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Expired after (days overdue)
+            </label>
+            <input
+              type="number"
+              min="0"
+              value={policy.expiredAfterDays}
+              disabled={!policy.enabled}
+              onChange={(e) => setPolicy({ ...policy, expiredAfterDays: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save Access Policy"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default AccessPolicySettings;
@@ -0,0 +1,174 @@
+// src/components/settings/AttendancePolicySettings.jsx
+import React, { useState, useEffect } from "react";
+import { useAuth } from "../../context/AuthContext";
+import toast from "react-hot-toast";
+import {
+  getAttendancePolicy,
+  updateAttendancePolicy,
+  DEFAULT_ATTENDANCE_POLICY,
+  IMPUTED_CHECKOUT_METHODS,
+} from "../../services/settingsService";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent";
+
+const AttendancePolicySettings = () => {
+  const { gymInfo } = useAuth();
+  const [policy, setPolicy] = useState(DEFAULT_ATTENDANCE_POLICY);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!gymInfo?.id) return;
+
+    const fetchPolicy = async () => {
+      try {
+        setPolicy(await getAttendancePolicy(gymInfo.id));
+      } catch (error) {
+        toast.error(error.message);
+      }
+    };
+
+    fetchPolicy();
+  }, [gymInfo]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!(Number(policy.maxSessionHours) > 0)) {
+      return toast.error("Maximum session length must be above zero.");
+    }
+    if (!(Number(policy.typicalSessionMinutes) > 0)) {
+      return toast.error("Typical session length must be above zero.");
+    }
+    if (Number(policy.capacity) < 0) {
+      return toast.error("Capacity cannot be negative.");
+    }
+    const warningPercent = Number(policy.capacityWarningPercent);
+    if (!(warningPercent > 0 && warningPercent <= 100)) {
+      return toast.error("The capacity warning must be between 1 and 100 percent.");
+    }
+
+    setSaving(true);
+    try {
+      await updateAttendancePolicy(gymInfo.id, policy);
+      toast.success("Attendance policy saved!");
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white shadow-sm rounded-lg p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-2">Attendance</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        Members who leave without scanning out are checked out automatically with an estimated
+        time. Estimated check-outs are marked on the attendance page and left out of session
+        length averages. The capacity drives the live occupancy warning.
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Closing time</label>
+            <input
+              type="time"
+              required
+              value={policy.closeTime}
+              onChange={(e) => setPolicy({ ...policy, closeTime: e.target.value })}
+              className={inputClass}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Everyone still checked in is logged out after this time.
+            </p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Maximum session (hours)
+            </label>
+            <input
+              type="number"
+              min="1"
+              step="0.5"
+              value={policy.maxSessionHours}
+              onChange={(e) => setPolicy({ ...policy, maxSessionHours: e.target.value })}
+              className={inputClass}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Longer sessions are closed without waiting for closing time.
+            </p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Estimated check-out
+            </label>
+            <select
+              value={policy.imputedCheckOut}
+              onChange={(e) => setPolicy({ ...policy, imputedCheckOut: e.target.value })}
+              className={inputClass}
+            >
+              {Object.entries(IMPUTED_CHECKOUT_METHODS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Typical session (minutes)
+            </label>
+            <input
+              type="number"
+              min="1"
+              value={policy.typicalSessionMinutes}
+              onChange={(e) => setPolicy({ ...policy, typicalSessionMinutes: e.target.value })}
+              className={inputClass}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Also used for members without enough visits for a usual session length.
+            </p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Capacity</label>
+            <input
+              type="number"
+              min="0"
+              value={policy.capacity}
+              onChange={(e) => setPolicy({ ...policy, capacity: e.target.value })}
+              className={inputClass}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Most members allowed inside at once. 0 for no limit.
+            </p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Warn at (% of capacity)
+            </label>
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={policy.capacityWarningPercent}
+              onChange={(e) =>
+                setPolicy({ ...policy, capacityWarningPercent: e.target.value })
+              }
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save Attendance Policy"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default AttendancePolicySettings;
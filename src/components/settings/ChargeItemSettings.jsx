@@ -0,0 +1,202 @@
+// src/components/settings/ChargeItemSettings.jsx
+import React, { useState, useEffect } from "react";
+import { useAuth } from "../../context/AuthContext";
+import toast from "react-hot-toast";
+import {
+  getChargeItems,
+  addChargeItem,
+  updateChargeItem,
+  deleteChargeItem,
+  CHARGE_CATEGORIES,
+} from "../../services/settingsService";
+
+const EMPTY_ITEM = { name: "", category: "add_on", price: "" };
+
+// Only these categories are sold from the catalogue; membership comes from tiers
+const CATALOGUE_CATEGORIES = ["joining_fee", "add_on"];
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent";
+
+const ChargeItemSettings = () => {
+  const { gymInfo } = useAuth();
+  const [items, setItems] = useState([]);
+  const [itemForm, setItemForm] = useState(EMPTY_ITEM);
+  const [editingItemId, setEditingItemId] = useState(null);
+
+  useEffect(() => {
+    if (!gymInfo?.id) return;
+
+    const fetchItems = async () => {
+      try {
+        setItems(await getChargeItems(gymInfo.id));
+      } catch (error) {
+        toast.error(error.message);
+      }
+    };
+
+    fetchItems();
+  }, [gymInfo]);
+
+  const reloadItems = async () => setItems(await getChargeItems(gymInfo.id));
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat("en-LK", {
+      style: "currency",
+      currency: "LKR",
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(amount || 0);
+  };
+
+  const handleSubmitItem = async (e) => {
+    e.preventDefault();
+    if (!itemForm.name.trim() || !itemForm.price) {
+      return toast.error("Please enter a name and price.");
+    }
+    if (Number(itemForm.price) <= 0) {
+      return toast.error("Price must be greater than zero.");
+    }
+
+    try {
+      const itemData = {
+        name: itemForm.name.trim(),
+        category: itemForm.category,
+        price: Number(itemForm.price),
+      };
+      if (editingItemId) {
+        await updateChargeItem(gymInfo.id, editingItemId, itemData);
+        toast.success("Item updated!");
+      } else {
+        await addChargeItem(gymInfo.id, itemData);
+        toast.success("Item added!");
+      }
+      setItemForm(EMPTY_ITEM);
+      setEditingItemId(null);
+      reloadItems();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleEditItem = (item) => {
+    setEditingItemId(item.id);
+    setItemForm({ name: item.name, category: item.category, price: item.price.toString() });
+  };
+
+  const handleToggleItem = async (item) => {
+    try {
+      await updateChargeItem(gymInfo.id, item.id, { active: item.active === false });
+      reloadItems();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleDeleteItem = async (item) => {
+    if (!window.confirm(`Delete "${item.name}"? Charges already issued are kept.`)) return;
+    try {
+      await deleteChargeItem(gymInfo.id, item.id);
+      toast.success("Item deleted.");
+      reloadItems();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white shadow-sm rounded-lg p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-2">Joining Fee & Add-ons</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        One-off items the desk can add to a payment, such as a joining fee, locker, towel or
+        personal training session
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <form onSubmit={handleSubmitItem} className="space-y-3">
+          <input
+            type="text"
+            value={itemForm.name}
+            onChange={(e) => setItemForm({ ...itemForm, name: e.target.value })}
+            className={inputClass}
+            placeholder="e.g., Locker (monthly)"
+          />
+          <div className="grid grid-cols-2 gap-3">
+            <select
+              value={itemForm.category}
+              onChange={(e) => setItemForm({ ...itemForm, category: e.target.value })}
+              className={inputClass}
+            >
+              {CATALOGUE_CATEGORIES.map((category) => (
+                <option key={category} value={category}>
+                  {CHARGE_CATEGORIES[category]}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              value={itemForm.price}
+              onChange={(e) => setItemForm({ ...itemForm, price: e.target.value })}
+              className={inputClass}
+              placeholder="Price (LKR)"
+              min="0"
+              step="0.01"
+            />
+          </div>
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              className="flex-1 bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors"
+            >
+              {editingItemId ? "Update Item" : "Add Item"}
+            </button>
+            {editingItemId && (
+              <button
+                type="button"
+                onClick={() => {
+                  setEditingItemId(null);
+                  setItemForm(EMPTY_ITEM);
+                }}
+                className="flex-1 bg-gray-300 text-gray-700 font-semibold py-2 px-4 rounded-lg hover:bg-gray-400 transition-colors"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+
+        <div className="space-y-2">
+          {items.length === 0 && <p className="text-sm text-gray-500">No items yet.</p>}
+          {items.map((item) => (
+            <div
+              key={item.id}
+              className="flex justify-between items-center border border-gray-200 rounded-lg p-3 text-sm"
+            >
+              <div>
+                <p className={`font-medium ${item.active === false ? "text-gray-400" : "text-gray-900"}`}>
+                  {item.name}
+                </p>
+                <p className="text-gray-600">
+                  {CHARGE_CATEGORIES[item.category] || item.category} · {formatCurrency(item.price)}
+                </p>
+              </div>
+              <div className="flex space-x-2 text-xs">
+                <button onClick={() => handleEditItem(item)} className="text-blue-600 hover:text-blue-800">
+                  Edit
+                </button>
+                <button onClick={() => handleToggleItem(item)} className="text-blue-600 hover:text-blue-800">
+                  {item.active === false ? "Enable" : "Disable"}
+                </button>
+                <button onClick={() => handleDeleteItem(item)} className="text-red-600 hover:text-red-800">
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChargeItemSettings;
@@ -0,0 +1,220 @@
+// src/components/settings/NotificationSettings.jsx
+import React, { useState, useEffect } from "react";
+import { useAuth } from "../../context/AuthContext";
+import toast from "react-hot-toast";
+import {
+  getNotificationSettings,
+  updateNotificationSettings,
+  getRecentNotifications,
+  DEFAULT_NOTIFICATION_SETTINGS,
+  NOTIFICATION_CHANNELS,
+  REMINDER_STAGES,
+} from "../../services/settingsService";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent";
+
+const STATUS_STYLES = {
+  sent: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+  skipped: "bg-gray-100 text-gray-700",
+  pending: "bg-yellow-100 text-yellow-800",
+};
+
+const NotificationSettings = () => {
+  const { gymInfo } = useAuth();
+  const [settings, setSettings] = useState(DEFAULT_NOTIFICATION_SETTINGS);
+  const [daysAfterText, setDaysAfterText] = useState("");
+  const [notifications, setNotifications] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!gymInfo?.id) return;
+
+    const fetchSettings = async () => {
+      try {
+        const [savedSettings, recentNotifications] = await Promise.all([
+          getNotificationSettings(gymInfo.id),
+          getRecentNotifications(gymInfo.id),
+        ]);
+        setSettings(savedSettings);
+        setDaysAfterText(savedSettings.daysAfter.join(", "));
+        setNotifications(recentNotifications);
+      } catch (error) {
+        toast.error(error.message);
+      }
+    };
+
+    fetchSettings();
+  }, [gymInfo]);
+
+  const handleTemplateChange = (stage, field, value) => {
+    setSettings({
+      ...settings,
+      templates: {
+        ...settings.templates,
+        [stage]: { ...settings.templates[stage], [field]: value },
+      },
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const daysAfter = daysAfterText
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean)
+      .map(Number);
+    if (daysAfter.some((days) => !Number.isInteger(days) || days <= 0)) {
+      return toast.error("Overdue reminder days must be whole numbers above zero.");
+    }
+
+    setSaving(true);
+    try {
+      await updateNotificationSettings(gymInfo.id, { ...settings, daysAfter });
+      toast.success("Reminder settings saved!");
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white shadow-sm rounded-lg p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-2">Payment Reminders</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        Sent by the daily overdue check to members with a phone number or email on file. Members
+        can be opted out from their profile.
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => setSettings({ ...settings, enabled: e.target.checked })}
+            className="h-4 w-4 text-green-600 border-gray-300 rounded"
+          />
+          <span>Send payment reminders</span>
+        </label>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Channel</label>
+            <select
+              value={settings.channel}
+              onChange={(e) => setSettings({ ...settings, channel: e.target.value })}
+              className={inputClass}
+            >
+              {Object.entries(NOTIFICATION_CHANNELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Days before due date
+            </label>
+            <input
+              type="number"
+              value={settings.daysBefore}
+              onChange={(e) => setSettings({ ...settings, daysBefore: e.target.value })}
+              className={inputClass}
+              min="0"
+              step="1"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Days overdue (comma separated)
+            </label>
+            <input
+              type="text"
+              value={daysAfterText}
+              onChange={(e) => setDaysAfterText(e.target.value)}
+              className={inputClass}
+              placeholder="e.g., 1, 7"
+            />
+          </div>
+        </div>
+
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Leave a template empty to use the default. Available placeholders:{" "}
+            {"{{memberName}}, {{gymName}}, {{dueDate}}, {{amount}}, {{days}}"}
+          </p>
+          {Object.entries(REMINDER_STAGES).map(([stage, label]) => (
+            <div key={stage} className="border border-gray-200 rounded-lg p-3 space-y-2">
+              <p className="text-sm font-medium text-gray-800">{label}</p>
+              {settings.channel === "email" && (
+                <input
+                  type="text"
+                  value={settings.templates[stage]?.subject || ""}
+                  onChange={(e) => handleTemplateChange(stage, "subject", e.target.value)}
+                  className={inputClass}
+                  placeholder="Subject"
+                />
+              )}
+              <textarea
+                value={settings.templates[stage]?.body || ""}
+                onChange={(e) => handleTemplateChange(stage, "body", e.target.value)}
+                className={inputClass}
+                rows="2"
+                placeholder="Message"
+              />
+            </div>
+          ))}
+        </div>
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save Reminders"}
+        </button>
+      </form>
+
+      <h3 className="text-lg font-semibold text-gray-800 mt-8 mb-3">Recent Reminders</h3>
+      {notifications.length === 0 ? (
+        <p className="text-sm text-gray-500">No reminders sent yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {notifications.map((notification) => (
+            <div
+              key={notification.id}
+              className="flex justify-between items-start border border-gray-200 rounded-lg p-3 text-sm"
+            >
+              <div>
+                <p className="font-medium text-gray-900">
+                  {notification.memberName} · {REMINDER_STAGES[notification.stage]}
+                </p>
+                <p className="text-gray-600">
+                  {notification.sentDate} · {NOTIFICATION_CHANNELS[notification.channel]}
+                  {notification.to ? ` to ${notification.to}` : ""}
+                </p>
+                {(notification.error || notification.skipReason) && (
+                  <p className="text-xs text-gray-500">
+                    {notification.error || notification.skipReason.replace(/_/g, " ")}
+                  </p>
+                )}
+              </div>
+              <span
+                className={`px-2 py-1 rounded-full text-xs font-medium ${
+                  STATUS_STYLES[notification.status] || STATUS_STYLES.pending
+                }`}
+              >
+                {notification.status}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationSettings;
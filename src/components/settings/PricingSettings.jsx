@@ -0,0 +1,557 @@
+// src/components/settings/PricingSettings.jsx
+import React, { useState, useEffect } from "react";
+import { useAuth } from "../../context/AuthContext";
+import toast from "react-hot-toast";
+import {
+  getPricingRules,
+  addPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+  getPromoCodes,
+  addPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+  getBillingAccounts,
+  addBillingAccount,
+  deleteBillingAccount,
+  getBillingAccountBalance,
+  DISCOUNT_TYPES,
+  CONCESSIONS,
+} from "../../services/pricingService";
+import { recordBillingAccountPayment } from "../../services/paymentService";
+
+const EMPTY_RULE = { name: "", discountType: "percentage", value: "", eligibility: "all", tierId: "" };
+const EMPTY_PROMO = {
+  code: "",
+  discountType: "percentage",
+  value: "",
+  validFrom: "",
+  validUntil: "",
+  maxUses: "",
+  tierId: "",
+};
+const EMPTY_ACCOUNT = { name: "", type: "family", discountType: "percentage", value: "" };
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent";
+
+const PricingSettings = ({ tiers }) => {
+  const { user, gymInfo } = useAuth();
+  const [rules, setRules] = useState([]);
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  // { [accountId]: { members, outstandingBalance, accountCredit } }
+  const [balances, setBalances] = useState({});
+  const [ruleForm, setRuleForm] = useState(EMPTY_RULE);
+  const [promoForm, setPromoForm] = useState(EMPTY_PROMO);
+  const [accountForm, setAccountForm] = useState(EMPTY_ACCOUNT);
+
+  useEffect(() => {
+    if (!gymInfo?.id) return;
+
+    const fetchPricing = async () => {
+      try {
+        const [ruleData, promoData, accountData] = await Promise.all([
+          getPricingRules(gymInfo.id),
+          getPromoCodes(gymInfo.id),
+          getBillingAccounts(gymInfo.id),
+        ]);
+        const balanceData = await Promise.all(
+          accountData.map((account) => getBillingAccountBalance(gymInfo.id, account.id))
+        );
+        setRules(ruleData);
+        setPromoCodes(promoData);
+        setAccounts(accountData);
+        setBalances(
+          Object.fromEntries(accountData.map((account, i) => [account.id, balanceData[i]]))
+        );
+      } catch (error) {
+        toast.error(error.message);
+      }
+    };
+
+    fetchPricing();
+  }, [gymInfo]);
+
+  // Reloads after a change
+  const reloadRules = async () => setRules(await getPricingRules(gymInfo.id));
+  const reloadPromoCodes = async () => setPromoCodes(await getPromoCodes(gymInfo.id));
+  const reloadAccounts = async () => {
+    const accountData = await getBillingAccounts(gymInfo.id);
+    const balanceData = await Promise.all(
+      accountData.map((account) => getBillingAccountBalance(gymInfo.id, account.id))
+    );
+    setAccounts(accountData);
+    setBalances(
+      Object.fromEntries(accountData.map((account, i) => [account.id, balanceData[i]]))
+    );
+  };
+
+  const getTierName = (tierIds) => {
+    if (!tierIds?.length) return "All tiers";
+    return tierIds.map((id) => tiers.find((t) => t.id === id)?.name || "Deleted tier").join(", ");
+  };
+
+  const describeDiscount = (item) =>
+    item.discountType === "percentage" ? `${item.value}% off` : `${formatCurrency(item.value)} off`;
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat("en-LK", {
+      style: "currency",
+      currency: "LKR",
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(amount || 0);
+  };
+
+  const isValidDiscount = (form) => {
+    const value = Number(form.value);
+    if (!form.value || value <= 0) {
+      toast.error("Please enter a discount greater than zero.");
+      return false;
+    }
+    if (form.discountType === "percentage" && value > 100) {
+      toast.error("A percentage discount cannot be more than 100%.");
+      return false;
+    }
+    return true;
+  };
+
+  const handleAddRule = async (e) => {
+    e.preventDefault();
+    if (!ruleForm.name.trim()) return toast.error("Please enter a name for the discount.");
+    if (!isValidDiscount(ruleForm)) return;
+
+    try {
+      await addPricingRule(gymInfo.id, {
+        ...ruleForm,
+        name: ruleForm.name.trim(),
+        tierIds: ruleForm.tierId ? [ruleForm.tierId] : [],
+      });
+      toast.success("Discount added!");
+      setRuleForm(EMPTY_RULE);
+      reloadRules();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleToggleRule = async (rule) => {
+    try {
+      await updatePricingRule(gymInfo.id, rule.id, { active: rule.active === false });
+      reloadRules();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    if (!window.confirm(`Delete the "${rule.name}" discount?`)) return;
+    try {
+      await deletePricingRule(gymInfo.id, rule.id);
+      toast.success("Discount deleted.");
+      reloadRules();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleAddPromoCode = async (e) => {
+    e.preventDefault();
+    if (!isValidDiscount(promoForm)) return;
+    if (promoForm.validFrom && promoForm.validUntil && promoForm.validUntil < promoForm.validFrom) {
+      return toast.error("The promo code must end on or after its start date.");
+    }
+
+    try {
+      await addPromoCode(gymInfo.id, {
+        ...promoForm,
+        tierIds: promoForm.tierId ? [promoForm.tierId] : [],
+      });
+      toast.success("Promo code added!");
+      setPromoForm(EMPTY_PROMO);
+      reloadPromoCodes();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleTogglePromoCode = async (promo) => {
+    try {
+      await updatePromoCode(gymInfo.id, promo.code, { active: promo.active === false });
+      reloadPromoCodes();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleDeletePromoCode = async (promo) => {
+    if (!window.confirm(`Delete promo code ${promo.code}?`)) return;
+    try {
+      await deletePromoCode(gymInfo.id, promo.code);
+      toast.success("Promo code deleted.");
+      reloadPromoCodes();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleAddAccount = async (e) => {
+    e.preventDefault();
+    if (!accountForm.name.trim()) return toast.error("Please enter a name for the account.");
+    if (accountForm.value && !isValidDiscount(accountForm)) return;
+
+    try {
+      await addBillingAccount(gymInfo.id, { ...accountForm, name: accountForm.name.trim() });
+      toast.success("Billing account added!");
+      setAccountForm(EMPTY_ACCOUNT);
+      reloadAccounts();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleDeleteAccount = async (account) => {
+    if (!window.confirm(`Delete the "${account.name}" account?`)) return;
+    try {
+      await deleteBillingAccount(gymInfo.id, account.id);
+      toast.success("Billing account deleted.");
+      reloadAccounts();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handlePayAccount = async (account) => {
+    const { members = [] } = balances[account.id] || {};
+    const payable = members.filter((m) => m.membershipTierId);
+    if (payable.length === 0) {
+      return toast.error("No member on this account has a membership tier.");
+    }
+    if (!window.confirm(`Record a cash tier payment for all ${payable.length} members of "${account.name}"?`)) {
+      return;
+    }
+
+    try {
+      const payments = await recordBillingAccountPayment(
+        gymInfo.id,
+        payable,
+        user?.email || "admin"
+      );
+      const total = payments.reduce((sum, p) => sum + p.amount, 0);
+      toast.success(`Recorded ${payments.length} payments (${formatCurrency(total)})`);
+      reloadAccounts();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white shadow-sm rounded-lg p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-2">Discounts & Promotions</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        Applied in order when a tier payment is recorded: discounts, then the family/group
+        account, then a promo code entered at the desk
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Automatic discounts */}
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800 mb-4">Discounts</h3>
+          <form onSubmit={handleAddRule} className="space-y-3 mb-6">
+            <input
+              type="text"
+              value={ruleForm.name}
+              onChange={(e) => setRuleForm({ ...ruleForm, name: e.target.value })}
+              className={inputClass}
+              placeholder="e.g., Student discount"
+            />
+            <div className="grid grid-cols-2 gap-3">
+              <select
+                value={ruleForm.discountType}
+                onChange={(e) => setRuleForm({ ...ruleForm, discountType: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(DISCOUNT_TYPES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                value={ruleForm.value}
+                onChange={(e) => setRuleForm({ ...ruleForm, value: e.target.value })}
+                className={inputClass}
+                placeholder="Amount"
+                min="0"
+                step="0.01"
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <select
+                value={ruleForm.eligibility}
+                onChange={(e) => setRuleForm({ ...ruleForm, eligibility: e.target.value })}
+                className={inputClass}
+              >
+                <option value="all">All members</option>
+                {Object.entries(CONCESSIONS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}s only</option>
+                ))}
+              </select>
+              <select
+                value={ruleForm.tierId}
+                onChange={(e) => setRuleForm({ ...ruleForm, tierId: e.target.value })}
+                className={inputClass}
+              >
+                <option value="">All tiers</option>
+                {tiers.map((tier) => (
+                  <option key={tier.id} value={tier.id}>{tier.name}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              type="submit"
+              className="w-full bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors"
+            >
+              Add Discount
+            </button>
+          </form>
+
+          <div className="space-y-2">
+            {rules.length === 0 && <p className="text-sm text-gray-500">No discounts yet.</p>}
+            {rules.map((rule) => (
+              <div key={rule.id} className="border border-gray-200 rounded-lg p-3 text-sm">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <p className={`font-medium ${rule.active === false ? "text-gray-400" : "text-gray-900"}`}>
+                      {rule.name}
+                    </p>
+                    <p className="text-gray-600">
+                      {describeDiscount(rule)} · {CONCESSIONS[rule.eligibility] ? `${CONCESSIONS[rule.eligibility]}s` : "Everyone"} · {getTierName(rule.tierIds)}
+                    </p>
+                  </div>
+                  <div className="flex space-x-2 text-xs">
+                    <button onClick={() => handleToggleRule(rule)} className="text-blue-600 hover:text-blue-800">
+                      {rule.active === false ? "Enable" : "Disable"}
+                    </button>
+                    <button onClick={() => handleDeleteRule(rule)} className="text-red-600 hover:text-red-800">
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Promo codes */}
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800 mb-4">Promo Codes</h3>
+          <form onSubmit={handleAddPromoCode} className="space-y-3 mb-6">
+            <input
+              type="text"
+              value={promoForm.code}
+              onChange={(e) => setPromoForm({ ...promoForm, code: e.target.value })}
+              className={`${inputClass} uppercase`}
+              placeholder="e.g., NEWYEAR25"
+            />
+            <div className="grid grid-cols-2 gap-3">
+              <select
+                value={promoForm.discountType}
+                onChange={(e) => setPromoForm({ ...promoForm, discountType: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(DISCOUNT_TYPES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                value={promoForm.value}
+                onChange={(e) => setPromoForm({ ...promoForm, value: e.target.value })}
+                className={inputClass}
+                placeholder="Amount"
+                min="0"
+                step="0.01"
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-xs text-gray-600 mb-1">Valid From</label>
+                <input
+                  type="date"
+                  value={promoForm.validFrom}
+                  onChange={(e) => setPromoForm({ ...promoForm, validFrom: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600 mb-1">Valid Until</label>
+                <input
+                  type="date"
+                  value={promoForm.validUntil}
+                  onChange={(e) => setPromoForm({ ...promoForm, validUntil: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <input
+                type="number"
+                value={promoForm.maxUses}
+                onChange={(e) => setPromoForm({ ...promoForm, maxUses: e.target.value })}
+                className={inputClass}
+                placeholder="Max uses (blank = no limit)"
+                min="1"
+                step="1"
+              />
+              <select
+                value={promoForm.tierId}
+                onChange={(e) => setPromoForm({ ...promoForm, tierId: e.target.value })}
+                className={inputClass}
+              >
+                <option value="">All tiers</option>
+                {tiers.map((tier) => (
+                  <option key={tier.id} value={tier.id}>{tier.name}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              type="submit"
+              disabled={!promoForm.code.trim()}
+              className="w-full bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+            >
+              Add Promo Code
+            </button>
+          </form>
+
+          <div className="space-y-2">
+            {promoCodes.length === 0 && <p className="text-sm text-gray-500">No promo codes yet.</p>}
+            {promoCodes.map((promo) => (
+              <div key={promo.id} className="border border-gray-200 rounded-lg p-3 text-sm">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <p className={`font-mono font-medium ${promo.active === false ? "text-gray-400" : "text-gray-900"}`}>
+                      {promo.code}
+                    </p>
+                    <p className="text-gray-600">
+                      {describeDiscount(promo)} · {getTierName(promo.tierIds)}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {promo.validFrom || "Any time"} to {promo.validUntil || "no end"} · Used{" "}
+                      {promo.timesUsed || 0}
+                      {promo.maxUses ? ` / ${promo.maxUses}` : ""}
+                    </p>
+                  </div>
+                  <div className="flex space-x-2 text-xs">
+                    <button onClick={() => handleTogglePromoCode(promo)} className="text-blue-600 hover:text-blue-800">
+                      {promo.active === false ? "Enable" : "Disable"}
+                    </button>
+                    <button onClick={() => handleDeletePromoCode(promo)} className="text-red-600 hover:text-red-800">
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Family / group accounts */}
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800 mb-4">Family & Group Accounts</h3>
+          <form onSubmit={handleAddAccount} className="space-y-3 mb-6">
+            <div className="grid grid-cols-3 gap-3">
+              <input
+                type="text"
+                value={accountForm.name}
+                onChange={(e) => setAccountForm({ ...accountForm, name: e.target.value })}
+                className={`${inputClass} col-span-2`}
+                placeholder="e.g., Perera family"
+              />
+              <select
+                value={accountForm.type}
+                onChange={(e) => setAccountForm({ ...accountForm, type: e.target.value })}
+                className={inputClass}
+              >
+                <option value="family">Family</option>
+                <option value="group">Group</option>
+              </select>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <select
+                value={accountForm.discountType}
+                onChange={(e) => setAccountForm({ ...accountForm, discountType: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(DISCOUNT_TYPES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                value={accountForm.value}
+                onChange={(e) => setAccountForm({ ...accountForm, value: e.target.value })}
+                className={inputClass}
+                placeholder="Discount per member"
+                min="0"
+                step="0.01"
+              />
+            </div>
+            <button
+              type="submit"
+              className="w-full bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors"
+            >
+              Add Account
+            </button>
+          </form>
+
+          <div className="space-y-2">
+            {accounts.length === 0 && <p className="text-sm text-gray-500">No family or group accounts yet.</p>}
+            {accounts.map((account) => {
+              const balance = balances[account.id] || { members: [], outstandingBalance: 0 };
+              return (
+                <div key={account.id} className="border border-gray-200 rounded-lg p-3 text-sm">
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <p className="font-medium text-gray-900">
+                        {account.name}{" "}
+                        <span className="text-xs text-gray-500 capitalize">({account.type})</span>
+                      </p>
+                      <p className="text-gray-600">
+                        {account.value ? describeDiscount(account) : "No discount"} ·{" "}
+                        {balance.members.length} members
+                      </p>
+                      {balance.members.length > 0 && (
+                        <p className="text-xs text-gray-500">
+                          {balance.members.map((m) => m.Name).join(", ")}
+                        </p>
+                      )}
+                      {balance.outstandingBalance > 0 && (
+                        <p className="text-xs text-orange-600">
+                          Owes {formatCurrency(balance.outstandingBalance)}
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex flex-col items-end space-y-1 text-xs">
+                      <button onClick={() => handlePayAccount(account)} className="text-green-600 hover:text-green-800">
+                        Pay all
+                      </button>
+                      <button onClick={() => handleDeleteAccount(account)} className="text-red-600 hover:text-red-800">
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+          <p className="text-xs text-gray-500 mt-3">
+            Add members to an account from their profile page.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PricingSettings;
@@ -0,0 +1,77 @@
+// src/components/settings/TimeZoneSettings.jsx
+import React, { useState, useEffect } from "react";
+import { useAuth } from "../../context/AuthContext";
+import toast from "react-hot-toast";
+import { updateGymTimeZone } from "../../services/settingsService";
+import {
+  DEFAULT_TIME_ZONE,
+  getSupportedTimeZones,
+  getToday,
+  formatZonedTime,
+} from "../../utils/dateUtils";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent";
+
+const TimeZoneSettings = () => {
+  const { gymInfo, refreshGymInfo } = useAuth();
+  const [timeZone, setTimeZone] = useState(DEFAULT_TIME_ZONE);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (gymInfo?.timeZone) setTimeZone(gymInfo.timeZone);
+  }, [gymInfo]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await updateGymTimeZone(gymInfo.id, timeZone);
+      await refreshGymInfo();
+      toast.success("Time zone saved!");
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white shadow-sm rounded-lg p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-2">Time Zone</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        Decides which day check-ins, payments and due dates fall on, and when the nightly
+        overdue check and auto-logout run for this gym.
+      </p>
+
+      <form onSubmit={handleSubmit} className="flex flex-col md:flex-row md:items-end gap-4">
+        <div className="md:w-1/2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Gym time zone</label>
+          <select
+            value={timeZone}
+            onChange={(e) => setTimeZone(e.target.value)}
+            className={inputClass}
+          >
+            {getSupportedTimeZones().map((zone) => (
+              <option key={zone} value={zone}>
+                {zone}
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            It is now {formatZonedTime(new Date(), timeZone)} on {getToday(timeZone)} there.
+          </p>
+        </div>
+        <button
+          type="submit"
+          disabled={saving || timeZone === gymInfo?.timeZone}
+          className="bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save Time Zone"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default TimeZoneSettings;
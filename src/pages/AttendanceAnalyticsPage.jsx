@@ -0,0 +1,454 @@
+// src/pages/AttendanceAnalyticsPage.jsx - Peak hours, dwell time and attendance trends
+import React, { useState, useEffect, useCallback } from "react";
+import { useAuth } from "../context/AuthContext";
+import {
+  getAttendanceAnalytics,
+  WEEKDAY_LABELS,
+} from "../services/attendanceService";
+import { addDays, addMonths, daysBetween, getToday } from "../utils/dateUtils";
+import Layout from "../components/layout/Layout";
+import toast from "react-hot-toast";
+
+// Longest range loaded at once, since analytics read every session in it
+const MAX_RANGE_DAYS = 366;
+
+// Heatmap columns run Monday to Sunday
+const HEATMAP_WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+
+const COMPARE_OPTIONS = {
+  none: "No comparison",
+  previous: "Previous period",
+  last_year: "Same period last year",
+};
+
+const getComparisonRange = (range, compareWith) => {
+  if (compareWith === "previous") {
+    const length = daysBetween(range.startDate, range.endDate) + 1;
+    return {
+      startDate: addDays(range.startDate, -length),
+      endDate: addDays(range.startDate, -1),
+    };
+  }
+  if (compareWith === "last_year") {
+    return {
+      startDate: addMonths(range.startDate, -12),
+      endDate: addMonths(range.endDate, -12),
+    };
+  }
+  return null;
+};
+
+const formatHour = (hour) => {
+  const suffix = hour < 12 ? "AM" : "PM";
+  return `${hour % 12 || 12} ${suffix}`;
+};
+
+const formatMinutes = (minutes) => {
+  if (!minutes) return "-";
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+const formatDate = (dateString) => {
+  return new Date(`${dateString}T00:00:00Z`).toLocaleDateString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+};
+
+const ChangeBadge = ({ current, previous, format }) => {
+  if (previous === undefined || previous === null) return null;
+  if (!previous) {
+    return <span className="text-xs text-gray-500">No data to compare</span>;
+  }
+  const change = ((current - previous) / previous) * 100;
+  return (
+    <span
+      className={`text-xs font-medium ${
+        change > 0 ? "text-green-600" : change < 0 ? "text-red-600" : "text-gray-500"
+      }`}
+    >
+      {change > 0 ? "▲" : change < 0 ? "▼" : ""} {Math.abs(change).toFixed(1)}% vs{" "}
+      {format ? format(previous) : previous}
+    </span>
+  );
+};
+
+const AttendanceAnalyticsPage = () => {
+  const { gymInfo } = useAuth();
+  const today = getToday(gymInfo?.timeZone);
+  const [dateRange, setDateRange] = useState({
+    startDate: addDays(today, -27),
+    endDate: today,
+  });
+  const [compareWith, setCompareWith] = useState("previous");
+  const [analytics, setAnalytics] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchAnalytics = useCallback(async () => {
+    if (dateRange.startDate > dateRange.endDate) {
+      return toast.error("The start date must be before the end date.");
+    }
+    if (daysBetween(dateRange.startDate, dateRange.endDate) >= MAX_RANGE_DAYS) {
+      return toast.error("Choose a range of a year or less.");
+    }
+
+    try {
+      setLoading(true);
+      const comparisonRange = getComparisonRange(dateRange, compareWith);
+      const [analyticsData, comparisonData] = await Promise.all([
+        getAttendanceAnalytics(gymInfo.id, dateRange.startDate, dateRange.endDate),
+        comparisonRange
+          ? getAttendanceAnalytics(
+              gymInfo.id,
+              comparisonRange.startDate,
+              comparisonRange.endDate
+            )
+          : null,
+      ]);
+
+      setAnalytics(analyticsData);
+      setComparison(comparisonData);
+    } catch (error) {
+      toast.error("Failed to load attendance analytics");
+      console.error("Attendance analytics error:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [gymInfo, dateRange, compareWith]);
+
+  useEffect(() => {
+    if (gymInfo?.id) {
+      fetchAnalytics();
+    }
+  }, [gymInfo, fetchAnalytics]);
+
+  const setPreset = (days) => {
+    setDateRange({ startDate: addDays(today, -(days - 1)), endDate: today });
+  };
+
+  if (loading || !analytics) {
+    return (
+      <Layout>
+        <div className="flex items-center justify-center min-h-screen">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-600 mx-auto"></div>
+            <p className="mt-4 text-gray-600">Loading attendance analytics...</p>
+          </div>
+        </div>
+      </Layout>
+    );
+  }
+
+  // Only show the hours the gym is actually used in either range
+  const activeHours = [analytics, comparison]
+    .filter(Boolean)
+    .flatMap((data) => Object.keys(data.hourly).map(Number));
+  const firstHour = activeHours.length ? Math.min(...activeHours) : 6;
+  const lastHour = activeHours.length ? Math.max(...activeHours) : 21;
+  const hours = Array.from(
+    { length: lastHour - firstHour + 1 },
+    (_, index) => firstHour + index
+  );
+  const heatmapMax = Math.max(0, ...analytics.heatmap.flat());
+
+  const busiestWeekdays = [...analytics.byWeekday].sort(
+    (a, b) => b.averageCheckIns - a.averageCheckIns
+  );
+  const maxWeekdayAverage = Math.max(
+    0,
+    ...analytics.byWeekday.map((day) => day.averageCheckIns),
+    ...(comparison ? comparison.byWeekday.map((day) => day.averageCheckIns) : [])
+  );
+  const maxWeeklyCheckIns = Math.max(
+    0,
+    ...analytics.weeklyTrend.map((week) => week.checkIns)
+  );
+
+  const summaryCards = [
+    { label: "Check-ins", field: "totalCheckIns" },
+    { label: "Unique Members", field: "uniqueMembers" },
+    { label: "Average per Day", field: "averageDailyCheckIns" },
+    {
+      label: "Average Dwell Time",
+      field: "averageDwellMinutes",
+      format: formatMinutes,
+      note: `Median ${formatMinutes(analytics.medianDwellMinutes)}`,
+    },
+  ];
+
+  return (
+    <Layout>
+      <div className="p-6 max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Attendance Analytics</h1>
+              <p className="text-gray-600 mt-1">
+                Peak hours, dwell time and attendance trends for staffing the floor
+              </p>
+            </div>
+            <button
+              onClick={fetchAnalytics}
+              className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors flex items-center space-x-2"
+            >
+              <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+              </svg>
+              <span>Refresh</span>
+            </button>
+          </div>
+        </div>
+
+        {/* Date Range Selector */}
+        <div className="bg-white shadow-sm rounded-lg p-6 mb-6">
+          <div className="flex flex-col lg:flex-row lg:items-end gap-4">
+            <div className="flex items-center space-x-2">
+              {[7, 28, 91].map((days) => (
+                <button
+                  key={days}
+                  onClick={() => setPreset(days)}
+                  className="px-3 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50"
+                >
+                  Last {days === 7 ? "week" : `${days / 7} weeks`}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center space-x-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                <input
+                  type="date"
+                  value={dateRange.startDate}
+                  max={today}
+                  onChange={(e) => setDateRange({ ...dateRange, startDate: e.target.value })}
+                  className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                <input
+                  type="date"
+                  value={dateRange.endDate}
+                  max={today}
+                  onChange={(e) => setDateRange({ ...dateRange, endDate: e.target.value })}
+                  className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Compare with</label>
+              <select
+                value={compareWith}
+                onChange={(e) => setCompareWith(e.target.value)}
+                className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              >
+                {Object.entries(COMPARE_OPTIONS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {comparison && (
+            <p className="text-sm text-gray-500 mt-3">
+              Comparing {formatDate(analytics.startDate)} - {formatDate(analytics.endDate)} with{" "}
+              {formatDate(comparison.startDate)} - {formatDate(comparison.endDate)}
+            </p>
+          )}
+        </div>
+
+        {/* Summary Cards */}
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+          {summaryCards.map(({ label, field, format, note }) => (
+            <div key={field} className="bg-white rounded-lg shadow p-6">
+              <p className="text-sm font-medium text-gray-600">{label}</p>
+              <p className="text-2xl font-semibold text-gray-900">
+                {format ? format(analytics[field]) : analytics[field]}
+              </p>
+              {note && <p className="text-xs text-gray-500">{note}</p>}
+              {comparison && (
+                <ChangeBadge
+                  current={analytics[field]}
+                  previous={comparison[field]}
+                  format={format}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* Weekday x Hour Heatmap */}
+        <div className="bg-white rounded-lg shadow p-6 mb-8">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Check-ins by Weekday and Hour</h3>
+              <p className="text-sm text-gray-600">
+                Average check-ins per day, by the hour members arrived
+              </p>
+            </div>
+            {analytics.peakSlot && (
+              <p className="text-sm text-gray-700">
+                Busiest: <strong>{WEEKDAY_LABELS[analytics.peakSlot.weekday]}</strong> at{" "}
+                <strong>{formatHour(analytics.peakSlot.hour)}</strong> (
+                {analytics.peakSlot.average} on average)
+              </p>
+            )}
+          </div>
+
+          {analytics.totalCheckIns > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-xs">
+                <thead>
+                  <tr>
+                    <th className="px-2 py-1 text-left font-medium text-gray-500">Hour</th>
+                    {HEATMAP_WEEKDAYS.map((weekday) => (
+                      <th key={weekday} className="px-2 py-1 text-center font-medium text-gray-500">
+                        {WEEKDAY_LABELS[weekday].substring(0, 3)}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {hours.map((hour) => (
+                    <tr key={hour}>
+                      <td className="px-2 py-1 text-gray-600 whitespace-nowrap">{formatHour(hour)}</td>
+                      {HEATMAP_WEEKDAYS.map((weekday) => {
+                        const average = analytics.heatmap[weekday][hour];
+                        const intensity = heatmapMax ? average / heatmapMax : 0;
+                        return (
+                          <td key={weekday} className="p-0.5">
+                            <div
+                              title={`${WEEKDAY_LABELS[weekday]} ${formatHour(hour)}: ${average} on average`}
+                              className={`h-8 rounded flex items-center justify-center ${
+                                intensity > 0.6 ? "text-white" : "text-gray-700"
+                              }`}
+                              style={{
+                                backgroundColor: average
+                                  ? `rgba(22, 163, 74, ${0.1 + intensity * 0.9})`
+                                  : "#f3f4f6",
+                              }}
+                            >
+                              {average || ""}
+                            </div>
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-center py-8 text-sm text-gray-500">
+              No check-ins recorded in the selected date range.
+            </p>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
+          {/* Busiest Days */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Busiest Days</h3>
+            <p className="text-sm text-gray-600 mb-4">Average check-ins and dwell time per weekday</p>
+            <div className="space-y-4">
+              {busiestWeekdays.map((day) => {
+                const previous = comparison?.byWeekday[day.weekday];
+                return (
+                  <div key={day.weekday} className="space-y-1">
+                    <div className="flex justify-between items-center">
+                      <span className="text-sm font-medium text-gray-700">{day.label}</span>
+                      <span className="text-sm text-gray-600">
+                        {day.averageCheckIns} / day · {formatMinutes(day.averageDwellMinutes)}
+                      </span>
+                    </div>
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                      <div
+                        className="bg-green-600 h-2 rounded-full transition-all duration-300"
+                        style={{
+                          width: `${maxWeekdayAverage ? (day.averageCheckIns / maxWeekdayAverage) * 100 : 0}%`,
+                        }}
+                      ></div>
+                    </div>
+                    {previous && (
+                      <div className="w-full bg-gray-100 rounded-full h-1">
+                        <div
+                          className="bg-gray-400 h-1 rounded-full transition-all duration-300"
+                          style={{
+                            width: `${maxWeekdayAverage ? (previous.averageCheckIns / maxWeekdayAverage) * 100 : 0}%`,
+                          }}
+                        ></div>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            {comparison && (
+              <p className="text-xs text-gray-500 mt-4">Grey bars show the comparison period.</p>
+            )}
+
+            {analytics.busiestDates.length > 0 && (
+              <div className="mt-6">
+                <h4 className="text-sm font-semibold text-gray-900 mb-2">Busiest Dates</h4>
+                <ul className="divide-y divide-gray-100">
+                  {analytics.busiestDates.map((day) => (
+                    <li key={day.date} className="py-2 flex justify-between text-sm">
+                      <span className="text-gray-700">{formatDate(day.date)}</span>
+                      <span className="text-gray-600">
+                        {day.checkIns} check-ins · {day.uniqueMembers} members
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+
+          {/* Weekly Trend */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Weekly Trend</h3>
+            <p className="text-sm text-gray-600 mb-4">Weeks start on Monday</p>
+            <div className="space-y-4">
+              {analytics.weeklyTrend.map((week) => (
+                <div key={week.weekStart} className="space-y-1">
+                  <div className="flex justify-between items-center">
+                    <span className="text-sm font-medium text-gray-700">
+                      {formatDate(week.weekStart)}
+                      {week.days < 7 && (
+                        <span className="text-xs text-gray-500"> ({week.days} days)</span>
+                      )}
+                    </span>
+                    <span className="text-sm text-gray-600">
+                      {week.checkIns} check-ins · {week.uniqueMembers} members ·{" "}
+                      {formatMinutes(week.averageDwellMinutes)}
+                    </span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div
+                      className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                      style={{
+                        width: `${maxWeeklyCheckIns ? (week.checkIns / maxWeeklyCheckIns) * 100 : 0}%`,
+                      }}
+                    ></div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <p className="text-xs text-gray-500">
+          Dwell times leave out estimated check-outs from auto-logout and members still in the gym.
+        </p>
+      </div>
+    </Layout>
+  );
+};
+
+export default AttendanceAnalyticsPage;
@@ -2,6 +2,7 @@
 import React, { useState, useEffect, useCallback, useRef } from "react";
 import { useAuth } from "../context/AuthContext";
 import Layout from "../components/layout/Layout";
+import OccupancyPanel from "../components/attendance/OccupancyPanel";
 import toast from "react-hot-toast";
 import {
   getAttendanceForDate,
@@ -10,15 +11,21 @@ import {
   searchAttendanceRecords,
   searchGroupedAttendanceRecords,
   recordAttendance,
+  updateAttendanceSession,
+  checkOutAttendanceSession,
+  subscribeToAccessAttempts,
+  SESSION_SOURCES,
 } from "../services/attendanceService";
+import { ACCESS_REASONS } from "../services/settingsService";
 import { getMembersForGym } from "../services/memberService";
+import { formatZonedTime, getToday, zonedTimeToDate } from "../utils/dateUtils";
 
 const AttendancePage = () => {
-  const { gymInfo } = useAuth();
+  const { user, gymInfo } = useAuth();
 
   // State management
   const [selectedDate, setSelectedDate] = useState(() => {
-    return new Date().toISOString().split("T")[0];
+    return getToday(gymInfo?.timeZone);
   });
   const [attendanceData, setAttendanceData] = useState([]);
   const [groupedAttendanceData, setGroupedAttendanceData] = useState([]);
@@ -37,6 +44,14 @@ const AttendancePage = () => {
     useState(false);
   const [selectedMemberForManual, setSelectedMemberForManual] = useState(null);
   const [members, setMembers] = useState([]);
+  const [editingSession, setEditingSession] = useState(null);
+  const [sessionForm, setSessionForm] = useState({
+    checkIn: "",
+    checkOut: "",
+    reason: "",
+  });
+  const [savingSession, setSavingSession] = useState(false);
+  const [accessAttempts, setAccessAttempts] = useState([]);
 
   // Refs for real-time listeners
   const attendanceListeners = useRef(new Map());
@@ -44,9 +59,15 @@ const AttendancePage = () => {
   const isInitialLoad = useRef(true);
 
   const isToday = useCallback((dateString) => {
-    const today = new Date().toISOString().split("T")[0];
+    const today = getToday(gymInfo?.timeZone);
     return dateString === today;
-  }, []);
+  }, [gymInfo?.timeZone]);
+
+  // Warned and denied scanner attempts for the selected date
+  useEffect(() => {
+    if (!gymInfo?.id) return;
+    return subscribeToAccessAttempts(gymInfo.id, selectedDate, setAccessAttempts);
+  }, [gymInfo?.id, selectedDate]);
   // Function to fetch members for the dropdown
   const fetchMembers = useCallback(async () => {
     if (!gymInfo?.id) return;
@@ -93,6 +114,80 @@ const AttendancePage = () => {
       toast.error("Failed to record manual check-in: " + error.message);
     }
   };
+
+  // Session times are edited as HH:MM on the session's day, in the gym's time zone
+  const toTimeInput = (date) =>
+    date
+      ? formatZonedTime(date, gymInfo?.timeZone, {
+          hour12: undefined,
+          hourCycle: "h23",
+        })
+      : "";
+
+  const openSessionEditor = (session, memberName) => {
+    setEditingSession({ ...session, memberName });
+    setSessionForm({
+      checkIn: toTimeInput(session.checkInTime),
+      checkOut: toTimeInput(session.checkOutTime),
+      reason: "",
+    });
+  };
+
+  const handleSaveSession = async (e) => {
+    e.preventDefault();
+    const { date } = editingSession;
+    setSavingSession(true);
+    try {
+      await updateAttendanceSession(gymInfo.id, editingSession.sessionId, date, {
+        checkInTime: zonedTimeToDate(`${date} ${sessionForm.checkIn}`, gymInfo.timeZone),
+        checkOutTime: sessionForm.checkOut
+          ? zonedTimeToDate(`${date} ${sessionForm.checkOut}`, gymInfo.timeZone)
+          : null,
+        reason: sessionForm.reason.trim(),
+        editedBy: user?.email || "admin",
+      });
+      toast.success("Session updated!");
+      setEditingSession(null);
+      fetchAttendanceData(false);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSavingSession(false);
+    }
+  };
+
+  const handleCheckOutSession = async (session) => {
+    try {
+      await checkOutAttendanceSession(
+        gymInfo.id,
+        session.sessionId,
+        session.date,
+        user?.email || "admin"
+      );
+      toast.success("Member checked out!");
+      fetchAttendanceData(false);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleReopenSession = async (session) => {
+    if (!window.confirm("Reopen this session? The member will show as in the gym.")) {
+      return;
+    }
+    try {
+      await updateAttendanceSession(gymInfo.id, session.sessionId, session.date, {
+        checkInTime: session.checkInTime,
+        checkOutTime: null,
+        reason: "Reopened after auto-logout",
+        editedBy: user?.email || "admin",
+      });
+      toast.success("Session reopened!");
+      fetchAttendanceData(false);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
   // Real-time attendance data fetcher
   const fetchAttendanceData = useCallback(
     async (showLoading = true) => {
@@ -172,7 +267,7 @@ const AttendancePage = () => {
     if (!gymInfo?.id) return;
 
     // Import Firebase functions dynamically
-    const { collection, onSnapshot, query } = await import(
+    const { collection, onSnapshot, query, where, documentId } = await import(
       "firebase/firestore"
     );
     const { db } = await import("../services/firebase");
@@ -188,67 +283,66 @@ const AttendancePage = () => {
     console.log("🔄 Setting up real-time listeners for attendance changes...");
 
     try {
-      // Listen to ALL attendance documents for the current gym
-      const attendanceCollectionRef = collection(
-        db,
-        "gyms",
-        gymInfo.id,
-        "attendance"
-      );
-      const attendanceQuery = query(attendanceCollectionRef);
-
-      const unsubscribeAttendance = onSnapshot(
-        attendanceQuery,
-        (snapshot) => {
-          console.log("🔥 Real-time update detected in attendance collection!");
-
-          // Check if any changes are relevant to our current date
-          let hasRelevantChanges = false;
-          const targetDatePrefix = selectedDate;
-
-          snapshot.docChanges().forEach((change) => {
-            const docId = change.doc.id;
-
-            // Check if this document is for our current selected date
-            if (docId.startsWith(targetDatePrefix)) {
-              hasRelevantChanges = true;
-
-              if (change.type === "added") {
-                console.log(`✅ New attendance record added: ${docId}`);
-              } else if (change.type === "modified") {
-                console.log(`📝 Attendance record updated: ${docId}`);
-              } else if (change.type === "removed") {
-                console.log(`🗑️ Attendance record removed: ${docId}`);
-              }
-            }
-          });
-
-          // Only refresh if there are relevant changes for our selected date
-          if (hasRelevantChanges) {
-            console.log(
-              "🔄 Refreshing attendance data due to relevant changes..."
-            );
-            fetchAttendanceData(false); // Don't show loading spinner
-
-            // Also update today's summary if we're viewing today
-            if (isToday(selectedDate)) {
-              fetchTodaySummary();
-            }
+      const handleSnapshot = (snapshot) => {
+        console.log("🔥 Real-time update detected in attendance!");
+
+        snapshot.docChanges().forEach((change) => {
+          const docId = change.doc.id;
+          if (change.type === "added") {
+            console.log(`✅ New attendance record added: ${docId}`);
+          } else if (change.type === "modified") {
+            console.log(`📝 Attendance record updated: ${docId}`);
+          } else if (change.type === "removed") {
+            console.log(`🗑️ Attendance record removed: ${docId}`);
           }
-        },
-        (error) => {
-          console.error("❌ Real-time listener error:", error);
-          toast.error(
-            "Real-time updates disconnected. Click refresh to reload.",
-            {
-              duration: 8000,
-            }
+        });
+
+        // Both queries only cover the selected date, so every change is relevant
+        if (snapshot.docChanges().length > 0) {
+          console.log(
+            "🔄 Refreshing attendance data due to relevant changes..."
           );
+          fetchAttendanceData(false); // Don't show loading spinner
+
+          // Also update today's summary if we're viewing today
+          if (isToday(selectedDate)) {
+            fetchTodaySummary();
+          }
         }
+      };
+
+      const handleSnapshotError = (error) => {
+        console.error("❌ Real-time listener error:", error);
+        toast.error(
+          "Real-time updates disconnected. Click refresh to reload.",
+          {
+            duration: 8000,
+          }
+        );
+      };
+
+      // Session documents for the selected date
+      const sessionsQuery = query(
+        collection(db, "gyms", gymInfo.id, "attendanceSessions"),
+        where("date", "==", selectedDate)
       );
 
-      // Store the unsubscribe function
-      attendanceListeners.current.set("attendance", unsubscribeAttendance);
+      // Legacy attendance documents ({YYYY-MM-DD}_{memberId}) for the selected date
+      const legacyAttendanceQuery = query(
+        collection(db, "gyms", gymInfo.id, "attendance"),
+        where(documentId(), ">=", `${selectedDate}_`),
+        where(documentId(), "<", `${selectedDate}_\uf8ff`)
+      );
+
+      // Store the unsubscribe functions
+      attendanceListeners.current.set(
+        "sessions",
+        onSnapshot(sessionsQuery, handleSnapshot, handleSnapshotError)
+      );
+      attendanceListeners.current.set(
+        "attendance",
+        onSnapshot(legacyAttendanceQuery, handleSnapshot, handleSnapshotError)
+      );
 
       // Show real-time status
       toast.success(
@@ -400,15 +494,11 @@ const AttendancePage = () => {
 
     try {
       const date = timestamp instanceof Date ? timestamp : new Date(timestamp);
-      return date.toLocaleTimeString("en-US", {
-        hour: "2-digit",
-        minute: "2-digit",
-        hour12: true,
-      });
+      return formatZonedTime(date, gymInfo?.timeZone);
     } catch (error) {
       return "-";
     }
-  }, []);
+  }, [gymInfo?.timeZone]);
 
   const formatDuration = useCallback((minutes) => {
     if (!minutes || minutes <= 0) return "-";
@@ -642,6 +732,50 @@ const AttendancePage = () => {
           </div>
         )}
 
+        {/* Live occupancy - Only show for today */}
+        {isToday(selectedDate) && (
+          <div className="mb-6">
+            <OccupancyPanel />
+          </div>
+        )}
+
+        {/* Scanner access warnings and denials */}
+        {accessAttempts.length > 0 && (
+          <div className="bg-white shadow-sm rounded-lg p-6 mb-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">
+              Scanner Access Alerts ({accessAttempts.length})
+            </h3>
+            <ul className="divide-y divide-gray-100 max-h-64 overflow-y-auto">
+              {accessAttempts.map((attempt) => (
+                <li key={attempt.id} className="py-2 flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {attempt.memberName}
+                      <span className="ml-2 text-xs font-normal text-gray-500">
+                        ID: {attempt.gymMemberId}
+                      </span>
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {ACCESS_REASONS[attempt.reason] || attempt.reason}
+                      {attempt.deviceId && ` • ${attempt.deviceId}`}
+                      {attempt.attemptedAt && ` • ${formatTime(attempt.attemptedAt)}`}
+                    </p>
+                  </div>
+                  <span
+                    className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+                      attempt.decision === "deny"
+                        ? "bg-red-100 text-red-800"
+                        : "bg-yellow-100 text-yellow-800"
+                    }`}
+                  >
+                    {attempt.decision === "deny" ? "Denied" : "Warned"}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Controls */}
         <div className="bg-white shadow-sm rounded-lg p-6 mb-6">
           <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
@@ -917,8 +1051,18 @@ const AttendancePage = () => {
                                       </div>
                                       <div>
                                         <div className="text-sm font-medium text-gray-900">
-                                          {session.sessionId ||
-                                            `Session ${index + 1}`}
+                                          Session {index + 1}
+                                          <span className="ml-2 text-xs font-normal text-gray-500">
+                                            {SESSION_SOURCES[session.source] ||
+                                              session.source}
+                                            {session.checkOutSource ===
+                                              "auto_logout" && " • Auto-logout"}
+                                            {session.checkOutImputed &&
+                                              " (estimated check-out)"}
+                                            {session.checkOutSource === "manual" &&
+                                              " • Manual check-out"}
+                                            {session.edited && " • Edited"}
+                                          </span>
                                         </div>
                                         <div className="text-xs text-gray-500">
                                           Check-in:{" "}
@@ -934,6 +1078,7 @@ const AttendancePage = () => {
                                             <>
                                               {" "}
                                               • Duration:{" "}
+                                              {session.checkOutImputed && "~"}
                                               {formatDuration(session.duration)}
                                             </>
                                           )}
@@ -952,6 +1097,30 @@ const AttendancePage = () => {
                                           ? "Completed"
                                           : "Active"}
                                       </span>
+                                      {!session.checkOutTime && (
+                                        <button
+                                          onClick={() => handleCheckOutSession(session)}
+                                          className="text-xs text-blue-600 hover:text-blue-800 font-medium"
+                                        >
+                                          Check out
+                                        </button>
+                                      )}
+                                      {session.checkOutSource === "auto_logout" && (
+                                        <button
+                                          onClick={() => handleReopenSession(session)}
+                                          className="text-xs text-orange-600 hover:text-orange-800 font-medium"
+                                        >
+                                          Reopen
+                                        </button>
+                                      )}
+                                      <button
+                                        onClick={() =>
+                                          openSessionEditor(session, memberGroup.memberName)
+                                        }
+                                        className="text-xs text-gray-600 hover:text-gray-900 font-medium"
+                                      >
+                                        Edit
+                                      </button>
                                     </div>
                                   </div>
                                 ))}
@@ -1018,6 +1187,9 @@ const AttendancePage = () => {
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                         {formatTime(record.checkOutTime)}
+                        {record.checkOutImputed && (
+                          <span className="ml-1 text-xs text-gray-500">(estimated)</span>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <span
@@ -1108,6 +1280,107 @@ const AttendancePage = () => {
             </div>
           </div>
         )}
+        {/* Session Edit Modal */}
+        {editingSession && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-md mx-4">
+              <h3 className="text-lg font-medium text-gray-900 mb-1">Edit Session</h3>
+              <p className="text-sm text-gray-500 mb-4">
+                {editingSession.memberName} on {editingSession.date}
+              </p>
+
+              <form onSubmit={handleSaveSession} className="space-y-4">
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Check-in
+                    </label>
+                    <input
+                      type="time"
+                      required
+                      value={sessionForm.checkIn}
+                      onChange={(e) =>
+                        setSessionForm({ ...sessionForm, checkIn: e.target.value })
+                      }
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Check-out
+                    </label>
+                    <input
+                      type="time"
+                      value={sessionForm.checkOut}
+                      onChange={(e) =>
+                        setSessionForm({ ...sessionForm, checkOut: e.target.value })
+                      }
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500">
+                  Leave check-out empty to keep the session open.
+                </p>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Reason
+                  </label>
+                  <input
+                    type="text"
+                    value={sessionForm.reason}
+                    onChange={(e) =>
+                      setSessionForm({ ...sessionForm, reason: e.target.value })
+                    }
+                    placeholder="e.g. Forgot to scan out"
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+
+                {editingSession.edits?.length > 0 && (
+                  <div className="p-3 bg-gray-50 rounded-lg text-xs text-gray-600 space-y-1">
+                    <p className="font-medium text-gray-700">Edit history</p>
+                    {editingSession.edits.map((edit, index) => (
+                      <p key={index}>
+                        {edit.editedBy}
+                        {edit.editedAt && ` at ${formatTime(edit.editedAt)}`}:{" "}
+                        {Object.entries(edit.changes || {})
+                          .map(([field, change]) =>
+                            field === "checkOutSource"
+                              ? null
+                              : `${field === "checkInAt" ? "in" : "out"} ${formatTime(
+                                  change.from?.toDate?.()
+                                )} → ${formatTime(change.to?.toDate?.())}`
+                          )
+                          .filter(Boolean)
+                          .join(", ")}
+                        {edit.reason && ` (${edit.reason})`}
+                      </p>
+                    ))}
+                  </div>
+                )}
+
+                <div className="flex space-x-3 pt-2">
+                  <button
+                    type="button"
+                    onClick={() => setEditingSession(null)}
+                    className="flex-1 px-4 py-2 text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={savingSession}
+                    className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {savingSession ? "Saving..." : "Save Session"}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
         {/* Manual Attendance Modal - REPLACE THE EXISTING MODAL */}
         {isManualAttendanceModalOpen && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
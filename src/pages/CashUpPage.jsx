@@ -0,0 +1,464 @@
+// src/pages/CashUpPage.jsx - Daily cash-up and end-of-shift reconciliation
+import React, { useState, useEffect } from "react";
+import { useAuth } from "../context/AuthContext";
+import {
+  getCashUpReport,
+  getRecentCashUps,
+  recordShiftCount,
+  closeDay,
+  calculateVariance,
+  COUNTED_METHODS,
+} from "../services/cashUpService";
+import { formatReceiptNumber } from "../services/paymentService";
+import { getToday } from "../utils/dateUtils";
+import Layout from "../components/layout/Layout";
+import toast from "react-hot-toast";
+
+const EMPTY_COUNT = { Cash: "", Card: "", notes: "" };
+
+const CashUpPage = () => {
+  const { user, gymInfo } = useAuth();
+  const [date, setDate] = useState(getToday(gymInfo?.timeZone));
+  const [report, setReport] = useState(null);
+  const [recentCashUps, setRecentCashUps] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [closeForm, setCloseForm] = useState(EMPTY_COUNT);
+  // { staff, Cash, Card, notes } while the shift count modal is open
+  const [shiftForm, setShiftForm] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!gymInfo?.id) return;
+
+    const fetchReport = async () => {
+      try {
+        setLoading(true);
+        const [reportData, recent] = await Promise.all([
+          getCashUpReport(gymInfo.id, date),
+          getRecentCashUps(gymInfo.id),
+        ]);
+        setReport(reportData);
+        setRecentCashUps(recent);
+        setCloseForm(EMPTY_COUNT);
+      } catch (error) {
+        toast.error(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReport();
+  }, [gymInfo, date, reloadKey]);
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat("en-LK", {
+      style: "currency",
+      currency: "LKR",
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(amount || 0);
+  };
+
+  const getVarianceColor = (variance) => {
+    if (variance === 0) return "text-green-600";
+    return variance > 0 ? "text-blue-600" : "text-red-600";
+  };
+
+  const getEntryLabel = (entry) => {
+    if (entry.type === "void") return "Void";
+    if (entry.type === "refund") return "Refund";
+    return "Payment";
+  };
+
+  const toCounted = (form) => ({
+    Cash: parseFloat(form.Cash) || 0,
+    Card: parseFloat(form.Card) || 0,
+  });
+
+  const handleCloseDay = async (e) => {
+    e.preventDefault();
+    if (closeForm.Cash === "" || closeForm.Card === "") {
+      return toast.error("Please enter the counted cash and card totals.");
+    }
+
+    const variance = calculateVariance(report.summary.byMethod, toCounted(closeForm));
+    const hasVariance = COUNTED_METHODS.some((method) => variance[method] !== 0);
+    const message = hasVariance
+      ? `The count does not match (cash ${formatCurrency(variance.Cash)}, card ${formatCurrency(variance.Card)}). Close ${date} anyway? Payments for the day will be locked.`
+      : `Close ${date}? Payments for the day will be locked.`;
+    if (!window.confirm(message)) return;
+
+    try {
+      await closeDay(gymInfo.id, date, {
+        counted: toCounted(closeForm),
+        notes: closeForm.notes,
+        closedBy: user?.email || "admin",
+      });
+      toast.success(`${date} closed`);
+      setReloadKey((key) => key + 1);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleRecordShift = async (e) => {
+    e.preventDefault();
+    try {
+      await recordShiftCount(gymInfo.id, date, {
+        staff: shiftForm.staff,
+        counted: toCounted(shiftForm),
+        notes: shiftForm.notes,
+        recordedBy: user?.email || "admin",
+      });
+      toast.success(`Shift count recorded for ${shiftForm.staff}`);
+      setShiftForm(null);
+      setReloadKey((key) => key + 1);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const summary = report?.summary;
+  const cashUp = report?.cashUp;
+  const isClosed = Boolean(cashUp?.closed);
+  const previewVariance = summary
+    ? calculateVariance(summary.byMethod, toCounted(closeForm))
+    : {};
+
+  return (
+    <Layout>
+      <div className="p-6 max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Cash-up</h1>
+            <p className="text-gray-600 mt-2">
+              Reconcile the day's takings by payment method and staff member
+            </p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <input
+              type="date"
+              value={date}
+              max={getToday(gymInfo?.timeZone)}
+              onChange={(e) => setDate(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+            />
+            {isClosed && (
+              <span className="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-gray-800 text-white">
+                🔒 Closed
+              </span>
+            )}
+          </div>
+        </div>
+
+        {loading || !report ? (
+          <div className="flex items-center justify-center py-24">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-600"></div>
+          </div>
+        ) : (
+          <>
+            {/* Summary Cards */}
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+              <div className="bg-white rounded-lg shadow p-6">
+                <p className="text-sm font-medium text-gray-600">Net Takings</p>
+                <p className="text-2xl font-semibold text-gray-900">{formatCurrency(summary.total)}</p>
+                <p className="text-xs text-gray-500">{summary.count} ledger entries</p>
+              </div>
+              {COUNTED_METHODS.map((method) => (
+                <div key={method} className="bg-white rounded-lg shadow p-6">
+                  <p className="text-sm font-medium text-gray-600">Expected {method}</p>
+                  <p className="text-2xl font-semibold text-gray-900">
+                    {formatCurrency(summary.byMethod[method])}
+                  </p>
+                </div>
+              ))}
+              <div className="bg-white rounded-lg shadow p-6">
+                <p className="text-sm font-medium text-gray-600">Other Methods</p>
+                <p className="text-2xl font-semibold text-gray-900">
+                  {formatCurrency(
+                    Object.entries(summary.byMethod)
+                      .filter(([method]) => !COUNTED_METHODS.includes(method))
+                      .reduce((sum, [, amount]) => sum + amount, 0)
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">Bank transfers and wallets</p>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
+              {/* By Method */}
+              <div className="bg-white rounded-lg shadow p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">By Payment Method</h3>
+                {Object.keys(summary.byMethod).length === 0 ? (
+                  <p className="text-sm text-gray-500">No payments recorded on {date}.</p>
+                ) : (
+                  <div className="space-y-2">
+                    {Object.entries(summary.byMethod).map(([method, amount]) => (
+                      <div key={method} className="flex justify-between text-sm">
+                        <span className="text-gray-700">{method}</span>
+                        <span className="font-medium text-gray-900">{formatCurrency(amount)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {/* By Staff */}
+              <div className="bg-white rounded-lg shadow p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">By Staff Member</h3>
+                {Object.keys(summary.byStaff).length === 0 ? (
+                  <p className="text-sm text-gray-500">No payments recorded on {date}.</p>
+                ) : (
+                  <div className="space-y-4">
+                    {Object.entries(summary.byStaff).map(([staff, group]) => (
+                      <div key={staff} className="border border-gray-200 rounded-lg p-3">
+                        <div className="flex justify-between items-center">
+                          <div>
+                            <p className="text-sm font-medium text-gray-900">{staff}</p>
+                            <p className="text-xs text-gray-500">
+                              {group.count} entries ·{" "}
+                              {Object.entries(group.byMethod)
+                                .map(([method, amount]) => `${method} ${formatCurrency(amount)}`)
+                                .join(" · ")}
+                            </p>
+                          </div>
+                          <div className="text-right">
+                            <p className="text-sm font-semibold text-gray-900">{formatCurrency(group.total)}</p>
+                            {!isClosed && (
+                              <button
+                                onClick={() => setShiftForm({ staff, ...EMPTY_COUNT })}
+                                className="text-xs text-blue-600 hover:text-blue-800"
+                              >
+                                Count shift
+                              </button>
+                            )}
+                          </div>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {report.shifts.length > 0 && (
+                  <div className="mt-6">
+                    <h4 className="text-sm font-medium text-gray-700 mb-2">Shift Counts</h4>
+                    <div className="space-y-2">
+                      {report.shifts.map((shift) => (
+                        <div key={shift.id} className="text-xs text-gray-600 flex justify-between">
+                          <span>
+                            {shift.staff} · counted by {shift.recordedBy}
+                            {shift.notes ? ` · ${shift.notes}` : ""}
+                          </span>
+                          <span>
+                            {COUNTED_METHODS.map((method) => (
+                              <span key={method} className={`ml-2 ${getVarianceColor(shift.variance[method])}`}>
+                                {method} {formatCurrency(shift.variance[method])}
+                              </span>
+                            ))}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            {/* Close Day / Closed Summary */}
+            <div className="bg-white rounded-lg shadow p-6 mb-8">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                {isClosed ? "Day Closed" : "Close the Day"}
+              </h3>
+
+              {isClosed ? (
+                <div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {COUNTED_METHODS.map((method) => (
+                      <div key={method} className="border border-gray-200 rounded-lg p-4 text-sm space-y-1">
+                        <p className="font-medium text-gray-900">{method}</p>
+                        <p className="text-gray-600">Expected: {formatCurrency(cashUp.expected[method])}</p>
+                        <p className="text-gray-600">Counted: {formatCurrency(cashUp.counted[method])}</p>
+                        <p className={`font-semibold ${getVarianceColor(cashUp.variance[method])}`}>
+                          Variance: {formatCurrency(cashUp.variance[method])}
+                        </p>
+                      </div>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-4">
+                    Closed by {cashUp.closedBy} on {new Date(cashUp.closedAt).toLocaleString()}
+                    {cashUp.notes ? ` · ${cashUp.notes}` : ""}. Payments dated {date} can no longer be
+                    recorded or voided.
+                  </p>
+                </div>
+              ) : (
+                <form onSubmit={handleCloseDay} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                  {COUNTED_METHODS.map((method) => (
+                    <div key={method}>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Counted {method} (LKR)
+                      </label>
+                      <input
+                        type="number"
+                        value={closeForm[method]}
+                        onChange={(e) => setCloseForm({ ...closeForm, [method]: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                        min="0"
+                        step="0.01"
+                      />
+                      {closeForm[method] !== "" && (
+                        <p className={`text-xs mt-1 ${getVarianceColor(previewVariance[method])}`}>
+                          Variance {formatCurrency(previewVariance[method])}
+                        </p>
+                      )}
+                    </div>
+                  ))}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                    <input
+                      type="text"
+                      value={closeForm.notes}
+                      onChange={(e) => setCloseForm({ ...closeForm, notes: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                      placeholder="Optional"
+                    />
+                  </div>
+                  <button
+                    type="submit"
+                    className="bg-gray-800 text-white font-semibold py-2 px-4 rounded-md hover:bg-gray-900 transition-colors"
+                  >
+                    Close Day
+                  </button>
+                </form>
+              )}
+            </div>
+
+            {/* Entries */}
+            <div className="bg-white rounded-lg shadow mb-8">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h3 className="text-lg font-semibold text-gray-900">Entries on {date}</h3>
+              </div>
+              {report.entries.length === 0 ? (
+                <p className="p-6 text-sm text-gray-500">No payments recorded on {date}.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Receipt</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Member</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Method</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Staff</th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {report.entries.map((entry) => (
+                        <tr key={entry.id}>
+                          <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-600">
+                            {entry.receiptNumber ? formatReceiptNumber(entry.receiptNumber) : "-"}
+                          </td>
+                          <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{entry.memberName}</td>
+                          <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-600">{getEntryLabel(entry)}</td>
+                          <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-600">{entry.method || "Cash"}</td>
+                          <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-600">{entry.recordedBy || "admin"}</td>
+                          <td className={`px-6 py-3 whitespace-nowrap text-sm text-right font-medium ${entry.amount < 0 ? "text-red-600" : "text-gray-900"}`}>
+                            {formatCurrency(entry.amount)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            {/* Recent Cash-ups */}
+            {recentCashUps.length > 0 && (
+              <div className="bg-white rounded-lg shadow p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Recent Cash-ups</h3>
+                <div className="space-y-2">
+                  {recentCashUps.map((day) => (
+                    <button
+                      key={day.id}
+                      onClick={() => setDate(day.date)}
+                      className="w-full flex justify-between items-center text-sm border border-gray-200 rounded-lg p-3 hover:bg-gray-50"
+                    >
+                      <span className="font-medium text-gray-900">{day.date}</span>
+                      <span className="text-gray-600">{formatCurrency(day.total)}</span>
+                      <span>
+                        {COUNTED_METHODS.map((method) => (
+                          <span key={method} className={`ml-3 ${getVarianceColor(day.variance[method])}`}>
+                            {method} {formatCurrency(day.variance[method])}
+                          </span>
+                        ))}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+
+        {/* Shift Count Modal */}
+        {shiftForm && (
+          <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+            <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">
+                Count Shift - {shiftForm.staff}
+              </h3>
+              <form onSubmit={handleRecordShift} className="space-y-4">
+                {COUNTED_METHODS.map((method) => (
+                  <div key={method}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Counted {method} (expected{" "}
+                      {formatCurrency(summary.byStaff[shiftForm.staff]?.byMethod[method])})
+                    </label>
+                    <input
+                      type="number"
+                      value={shiftForm[method]}
+                      onChange={(e) => setShiftForm({ ...shiftForm, [method]: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                      min="0"
+                      step="0.01"
+                      required
+                    />
+                  </div>
+                ))}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                  <input
+                    type="text"
+                    value={shiftForm.notes}
+                    onChange={(e) => setShiftForm({ ...shiftForm, notes: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                    placeholder="Optional"
+                  />
+                </div>
+                <div className="flex justify-end space-x-3 pt-2">
+                  <button
+                    type="button"
+                    onClick={() => setShiftForm(null)}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700"
+                  >
+                    Record Count
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default CashUpPage;
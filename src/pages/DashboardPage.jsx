@@ -4,11 +4,14 @@ import { useNavigate } from "react-router-dom";
 import toast from "react-hot-toast";
 import { useAuth } from "../context/AuthContext";
 import Layout from "../components/layout/Layout";
+import OccupancyPanel from "../components/attendance/OccupancyPanel";
+import RetentionPanel from "../components/members/RetentionPanel";
 import {
   getDashboardStats,
   getRecentAttendanceData,
   getRecentMemberActivities,
 } from "../services/dashboardService";
+import { formatZonedTime } from "../utils/dateUtils";
 
 const DashboardPage = () => {
   const { user, gymInfo } = useAuth();
@@ -94,11 +97,7 @@ const DashboardPage = () => {
     try {
       // Handle Firestore timestamp
       const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
-      return date.toLocaleTimeString("en-US", {
-        hour: "2-digit",
-        minute: "2-digit",
-        hour12: true,
-      });
+      return formatZonedTime(date, gymInfo?.timeZone);
     } catch (error) {
       return "Unknown";
     }
@@ -592,6 +591,11 @@ const DashboardPage = () => {
           </div>
         </div>
 
+        {/* Live Occupancy */}
+        <div className="mb-8">
+          <OccupancyPanel />
+        </div>
+
         {/* Weekly Attendance Chart */}
         {recentAttendance.length > 0 && (
           <div className="bg-white shadow rounded-lg mb-8">
@@ -642,6 +646,11 @@ const DashboardPage = () => {
           </div>
         )}
 
+        {/* Member Retention */}
+        <div className="mb-8">
+          <RetentionPanel />
+        </div>
+
         {/* System Status */}
         <div className="bg-white shadow rounded-lg">
           <div className="px-4 py-5 sm:p-6">
@@ -0,0 +1,18 @@
+// src/pages/DevicesPage.jsx
+import React from "react";
+import Layout from "../components/layout/Layout";
+import DeviceManagement from "../components/devices/DeviceManagement";
+import PendingTemplateDeletions from "../components/devices/PendingTemplateDeletions";
+
+const DevicesPage = () => {
+  return (
+    <Layout>
+      <div className="p-6 max-w-7xl mx-auto space-y-6">
+        <DeviceManagement />
+        <PendingTemplateDeletions />
+      </div>
+    </Layout>
+  );
+};
+
+export default DevicesPage;
@@ -1,19 +1,21 @@
 // src/pages/EnrollmentPage.jsx - Dedicated Enrollment Page
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import Layout from "../components/layout/Layout";
 import toast from "react-hot-toast";
 import {
   createMemberAndStartEnrollment,
-  listenToEnrollmentStatus,
   cancelEnrollment,
   getAvailableDevices,
 } from "../services/enrollmentService";
-import { getMembershipTiers } from "../services/settingsService";
+import {
+  getMembershipTiers,
+  getTierDurationLabel,
+} from "../services/settingsService";
 
 const EnrollmentPage = () => {
-  const { gymInfo } = useAuth();
+  const { user, gymInfo } = useAuth();
   const navigate = useNavigate();
 
   // Form state
@@ -35,8 +37,8 @@ const EnrollmentPage = () => {
   const [devices, setDevices] = useState([]);
   const [selectedDevice, setSelectedDevice] = useState("fingerprint_scanner_1");
 
-  // Real-time listener
-  const [unsubscribe, setUnsubscribe] = useState(null);
+  // The queued enroll command, needed to cancel it
+  const commandIdRef = useRef(null);
   const [membershipTiers, setMembershipTiers] = useState([]);
 
   // Load available devices on component mount
@@ -69,14 +71,6 @@ const EnrollmentPage = () => {
       return () => clearTimeout(redirectTimer);
     }
   }, [enrollmentState, assignedFingerprintId, navigate, formData.Name]);
-  // Cleanup listener on unmount
-  useEffect(() => {
-    return () => {
-      if (unsubscribe) {
-        unsubscribe();
-      }
-    };
-  }, [unsubscribe]);
 
   const fetchAvailableDevices = async () => {
     try {
@@ -141,58 +135,53 @@ const EnrollmentPage = () => {
       console.log("🚀 Starting enrollment for:", formData.Name);
       console.log("📱 Using device:", selectedDevice);
 
-      // Set up real-time listener first
-      const listener = listenToEnrollmentStatus(
-        gymInfo.id,
-        selectedDevice,
-        (statusUpdate) => {
-          console.log("📡 Enrollment status update:", statusUpdate);
-
-          switch (statusUpdate.status) {
-            case "pending":
-              setEnrollmentState("waiting");
-              setEnrollmentStatus(
-                "Enrollment request sent to device. Please follow device instructions."
-              );
-              break;
-            case "in_progress":
-              setEnrollmentState("processing");
-              setEnrollmentStatus(
-                "Fingerprint enrollment in progress. Place finger on sensor as instructed."
-              );
-              break;
-            case "completed":
-              setEnrollmentState("success");
-              setAssignedFingerprintId(statusUpdate.fingerprintId);
-              setEnrollmentStatus(
-                `Enrollment successful! Fingerprint ID: ${statusUpdate.fingerprintId}`
-              );
-              break;
-            case "failed":
-              setEnrollmentState("failed");
-              setEnrollmentStatus(`Enrollment failed: ${statusUpdate.message}`);
-              break;
-            case "cancelled":
-              setEnrollmentState("failed");
-              setEnrollmentStatus("Enrollment was cancelled");
-              break;
-            case "error":
-              setEnrollmentState("failed");
-              setEnrollmentStatus(`Connection error: ${statusUpdate.message}`);
-              break;
-            default:
-              setEnrollmentStatus(statusUpdate.message || "Processing...");
-          }
+      const handleStatusChange = (statusUpdate) => {
+        console.log("📡 Enrollment status update:", statusUpdate);
+        commandIdRef.current = statusUpdate.commandId;
+
+        switch (statusUpdate.status) {
+          case "queued":
+            setEnrollmentState("waiting");
+            setEnrollmentStatus(
+              statusUpdate.attempts > 1
+                ? `Retrying (attempt ${statusUpdate.attempts}). Waiting for the device...`
+                : "Enrollment request sent to device. Please follow device instructions."
+            );
+            break;
+          case "acknowledged":
+          case "running":
+            setEnrollmentState("processing");
+            setEnrollmentStatus(
+              "Fingerprint enrollment in progress. Place finger on sensor as instructed."
+            );
+            break;
+          case "done":
+            setEnrollmentStatus("Fingerprint captured. Saving member...");
+            break;
+          case "failed":
+            setEnrollmentState("failed");
+            setEnrollmentStatus(`Enrollment failed: ${statusUpdate.message}`);
+            break;
+          case "cancelled":
+            setEnrollmentState("failed");
+            setEnrollmentStatus("Enrollment was cancelled");
+            break;
+          case "timed_out":
+            setEnrollmentState("failed");
+            setEnrollmentStatus("Enrollment timed out - the device did not respond in time");
+            break;
+          default:
+            setEnrollmentStatus(statusUpdate.message || "Processing...");
         }
-      );
-      setUnsubscribe(() => listener);
+      };
 
       // Start the enrollment process
-      // In your handleSubmit function, find this part:
       const enrollmentResult = await createMemberAndStartEnrollment(
         gymInfo.id,
         formData,
-        selectedDevice
+        selectedDevice,
+        handleStatusChange,
+        user?.email
       );
 
       // Add this check right after:
@@ -253,7 +242,14 @@ const EnrollmentPage = () => {
       enrollmentState === "processing"
     ) {
       try {
-        await cancelEnrollment(gymInfo.id, selectedDevice);
+        if (commandIdRef.current) {
+          await cancelEnrollment(
+            gymInfo.id,
+            selectedDevice,
+            commandIdRef.current,
+            user?.email
+          );
+        }
         toast.success("Enrollment cancelled");
       } catch (error) {
         console.error("Cancel error:", error);
@@ -269,10 +265,7 @@ const EnrollmentPage = () => {
     setEnrollmentStatus("");
     setAssignedFingerprintId(null);
     setIsLoading(false);
-    if (unsubscribe) {
-      unsubscribe();
-      setUnsubscribe(null);
-    }
+    commandIdRef.current = null;
   };
 
   const getStatusColor = () => {
@@ -534,7 +527,7 @@ const EnrollmentPage = () => {
                     <option value="">Select membership tier (optional)</option>
                     {membershipTiers.map((tier) => (
                       <option key={tier.id} value={tier.id}>
-                        {tier.name} - LKR {tier.price}/month
+                        {tier.name} - LKR {tier.price}/{getTierDurationLabel(tier)}
                       </option>
                     ))}
                   </select>
@@ -3,24 +3,43 @@ import React, { useState, useEffect } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import Layout from "../components/layout/Layout";
+import PaymentReceiptModal from "../components/payments/PaymentReceiptModal";
 import toast from "react-hot-toast";
 import {
   getMemberById,
   updateMember,
   deleteMember,
+  archiveMember,
   validateGymMemberId,
   assignMembershipTier,
-  recordPayment,
 } from "../services/memberService";
-import { getMembershipTiers } from "../services/settingsService";
-import { getPaymentHistory } from "../services/paymentService";
-import { doc, deleteDoc } from "firebase/firestore";
-import { db } from "../services/firebase";
+import {
+  getMembershipTiers,
+  getTierDurationLabel,
+  getChargeItems,
+} from "../services/settingsService";
+import {
+  getPaymentHistory,
+  getPaymentReversals,
+  recordPayment,
+  recordTierBasedPayment,
+  voidPayment,
+  refundPayment,
+} from "../services/paymentService";
+import {
+  getMemberFreezes,
+  createFreeze,
+  cancelFreeze,
+  isFreezeActive,
+} from "../services/freezeService";
+import { getBillingAccounts, CONCESSIONS } from "../services/pricingService";
+import { getToday } from "../utils/dateUtils";
+import ChargeItemPicker from "../components/payments/ChargeItemPicker";
 
 const MemberProfilePage = () => {
   const { memberId } = useParams();
   const navigate = useNavigate();
-  const { gymInfo } = useAuth();
+  const { user, gymInfo } = useAuth();
 
   // State management
   const [member, setMember] = useState(null);
@@ -37,18 +56,39 @@ const MemberProfilePage = () => {
     Age: "",
     Address: "",
     Phone_Number: "",
+    Email: "",
+    notificationsOptOut: false,
+    accessBlocked: false,
+    accessBlockedReason: "",
     Payment_Status: "Unpaid",
     membershipTierId: "",
+    concession: "",
+    billingAccountId: "",
   });
+  const [billingAccounts, setBillingAccounts] = useState([]);
+  const [chargeItems, setChargeItems] = useState([]);
 
   // Payment form state
   const [paymentForm, setPaymentForm] = useState({
     amount: "",
     method: "Cash",
     notes: "",
-    date: new Date().toISOString().split("T")[0],
+    date: getToday(gymInfo?.timeZone),
+    items: [],
   });
   const [showPaymentForm, setShowPaymentForm] = useState(false);
+  const [receiptPaymentId, setReceiptPaymentId] = useState(null);
+  // { payment, type: "void" | "refund", amount, method, reason } while the reversal modal is open
+  const [reversalForm, setReversalForm] = useState(null);
+  const [freezes, setFreezes] = useState([]);
+  const [showFreezeForm, setShowFreezeForm] = useState(false);
+  const [freezeForm, setFreezeForm] = useState({
+    startDate: "",
+    endDate: "",
+    fee: "",
+    reason: "",
+    blockCheckIn: false,
+  });
 
   // Load member data
   useEffect(() => {
@@ -60,15 +100,21 @@ const MemberProfilePage = () => {
   const fetchMemberData = async () => {
     try {
       setLoading(true);
-      const [memberData, tiers, payments] = await Promise.all([
+      const [memberData, tiers, payments, memberFreezes, accounts, items] = await Promise.all([
         getMemberById(gymInfo.id, memberId),
         getMembershipTiers(gymInfo.id),
         getPaymentHistory(gymInfo.id, memberId),
+        getMemberFreezes(gymInfo.id, memberId),
+        getBillingAccounts(gymInfo.id),
+        getChargeItems(gymInfo.id),
       ]);
 
       setMember(memberData);
       setMembershipTiers(tiers);
       setPaymentHistory(payments);
+      setFreezes(memberFreezes);
+      setBillingAccounts(accounts);
+      setChargeItems(items);
 
       // Initialize edit form
       setEditForm({
@@ -77,17 +123,39 @@ const MemberProfilePage = () => {
         Age: memberData.Age || "",
         Address: memberData.Address || "",
         Phone_Number: memberData.Phone_Number || "",
+        Email: memberData.Email || "",
+        notificationsOptOut: Boolean(memberData.notificationsOptOut),
+        accessBlocked: Boolean(memberData.accessBlocked),
+        accessBlockedReason: memberData.accessBlockedReason || "",
         Payment_Status: memberData.Payment_Status || "Unpaid",
         membershipTierId: memberData.membershipTierId || "",
+        concession: memberData.concession || "",
+        billingAccountId: memberData.billingAccountId || "",
       });
 
-      // Initialize payment form
+      // Initialize payment form, settling any outstanding balance first.
+      // Members who have never paid are offered the joining fee.
       const tierPrice = memberData.membershipTier?.price || 0;
+      const defaultItems = memberData.lastPaymentDate
+        ? []
+        : items
+            .filter((item) => item.active !== false && item.category === "joining_fee")
+            .map((item) => ({
+              itemId: item.id,
+              name: item.name,
+              category: item.category,
+              price: item.price,
+              quantity: 1,
+            }));
+      const suggestedAmount =
+        (memberData.outstandingBalance > 0 ? memberData.outstandingBalance : tierPrice) +
+        getChargeItemsTotal(defaultItems);
       setPaymentForm({
-        amount: tierPrice.toString(),
+        amount: suggestedAmount.toString(),
         method: "Cash",
         notes: "",
-        date: new Date().toISOString().split("T")[0],
+        date: getToday(gymInfo?.timeZone),
+        items: defaultItems,
       });
     } catch (error) {
       console.error("Error fetching member data:", error);
@@ -124,7 +192,15 @@ const MemberProfilePage = () => {
 
     try {
       setSaving(true);
-      const updateData = { ...editForm };
+      const updateData = {
+        ...editForm,
+        concession: editForm.concession || null,
+        billingAccountId: editForm.billingAccountId || null,
+        Email: editForm.Email.trim(),
+        accessBlockedReason: editForm.accessBlocked
+          ? editForm.accessBlockedReason.trim()
+          : "",
+      };
       if (editForm.gymMemberId.trim()) {
         updateData.gymMemberId = editForm.gymMemberId.trim();
         updateData.Gym_ID = editForm.gymMemberId.trim();
@@ -151,8 +227,14 @@ const MemberProfilePage = () => {
       Age: member.Age || "",
       Address: member.Address || "",
       Phone_Number: member.Phone_Number || "",
+      Email: member.Email || "",
+      notificationsOptOut: Boolean(member.notificationsOptOut),
+      accessBlocked: Boolean(member.accessBlocked),
+      accessBlockedReason: member.accessBlockedReason || "",
       Payment_Status: member.Payment_Status || "Unpaid",
       membershipTierId: member.membershipTierId || "",
+      concession: member.concession || "",
+      billingAccountId: member.billingAccountId || "",
     });
   };
 
@@ -163,21 +245,23 @@ const MemberProfilePage = () => {
     }
 
     try {
-      await recordPayment(gymInfo.id, memberId, {
-        amount: member.membershipTier.price,
-        method: "Cash",
-        notes: "Quick payment",
-        date: new Date().toISOString().split("T")[0],
-        tierName: member.membershipTier.name,
-        recordedBy: "admin",
-      });
+      const payment = await recordTierBasedPayment(
+        gymInfo.id,
+        memberId,
+        member.membershipTierId,
+        user?.email || "admin"
+      );
       toast.success(`Payment recorded for ${member.Name}`);
+      setReceiptPaymentId(payment.id);
       fetchMemberData(); // Refresh data
     } catch (error) {
-      toast.error("Failed to record payment");
+      toast.error(error.message || "Failed to record payment");
     }
   };
 
+  const getChargeItemsTotal = (items) =>
+    items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
   const handleCustomPayment = async (e) => {
     e.preventDefault();
     if (!paymentForm.amount || parseFloat(paymentForm.amount) <= 0) {
@@ -186,60 +270,100 @@ const MemberProfilePage = () => {
     }
 
     try {
-      await recordPayment(gymInfo.id, memberId, {
+      const payment = await recordPayment(gymInfo.id, memberId, {
         amount: parseFloat(paymentForm.amount),
         method: paymentForm.method,
         notes: paymentForm.notes,
         date: paymentForm.date,
         tierName: member.membershipTier?.name || "",
-        recordedBy: "admin",
+        items: paymentForm.items,
+        recordedBy: user?.email || "admin",
       });
       toast.success(`Payment recorded for ${member.Name}`);
+      setReceiptPaymentId(payment.id);
       setShowPaymentForm(false);
       fetchMemberData(); // Refresh data
     } catch (error) {
-      toast.error("Failed to record payment");
+      toast.error(error.message || "Failed to record payment");
     }
   };
 
-  const handleUndoLastPayment = async () => {
-    if (paymentHistory.length === 0) {
-      toast.error("No payments to undo");
+  const openReversalForm = (payment, type) => {
+    const refunded = getPaymentReversals(paymentHistory)[payment.id]?.refundedAmount || 0;
+    setReversalForm({
+      payment,
+      type,
+      amount: ((payment.amount || 0) - refunded).toString(),
+      method: payment.method || "Cash",
+      reason: "",
+    });
+  };
+
+  const handleReversePayment = async (e) => {
+    e.preventDefault();
+    if (!reversalForm.reason.trim()) {
+      toast.error("Please enter a reason");
       return;
     }
 
-    const lastPayment = paymentHistory[0]; // Most recent payment
-    
-    if (window.confirm(`Are you sure you want to undo the last payment of ${formatCurrency(lastPayment.amountPaid)}?`)) {
+    try {
+      const details = {
+        reason: reversalForm.reason,
+        recordedBy: user?.email || "admin",
+      };
+
+      if (reversalForm.type === "void") {
+        await voidPayment(gymInfo.id, reversalForm.payment.id, details);
+        toast.success("Payment voided");
+      } else {
+        await refundPayment(gymInfo.id, reversalForm.payment.id, {
+          ...details,
+          amount: parseFloat(reversalForm.amount),
+          method: reversalForm.method,
+        });
+        toast.success("Refund recorded");
+      }
+
+      setReversalForm(null);
+      fetchMemberData(); // Refresh data
+    } catch (error) {
+      console.error("Error reversing payment:", error);
+      toast.error(error.message || "Failed to reverse payment");
+    }
+  };
+
+  const handleCreateFreeze = async (e) => {
+    e.preventDefault();
+    if (!freezeForm.startDate || !freezeForm.endDate) {
+      toast.error("Please choose the freeze dates");
+      return;
+    }
+
+    try {
+      await createFreeze(gymInfo.id, memberId, {
+        ...freezeForm,
+        fee: parseFloat(freezeForm.fee) || 0,
+        recordedBy: user?.email || "admin",
+      });
+      toast.success(`Membership frozen for ${member.Name}`);
+      setShowFreezeForm(false);
+      setFreezeForm({ startDate: "", endDate: "", fee: "", reason: "", blockCheckIn: false });
+      fetchMemberData(); // Refresh data
+    } catch (error) {
+      console.error("Error freezing membership:", error);
+      toast.error(error.message || "Failed to freeze membership");
+    }
+  };
+
+  const handleCancelFreeze = async (freeze) => {
+    if (window.confirm(`Cancel the freeze from ${freeze.startDate} to ${freeze.endDate}? Billing dates will move back.`)) {
       try {
-        // Delete the payment document
-        const paymentRef = doc(db, "gyms", gymInfo.id, "members", memberId, "payments", lastPayment.id);
-        await deleteDoc(paymentRef);
-
-        // Update member status to unpaid if this was their only payment
-        if (paymentHistory.length === 1) {
-          await updateMember(gymInfo.id, memberId, {
-            Payment_Status: "Unpaid",
-            lastPaymentDate: null,
-            nextPaymentDue: null,
-          });
-        } else {
-          // Update with second-to-last payment info
-          const previousPayment = paymentHistory[1];
-          const nextDue = new Date(previousPayment.paymentDate.toDate());
-          nextDue.setDate(nextDue.getDate() + 30);
-          
-          await updateMember(gymInfo.id, memberId, {
-            lastPaymentDate: previousPayment.paymentDate.toDate().toISOString().split("T")[0],
-            nextPaymentDue: nextDue.toISOString().split("T")[0],
-          });
-        }
-
-        toast.success("Last payment has been undone");
+        await cancelFreeze(gymInfo.id, freeze.id);
+        toast.success("Freeze cancelled");
         fetchMemberData(); // Refresh data
       } catch (error) {
-        console.error("Error undoing payment:", error);
-        toast.error("Failed to undo payment");
+        console.error("Error cancelling freeze:", error);
+        toast.error("Failed to cancel freeze");
       }
     }
   };
@@ -247,8 +371,12 @@ const MemberProfilePage = () => {
   const handleDeleteMember = async () => {
     if (window.confirm(`Are you sure you want to delete ${member.Name}? This action cannot be undone and will remove all payment history.`)) {
       try {
-        await deleteMember(gymInfo.id, memberId);
-        toast.success("Member deleted successfully");
+        const { failed } = await deleteMember(gymInfo.id, memberId, user?.email);
+        toast.success(
+          failed > 0
+            ? "Member deleted. Some scanners could not be reached - see Devices to retry the fingerprint deletion."
+            : "Member deleted. Their fingerprint is being removed from the scanners."
+        );
         navigate("/members");
       } catch (error) {
         toast.error("Failed to delete member");
@@ -256,6 +384,22 @@ const MemberProfilePage = () => {
     }
   };
 
+  const handleArchiveMember = async () => {
+    if (window.confirm(`Archive ${member.Name}? Their record is kept but they are removed from the member list, and their fingerprint is erased from the scanners.`)) {
+      try {
+        const { failed } = await archiveMember(gymInfo.id, memberId, user?.email);
+        toast.success(
+          failed > 0
+            ? "Member archived. Some scanners could not be reached - see Devices to retry the fingerprint deletion."
+            : "Member archived. Their fingerprint is being removed from the scanners."
+        );
+        navigate("/members");
+      } catch (error) {
+        toast.error("Failed to archive member");
+      }
+    }
+  };
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat("en-LK", {
       style: "currency",
@@ -266,15 +410,17 @@ const MemberProfilePage = () => {
   };
 
   const getPaymentStatusColor = (status) => {
-    const today = new Date().toISOString().split("T")[0];
+    const today = getToday(gymInfo?.timeZone);
     if (status === "Paid") return "bg-green-100 text-green-800";
+    if (status === "Partially paid") return "bg-orange-100 text-orange-800";
     if (member?.nextPaymentDue && member.nextPaymentDue < today) return "bg-red-100 text-red-800";
     return "bg-yellow-100 text-yellow-800";
   };
 
   const getPaymentStatusText = (status) => {
-    const today = new Date().toISOString().split("T")[0];
+    const today = getToday(gymInfo?.timeZone);
     if (status === "Paid") return "Paid";
+    if (status === "Partially paid") return "Partially paid";
     if (member?.nextPaymentDue && member.nextPaymentDue < today) return "Overdue";
     return "Unpaid";
   };
@@ -308,6 +454,10 @@ const MemberProfilePage = () => {
     );
   }
 
+  // Payments exclude void/refund entries; reversals are looked up per payment
+  const payments = paymentHistory.filter((p) => !p.type || p.type === "payment");
+  const reversals = getPaymentReversals(paymentHistory);
+
   return (
     <Layout>
       <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
@@ -453,6 +603,89 @@ const MemberProfilePage = () => {
                   )}
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Email
+                  </label>
+                  {editing ? (
+                    <input
+                      type="email"
+                      name="Email"
+                      value={editForm.Email}
+                      onChange={handleInputChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                    />
+                  ) : (
+                    <p className="text-gray-900 py-2">{member.Email || "Not provided"}</p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Payment Reminders
+                  </label>
+                  {editing ? (
+                    <label className="flex items-center space-x-2 py-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={!editForm.notificationsOptOut}
+                        onChange={(e) =>
+                          setEditForm((prev) => ({
+                            ...prev,
+                            notificationsOptOut: !e.target.checked,
+                          }))
+                        }
+                        className="h-4 w-4 text-green-600 border-gray-300 rounded"
+                      />
+                      <span>Send payment reminders</span>
+                    </label>
+                  ) : (
+                    <p className="text-gray-900 py-2">
+                      {member.notificationsOptOut ? "Opted out" : "On"}
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Scanner Access
+                  </label>
+                  {editing ? (
+                    <div className="space-y-2">
+                      <label className="flex items-center space-x-2 py-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={editForm.accessBlocked}
+                          onChange={(e) =>
+                            setEditForm((prev) => ({
+                              ...prev,
+                              accessBlocked: e.target.checked,
+                            }))
+                          }
+                          className="h-4 w-4 text-red-600 border-gray-300 rounded"
+                        />
+                        <span>Block this member at the scanner</span>
+                      </label>
+                      {editForm.accessBlocked && (
+                        <input
+                          type="text"
+                          name="accessBlockedReason"
+                          value={editForm.accessBlockedReason}
+                          onChange={handleInputChange}
+                          placeholder="Message shown at the scanner (optional)"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                        />
+                      )}
+                    </div>
+                  ) : (
+                    <p className={`py-2 ${member.accessBlocked ? "text-red-700" : "text-gray-900"}`}>
+                      {member.accessBlocked
+                        ? `Blocked${member.accessBlockedReason ? `: ${member.accessBlockedReason}` : ""}`
+                        : "Normal"}
+                    </p>
+                  )}
+                </div>
+
                 <div className="md:col-span-2">
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Address
@@ -520,7 +753,7 @@ const MemberProfilePage = () => {
                       <option value="">No tier assigned</option>
                       {membershipTiers.map((tier) => (
                         <option key={tier.id} value={tier.id}>
-                          {tier.name} - {formatCurrency(tier.price)}/month
+                          {tier.name} - {formatCurrency(tier.price)}/{getTierDurationLabel(tier)}
                         </option>
                       ))}
                     </select>
@@ -529,7 +762,7 @@ const MemberProfilePage = () => {
                       {member.membershipTier ? (
                         <div>
                           <p className="text-gray-900 font-medium">{member.membershipTier.name}</p>
-                          <p className="text-sm text-gray-600">{formatCurrency(member.membershipTier.price)}/month</p>
+                          <p className="text-sm text-gray-600">{formatCurrency(member.membershipTier.price)}/{getTierDurationLabel(member.membershipTier)}</p>
                         </div>
                       ) : (
                         <p className="text-gray-500 italic">No tier assigned</p>
@@ -550,6 +783,7 @@ const MemberProfilePage = () => {
                       className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
                     >
                       <option value="Paid">Paid</option>
+                      <option value="Partially paid">Partially paid</option>
                       <option value="Unpaid">Unpaid</option>
                     </select>
                   ) : (
@@ -561,6 +795,54 @@ const MemberProfilePage = () => {
                   )}
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Concession
+                  </label>
+                  {editing ? (
+                    <select
+                      name="concession"
+                      value={editForm.concession}
+                      onChange={handleInputChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                    >
+                      <option value="">None</option>
+                      {Object.entries(CONCESSIONS).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <p className="text-gray-900 py-2">{CONCESSIONS[member.concession] || "None"}</p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Family / Group Account
+                  </label>
+                  {editing ? (
+                    <select
+                      name="billingAccountId"
+                      value={editForm.billingAccountId}
+                      onChange={handleInputChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                    >
+                      <option value="">None</option>
+                      {billingAccounts.map((account) => (
+                        <option key={account.id} value={account.id}>
+                          {account.name} ({account.type})
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <p className="text-gray-900 py-2">
+                      {billingAccounts.find((a) => a.id === member.billingAccountId)?.name || "None"}
+                    </p>
+                  )}
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Last Payment Date
@@ -581,16 +863,8 @@ const MemberProfilePage = () => {
             <div className="bg-white shadow-sm rounded-lg p-6">
               <div className="flex items-center justify-between mb-6">
                 <h2 className="text-xl font-semibold text-gray-900">
-                  Payment History ({paymentHistory.length} payments)
+                  Payment History ({payments.length} payments)
                 </h2>
-                {paymentHistory.length > 0 && (
-                  <button
-                    onClick={handleUndoLastPayment}
-                    className="px-4 py-2 text-sm font-medium text-red-600 bg-red-50 rounded-md hover:bg-red-100 transition-colors"
-                  >
-                    Undo Last Payment
-                  </button>
-                )}
               </div>
 
               {paymentHistory.length === 0 ? (
@@ -603,20 +877,45 @@ const MemberProfilePage = () => {
                 </div>
               ) : (
                 <div className="space-y-4">
-                  {paymentHistory.map((payment, index) => (
-                    <div key={payment.id} className="border border-gray-200 rounded-lg p-4 hover:bg-gray-50">
+                  {paymentHistory.map((payment, index) => {
+                    const isReversal = payment.type === "void" || payment.type === "refund";
+                    const reversal = reversals[payment.id] || { voided: false, refundedAmount: 0 };
+                    const refundable = (payment.amount || 0) - reversal.refundedAmount;
+
+                    return (
+                    <div key={payment.id} className={`border rounded-lg p-4 hover:bg-gray-50 ${isReversal ? "border-red-200 bg-red-50" : "border-gray-200"}`}>
                       <div className="flex items-center justify-between">
                         <div className="flex items-center space-x-4">
-                          <div className="h-10 w-10 bg-green-100 rounded-full flex items-center justify-center">
-                            <span className="text-sm font-medium text-green-600">#{paymentHistory.length - index}</span>
+                          <div className={`h-10 w-10 rounded-full flex items-center justify-center ${isReversal ? "bg-red-100" : "bg-green-100"}`}>
+                            <span className={`text-sm font-medium ${isReversal ? "text-red-600" : "text-green-600"}`}>#{paymentHistory.length - index}</span>
                           </div>
                           <div>
-                            <p className="text-lg font-semibold text-gray-900">
-                              {formatCurrency(payment.amountPaid || 0)}
+                            <p className={`text-lg font-semibold ${isReversal ? "text-red-600" : "text-gray-900"} ${reversal.voided ? "line-through" : ""}`}>
+                              {formatCurrency(payment.amount || 0)}
                             </p>
+                            {isReversal && (
+                              <p className="text-sm font-medium text-red-700">
+                                {payment.type === "void" ? "Void" : "Refund"}: {payment.reason}
+                              </p>
+                            )}
+                            {reversal.voided && (
+                              <span className="text-xs bg-red-100 text-red-800 px-2 py-1 rounded">
+                                Voided
+                              </span>
+                            )}
+                            {reversal.refundedAmount > 0 && (
+                              <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded">
+                                Refunded {formatCurrency(reversal.refundedAmount)}
+                              </span>
+                            )}
                             <p className="text-sm text-gray-600">
                               {payment.tierName || 'No tier specified'}
                             </p>
+                            {payment.periodStart && payment.periodEnd && (
+                              <p className="text-xs text-gray-500">
+                                Covers {payment.periodStart} to {payment.periodEnd}
+                              </p>
+                            )}
                             {payment.notes && (
                               <p className="text-sm text-gray-500 italic">"{payment.notes}"</p>
                             )}
@@ -624,8 +923,8 @@ const MemberProfilePage = () => {
                         </div>
                         <div className="text-right">
                           <p className="text-sm font-medium text-gray-900">
-                            {payment.paymentDate?.toDate ? 
-                              payment.paymentDate.toDate().toLocaleDateString('en-US', {
+                            {payment.paymentDate ? 
+                              new Date(payment.paymentDate).toLocaleDateString('en-US', {
                                 year: 'numeric',
                                 month: 'long',
                                 day: 'numeric'
@@ -641,6 +940,32 @@ const MemberProfilePage = () => {
                               by {payment.recordedBy || 'admin'}
                             </span>
                           </div>
+                          {!isReversal && (
+                            <div className="flex items-center justify-end space-x-3 mt-1">
+                              <button
+                                onClick={() => setReceiptPaymentId(payment.id)}
+                                className="text-xs text-blue-600 hover:text-blue-800"
+                              >
+                                Receipt
+                              </button>
+                              {!reversal.voided && reversal.refundedAmount === 0 && (
+                                <button
+                                  onClick={() => openReversalForm(payment, "void")}
+                                  className="text-xs text-red-600 hover:text-red-800"
+                                >
+                                  Void
+                                </button>
+                              )}
+                              {!reversal.voided && refundable > 0 && (
+                                <button
+                                  onClick={() => openReversalForm(payment, "refund")}
+                                  className="text-xs text-yellow-700 hover:text-yellow-900"
+                                >
+                                  Refund
+                                </button>
+                              )}
+                            </div>
+                          )}
                           {index === 0 && (
                             <span className="text-xs bg-green-100 text-green-800 px-2 py-1 rounded mt-1 inline-block">
                               Latest
@@ -649,7 +974,8 @@ const MemberProfilePage = () => {
                         </div>
                       </div>
                     </div>
-                  ))}
+                    );
+                  })}
                 </div>
               )}
             </div>
@@ -663,30 +989,46 @@ const MemberProfilePage = () => {
               <div className="space-y-3">
                 <div className="flex justify-between">
                   <span className="text-gray-600">Total Payments:</span>
-                  <span className="font-semibold">{paymentHistory.length}</span>
+                  <span className="font-semibold">{payments.length}</span>
                 </div>
                 <div className="flex justify-between">
                   <span className="text-gray-600">Total Amount:</span>
                   <span className="font-semibold text-green-600">
-                    {formatCurrency(paymentHistory.reduce((sum, p) => sum + (p.amountPaid || 0), 0))}
+                    {formatCurrency(paymentHistory.reduce((sum, p) => sum + (p.amount || 0), 0))}
                   </span>
                 </div>
-                {paymentHistory.length > 0 && (
+                {payments.length > 0 && (
                   <div className="flex justify-between">
                     <span className="text-gray-600">Last Payment:</span>
                     <span className="font-semibold">
-                      {formatCurrency(paymentHistory[0].amountPaid || 0)}
+                      {formatCurrency(payments[0].amount || 0)}
                     </span>
                   </div>
                 )}
                 {member.membershipTier && (
                   <div className="flex justify-between pt-3 border-t border-gray-200">
-                    <span className="text-gray-600">Monthly Fee:</span>
+                    <span className="text-gray-600">Membership Fee:</span>
                     <span className="font-semibold text-blue-600">
                       {formatCurrency(member.membershipTier.price)}
                     </span>
                   </div>
                 )}
+                {member.outstandingBalance > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Outstanding Balance:</span>
+                    <span className="font-semibold text-red-600">
+                      {formatCurrency(member.outstandingBalance)}
+                    </span>
+                  </div>
+                )}
+                {member.accountCredit > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Account Credit:</span>
+                    <span className="font-semibold text-green-600">
+                      {formatCurrency(member.accountCredit)}
+                    </span>
+                  </div>
+                )}
               </div>
             </div>
 
@@ -740,6 +1082,23 @@ const MemberProfilePage = () => {
                    />
                  </div>
 
+                 <ChargeItemPicker
+                   catalogue={chargeItems}
+                   selected={paymentForm.items}
+                   onChange={(items) =>
+                     setPaymentForm({
+                       ...paymentForm,
+                       items,
+                       // Keep the amount in step with the add-ons chosen
+                       amount: (
+                         (parseFloat(paymentForm.amount) || 0) -
+                         getChargeItemsTotal(paymentForm.items) +
+                         getChargeItemsTotal(items)
+                       ).toString(),
+                     })
+                   }
+                 />
+
                  <div>
                    <label className="block text-sm font-medium text-gray-700 mb-2">
                      Payment Method
@@ -801,9 +1160,140 @@ const MemberProfilePage = () => {
              </div>
            )}
 
+           {/* Membership Freeze Card */}
+           <div className="bg-white shadow-sm rounded-lg p-6">
+             <div className="flex items-center justify-between mb-4">
+               <h3 className="text-lg font-semibold text-gray-900">Membership Freeze</h3>
+               {isFreezeActive(member.currentFreeze, getToday(gymInfo?.timeZone)) && (
+                 <span className="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded">
+                   Frozen until {member.currentFreeze.endDate}
+                 </span>
+               )}
+             </div>
+
+             {freezes.length > 0 && (
+               <div className="space-y-2 mb-4">
+                 {freezes.map((freeze) => (
+                   <div key={freeze.id} className="flex items-center justify-between text-sm border border-gray-200 rounded p-2">
+                     <div>
+                       <p className={`font-medium ${freeze.cancelled ? "text-gray-400 line-through" : "text-gray-900"}`}>
+                         {freeze.startDate} to {freeze.endDate} ({freeze.days} days)
+                       </p>
+                       <p className="text-xs text-gray-500">
+                         {freeze.fee > 0 ? `Fee ${formatCurrency(freeze.fee)}` : "No fee"}
+                         {freeze.blockCheckIn ? " · Check-in blocked" : ""}
+                         {freeze.reason ? ` · ${freeze.reason}` : ""}
+                       </p>
+                     </div>
+                     {!freeze.cancelled && (
+                       <button
+                         onClick={() => handleCancelFreeze(freeze)}
+                         className="text-xs text-red-600 hover:text-red-800"
+                       >
+                         Cancel
+                       </button>
+                     )}
+                   </div>
+                 ))}
+               </div>
+             )}
+
+             {showFreezeForm ? (
+               <form onSubmit={handleCreateFreeze} className="space-y-3">
+                 <div className="grid grid-cols-2 gap-3">
+                   <div>
+                     <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+                     <input
+                       type="date"
+                       value={freezeForm.startDate}
+                       onChange={(e) => setFreezeForm({ ...freezeForm, startDate: e.target.value })}
+                       className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                       required
+                     />
+                   </div>
+                   <div>
+                     <label className="block text-sm font-medium text-gray-700 mb-1">End Date</label>
+                     <input
+                       type="date"
+                       value={freezeForm.endDate}
+                       min={freezeForm.startDate}
+                       onChange={(e) => setFreezeForm({ ...freezeForm, endDate: e.target.value })}
+                       className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                       required
+                     />
+                   </div>
+                 </div>
+                 <div>
+                   <label className="block text-sm font-medium text-gray-700 mb-1">Freeze Fee (LKR, optional)</label>
+                   <input
+                     type="number"
+                     value={freezeForm.fee}
+                     onChange={(e) => setFreezeForm({ ...freezeForm, fee: e.target.value })}
+                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                     min="0"
+                     step="0.01"
+                   />
+                 </div>
+                 <div>
+                   <label className="block text-sm font-medium text-gray-700 mb-1">Reason (Optional)</label>
+                   <input
+                     type="text"
+                     value={freezeForm.reason}
+                     onChange={(e) => setFreezeForm({ ...freezeForm, reason: e.target.value })}
+                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                     placeholder="Travel, injury..."
+                   />
+                 </div>
+                 <label className="flex items-center space-x-2 text-sm text-gray-700">
+                   <input
+                     type="checkbox"
+                     checked={freezeForm.blockCheckIn}
+                     onChange={(e) => setFreezeForm({ ...freezeForm, blockCheckIn: e.target.checked })}
+                     className="h-4 w-4 text-green-600 border-gray-300 rounded"
+                   />
+                   <span>Block check-in during the freeze</span>
+                 </label>
+                 <div className="flex space-x-3">
+                   <button
+                     type="button"
+                     onClick={() => setShowFreezeForm(false)}
+                     className="flex-1 px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+                   >
+                     Cancel
+                   </button>
+                   <button
+                     type="submit"
+                     className="flex-1 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700"
+                   >
+                     Freeze Membership
+                   </button>
+                 </div>
+               </form>
+             ) : (
+               <button
+                 onClick={() => setShowFreezeForm(true)}
+                 className="w-full bg-blue-50 text-blue-700 px-4 py-3 rounded-lg hover:bg-blue-100 transition-colors font-medium"
+               >
+                 Freeze Membership
+               </button>
+             )}
+             <p className="text-xs text-gray-500 mt-2">
+               Billing dates move forward by the frozen days and the member is not marked overdue while frozen.
+             </p>
+           </div>
+
            {/* Danger Zone */}
            <div className="bg-white shadow-sm rounded-lg p-6 border border-red-200">
              <h3 className="text-lg font-semibold text-red-900 mb-4">Danger Zone</h3>
+             <p className="text-sm text-red-600 mb-4">
+               Archiving keeps the member's record but removes them from the member list. Both archiving and deleting erase their fingerprint from the scanners.
+             </p>
+             <button
+               onClick={handleArchiveMember}
+               className="w-full mb-3 border border-red-300 text-red-700 px-4 py-3 rounded-lg hover:bg-red-50 transition-colors font-medium"
+             >
+               Archive Member
+             </button>
              <p className="text-sm text-red-600 mb-4">
                Once you delete a member, there is no going back. This will permanently delete all payment history.
              </p>
@@ -817,6 +1307,85 @@ const MemberProfilePage = () => {
          </div>
        </div>
      </div>
+
+     {/* Void / Refund Modal */}
+     {reversalForm && (
+       <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+         <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+           <h3 className="text-lg font-medium text-gray-900 mb-1">
+             {reversalForm.type === "void" ? "Void Payment" : "Refund Payment"}
+           </h3>
+           <p className="text-sm text-gray-600 mb-4">
+             {formatCurrency(reversalForm.payment.amount || 0)} on {reversalForm.payment.paymentDate}.
+             The original entry is kept and a linked {reversalForm.type} entry is added.
+           </p>
+           <form onSubmit={handleReversePayment} className="space-y-4">
+             {reversalForm.type === "refund" && (
+               <>
+                 <div>
+                   <label className="block text-sm font-medium text-gray-700 mb-1">Refund Amount (LKR)</label>
+                   <input
+                     type="number"
+                     value={reversalForm.amount}
+                     onChange={(e) => setReversalForm({ ...reversalForm, amount: e.target.value })}
+                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                     min="0"
+                     step="0.01"
+                     required
+                   />
+                 </div>
+                 <div>
+                   <label className="block text-sm font-medium text-gray-700 mb-1">Refund Method</label>
+                   <select
+                     value={reversalForm.method}
+                     onChange={(e) => setReversalForm({ ...reversalForm, method: e.target.value })}
+                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                   >
+                     <option value="Cash">Cash</option>
+                     <option value="Card">Card</option>
+                     <option value="Bank Transfer">Bank Transfer</option>
+                     <option value="Digital Wallet">Digital Wallet</option>
+                   </select>
+                 </div>
+               </>
+             )}
+             <div>
+               <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+               <textarea
+                 value={reversalForm.reason}
+                 onChange={(e) => setReversalForm({ ...reversalForm, reason: e.target.value })}
+                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                 rows={3}
+                 required
+               />
+             </div>
+             <div className="flex justify-end space-x-3">
+               <button
+                 type="button"
+                 onClick={() => setReversalForm(null)}
+                 className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+               >
+                 Cancel
+               </button>
+               <button
+                 type="submit"
+                 className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-md hover:bg-red-700"
+               >
+                 {reversalForm.type === "void" ? "Void Payment" : "Record Refund"}
+               </button>
+             </div>
+           </form>
+         </div>
+       </div>
+     )}
+
+     {/* Payment Receipt Modal */}
+     {receiptPaymentId && (
+       <PaymentReceiptModal
+         paymentId={receiptPaymentId}
+         onClose={() => setReceiptPaymentId(null)}
+       />
+     )}
    </Layout>
  );
 };
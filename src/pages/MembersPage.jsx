@@ -9,25 +9,36 @@ import {
   searchMembers,
   validateGymMemberId,
   assignMembershipTier,
-  recordPayment,
   getOverdueMembers,
   updatePaymentStatuses,
 } from "../services/memberService";
-import { getMembershipTiers } from "../services/settingsService";
 import {
+  getMembershipTiers,
+  getTierDurationLabel,
+  getChargeItems,
+} from "../services/settingsService";
+import {
+  recordPayment,
   recordTierBasedPayment,
   getPaymentHistory,
+  getPaymentReversals,
 } from "../services/paymentService";
+import { isFreezeActive } from "../services/freezeService";
+import { getTierPrice } from "../services/pricingService";
+import { getToday } from "../utils/dateUtils";
 import Layout from "../components/layout/Layout";
+import ChargeItemPicker from "../components/payments/ChargeItemPicker";
+import PaymentReceiptModal from "../components/payments/PaymentReceiptModal";
 import toast from "react-hot-toast";
 
 const MembersPage = () => {
-  const { gymInfo } = useAuth();
+  const { user, gymInfo } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
   const [members, setMembers] = useState([]);
   const [membershipTiers, setMembershipTiers] = useState([]);
+  const [chargeItems, setChargeItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState("");
   const [selectedMember, setSelectedMember] = useState(null);
@@ -38,6 +49,9 @@ const MembersPage = () => {
   const [isPaymentHistoryModalOpen, setIsPaymentHistoryModalOpen] =
     useState(false);
   const [paymentHistory, setPaymentHistory] = useState([]);
+  const [receiptPaymentId, setReceiptPaymentId] = useState(null);
+  // { member, tier, pricing, promoCode, method } while the quick payment modal is open
+  const [quickPayment, setQuickPayment] = useState(null);
   const [filterStatus, setFilterStatus] = useState("all");
 
   const [editForm, setEditForm] = useState({
@@ -54,7 +68,8 @@ const MembersPage = () => {
     amount: "",
     method: "Cash",
     notes: "",
-    date: new Date().toISOString().split("T")[0],
+    date: getToday(gymInfo?.timeZone),
+    items: [],
   });
 
   // Check for success message from enrollment page
@@ -84,13 +99,15 @@ const MembersPage = () => {
 
     try {
       setLoading(true);
-      const [memberData, tierData] = await Promise.all([
+      const [memberData, tierData, itemData] = await Promise.all([
         getMembersForGym(gymInfo.id),
         getMembershipTiers(gymInfo.id),
+        getChargeItems(gymInfo.id),
       ]);
 
       setMembers(memberData);
       setMembershipTiers(tierData);
+      setChargeItems(itemData);
     } catch (error) {
       toast.error(error.message);
     } finally {
@@ -136,19 +153,22 @@ const MembersPage = () => {
 
   // Filter members based on payment status
   const getFilteredMembers = () => {
-    const today = new Date().toISOString().split("T")[0];
+    const today = getToday(gymInfo?.timeZone);
 
     switch (filterStatus) {
       case "paid":
         return members.filter((m) => m.Payment_Status === "Paid");
       case "unpaid":
         return members.filter((m) => m.Payment_Status === "Unpaid");
+      case "partial":
+        return members.filter((m) => m.Payment_Status === "Partially paid");
       case "overdue":
         return members.filter(
           (m) =>
             m.nextPaymentDue &&
             m.nextPaymentDue < today &&
-            m.Payment_Status !== "Paid"
+            m.Payment_Status !== "Paid" &&
+            !isFreezeActive(m.currentFreeze, today)
         );
       default:
         return members;
@@ -202,14 +222,37 @@ const MembersPage = () => {
   };
 
   // Payment functionality
+  // Members who have never paid are offered the joining fee
+  const getDefaultChargeItems = (member) => {
+    if (member.lastPaymentDate) return [];
+    return chargeItems
+      .filter((item) => item.active !== false && item.category === "joining_fee")
+      .map((item) => ({
+        itemId: item.id,
+        name: item.name,
+        category: item.category,
+        price: item.price,
+        quantity: 1,
+      }));
+  };
+
+  const getChargeItemsTotal = (items) =>
+    items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
   const handleRecordPayment = (member) => {
     setSelectedMember(member);
     const tierPrice = member.membershipTier?.price || 0;
+    const items = getDefaultChargeItems(member);
+    // Settle an outstanding balance first, otherwise charge the tier price
+    const suggestedAmount =
+      (member.outstandingBalance > 0 ? member.outstandingBalance : tierPrice) +
+      getChargeItemsTotal(items);
     setPaymentForm({
-      amount: tierPrice.toString(),
+      amount: suggestedAmount.toString(),
       method: "Cash",
       notes: "",
-      date: new Date().toISOString().split("T")[0],
+      date: getToday(gymInfo?.timeZone),
+      items,
     });
     setIsPaymentModalOpen(true);
   };
@@ -229,15 +272,21 @@ const MembersPage = () => {
         notes: paymentForm.notes,
         date: paymentForm.date,
         tierName: selectedMember.membershipTier?.name || "",
-        recordedBy: "admin",
+        items: paymentForm.items,
+        recordedBy: user?.email || "admin",
       };
 
-      await recordPayment(gymInfo.id, selectedMember.id, paymentData);
+      const payment = await recordPayment(
+        gymInfo.id,
+        selectedMember.id,
+        paymentData
+      );
       toast.success(`Payment recorded for ${selectedMember.Name}`);
       setIsPaymentModalOpen(false);
+      setReceiptPaymentId(payment.id);
       fetchData();
     } catch (error) {
-      toast.error("Failed to record payment");
+      toast.error(error.message || "Failed to record payment");
     }
   };
 
@@ -258,7 +307,7 @@ const MembersPage = () => {
       toast.error("Failed to assign membership tier");
     }
   };
-  // Quick payment based on assigned tier
+  // Quick payment based on assigned tier, priced with the gym's discounts
   const handleQuickPayment = async (member) => {
     if (!member.membershipTierId) {
       toast.error(
@@ -267,13 +316,61 @@ const MembersPage = () => {
       return;
     }
 
+    const tier = membershipTiers.find((t) => t.id === member.membershipTierId);
+    if (!tier) {
+      toast.error("Membership tier not found.");
+      return;
+    }
+
+    try {
+      const pricing = await getTierPrice(gymInfo.id, {
+        tier,
+        member,
+        today: getToday(gymInfo?.timeZone),
+      });
+      setQuickPayment({
+        member,
+        tier,
+        pricing,
+        promoCode: "",
+        method: "Cash",
+        items: getDefaultChargeItems(member),
+      });
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleApplyPromoCode = async () => {
+    try {
+      const pricing = await getTierPrice(gymInfo.id, {
+        tier: quickPayment.tier,
+        member: quickPayment.member,
+        promoCode: quickPayment.promoCode,
+        today: getToday(gymInfo?.timeZone),
+      });
+      setQuickPayment({ ...quickPayment, pricing });
+      if (pricing.promoCode) {
+        toast.success(`Promo code ${pricing.promoCode} applied`);
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const confirmQuickPayment = async () => {
+    const { member, pricing, method, items } = quickPayment;
     try {
-      await recordTierBasedPayment(
+      const payment = await recordTierBasedPayment(
         gymInfo.id,
         member.id,
-        member.membershipTierId
+        member.membershipTierId,
+        user?.email || "admin",
+        { promoCode: pricing.promoCode, method, items }
       );
       toast.success(`Payment recorded for ${member.Name}`);
+      setQuickPayment(null);
+      setReceiptPaymentId(payment.id);
       fetchData(); // Refresh the data
     } catch (error) {
       toast.error(error.message);
@@ -300,8 +397,12 @@ const MembersPage = () => {
 
   const confirmDelete = async () => {
     try {
-      await deleteMember(gymInfo.id, selectedMember.id);
-      toast.success("Member deleted successfully");
+      const { failed } = await deleteMember(gymInfo.id, selectedMember.id, user?.email);
+      toast.success(
+        failed > 0
+          ? "Member deleted. Some scanners could not be reached - see Devices to retry the fingerprint deletion."
+          : "Member deleted. Their fingerprint is being removed from the scanners."
+      );
       setIsDeleteModalOpen(false);
       fetchData();
     } catch (error) {
@@ -321,10 +422,12 @@ const MembersPage = () => {
 
   // Get payment status color
   const getPaymentStatusColor = (member) => {
-    const today = new Date().toISOString().split("T")[0];
+    const today = getToday(gymInfo?.timeZone);
 
     if (member.Payment_Status === "Paid") {
       return "bg-green-100 text-green-800";
+    } else if (member.Payment_Status === "Partially paid") {
+      return "bg-orange-100 text-orange-800";
     } else if (member.nextPaymentDue && member.nextPaymentDue < today) {
       return "bg-red-100 text-red-800";
     } else {
@@ -334,10 +437,12 @@ const MembersPage = () => {
 
   // Get payment status text
   const getPaymentStatusText = (member) => {
-    const today = new Date().toISOString().split("T")[0];
+    const today = getToday(gymInfo?.timeZone);
 
     if (member.Payment_Status === "Paid") {
       return "Paid";
+    } else if (member.Payment_Status === "Partially paid") {
+      return "Partially paid";
     } else if (member.nextPaymentDue && member.nextPaymentDue < today) {
       return "Overdue";
     } else {
@@ -356,12 +461,14 @@ const MembersPage = () => {
   }
 
   const filteredMembers = getFilteredMembers();
+  const reversals = getPaymentReversals(paymentHistory);
   const overdueCount = members.filter((m) => {
-    const today = new Date().toISOString().split("T")[0];
+    const today = getToday(gymInfo?.timeZone);
     return (
       m.nextPaymentDue &&
       m.nextPaymentDue < today &&
-      m.Payment_Status !== "Paid"
+      m.Payment_Status !== "Paid" &&
+      !isFreezeActive(m.currentFreeze, today)
     );
   }).length;
 
@@ -572,6 +679,7 @@ const MembersPage = () => {
                 { key: "all", label: "All" },
                 { key: "paid", label: "Paid" },
                 { key: "unpaid", label: "Unpaid" },
+                { key: "partial", label: "Partially paid" },
                 { key: "overdue", label: "Overdue" },
               ].map((filter) => (
                 <button
@@ -654,7 +762,8 @@ const MembersPage = () => {
                             {member.membershipTier.name}
                           </div>
                           <div className="text-sm text-gray-500">
-                            {formatCurrency(member.membershipTier.price)}/month
+                            {formatCurrency(member.membershipTier.price)}/
+                            {getTierDurationLabel(member.membershipTier)}
                           </div>
                         </div>
                       ) : (
@@ -671,6 +780,19 @@ const MembersPage = () => {
                       >
                         {getPaymentStatusText(member)}
                       </span>
+                      {member.outstandingBalance > 0 && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          Owes {formatCurrency(member.outstandingBalance)}
+                        </div>
+                      )}
+                      {isFreezeActive(
+                        member.currentFreeze,
+                        getToday(gymInfo?.timeZone)
+                      ) && (
+                        <div className="text-xs text-blue-600 mt-1">
+                          Frozen until {member.currentFreeze.endDate}
+                        </div>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                       {member.nextPaymentDue || "Not set"}
@@ -918,7 +1040,7 @@ const MembersPage = () => {
                       <option value="">No tier assigned</option>
                       {membershipTiers.map((tier) => (
                         <option key={tier.id} value={tier.id}>
-                          {tier.name} - {formatCurrency(tier.price)}/month
+                          {tier.name} - {formatCurrency(tier.price)}/{getTierDurationLabel(tier)}
                         </option>
                       ))}
                     </select>
@@ -1019,7 +1141,35 @@ const MembersPage = () => {
                         {formatCurrency(selectedMember.membershipTier.price)}
                       </p>
                     )}
+                    {selectedMember.outstandingBalance > 0 && (
+                      <p className="text-xs text-red-600 mt-1">
+                        Outstanding balance:{" "}
+                        {formatCurrency(selectedMember.outstandingBalance)}
+                      </p>
+                    )}
+                    {selectedMember.accountCredit > 0 && (
+                      <p className="text-xs text-green-600 mt-1">
+                        Account credit:{" "}
+                        {formatCurrency(selectedMember.accountCredit)}
+                      </p>
+                    )}
                   </div>
+                  <ChargeItemPicker
+                    catalogue={chargeItems}
+                    selected={paymentForm.items}
+                    onChange={(items) =>
+                      setPaymentForm({
+                        ...paymentForm,
+                        items,
+                        // Keep the amount in step with the add-ons chosen
+                        amount: (
+                          (parseFloat(paymentForm.amount) || 0) -
+                          getChargeItemsTotal(paymentForm.items) +
+                          getChargeItemsTotal(items)
+                        ).toString(),
+                      })
+                    }
+                  />
                   <div>
                     <label className="block text-sm font-medium text-gray-700">
                       Payment Method
@@ -1092,6 +1242,119 @@ const MembersPage = () => {
           </div>
         )}
 
+        {/* Quick Payment Modal */}
+        {quickPayment && (
+          <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+            <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+              <div className="mt-3">
+                <h3 className="text-lg font-medium text-gray-900 mb-4">
+                  Tier Payment - {quickPayment.member.Name}
+                </h3>
+
+                <div className="space-y-2 mb-4">
+                  {quickPayment.pricing.lineItems.map((item, index) => (
+                    <div key={index} className="flex justify-between text-sm">
+                      <span className="text-gray-600">{item.label}</span>
+                      <span
+                        className={
+                          item.type === "discount" ? "text-green-600" : "text-gray-900"
+                        }
+                      >
+                        {formatCurrency(item.amount)}
+                      </span>
+                    </div>
+                  ))}
+                  {quickPayment.items.map((item) => (
+                    <div key={item.itemId} className="flex justify-between text-sm">
+                      <span className="text-gray-600">
+                        {item.name}
+                        {item.quantity > 1 ? ` x ${item.quantity}` : ""}
+                      </span>
+                      <span className="text-gray-900">
+                        {formatCurrency(item.price * item.quantity)}
+                      </span>
+                    </div>
+                  ))}
+                  <div className="flex justify-between border-t pt-2 font-semibold">
+                    <span className="text-gray-900">Total</span>
+                    <span className="text-gray-900">
+                      {formatCurrency(
+                        quickPayment.pricing.total +
+                          getChargeItemsTotal(quickPayment.items)
+                      )}
+                    </span>
+                  </div>
+                </div>
+
+                <div className="space-y-4">
+                  <ChargeItemPicker
+                    catalogue={chargeItems}
+                    selected={quickPayment.items}
+                    onChange={(items) => setQuickPayment({ ...quickPayment, items })}
+                  />
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Promo Code
+                    </label>
+                    <div className="flex space-x-2">
+                      <input
+                        type="text"
+                        value={quickPayment.promoCode}
+                        onChange={(e) =>
+                          setQuickPayment({ ...quickPayment, promoCode: e.target.value })
+                        }
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-md uppercase focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                        placeholder="Optional"
+                      />
+                      <button
+                        onClick={handleApplyPromoCode}
+                        disabled={!quickPayment.promoCode.trim()}
+                        className="px-3 py-2 text-sm font-medium text-green-700 bg-green-50 rounded-md hover:bg-green-100 disabled:opacity-50"
+                      >
+                        Apply
+                      </button>
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Payment Method
+                    </label>
+                    <select
+                      value={quickPayment.method}
+                      onChange={(e) =>
+                        setQuickPayment({ ...quickPayment, method: e.target.value })
+                      }
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                    >
+                      <option value="Cash">Cash</option>
+                      <option value="Card">Card</option>
+                      <option value="Bank Transfer">Bank Transfer</option>
+                      <option value="Digital Wallet">Digital Wallet</option>
+                    </select>
+                  </div>
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-4 mt-4 border-t">
+                  <button
+                    onClick={() => setQuickPayment(null)}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={confirmQuickPayment}
+                    className="px-4 py-2 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700"
+                  >
+                    Record Payment
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Tier Assignment Modal */}
         {isTierModalOpen && selectedMember && (
           <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
@@ -1171,7 +1434,8 @@ const MembersPage = () => {
                 <p className="mt-2 text-sm text-gray-600">
                   Are you sure you want to delete{" "}
                   <strong>{selectedMember?.Name}</strong>? This action cannot be
-                  undone and will remove all payment history.
+                  undone and will remove all payment history. Their fingerprint
+                  will be erased from every scanner.
                 </p>
                 <div className="flex justify-center space-x-3 mt-6">
                   <button
@@ -1213,24 +1477,56 @@ const MembersPage = () => {
                         >
                           <div className="flex justify-between items-start">
                             <div>
-                              <p className="font-medium text-gray-900">
+                              <p
+                                className={`font-medium ${
+                                  payment.amount < 0
+                                    ? "text-red-600"
+                                    : "text-gray-900"
+                                } ${
+                                  reversals[payment.id]?.voided
+                                    ? "line-through"
+                                    : ""
+                                }`}
+                              >
                                 LKR{" "}
-                                {payment.amountPaid?.toLocaleString() || "N/A"}
+                                {payment.amount?.toLocaleString() || "N/A"}
                               </p>
+                              {payment.reversesPaymentId && (
+                                <p className="text-xs font-medium text-red-700">
+                                  {payment.type === "void" ? "Void" : "Refund"}:{" "}
+                                  {payment.reason}
+                                </p>
+                              )}
                               <p className="text-sm text-gray-600">
                                 {payment.tierName || "No tier"}
                               </p>
                               <p className="text-xs text-gray-500">
-                                {payment.paymentDate?.toDate
-                                  ? payment.paymentDate
-                                      .toDate()
-                                      .toLocaleDateString()
+                                {payment.paymentDate
+                                  ? new Date(
+                                      payment.paymentDate
+                                    ).toLocaleDateString()
                                   : "Date not available"}
                               </p>
+                              {payment.periodStart && payment.periodEnd && (
+                                <p className="text-xs text-gray-500">
+                                  Covers {payment.periodStart} to{" "}
+                                  {payment.periodEnd}
+                                </p>
+                              )}
+                            </div>
+                            <div className="flex flex-col items-end space-y-2">
+                              <span className="text-xs bg-green-100 text-green-800 px-2 py-1 rounded">
+                                {payment.method || "Cash"}
+                              </span>
+                              {!payment.reversesPaymentId && (
+                                <button
+                                  onClick={() => setReceiptPaymentId(payment.id)}
+                                  className="text-xs text-blue-600 hover:text-blue-800"
+                                >
+                                  Receipt
+                                </button>
+                              )}
                             </div>
-                            <span className="text-xs bg-green-100 text-green-800 px-2 py-1 rounded">
-                              {payment.method || "Cash"}
-                            </span>
                           </div>
                         </div>
                       ))}
@@ -1249,6 +1545,14 @@ const MembersPage = () => {
             </div>
           </div>
         )}
+
+        {/* Payment Receipt Modal */}
+        {receiptPaymentId && (
+          <PaymentReceiptModal
+            paymentId={receiptPaymentId}
+            onClose={() => setReceiptPaymentId(null)}
+          />
+        )}
       </div>
     </Layout>
   );
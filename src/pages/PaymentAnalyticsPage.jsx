@@ -1,8 +1,17 @@
 // src/pages/PaymentAnalyticsPage.jsx - Revenue and Payment Analytics Dashboard
 import React, { useState, useEffect } from "react";
 import { useAuth } from "../context/AuthContext";
-import { getRevenueAnalytics, getOverdueMembers } from "../services/memberService";
-import { getMembershipTiers } from "../services/settingsService";
+import {
+  getRevenueAnalytics,
+  getOverdueMembers,
+  getOutstandingBalances,
+} from "../services/memberService";
+import {
+  getMembershipTiers,
+  getTierDurationLabel,
+  CHARGE_CATEGORIES,
+} from "../services/settingsService";
+import { getToday } from "../utils/dateUtils";
 import Layout from "../components/layout/Layout";
 import toast from "react-hot-toast";
 
@@ -12,15 +21,22 @@ const PaymentAnalyticsPage = () => {
     totalRevenue: 0,
     paymentCount: 0,
     revenueByTier: {},
+    revenueByCategory: {},
     revenueByMonth: {},
     averagePerMember: 0,
   });
   const [overdueMembers, setOverdueMembers] = useState([]);
+  const [balances, setBalances] = useState({
+    members: [],
+    totalOutstanding: 0,
+    totalCredit: 0,
+    partiallyPaidCount: 0,
+  });
   const [membershipTiers, setMembershipTiers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [dateRange, setDateRange] = useState({
-    startDate: new Date(new Date().getFullYear(), new Date().getMonth(), 1).toISOString().split('T')[0],
-    endDate: new Date().toISOString().split('T')[0],
+    startDate: `${getToday(gymInfo?.timeZone).substring(0, 7)}-01`,
+    endDate: getToday(gymInfo?.timeZone),
   });
 
   useEffect(() => {
@@ -32,14 +48,16 @@ const PaymentAnalyticsPage = () => {
   const fetchAnalyticsData = async () => {
     try {
       setLoading(true);
-      const [analyticsData, overdueData, tiersData] = await Promise.all([
+      const [analyticsData, overdueData, balancesData, tiersData] = await Promise.all([
         getRevenueAnalytics(gymInfo.id, dateRange.startDate, dateRange.endDate),
         getOverdueMembers(gymInfo.id),
+        getOutstandingBalances(gymInfo.id),
         getMembershipTiers(gymInfo.id)
       ]);
       
       setAnalytics(analyticsData);
       setOverdueMembers(overdueData);
+      setBalances(balancesData);
       setMembershipTiers(tiersData);
     } catch (error) {
       toast.error("Failed to load analytics data");
@@ -136,7 +154,7 @@ const PaymentAnalyticsPage = () => {
         </div>
 
         {/* Revenue Overview Cards */}
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+        <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-6 mb-8">
           <div className="bg-white rounded-lg shadow p-6">
             <div className="flex items-center">
               <div className="h-8 w-8 bg-green-100 rounded-full flex items-center justify-center">
@@ -147,6 +165,9 @@ const PaymentAnalyticsPage = () => {
               <div className="ml-4">
                 <p className="text-sm font-medium text-gray-600">Total Revenue</p>
                 <p className="text-2xl font-semibold text-gray-900">{formatCurrency(analytics.totalRevenue)}</p>
+                {analytics.refundTotal > 0 && (
+                  <p className="text-xs text-gray-500">After {formatCurrency(analytics.refundTotal)} in refunds</p>
+                )}
               </div>
             </div>
           </div>
@@ -192,8 +213,48 @@ const PaymentAnalyticsPage = () => {
               </div>
             </div>
           </div>
+
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center">
+              <div className="h-8 w-8 bg-yellow-100 rounded-full flex items-center justify-center">
+                <svg className="h-4 w-4 text-yellow-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 14l6-6m-5.5.5h.01m4.99 5h.01M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16l3.5-2 3.5 2 3.5-2 3.5 2z" />
+                </svg>
+              </div>
+              <div className="ml-4">
+                <p className="text-sm font-medium text-gray-600">Outstanding Balance</p>
+                <p className="text-2xl font-semibold text-gray-900">{formatCurrency(balances.totalOutstanding)}</p>
+                <p className="text-xs text-gray-500">
+                  {balances.partiallyPaidCount} partially paid · {formatCurrency(balances.totalCredit)} in credit
+                </p>
+              </div>
+            </div>
+          </div>
         </div>
 
+        {/* Revenue by Category */}
+        {Object.keys(analytics.revenueByCategory).length > 0 && (
+          <div className="bg-white rounded-lg shadow p-6 mb-8">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Revenue by Category</h3>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {Object.entries(analytics.revenueByCategory)
+                .sort(([, a], [, b]) => b - a)
+                .map(([category, revenue]) => {
+                  const percentage = analytics.totalRevenue > 0 ? (revenue / analytics.totalRevenue) * 100 : 0;
+                  return (
+                    <div key={category} className="border border-gray-200 rounded-lg p-4">
+                      <p className="text-sm font-medium text-gray-600">
+                        {CHARGE_CATEGORIES[category] || category}
+                      </p>
+                      <p className="text-xl font-semibold text-gray-900">{formatCurrency(revenue)}</p>
+                      <p className="text-xs text-gray-500">{percentage.toFixed(1)}% of revenue</p>
+                    </div>
+                  );
+                })}
+            </div>
+          </div>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
           {/* Revenue by Tier */}
           <div className="bg-white rounded-lg shadow p-6">
@@ -337,6 +398,61 @@ const PaymentAnalyticsPage = () => {
           </div>
         )}
 
+        {/* Outstanding Balances Section */}
+        {balances.members.length > 0 && (
+          <div className="mt-8 bg-white rounded-lg shadow">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900">
+                Outstanding Balances ({balances.members.length})
+              </h3>
+              <p className="text-sm text-gray-600">Members with unpaid or partially paid charges</p>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Member</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Tier</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Balance Due</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Due Date</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {balances.members.map((member) => (
+                    <tr key={member.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div>
+                          <div className="text-sm font-medium text-gray-900">{member.Name}</div>
+                          <div className="text-sm text-gray-500">ID: {member.gymMemberId || 'Not Set'}</div>
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {member.membershipTier?.name || 'No Tier'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                          member.Payment_Status === 'Partially paid' ? 'bg-yellow-100 text-yellow-800' :
+                          member.Payment_Status === 'Paid' ? 'bg-green-100 text-green-800' :
+                          'bg-red-100 text-red-800'
+                        }`}>
+                          {member.Payment_Status || 'Unpaid'}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {formatCurrency(member.outstandingBalance)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {member.nextPaymentDue || 'Not Set'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         {/* Membership Tier Summary */}
         <div className="mt-8 bg-white rounded-lg shadow p-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Membership Tier Summary</h3>
@@ -346,7 +462,7 @@ const PaymentAnalyticsPage = () => {
                 <h4 className="font-medium text-gray-900">{tier.name}</h4>
                 <p className="text-sm text-gray-600 mb-2">{tier.description}</p>
                 <div className="text-lg font-semibold text-green-600">
-                  {formatCurrency(tier.price)}/month
+                  {formatCurrency(tier.price)}/{getTierDurationLabel(tier)}
                 </div>
                 <div className="text-sm text-gray-500 mt-1">
                   Revenue: {formatCurrency(analytics.revenueByTier[tier.name] || 0)}
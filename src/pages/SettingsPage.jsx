@@ -6,8 +6,19 @@ import {
   addMembershipTier,
   updateMembershipTier,
   deleteMembershipTier,
+  getBillingPolicy,
+  updateBillingPolicy,
+  getTierDurationLabel,
+  TIER_DURATIONS,
+  DEFAULT_BILLING_POLICY,
 } from "../services/settingsService";
 import Layout from "../components/layout/Layout";
+import PricingSettings from "../components/settings/PricingSettings";
+import ChargeItemSettings from "../components/settings/ChargeItemSettings";
+import NotificationSettings from "../components/settings/NotificationSettings";
+import TimeZoneSettings from "../components/settings/TimeZoneSettings";
+import AttendancePolicySettings from "../components/settings/AttendancePolicySettings";
+import AccessPolicySettings from "../components/settings/AccessPolicySettings";
 import toast from "react-hot-toast";
 
 const SettingsPage = () => {
@@ -22,6 +33,12 @@ const SettingsPage = () => {
   const [newTierName, setNewTierName] = useState("");
   const [newTierPrice, setNewTierPrice] = useState("");
   const [newTierDescription, setNewTierDescription] = useState("");
+  const [newTierDurationType, setNewTierDurationType] = useState("monthly");
+  const [newTierDurationDays, setNewTierDurationDays] = useState("30");
+
+  // Billing policy state
+  const [billingPolicy, setBillingPolicy] = useState(DEFAULT_BILLING_POLICY);
+  const [savingPolicy, setSavingPolicy] = useState(false);
 
   // Load tiers when component mounts
   useEffect(() => {
@@ -33,8 +50,12 @@ const SettingsPage = () => {
   const fetchTiers = async () => {
     try {
       setLoading(true);
-      const tierData = await getMembershipTiers(gymInfo.id);
+      const [tierData, policyData] = await Promise.all([
+        getMembershipTiers(gymInfo.id),
+        getBillingPolicy(gymInfo.id),
+      ]);
       setTiers(tierData);
+      setBillingPolicy(policyData);
     } catch (error) {
       toast.error(error.message);
     } finally {
@@ -42,6 +63,21 @@ const SettingsPage = () => {
     }
   };
 
+  // Duration fields shared by add and update
+  const getDurationFields = () => ({
+    durationType: newTierDurationType,
+    durationDays:
+      newTierDurationType === "days" ? parseInt(newTierDurationDays) : null,
+  });
+
+  const resetTierForm = () => {
+    setNewTierName("");
+    setNewTierPrice("");
+    setNewTierDescription("");
+    setNewTierDurationType("monthly");
+    setNewTierDurationDays("30");
+  };
+
   const handleAddTier = async (e) => {
     e.preventDefault();
     
@@ -49,10 +85,15 @@ const SettingsPage = () => {
       return toast.error("Please enter both name and price.");
     }
 
+    if (newTierDurationType === "days" && !(parseInt(newTierDurationDays) > 0)) {
+      return toast.error("Please enter the number of days the tier covers.");
+    }
+
     const newTier = {
       name: newTierName.trim(),
       price: parseFloat(newTierPrice),
       description: newTierDescription.trim() || "",
+      ...getDurationFields(),
       isActive: true,
     };
 
@@ -61,9 +102,7 @@ const SettingsPage = () => {
       toast.success("New membership tier added!");
       
       // Reset form
-      setNewTierName("");
-      setNewTierPrice("");
-      setNewTierDescription("");
+      resetTierForm();
       
       fetchTiers(); // Refresh the list
     } catch (error) {
@@ -76,6 +115,8 @@ const SettingsPage = () => {
     setNewTierName(tier.name);
     setNewTierPrice(tier.price.toString());
     setNewTierDescription(tier.description || "");
+    setNewTierDurationType(tier.durationType || "monthly");
+    setNewTierDurationDays((tier.durationDays || 30).toString());
   };
 
   const handleUpdateTier = async (e) => {
@@ -83,10 +124,15 @@ const SettingsPage = () => {
     
     if (!editingTier) return;
 
+    if (newTierDurationType === "days" && !(parseInt(newTierDurationDays) > 0)) {
+      return toast.error("Please enter the number of days the tier covers.");
+    }
+
     const updatedTier = {
       name: newTierName.trim(),
       price: parseFloat(newTierPrice),
       description: newTierDescription.trim() || "",
+      ...getDurationFields(),
     };
 
     try {
@@ -95,9 +141,7 @@ const SettingsPage = () => {
       
       // Reset form
       setEditingTier(null);
-      setNewTierName("");
-      setNewTierPrice("");
-      setNewTierDescription("");
+      resetTierForm();
       
       fetchTiers(); // Refresh the list
     } catch (error) {
@@ -107,9 +151,25 @@ const SettingsPage = () => {
 
   const cancelEdit = () => {
     setEditingTier(null);
-    setNewTierName("");
-    setNewTierPrice("");
-    setNewTierDescription("");
+    resetTierForm();
+  };
+
+  const handleSaveBillingPolicy = async (e) => {
+    e.preventDefault();
+
+    if (billingPolicy.graceDays === "" || Number(billingPolicy.graceDays) < 0) {
+      return toast.error("Grace days must be zero or more.");
+    }
+
+    try {
+      setSavingPolicy(true);
+      await updateBillingPolicy(gymInfo.id, billingPolicy);
+      toast.success("Billing policy saved!");
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSavingPolicy(false);
+    }
   };
 
   const handleDeleteTier = async (tierId, tierName) => {
@@ -205,7 +265,7 @@ const SettingsPage = () => {
 
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Monthly Price (LKR) *
+                  Price per Period (LKR) *
                 </label>
                 <input
                   type="number"
@@ -219,6 +279,37 @@ const SettingsPage = () => {
                 />
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Billing Period *
+                </label>
+                <div className="flex space-x-3">
+                  <select
+                    value={newTierDurationType}
+                    onChange={(e) => setNewTierDurationType(e.target.value)}
+                    className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                  >
+                    {Object.entries(TIER_DURATIONS).map(([key, duration]) => (
+                      <option key={key} value={key}>
+                        {duration.label}
+                      </option>
+                    ))}
+                  </select>
+                  {newTierDurationType === "days" && (
+                    <input
+                      type="number"
+                      placeholder="Days"
+                      value={newTierDurationDays}
+                      onChange={(e) => setNewTierDurationDays(e.target.value)}
+                      className="w-28 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                      min="1"
+                      step="1"
+                      required
+                    />
+                  )}
+                </div>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Description
@@ -278,7 +369,7 @@ const SettingsPage = () => {
                         <div className="flex-1">
                           <h3 className="text-lg font-semibold text-gray-900">{tier.name}</h3>
                           <p className="text-xl font-bold text-green-600 mt-1">
-                            {formatCurrency(tier.price)}/month
+                            {formatCurrency(tier.price)}/{getTierDurationLabel(tier)}
                           </p>
                           {tier.description && (
                             <p className="text-sm text-gray-600 mt-2">{tier.description}</p>
@@ -315,6 +406,79 @@ const SettingsPage = () => {
           </div>
         </div>
 
+        {/* Billing Policy */}
+        <div className="mt-8 bg-white shadow-sm rounded-lg p-6">
+          <h2 className="text-xl font-semibold text-gray-800 mb-2">
+            Billing Policy
+          </h2>
+          <p className="text-sm text-gray-600 mb-6">
+            Controls the period each payment covers and when members become overdue
+          </p>
+
+          <form
+            onSubmit={handleSaveBillingPolicy}
+            className="grid grid-cols-1 md:grid-cols-3 gap-6 items-end"
+          >
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                New Period Starts From
+              </label>
+              <select
+                value={billingPolicy.extendFrom}
+                onChange={(e) =>
+                  setBillingPolicy({ ...billingPolicy, extendFrom: e.target.value })
+                }
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              >
+                <option value="previous_end">End of previous period</option>
+                <option value="payment_date">Date of payment</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Grace Days
+              </label>
+              <input
+                type="number"
+                value={billingPolicy.graceDays}
+                onChange={(e) =>
+                  setBillingPolicy({ ...billingPolicy, graceDays: e.target.value })
+                }
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                min="0"
+                step="1"
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={savingPolicy}
+              className="bg-green-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+            >
+              {savingPolicy ? "Saving..." : "Save Policy"}
+            </button>
+          </form>
+        </div>
+
+        {/* Gym time zone for business dates */}
+        <TimeZoneSettings />
+
+        {/* Auto-logout and capacity */}
+        <AttendancePolicySettings />
+
+        {/* What the scanner does for overdue, expired and frozen members */}
+        <AccessPolicySettings />
+
+        {/* Joining fee and add-on catalogue */}
+        <ChargeItemSettings />
+
+        {/* Discounts, promo codes and family/group accounts */}
+        <PricingSettings tiers={tiers} />
+
+        {/* Payment reminder notifications */}
+        <NotificationSettings />
+
         {/* Debug Info (Development Only) */}
         {import.meta.env.DEV && (
           <div className="mt-8 bg-gray-100 rounded-lg p-4">
@@ -327,6 +491,7 @@ const SettingsPage = () => {
                   gymId: gymInfo?.id,
                   tiersCount: tiers.length,
                   editingTier: editingTier?.id || null,
+                  billingPolicy,
                 },
                 null,
                 2
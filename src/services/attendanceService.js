@@ -7,15 +7,30 @@ import {
   doc,
   getDoc,
   addDoc,
+  setDoc,
   updateDoc,
   deleteDoc,
+  deleteField,
   orderBy,
   where,
+  documentId,
   limit,
   startAfter,
   Timestamp,
+  arrayUnion,
+  onSnapshot,
 } from "firebase/firestore";
 import { db } from "./firebase";
+import { isFreezeActive } from "./freezeService";
+import { getGymTimeZone, getGymToday } from "./settingsService";
+import {
+  addDays,
+  getDateRange,
+  getWeekday,
+  getWeekStart,
+  getZonedHour,
+  zonedTimeToDate,
+} from "../utils/dateUtils";
 
 /**
  * Helper function to get member info for fallback data
@@ -41,9 +56,10 @@ const getMemberInfoForFallback = async (gymId, memberId) => {
 };
 
 /**
- * Helper function to parse different datetime formats from your database
+ * Helper function to parse different datetime formats from your database.
+ * Scanner strings carry no zone and are read in the gym's time zone.
  */
-const parseDateTime = (dateTimeString) => {
+const parseDateTime = (dateTimeString, timeZone) => {
   if (!dateTimeString) return null;
 
   try {
@@ -51,16 +67,7 @@ const parseDateTime = (dateTimeString) => {
     if (typeof dateTimeString === "string") {
       // Format: "2025-07-17 06:35:30"
       if (dateTimeString.includes(" ")) {
-        // Convert to ISO format for parsing
-        const isoString = dateTimeString.replace(" ", "T");
-        const parsed = new Date(isoString);
-
-        // If the parsed date is invalid, try adding timezone
-        if (isNaN(parsed.getTime())) {
-          const parsedWithZ = new Date(isoString + "Z");
-          return parsedWithZ;
-        }
-        return parsed;
+        return zonedTimeToDate(dateTimeString, timeZone);
       }
 
       // Try direct parsing
@@ -93,159 +100,281 @@ const parseDateTime = (dateTimeString) => {
 };
 
 /**
- * Fetches attendance records for a specific date
- * Your structure: gyms/{gymId}/attendance/{YYYY-MM-DD}_{memberId}/Session1
- * @param {string} gymId - The gym ID
- * @param {string} date - Date in YYYY-MM-DD format
- * @returns {Promise<Array>} Array of attendance records for the date
+ * Attendance sessions
+ * gyms/{gymId}/attendanceSessions/{sessionId} -> {
+ *   memberId, memberName, gymMemberId, paymentStatus, date (YYYY-MM-DD),
+ *   checkInAt, checkOutAt (Timestamps; checkOutAt is null while in the gym),
+ *   source, checkOutSource, checkOutImputed, imputedMethod, deviceId, legacyId,
+ *   createdAt,
+ *   original: { checkInAt, checkOutAt, checkOutSource } (before the first edit),
+ *   edits: [{ editedBy, editedAt, reason, changes: { [field]: { from, to } } }]
+ * }
+ * Older attendance is stored as Session1..SessionN maps on
+ * gyms/{gymId}/attendance/{YYYY-MM-DD}_{memberId}. The migrateAttendanceSessions
+ * function copies each map into a session document with the ID
+ * `{YYYY-MM-DD}_{memberId}_{SessionN}`. Until then, and for scanners that still
+ * write the maps, the readers below merge both, preferring the session document.
  */
-export const getAttendanceForDate = async (gymId, date) => {
-  try {
-    console.log(`📅 Fetching attendance for ${gymId} on ${date}`);
+export const SESSION_SOURCES = {
+  fingerprint: "Fingerprint",
+  manual: "Manual",
+  auto_logout: "Auto-logout",
+};
 
-    // Get ALL attendance documents and filter for the specific date
-    const attendanceCollectionRef = collection(db, "gyms", gymId, "attendance");
-    const attendanceSnapshot = await getDocs(attendanceCollectionRef);
+// Reads a Timestamp field of a session document as a Date
+const toDate = (value) => (value?.toDate ? value.toDate() : null);
 
-    console.log(
-      `🔍 Found ${attendanceSnapshot.size} total attendance documents`
-    );
+// Helper function to get the attendance sessions collection reference
+const getSessionsCollectionRef = (gymId) => {
+  return collection(db, "gyms", gymId, "attendanceSessions");
+};
 
-    let attendanceRecords = [];
+/**
+ * Converts a session document into an attendance record
+ * @param {Object} docSnapshot - Session document
+ * @returns {Object} Attendance record
+ */
+const parseSessionDoc = (docSnapshot) => {
+  const session = docSnapshot.data();
+  return {
+    id: docSnapshot.id,
+    sessionId: docSnapshot.id,
+    memberId: session.memberId,
+    gymMemberId: session.gymMemberId || "N/A",
+    memberName: session.memberName || "Unknown Member",
+    checkInTime: toDate(session.checkInAt),
+    checkOutTime: toDate(session.checkOutAt),
+    paymentStatus: session.paymentStatus || "Unknown",
+    recordedBy: session.source || "fingerprint",
+    source: session.source || "fingerprint",
+    checkOutSource: session.checkOutSource || null,
+    checkOutImputed: Boolean(session.checkOutImputed),
+    deviceId: session.deviceId || null,
+    date: session.date,
+    edits: (session.edits || []).map((edit) => ({
+      ...edit,
+      editedAt: toDate(edit.editedAt),
+    })),
+    legacy: false,
+  };
+};
 
-    // Filter documents that start with our target date
-    const targetDatePrefix = date; // e.g., "2025-07-24"
+/**
+ * Converts one attendance document into attendance records, one per session
+ * @param {Object} docSnapshot - Attendance document ({YYYY-MM-DD}_{memberId})
+ * @param {Object|null} memberInfo - Member details used when a session lacks them
+ * @param {string} timeZone - The gym's time zone, for scanner times
+ * @returns {Array} Attendance records
+ */
+const parseAttendanceDoc = (docSnapshot, memberInfo, timeZone) => {
+  const docId = docSnapshot.id; // e.g., "2025-07-24_13"
+  const data = docSnapshot.data();
+  const [date] = docId.split("_");
+
+  // Extract member ID from document ID
+  const parts = docId.split("_");
+  const memberId =
+    data.memberId || (parts.length > 1 ? parts[parts.length - 1] : "unknown");
+
+  const attendanceRecords = [];
+
+  // Process all sessions in this document
+  Object.keys(data).forEach((key) => {
+    if (key.startsWith("Session") && typeof data[key] === "object") {
+      const session = data[key];
+
+      // More robust data extraction with fallbacks
+      const memberName =
+        session.Name ||
+        session.name ||
+        memberInfo?.name ||
+        "Unknown Member";
+
+      const paymentStatus =
+        session.Payment_Status ||
+        session.payment_status ||
+        session.paymentStatus ||
+        memberInfo?.paymentStatus ||
+        "Unknown";
+
+      attendanceRecords.push({
+        id: `${docId}_${key}`, // Unique ID: "2025-07-24_13_Session1"
+        memberId: memberId, // Extracted from document ID
+        gymMemberId:
+          memberInfo?.gymMemberId ||
+          session.gymMemberId ||
+          session.Gym_ID ||
+          "N/A", // Check multiple fields, fallback to N/A
+        memberName: memberName,
+        checkInTime: parseDateTime(
+          session.Logged_in_Time ||
+            session.logged_in_time ||
+            session.checkInTime,
+          timeZone
+        ),
+        checkOutTime: parseDateTime(
+          session.Logged_out_Time ||
+            session.logged_out_time ||
+            session.checkOutTime,
+          timeZone
+        ),
+        paymentStatus: paymentStatus,
+        recordedBy: session.recordedBy || "fingerprint",
+        source: session.recordedBy === "manual" ? "manual" : "fingerprint",
+        checkOutSource: session.Auto_Logout
+          ? "auto_logout"
+          : session.Logged_out_Time || session.checkOutTime
+          ? "fingerprint"
+          : null,
+        checkOutImputed: Boolean(session.Auto_Logout),
+        deviceId: session.deviceId || null,
+        sessionCount: session.SessionCount || session.sessionCount || 1,
+        date: session.date || date,
+        legacy: true,
+        originalDocId: docId,
+        originalSessionId: key,
+      });
+    }
+  });
+
+  // Handle documents that don't have Session structure (direct session data)
+  if (!Object.keys(data).some((key) => key.startsWith("Session"))) {
+    if (data.Name || data.Logged_in_Time) {
+      const memberName =
+        data.Name || data.name || memberInfo?.name || "Unknown Member";
+
+      const paymentStatus =
+        data.Payment_Status ||
+        data.payment_status ||
+        data.paymentStatus ||
+        memberInfo?.paymentStatus ||
+        "Unknown";
+
+      attendanceRecords.push({
+        id: docId,
+        memberId: memberId,
+        gymMemberId:
+          memberInfo?.gymMemberId ||
+          data.gymMemberId ||
+          data.Gym_ID ||
+          "N/A", // Check multiple fields, fallback to N/A
+        memberName: memberName,
+        checkInTime: parseDateTime(
+          data.Logged_in_Time || data.logged_in_time || data.checkInTime,
+          timeZone
+        ),
+        checkOutTime: parseDateTime(
+          data.Logged_out_Time ||
+            data.logged_out_time ||
+            data.checkOutTime,
+          timeZone
+        ),
+        paymentStatus: paymentStatus,
+        recordedBy: data.recordedBy || "fingerprint",
+        source: data.recordedBy === "manual" ? "manual" : "fingerprint",
+        checkOutSource: null,
+        deviceId: null,
+        sessionCount: data.SessionCount || data.sessionCount || 1,
+        date: data.date || date,
+        legacy: true,
+        originalDocId: docId,
+        originalSessionId: "main",
+      });
+    }
+  }
 
-    // Process each document
-    for (const docSnapshot of attendanceSnapshot.docs) {
-      const docId = docSnapshot.id; // e.g., "2025-07-24_13"
-      const data = docSnapshot.data();
+  return attendanceRecords;
+};
+
+/**
+ * Queries the attendance documents for a date range. Document IDs start with
+ * the date ({YYYY-MM-DD}_{memberId}), so a document-ID range returns just
+ * those days, including documents written by scanners that do not set the
+ * `date` field.
+ * @param {string} gymId - The gym ID
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<Array>} Attendance document snapshots
+ */
+const getAttendanceDocsForRange = async (gymId, startDate, endDate) => {
+  const q = query(
+    collection(db, "gyms", gymId, "attendance"),
+    where(documentId(), ">=", `${startDate}_`),
+    where(documentId(), "<", `${endDate}_\uf8ff`)
+  );
+  const attendanceSnapshot = await getDocs(q);
+  return attendanceSnapshot.docs;
+};
 
-      // Check if this document is for our target date
-      if (docId.startsWith(targetDatePrefix)) {
-        // Extract member ID from document ID
-        const parts = docId.split("_");
-        const memberId = parts.length > 1 ? parts[parts.length - 1] : "unknown";
+/**
+ * Loads session documents and unmigrated legacy sessions for a date range,
+ * looking each member up once when legacy sessions are missing their details
+ * @returns {Promise<Array>} Attendance records sorted by check-in time
+ */
+const getAttendanceRecordsForRange = async (gymId, startDate, endDate) => {
+  const [sessionsSnapshot, attendanceDocs, timeZone] = await Promise.all([
+    getDocs(
+      query(
+        getSessionsCollectionRef(gymId),
+        where("date", ">=", startDate),
+        where("date", "<=", endDate)
+      )
+    ),
+    getAttendanceDocsForRange(gymId, startDate, endDate),
+    getGymTimeZone(gymId),
+  ]);
+  console.log(
+    `🔍 Found ${sessionsSnapshot.size} sessions and ${attendanceDocs.length} legacy attendance documents`
+  );
+
+  const attendanceRecords = sessionsSnapshot.docs.map(parseSessionDoc);
+  const sessionIds = new Set(attendanceRecords.map((record) => record.id));
+  const memberInfoCache = {};
+
+  for (const docSnapshot of attendanceDocs) {
+    const parts = docSnapshot.id.split("_");
+    const memberId =
+      docSnapshot.data().memberId ||
+      (parts.length > 1 ? parts[parts.length - 1] : "unknown");
+
+    // Try to get member info for fallback data
+    if (!(memberId in memberInfoCache)) {
+      memberInfoCache[memberId] = await getMemberInfoForFallback(gymId, memberId);
+    }
 
-        console.log(
-          `✅ Found attendance document: ${docId} for member: ${memberId}`
-        );
-        console.log(`📊 Document data:`, data);
-
-        // Try to get member info for fallback data
-        let memberInfo = null;
-        try {
-          memberInfo = await getMemberInfoForFallback(gymId, memberId);
-        } catch (error) {
-          console.warn(`Could not fetch member info for ${memberId}:`, error);
-        }
+    // Migrated sessions are read from their session document
+    attendanceRecords.push(
+      ...parseAttendanceDoc(docSnapshot, memberInfoCache[memberId], timeZone).filter(
+        (record) => !sessionIds.has(record.id)
+      )
+    );
+  }
 
-        // Process all sessions in this document
-        Object.keys(data).forEach((key) => {
-          if (key.startsWith("Session") && typeof data[key] === "object") {
-            const session = data[key];
-
-            console.log(`📝 Processing session: ${key}`, session);
-
-            // More robust data extraction with fallbacks
-            const memberName =
-              session.Name ||
-              session.name ||
-              memberInfo?.name ||
-              "Unknown Member";
-
-            const paymentStatus =
-              session.Payment_Status ||
-              session.payment_status ||
-              session.paymentStatus ||
-              memberInfo?.paymentStatus ||
-              "Unknown";
-
-            attendanceRecords.push({
-              id: `${docId}_${key}`, // Unique ID: "2025-07-24_13_Session1"
-              memberId: memberId, // Extracted from document ID
-              gymMemberId:
-                memberInfo?.gymMemberId ||
-                session.gymMemberId ||
-                session.Gym_ID ||
-                "N/A", // Check multiple fields, fallback to N/A
-              memberName: memberName,
-              checkInTime: parseDateTime(
-                session.Logged_in_Time ||
-                  session.logged_in_time ||
-                  session.checkInTime
-              ),
-              checkOutTime: parseDateTime(
-                session.Logged_out_Time ||
-                  session.logged_out_time ||
-                  session.checkOutTime
-              ),
-              paymentStatus: paymentStatus,
-              recordedBy: session.recordedBy || "fingerprint",
-              sessionCount: session.SessionCount || session.sessionCount || 1,
-              date: session.date || date,
-              originalDocId: docId,
-              originalSessionId: key,
-            });
-          }
-        });
+  // Sort by check-in time
+  attendanceRecords.sort((a, b) => {
+    if (!a.checkInTime) return 1;
+    if (!b.checkInTime) return -1;
+    return a.checkInTime - b.checkInTime;
+  });
 
-        // Handle documents that don't have Session structure (direct session data)
-        if (!Object.keys(data).some((key) => key.startsWith("Session"))) {
-          if (data.Name || data.Logged_in_Time) {
-            console.log(`📝 Processing document as single session:`, data);
-
-            const memberName =
-              data.Name || data.name || memberInfo?.name || "Unknown Member";
-
-            const paymentStatus =
-              data.Payment_Status ||
-              data.payment_status ||
-              data.paymentStatus ||
-              memberInfo?.paymentStatus ||
-              "Unknown";
-
-            attendanceRecords.push({
-              id: docId,
-              memberId: memberId,
-              gymMemberId:
-                memberInfo?.gymMemberId ||
-                data.gymMemberId ||
-                data.Gym_ID ||
-                "N/A", // Check multiple fields, fallback to N/A
-              memberName: memberName,
-              checkInTime: parseDateTime(
-                data.Logged_in_Time || data.logged_in_time || data.checkInTime
-              ),
-              checkOutTime: parseDateTime(
-                data.Logged_out_Time ||
-                  data.logged_out_time ||
-                  data.checkOutTime
-              ),
-              paymentStatus: paymentStatus,
-              recordedBy: data.recordedBy || "fingerprint",
-              sessionCount: data.SessionCount || data.sessionCount || 1,
-              date: data.date || date,
-              originalDocId: docId,
-              originalSessionId: "main",
-            });
-          }
-        }
-      }
-    }
+  return attendanceRecords;
+};
 
-    // Sort by check-in time (most recent first)
-    attendanceRecords.sort((a, b) => {
-      if (!a.checkInTime) return 1;
-      if (!b.checkInTime) return -1;
-      return a.checkInTime - b.checkInTime;
-    });
+/**
+ * Fetches attendance records for a specific date
+ * @param {string} gymId - The gym ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Array>} Array of attendance records for the date
+ */
+export const getAttendanceForDate = async (gymId, date) => {
+  try {
+    console.log(`📅 Fetching attendance for ${gymId} on ${date}`);
+
+    const attendanceRecords = await getAttendanceRecordsForRange(gymId, date, date);
 
     console.log(
       `✅ Found ${attendanceRecords.length} attendance records for ${date}`
     );
-    console.log(`📋 Final Records:`, attendanceRecords);
-
     return attendanceRecords;
   } catch (error) {
     console.error("❌ Error fetching attendance for date:", error);
@@ -289,8 +418,13 @@ export const getGroupedAttendanceForDate = async (gymId, date) => {
 
       // Add session to the group
       group.sessions.push({
-        sessionId:
-          record.originalSessionId || `Session${group.sessions.length + 1}`,
+        sessionId: record.id,
+        date: record.date,
+        source: record.source,
+        checkOutSource: record.checkOutSource,
+        checkOutImputed: record.checkOutImputed,
+        edits: record.edits || [],
+        edited: Boolean(record.edits?.length),
         checkInTime: record.checkInTime,
         checkOutTime: record.checkOutTime,
         duration:
@@ -324,9 +458,9 @@ export const getGroupedAttendanceForDate = async (gymId, date) => {
         ? "IN"
         : "OUT";
 
-      // Calculate total time spent
+      // Calculate total time spent, leaving out guessed auto-logout check-outs
       group.totalTimeSpent = group.sessions.reduce((total, session) => {
-        return total + (session.duration || 0);
+        return total + (session.checkOutImputed ? 0 : session.duration || 0);
       }, 0);
     });
 
@@ -358,45 +492,14 @@ export const getMemberAttendanceForDate = async (gymId, memberId, date) => {
   try {
     console.log(`📅 Fetching attendance for member ${memberId} on ${date}`);
 
-    const docId = `${date}_${memberId}`;
-    const attendanceDocRef = doc(db, "gyms", gymId, "attendance", docId);
-    const attendanceDoc = await getDoc(attendanceDocRef);
-
-    if (attendanceDoc.exists()) {
-      const data = attendanceDoc.data();
-      const records = [];
-
-      // Process all sessions for this member
-      Object.keys(data).forEach((key) => {
-        if (key.startsWith("Session") && typeof data[key] === "object") {
-          const session = data[key];
-          records.push({
-            id: `${docId}_${key}`,
-            memberId: memberId,
-            gymMemberId: session.gymMemberId || session.Gym_ID || "N/A",
-            memberName: session.Name || "Unknown Member",
-            checkInTime: parseDateTime(
-              session.Logged_in_Time || session.checkInTime
-            ),
-            checkOutTime: parseDateTime(
-              session.Logged_out_Time || session.checkOutTime
-            ),
-            paymentStatus: session.Payment_Status || "Unknown",
-            recordedBy: "fingerprint",
-            date: date,
-            originalDocId: docId,
-            originalSessionId: key,
-          });
-        }
-      });
-
-      console.log(
-        `✅ Found ${records.length} records for member ${memberId} on ${date}`
-      );
-      return records;
-    }
+    const records = (await getAttendanceRecordsForRange(gymId, date, date)).filter(
+      (record) => record.memberId === memberId
+    );
 
-    return [];
+    console.log(
+      `✅ Found ${records.length} records for member ${memberId} on ${date}`
+    );
+    return records;
   } catch (error) {
     console.error(`❌ Error fetching member attendance:`, error);
     return [];
@@ -404,47 +507,138 @@ export const getMemberAttendanceForDate = async (gymId, memberId, date) => {
 };
 
 /**
- * Gets today's attendance summary with your current structure
+ * Fetches the attendance rollups for a date range. Rollups are maintained by
+ * the updateAttendanceRollup Cloud Function:
+ * gyms/{gymId}/attendanceRollups/{YYYY-MM-DD} -> {
+ *   date, uniqueMembers, totalSessions, completedSessions,
+ *   totalDurationMinutes, averageSessionMinutes, paidCheckIns, unpaidCheckIns,
+ *   hourly: { [HH]: { sessions, uniqueMembers } }
+ * }
+ * Days nobody attended have no rollup.
+ * @param {string} gymId - The gym ID
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<Object>} Rollups keyed by date
+ */
+export const getAttendanceRollups = async (gymId, startDate, endDate) => {
+  try {
+    const q = query(
+      collection(db, "gyms", gymId, "attendanceRollups"),
+      where(documentId(), ">=", startDate),
+      where(documentId(), "<=", endDate)
+    );
+    const rollupsSnapshot = await getDocs(q);
+    return Object.fromEntries(
+      rollupsSnapshot.docs.map((doc) => [doc.id, doc.data()])
+    );
+  } catch (error) {
+    console.error("❌ Error fetching attendance rollups:", error);
+    throw new Error("Could not fetch attendance rollups.");
+  }
+};
+
+// Minutes between check-in and check-out, or null for open sessions and
+// estimated check-outs, which would skew dwell times
+const getDwellMinutes = (record) => {
+  if (record.checkOutImputed || !record.checkInTime) return null;
+  if (!(record.checkOutTime > record.checkInTime)) return null;
+  return Math.round((record.checkOutTime - record.checkInTime) / (1000 * 60));
+};
+
+const averageOf = (values) =>
+  values.length
+    ? Math.round(values.reduce((total, value) => total + value, 0) / values.length)
+    : 0;
+
+const medianOf = (values) => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+// Summarises raw attendance records the same way the rollup function does,
+// for days whose rollup has not been written yet
+const summarizeAttendanceRecords = (attendanceRecords, timeZone) => {
+  const hourlyBreakdown = {};
+  const durations = [];
+  let imputedCheckOuts = 0;
+
+  attendanceRecords.forEach((record) => {
+    if (record.checkInTime) {
+      const hour = getZonedHour(record.checkInTime, timeZone);
+      hourlyBreakdown[hour] = (hourlyBreakdown[hour] || 0) + 1;
+    }
+    if (record.checkOutTime && record.checkOutImputed) {
+      imputedCheckOuts++;
+    }
+    const minutes = getDwellMinutes(record);
+    if (minutes !== null) durations.push(minutes);
+  });
+
+  return {
+    totalCheckIns: attendanceRecords.length,
+    activeMembers: new Set(attendanceRecords.map((record) => record.memberId)).size,
+    paidMembersCheckIns: attendanceRecords.filter(
+      (record) => record.paymentStatus === "Paid"
+    ).length,
+    unpaidMembersCheckIns: attendanceRecords.filter(
+      (record) => record.paymentStatus !== "Paid"
+    ).length,
+    averageSessionMinutes: averageOf(durations),
+    imputedCheckOuts,
+    hourlyBreakdown,
+  };
+};
+
+// Converts a rollup document into the summary shape the pages use
+const summarizeRollup = (rollup) => ({
+  totalCheckIns: rollup.totalSessions || 0,
+  activeMembers: rollup.uniqueMembers || 0,
+  paidMembersCheckIns: rollup.paidCheckIns || 0,
+  unpaidMembersCheckIns: rollup.unpaidCheckIns || 0,
+  averageSessionMinutes: rollup.averageSessionMinutes || 0,
+  imputedCheckOuts: rollup.imputedCheckOuts || 0,
+  hourlyBreakdown: Object.fromEntries(
+    Object.entries(rollup.hourly || {}).map(([hour, bucket]) => [
+      parseInt(hour, 10),
+      bucket.sessions,
+    ])
+  ),
+});
+
+/**
+ * Gets today's attendance summary from today's rollup, falling back to the raw
+ * sessions until the rollup has been written
  * @param {string} gymId - The gym ID
  * @returns {Promise<Object>} Today's attendance summary
  */
 export const getTodayAttendanceSummary = async (gymId) => {
   try {
-    const today = new Date().toISOString().split("T")[0];
+    const [today, timeZone] = await Promise.all([
+      getGymToday(gymId),
+      getGymTimeZone(gymId),
+    ]);
     console.log(
       `📊 Getting today's attendance summary for ${gymId} on ${today}`
     );
 
-    const todayAttendance = await getAttendanceForDate(gymId, today);
-
-    const summary = {
-      totalCheckIns: todayAttendance.length,
-      activeMembers: new Set(todayAttendance.map((record) => record.memberId))
-        .size,
-      paidMembersCheckIns: todayAttendance.filter(
-        (record) => record.paymentStatus === "Paid"
-      ).length,
-      unpaidMembersCheckIns: todayAttendance.filter(
-        (record) => record.paymentStatus === "Unpaid"
-      ).length,
-      peakHour: null,
-      hourlyBreakdown: {},
-    };
-
-    // Calculate hourly breakdown
-    const hourCounts = {};
-    todayAttendance.forEach((record) => {
-      if (record.checkInTime) {
-        const hour = record.checkInTime.getHours();
-        hourCounts[hour] = (hourCounts[hour] || 0) + 1;
-      }
-    });
-
-    summary.hourlyBreakdown = hourCounts;
+    const rollupSnap = await getDoc(
+      doc(db, "gyms", gymId, "attendanceRollups", today)
+    );
+    const summary = rollupSnap.exists()
+      ? summarizeRollup(rollupSnap.data())
+      : summarizeAttendanceRecords(
+          await getAttendanceForDate(gymId, today),
+          timeZone
+        );
 
     // Find peak hour
+    summary.peakHour = null;
     let maxCount = 0;
-    for (const [hour, count] of Object.entries(hourCounts)) {
+    for (const [hour, count] of Object.entries(summary.hourlyBreakdown)) {
       if (count > maxCount) {
         maxCount = count;
         summary.peakHour = parseInt(hour);
@@ -460,6 +654,8 @@ export const getTodayAttendanceSummary = async (gymId) => {
       activeMembers: 0,
       paidMembersCheckIns: 0,
       unpaidMembersCheckIns: 0,
+      averageSessionMinutes: 0,
+      imputedCheckOuts: 0,
       peakHour: null,
       hourlyBreakdown: {},
     };
@@ -467,11 +663,11 @@ export const getTodayAttendanceSummary = async (gymId) => {
 };
 
 /**
- * Records new attendance (manual check-in) in your Date_MemberID format
+ * Records new attendance (manual check-in) as a session document
  * @param {string} gymId - The gym ID
  * @param {string} memberId - The member ID
- * @param {Object} attendanceData - Additional attendance data
- * @returns {Promise<string>} The new document ID
+ * @param {Object} attendanceData - { recordedBy, deviceId }
+ * @returns {Promise<string>} The new session ID
  */
 export const recordAttendance = async (gymId, memberId, attendanceData) => {
   try {
@@ -479,14 +675,7 @@ export const recordAttendance = async (gymId, memberId, attendanceData) => {
       `📝 Recording attendance for member ${memberId} at gym ${gymId}`
     );
 
-    const today = new Date().toISOString().split("T")[0];
-    const now = new Date();
-    // Create Sri Lankan time (UTC+5:30)
-    const sriLankanTime = new Date(now.getTime() + 5.5 * 60 * 60 * 1000);
-    const timeString = sriLankanTime
-      .toISOString()
-      .slice(0, 19)
-      .replace("T", " ");
+    const today = await getGymToday(gymId);
 
     // Get member info first
     const memberRef = doc(db, "gyms", gymId, "members", memberId);
@@ -498,53 +687,28 @@ export const recordAttendance = async (gymId, memberId, attendanceData) => {
 
     const memberData = memberSnap.data();
 
-    // Create document ID in your format: Date_MemberID
-    const docId = `${today}_${memberId}`;
-    const attendanceDocRef = doc(db, "gyms", gymId, "attendance", docId);
-
-    // Check if document already exists (member already checked in today)
-    const existingDoc = await getDoc(attendanceDocRef);
-
-    let sessionNumber = 1;
-    let updateData = {};
-
-    if (existingDoc.exists()) {
-      // Member already has attendance for today, add new session
-      const existingData = existingDoc.data();
-      const sessionKeys = Object.keys(existingData).filter((key) =>
-        key.startsWith("Session")
-      );
-      sessionNumber = sessionKeys.length + 1;
-
-      console.log(
-        `📝 Adding Session${sessionNumber} to existing document for member ${memberId}`
-      );
-    } else {
-      console.log(`📝 Creating new attendance document for member ${memberId}`);
+    // Members on a freeze that blocks check-in cannot be signed in
+    const freeze = memberData.currentFreeze;
+    if (isFreezeActive(freeze, today) && freeze.blockCheckIn) {
+      throw new Error(`Membership is frozen until ${freeze.endDate}`);
     }
 
-    // Create the new session data
-    updateData[`Session${sessionNumber}`] = {
-      Logged_in_Time: timeString,
-      Name: memberData.Name || "Unknown Member",
-      Payment_Status: memberData.Payment_Status || "Unpaid",
+    const sessionRef = await addDoc(getSessionsCollectionRef(gymId), {
+      memberId,
+      memberName: memberData.Name || "Unknown Member",
       gymMemberId: memberData.gymMemberId || memberData.Gym_ID || "N/A",
+      paymentStatus: memberData.Payment_Status || "Unpaid",
       date: today,
-      SessionCount: sessionNumber,
-      recordedBy: attendanceData.recordedBy || "manual",
-    };
-
-    // Update or create the document
-    if (existingDoc.exists()) {
-      await updateDoc(attendanceDocRef, updateData);
-    } else {
-      await updateDoc(attendanceDocRef, updateData);
-    }
+      checkInAt: Timestamp.now(),
+      checkOutAt: null,
+      source: attendanceData.recordedBy || "manual",
+      checkOutSource: null,
+      deviceId: attendanceData.deviceId || null,
+      createdAt: Timestamp.now(),
+    });
 
-    console.log(
-      `✅ Attendance recorded in document: ${docId}, Session: ${sessionNumber}`
-    );
-    return `${docId}_Session${sessionNumber}`;
+    console.log(`✅ Attendance recorded in session ${sessionRef.id}`);
+    return sessionRef.id;
   } catch (error) {
     console.error("❌ Error recording attendance:", error);
     throw new Error(`Could not record attendance: ${error.message}`);
@@ -564,24 +728,21 @@ export const getAttendanceForDateRange = async (gymId, startDate, endDate) => {
       `📅 Fetching attendance for ${gymId} from ${startDate} to ${endDate}`
     );
 
-    const attendanceData = {};
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-
-    // Iterate through each date in the range
-    for (
-      let date = new Date(start);
-      date <= end;
-      date.setDate(date.getDate() + 1)
-    ) {
-      const dateString = date.toISOString().split("T")[0];
-      try {
-        const dayAttendance = await getAttendanceForDate(gymId, dateString);
-        attendanceData[dateString] = dayAttendance;
-      } catch (error) {
-        attendanceData[dateString] = [];
+    // Every day in the range gets an entry, even when nobody attended
+    const attendanceData = Object.fromEntries(
+      getDateRange(startDate, endDate).map((date) => [date, []])
+    );
+
+    const attendanceRecords = await getAttendanceRecordsForRange(
+      gymId,
+      startDate,
+      endDate
+    );
+    attendanceRecords.forEach((record) => {
+      if (attendanceData[record.date]) {
+        attendanceData[record.date].push(record);
       }
-    }
+    });
 
     console.log(
       `✅ Fetched attendance for ${Object.keys(attendanceData).length} days`
@@ -595,6 +756,158 @@ export const getAttendanceForDateRange = async (gymId, startDate, endDate) => {
   }
 };
 
+export const WEEKDAY_LABELS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+/**
+ * Builds attendance analytics for a date range from the sessions:
+ * a weekday × hour heatmap of check-ins, dwell times, busiest weekdays and
+ * dates, and a week-by-week trend. Heatmap and weekday figures are averages
+ * per occurrence of the weekday in the range, so ranges of different lengths
+ * can be compared. Estimated check-outs are left out of dwell times.
+ * @param {string} gymId - The gym ID
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<Object>} {
+ *   startDate, endDate, days, totalCheckIns, uniqueMembers,
+ *   averageDailyCheckIns, averageDwellMinutes, medianDwellMinutes,
+ *   heatmap: [weekday][hour] average check-ins, peakSlot: { weekday, hour, average },
+ *   hourly: { [hour]: check-ins },
+ *   byWeekday: [{ weekday, label, checkIns, averageCheckIns, averageDwellMinutes }],
+ *   busiestDates: [{ date, checkIns, uniqueMembers }],
+ *   weeklyTrend: [{ weekStart, days, checkIns, uniqueMembers, averageDwellMinutes }]
+ * }
+ */
+export const getAttendanceAnalytics = async (gymId, startDate, endDate) => {
+  try {
+    console.log(
+      `📈 Building attendance analytics for ${gymId} from ${startDate} to ${endDate}`
+    );
+
+    const [attendanceByDate, timeZone] = await Promise.all([
+      getAttendanceForDateRange(gymId, startDate, endDate),
+      getGymTimeZone(gymId),
+    ]);
+
+    const heatmapCounts = WEEKDAY_LABELS.map(() => Array(24).fill(0));
+    const weekdayDays = Array(7).fill(0);
+    const weekdays = WEEKDAY_LABELS.map(() => ({ checkIns: 0, durations: [] }));
+    const weeks = {};
+    const hourly = {};
+    const dates = [];
+    const members = new Set();
+    const durations = [];
+
+    for (const [date, records] of Object.entries(attendanceByDate)) {
+      const weekday = getWeekday(date);
+      const weekStart = getWeekStart(date);
+      weekdayDays[weekday]++;
+      weeks[weekStart] = weeks[weekStart] || {
+        weekStart,
+        days: 0,
+        checkIns: 0,
+        members: new Set(),
+        durations: [],
+      };
+      weeks[weekStart].days++;
+
+      records.forEach((record) => {
+        const minutes = getDwellMinutes(record);
+        if (record.checkInTime) {
+          const hour = getZonedHour(record.checkInTime, timeZone);
+          heatmapCounts[weekday][hour]++;
+          hourly[hour] = (hourly[hour] || 0) + 1;
+        }
+        members.add(record.memberId);
+        weeks[weekStart].members.add(record.memberId);
+        if (minutes !== null) {
+          durations.push(minutes);
+          weekdays[weekday].durations.push(minutes);
+          weeks[weekStart].durations.push(minutes);
+        }
+      });
+
+      weekdays[weekday].checkIns += records.length;
+      weeks[weekStart].checkIns += records.length;
+      dates.push({
+        date,
+        checkIns: records.length,
+        uniqueMembers: new Set(records.map((record) => record.memberId)).size,
+      });
+    }
+
+    const heatmap = heatmapCounts.map((hours, weekday) =>
+      hours.map((count) =>
+        weekdayDays[weekday] ? parseFloat((count / weekdayDays[weekday]).toFixed(1)) : 0
+      )
+    );
+
+    let peakSlot = null;
+    heatmap.forEach((hours, weekday) =>
+      hours.forEach((average, hour) => {
+        if (average > 0 && (!peakSlot || average > peakSlot.average)) {
+          peakSlot = { weekday, hour, average };
+        }
+      })
+    );
+
+    const totalCheckIns = dates.reduce((total, day) => total + day.checkIns, 0);
+
+    const analytics = {
+      startDate,
+      endDate,
+      days: dates.length,
+      totalCheckIns,
+      uniqueMembers: members.size,
+      averageDailyCheckIns: dates.length
+        ? parseFloat((totalCheckIns / dates.length).toFixed(1))
+        : 0,
+      averageDwellMinutes: averageOf(durations),
+      medianDwellMinutes: medianOf(durations),
+      heatmap,
+      peakSlot,
+      hourly,
+      byWeekday: weekdays.map((day, weekday) => ({
+        weekday,
+        label: WEEKDAY_LABELS[weekday],
+        checkIns: day.checkIns,
+        averageCheckIns: weekdayDays[weekday]
+          ? parseFloat((day.checkIns / weekdayDays[weekday]).toFixed(1))
+          : 0,
+        averageDwellMinutes: averageOf(day.durations),
+      })),
+      busiestDates: dates
+        .filter((day) => day.checkIns > 0)
+        .sort((a, b) => b.checkIns - a.checkIns)
+        .slice(0, 5),
+      weeklyTrend: Object.values(weeks)
+        .sort((a, b) => a.weekStart.localeCompare(b.weekStart))
+        .map((week) => ({
+          weekStart: week.weekStart,
+          days: week.days,
+          checkIns: week.checkIns,
+          uniqueMembers: week.members.size,
+          averageDwellMinutes: averageOf(week.durations),
+        })),
+    };
+
+    console.log(
+      `✅ Attendance analytics built from ${totalCheckIns} check-ins over ${dates.length} days`
+    );
+    return analytics;
+  } catch (error) {
+    console.error("❌ Error building attendance analytics:", error);
+    throw new Error("Could not build attendance analytics.");
+  }
+};
+
 /**
  * Searches attendance records by member name or gym ID
  * @param {string} gymId - The gym ID
@@ -666,65 +979,324 @@ export const searchGroupedAttendanceRecords = async (
 };
 
 /**
- * Deletes an attendance session from your Date_MemberID structure
+ * Deletes an attendance session: its session document and, for sessions that
+ * started out as a legacy map, the map as well so the reader does not show it
+ * again
  * @param {string} gymId - The gym ID
  * @param {string} date - Date in YYYY-MM-DD format
- * @param {string} recordId - The record ID (format: "YYYY-MM-DD_memberId_SessionX")
+ * @param {string} recordId - The record ID (a session ID, or "YYYY-MM-DD_memberId_SessionX")
  * @returns {Promise<void>}
  */
 export const deleteAttendanceRecord = async (gymId, date, recordId) => {
   try {
     console.log(`🗑️ Deleting attendance record ${recordId} for ${date}`);
 
-    // Parse the recordId: "2025-07-17_25_Session1" -> docId: "2025-07-17_25", sessionId: "Session1"
-    const parts = recordId.split("_");
+    const sessionRef = doc(getSessionsCollectionRef(gymId), recordId);
+    const sessionSnap = await getDoc(sessionRef);
+    let deleted = false;
 
-    if (parts.length < 3) {
-      throw new Error(`Invalid record ID format: ${recordId}`);
+    if (sessionSnap.exists()) {
+      await deleteDoc(sessionRef);
+      deleted = true;
     }
 
-    const sessionId = parts[parts.length - 1]; // "Session1"
-    const docId = parts.slice(0, -1).join("_"); // "2025-07-17_25"
+    // Legacy IDs: "2025-07-17_25_Session1" -> docId: "2025-07-17_25", sessionKey: "Session1"
+    const match = recordId.match(/^(.+)_(Session\d+)$/);
+    if (match) {
+      const [, docId, sessionKey] = match;
+      const attendanceDocRef = doc(db, "gyms", gymId, "attendance", docId);
+      const attendanceDoc = await getDoc(attendanceDocRef);
 
-    console.log(`🗑️ Deleting from doc: ${docId}, session: ${sessionId}`);
-
-    const attendanceDocRef = doc(db, "gyms", gymId, "attendance", docId);
-    const attendanceDoc = await getDoc(attendanceDocRef);
-
-    if (attendanceDoc.exists()) {
-      const data = attendanceDoc.data();
-
-      if (data[sessionId]) {
-        // Remove the specific session
-        const updatedData = { ...data };
-        delete updatedData[sessionId];
+      if (attendanceDoc.exists() && attendanceDoc.data()[sessionKey]) {
+        const remainingSessions = Object.keys(attendanceDoc.data()).filter(
+          (key) => key.startsWith("Session") && key !== sessionKey
+        );
 
-        // Update the document (or delete if no sessions left)
-        if (Object.keys(updatedData).length === 0) {
+        // Delete the document if no sessions are left
+        if (remainingSessions.length === 0) {
           await deleteDoc(attendanceDocRef);
-          console.log(`✅ Deleted entire document ${docId} (no more sessions)`);
         } else {
-          await updateDoc(attendanceDocRef, updatedData);
-          console.log(`✅ Deleted session ${sessionId} from document ${docId}`);
+          await updateDoc(attendanceDocRef, { [sessionKey]: deleteField() });
         }
-      } else {
-        throw new Error(`Session ${sessionId} not found in document ${docId}`);
+        deleted = true;
       }
-    } else {
-      throw new Error(`Document ${docId} not found`);
     }
+
+    if (!deleted) {
+      throw new Error(`Session ${recordId} not found`);
+    }
+    console.log(`✅ Deleted attendance record ${recordId}`);
   } catch (error) {
     console.error("❌ Error deleting attendance record:", error);
     throw new Error("Could not delete attendance record.");
   }
 };
 
+// Whether two sessions overlap; an open session runs until it is checked out
+const sessionsOverlap = (a, b) => {
+  const aEnd = a.checkOutTime || new Date(8.64e15);
+  const bEnd = b.checkOutTime || new Date(8.64e15);
+  return a.checkInTime < bEnd && b.checkInTime < aEnd;
+};
+
+/**
+ * Corrects a session's check-in and check-out times, checks it out, or
+ * reopens it (checkOutTime null). The session document keeps its values from
+ * before the first edit in `original`, and every edit is appended to `edits`
+ * with who made it. Editing an unmigrated legacy session writes its session
+ * document, which the readers prefer over the legacy map from then on.
+ * @param {string} gymId - The gym ID
+ * @param {string} sessionId - The session ID (attendance record ID)
+ * @param {string} date - The session's day (YYYY-MM-DD)
+ * @param {Object} changes - { checkInTime, checkOutTime (Date|null), reason, editedBy }
+ * @returns {Promise<void>}
+ */
+export const updateAttendanceSession = async (gymId, sessionId, date, changes) => {
+  const { checkInTime, checkOutTime, reason, editedBy } = changes;
+  const now = new Date();
+
+  if (!checkInTime || isNaN(checkInTime.getTime())) {
+    throw new Error("Enter a check-in time.");
+  }
+  if (checkOutTime && checkOutTime <= checkInTime) {
+    throw new Error("Check-out must be after check-in.");
+  }
+  if (checkInTime > now || (checkOutTime && checkOutTime > now)) {
+    throw new Error("Sessions cannot end or start in the future.");
+  }
+
+  const records = await getAttendanceRecordsForRange(gymId, date, date);
+  const session = records.find((record) => record.id === sessionId);
+  if (!session) {
+    throw new Error("Session not found.");
+  }
+
+  const overlapping = records.find(
+    (record) =>
+      record.id !== sessionId &&
+      record.memberId === session.memberId &&
+      record.checkInTime &&
+      sessionsOverlap(record, { checkInTime, checkOutTime })
+  );
+  if (overlapping) {
+    throw new Error(
+      overlapping.checkOutTime
+        ? "This overlaps another session for the member on this day."
+        : "The member has another session still open on this day."
+    );
+  }
+
+  try {
+    const sessionChanges = {};
+    const timeChanged = (from, to) => (from?.getTime() ?? null) !== (to?.getTime() ?? null);
+
+    if (timeChanged(session.checkInTime, checkInTime)) {
+      sessionChanges.checkInAt = { from: session.checkInTime, to: checkInTime };
+    }
+    if (timeChanged(session.checkOutTime, checkOutTime)) {
+      sessionChanges.checkOutAt = { from: session.checkOutTime, to: checkOutTime };
+    }
+    if (Object.keys(sessionChanges).length === 0) return;
+
+    const checkOutSource = sessionChanges.checkOutAt
+      ? checkOutTime
+        ? "manual"
+        : null
+      : session.checkOutSource;
+    if (checkOutSource !== session.checkOutSource) {
+      sessionChanges.checkOutSource = {
+        from: session.checkOutSource,
+        to: checkOutSource,
+      };
+    }
+
+    const toTimestamp = (date) => (date ? Timestamp.fromDate(date) : null);
+    const edit = {
+      editedBy: editedBy || "admin",
+      editedAt: Timestamp.now(),
+      reason: reason || "",
+      changes: Object.fromEntries(
+        Object.entries(sessionChanges).map(([field, { from, to }]) => [
+          field,
+          field === "checkOutSource"
+            ? { from, to }
+            : { from: toTimestamp(from), to: toTimestamp(to) },
+        ])
+      ),
+    };
+    const sessionUpdate = {
+      checkInAt: Timestamp.fromDate(checkInTime),
+      checkOutAt: toTimestamp(checkOutTime),
+      checkOutSource,
+      ...(sessionChanges.checkOutAt
+        ? { checkOutImputed: false, imputedMethod: null }
+        : {}),
+      edits: arrayUnion(edit),
+    };
+
+    const original = {
+      checkInAt: toTimestamp(session.checkInTime),
+      checkOutAt: toTimestamp(session.checkOutTime),
+      checkOutSource: session.checkOutSource,
+    };
+
+    const sessionRef = doc(getSessionsCollectionRef(gymId), sessionId);
+    if (session.legacy) {
+      await setDoc(sessionRef, {
+        memberId: session.memberId,
+        memberName: session.memberName,
+        gymMemberId: session.gymMemberId,
+        paymentStatus: session.paymentStatus,
+        date: session.date,
+        source: session.source,
+        deviceId: session.deviceId,
+        legacyId: `${session.originalDocId}/${session.originalSessionId}`,
+        createdAt: Timestamp.now(),
+        original,
+        ...sessionUpdate,
+      });
+    } else {
+      // Only the first edit records the original values
+      const sessionSnap = await getDoc(sessionRef);
+      await updateDoc(sessionRef, {
+        ...(sessionSnap.data().original ? {} : { original }),
+        ...sessionUpdate,
+      });
+    }
+
+    console.log(`✏️ Session ${sessionId} edited by ${edit.editedBy}`);
+  } catch (error) {
+    console.error("❌ Error updating attendance session:", error);
+    throw new Error("Could not update attendance session.");
+  }
+};
+
+/**
+ * Checks a session out now
+ * @param {string} gymId - The gym ID
+ * @param {string} sessionId - The session ID
+ * @param {string} date - The session's day (YYYY-MM-DD)
+ * @param {string} editedBy - Who checked the member out
+ * @returns {Promise<void>}
+ */
+export const checkOutAttendanceSession = async (gymId, sessionId, date, editedBy) => {
+  const records = await getAttendanceRecordsForRange(gymId, date, date);
+  const session = records.find((record) => record.id === sessionId);
+  if (!session) {
+    throw new Error("Session not found.");
+  }
+  if (session.checkOutTime) {
+    throw new Error("This session is already checked out.");
+  }
+
+  await updateAttendanceSession(gymId, sessionId, date, {
+    checkInTime: session.checkInTime,
+    checkOutTime: new Date(),
+    reason: "Manual check-out",
+    editedBy,
+  });
+};
+
+/**
+ * Listens to the members currently in the gym: the day's sessions that have
+ * not been checked out, from session documents and unmigrated legacy maps.
+ * @param {string} gymId - The gym ID
+ * @param {string} date - The day to watch (YYYY-MM-DD), normally the gym's today
+ * @param {string} timeZone - The gym's time zone, for scanner times
+ * @param {Function} onChange - Called with the open sessions, earliest check-in first
+ * @param {Function} onError - Called if a listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToOccupancy = (gymId, date, timeZone, onChange, onError) => {
+  console.log(`🏋️ Listening to occupancy for ${gymId} on ${date}`);
+
+  let sessionRecords = [];
+  let legacyRecords = [];
+
+  const publish = () => {
+    const sessionIds = new Set(sessionRecords.map((record) => record.id));
+    const openSessions = [
+      ...sessionRecords,
+      ...legacyRecords.filter((record) => !sessionIds.has(record.id)),
+    ]
+      .filter((record) => record.checkInTime && !record.checkOutTime)
+      .sort((a, b) => a.checkInTime - b.checkInTime);
+    onChange(openSessions);
+  };
+
+  const handleError = (error) => {
+    console.error("❌ Occupancy listener error:", error);
+    if (onError) onError(error);
+  };
+
+  const unsubscribeSessions = onSnapshot(
+    query(getSessionsCollectionRef(gymId), where("date", "==", date)),
+    (snapshot) => {
+      sessionRecords = snapshot.docs.map(parseSessionDoc);
+      publish();
+    },
+    handleError
+  );
+  const unsubscribeLegacy = onSnapshot(
+    query(
+      collection(db, "gyms", gymId, "attendance"),
+      where(documentId(), ">=", `${date}_`),
+      where(documentId(), "<", `${date}_\uf8ff`)
+    ),
+    (snapshot) => {
+      legacyRecords = snapshot.docs.flatMap((docSnapshot) =>
+        parseAttendanceDoc(docSnapshot, null, timeZone)
+      );
+      publish();
+    },
+    handleError
+  );
+
+  return () => {
+    unsubscribeSessions();
+    unsubscribeLegacy();
+  };
+};
+
+/**
+ * Listens to the warned and denied scanner attempts on a day, logged by the
+ * checkAccess function (functions/access/accessControl.js)
+ * @param {string} gymId - The gym ID
+ * @param {string} date - The day (YYYY-MM-DD)
+ * @param {Function} onChange - Called with the attempts, newest first
+ * @param {Function} onError - Called if the listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToAccessAttempts = (gymId, date, onChange, onError) => {
+  return onSnapshot(
+    query(collection(db, "gyms", gymId, "accessAttempts"), where("date", "==", date)),
+    (snapshot) => {
+      const attempts = snapshot.docs
+        .map((docSnapshot) => {
+          const attempt = docSnapshot.data();
+          return {
+            id: docSnapshot.id,
+            ...attempt,
+            attemptedAt: toDate(attempt.attemptedAt),
+          };
+        })
+        .sort((a, b) => (b.attemptedAt || 0) - (a.attemptedAt || 0));
+      onChange(attempts);
+    },
+    (error) => {
+      console.error("❌ Access attempts listener error:", error);
+      if (onError) onError(error);
+    }
+  );
+};
+
 /**
  * Gets attendance statistics for a specific member
  * @param {string} gymId - The gym ID
  * @param {string} memberId - The member ID
  * @param {number} days - Number of days to look back (default 30)
- * @returns {Promise<Object>} Member attendance statistics
+ * @returns {Promise<Object>} Member attendance statistics, including dwell
+ * times and the weekday and hour the member usually comes in
  */
 export const getMemberAttendanceStats = async (gymId, memberId, days = 30) => {
   try {
@@ -735,21 +1307,27 @@ export const getMemberAttendanceStats = async (gymId, memberId, days = 30) => {
       lastVisit: null,
       averageVisitsPerWeek: 0,
       visitDates: [],
+      averageDwellMinutes: 0,
+      medianDwellMinutes: 0,
+      visitsByWeekday: Array(7).fill(0),
+      visitsByHour: {},
+      usualWeekday: null,
+      usualHour: null,
     };
 
     // Calculate date range
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(endDate.getDate() - days);
-
-    const startDateString = startDate.toISOString().split("T")[0];
-    const endDateString = endDate.toISOString().split("T")[0];
+    const [endDateString, timeZone] = await Promise.all([
+      getGymToday(gymId),
+      getGymTimeZone(gymId),
+    ]);
+    const startDateString = addDays(endDateString, -days);
 
     const attendanceData = await getAttendanceForDateRange(
       gymId,
       startDateString,
       endDateString
     );
+    const durations = [];
 
     // Process the data - filter for specific member
     for (const [date, records] of Object.entries(attendanceData)) {
@@ -759,6 +1337,16 @@ export const getMemberAttendanceStats = async (gymId, memberId, days = 30) => {
       if (memberVisits.length > 0) {
         stats.totalVisits += memberVisits.length;
         stats.visitDates.push(date);
+        stats.visitsByWeekday[getWeekday(date)] += memberVisits.length;
+
+        memberVisits.forEach((record) => {
+          const minutes = getDwellMinutes(record);
+          if (minutes !== null) durations.push(minutes);
+          if (record.checkInTime) {
+            const hour = getZonedHour(record.checkInTime, timeZone);
+            stats.visitsByHour[hour] = (stats.visitsByHour[hour] || 0) + 1;
+          }
+        });
 
         const visitDate = new Date(date);
         if (!stats.lastVisit || visitDate > stats.lastVisit) {
@@ -773,6 +1361,19 @@ export const getMemberAttendanceStats = async (gymId, memberId, days = 30) => {
       (stats.totalVisits / totalWeeks).toFixed(1)
     );
 
+    stats.averageDwellMinutes = averageOf(durations);
+    stats.medianDwellMinutes = medianOf(durations);
+    if (stats.totalVisits > 0) {
+      stats.usualWeekday = stats.visitsByWeekday.indexOf(
+        Math.max(...stats.visitsByWeekday)
+      );
+    }
+    for (const [hour, count] of Object.entries(stats.visitsByHour)) {
+      if (stats.usualHour === null || count > stats.visitsByHour[stats.usualHour]) {
+        stats.usualHour = parseInt(hour);
+      }
+    }
+
     console.log(`✅ Member attendance stats calculated:`, stats);
     return stats;
   } catch (error) {
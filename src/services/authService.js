@@ -12,6 +12,7 @@ import { doc, getDoc } from "firebase/firestore";
 
 // Import your initialized Firebase Auth and Firestore instances
 import { auth, db } from "./firebase";
+import { DEFAULT_TIME_ZONE } from "../utils/dateUtils";
 
 /**
  * Attempts to log in a user with email and password.
@@ -99,6 +100,7 @@ export const getGymInfo = async (userId, retryCount = 0) => {
       address: gymData.address || "Address not specified",
       contact: gymData.contact || "Contact not specified",
       status: gymData.status || "active",
+      timeZone: gymData.timeZone || DEFAULT_TIME_ZONE,
     };
 
     sessionStorage.setItem("gymInfo", JSON.stringify(gymInfo));
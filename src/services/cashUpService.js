@@ -0,0 +1,237 @@
+// src/services/cashUpService.js
+import {
+  collection,
+  query,
+  getDocs,
+  doc,
+  getDoc,
+  addDoc,
+  runTransaction,
+  orderBy,
+  limit,
+} from "firebase/firestore";
+import { db } from "./firebase";
+import { getPaymentsForDateRange, getDayTallyRef } from "./paymentService";
+
+/**
+ * Daily cash-up
+ * gyms/{gymId}/cashUps/{YYYY-MM-DD} -> {
+ *   date, expected: { [method]: amount }, counted: { Cash, Card },
+ *   variance: { Cash, Card }, entryCount, total, notes, closed, closedBy, closedAt
+ * }
+ * gyms/{gymId}/cashUps/{YYYY-MM-DD}/shifts/{shiftId} -> {
+ *   staff, expected, counted, variance, notes, recordedAt
+ * }
+ * A shift count is a handover record for one staff member's takings and does
+ * not lock anything. Closing the day locks it: paymentService refuses new
+ * payments, voids and refunds dated on a closed day.
+ * Expected totals come from every ledger entry dated that day, so refunds and
+ * voids given at the desk reduce what should be in the drawer. Each entry
+ * bumps the day's ledger tally as it is written; closing only goes through if
+ * the tally has not moved since the totals were counted.
+ */
+
+// Methods the closer physically counts; the rest are checked against statements
+export const COUNTED_METHODS = ["Cash", "Card"];
+
+// Helper function to get the cash-up document for a day
+const getCashUpRef = (gymId, date) => {
+  return doc(db, "gyms", gymId, "cashUps", date);
+};
+
+// How many times closing counts the day again when entries keep arriving
+const CLOSE_ATTEMPTS = 3;
+
+// Helper function to read how many entries have been written on a day
+const readEntriesWritten = (tallySnap) => {
+  return tallySnap.exists() ? Number(tallySnap.data().entriesWritten) || 0 : 0;
+};
+
+// Rounds to cents so variances do not show floating point noise
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Adds an entry to a { total, count, byMethod } bucket
+const addToGroup = (group, method, amount) => {
+  group.total = roundAmount(group.total + amount);
+  group.count++;
+  group.byMethod[method] = roundAmount((group.byMethod[method] || 0) + amount);
+};
+
+/**
+ * Groups ledger entries for a cash-up by payment method and staff member.
+ * @param {Array} entries - Ledger entries (payments, voids and refunds)
+ * @returns {Object} - { total, count, byMethod: { [method]: amount }, byStaff: { [staff]: { total, count, byMethod } } }
+ */
+export const summarizeCashUpEntries = (entries) => {
+  const summary = { total: 0, count: 0, byMethod: {}, byStaff: {} };
+
+  entries.forEach((entry) => {
+    const amount = Number(entry.amount) || 0;
+    const method = entry.method || "Cash";
+    const staff = entry.recordedBy || "admin";
+
+    addToGroup(summary, method, amount);
+    if (!summary.byStaff[staff]) {
+      summary.byStaff[staff] = { total: 0, count: 0, byMethod: {} };
+    }
+    addToGroup(summary.byStaff[staff], method, amount);
+  });
+
+  return summary;
+};
+
+/**
+ * Counted minus expected for each counted method.
+ * @param {Object} expected - { [method]: amount }
+ * @param {Object} counted - { Cash, Card }
+ * @returns {Object} - { Cash, Card }
+ */
+export const calculateVariance = (expected, counted) => {
+  return Object.fromEntries(
+    COUNTED_METHODS.map((method) => [
+      method,
+      roundAmount((Number(counted[method]) || 0) - (expected[method] || 0)),
+    ])
+  );
+};
+
+/**
+ * Loads the entries for a day and any cash-up already recorded for it.
+ * @param {string} gymId - The gym ID
+ * @param {string} date - The day (YYYY-MM-DD)
+ * @returns {Promise<Object>} - { date, entries, summary, cashUp, shifts }
+ */
+export const getCashUpReport = async (gymId, date) => {
+  try {
+    const [entries, cashUpSnap, shiftsSnapshot] = await Promise.all([
+      getPaymentsForDateRange(gymId, date, date),
+      getDoc(getCashUpRef(gymId, date)),
+      getDocs(
+        query(collection(getCashUpRef(gymId, date), "shifts"), orderBy("recordedAt"))
+      ),
+    ]);
+
+    return {
+      date,
+      entries,
+      summary: summarizeCashUpEntries(entries),
+      cashUp: cashUpSnap.exists() ? cashUpSnap.data() : null,
+      shifts: shiftsSnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    };
+  } catch (error) {
+    console.error("Error loading cash-up report:", error);
+    throw new Error("Could not load the cash-up report.");
+  }
+};
+
+/**
+ * Fetches the most recent closed days.
+ * @param {string} gymId - The gym ID
+ * @param {number} count - How many days to return
+ * @returns {Promise<Array>}
+ */
+export const getRecentCashUps = async (gymId, count = 14) => {
+  try {
+    const q = query(
+      collection(db, "gyms", gymId, "cashUps"),
+      orderBy("date", "desc"),
+      limit(count)
+    );
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  } catch (error) {
+    console.error("Error fetching cash-ups:", error);
+    throw new Error("Could not fetch cash-ups.");
+  }
+};
+
+/**
+ * Records the counted takings for one staff member's shift.
+ * @param {string} gymId - The gym ID
+ * @param {string} date - The day (YYYY-MM-DD)
+ * @param {Object} shiftData - { staff, counted: { Cash, Card }, notes, recordedBy }
+ * @returns {Promise<Object>} - The shift record that was written
+ */
+export const recordShiftCount = async (gymId, date, shiftData) => {
+  const report = await getCashUpReport(gymId, date);
+  if (report.cashUp?.closed) {
+    throw new Error(`${date} has already been closed.`);
+  }
+
+  try {
+    const expected = report.summary.byStaff[shiftData.staff]?.byMethod || {};
+    const shiftRecord = {
+      staff: shiftData.staff,
+      expected,
+      counted: shiftData.counted,
+      variance: calculateVariance(expected, shiftData.counted),
+      notes: shiftData.notes || "",
+      recordedBy: shiftData.recordedBy || "admin",
+      recordedAt: new Date().toISOString(),
+    };
+    const shiftRef = await addDoc(
+      collection(getCashUpRef(gymId, date), "shifts"),
+      shiftRecord
+    );
+    return { id: shiftRef.id, ...shiftRecord };
+  } catch (error) {
+    console.error("Error recording shift count:", error);
+    throw new Error("Could not record the shift count.");
+  }
+};
+
+/**
+ * Closes a day: records the counted totals and the variance against the
+ * ledger, and locks the day's payments.
+ * @param {string} gymId - The gym ID
+ * @param {string} date - The day (YYYY-MM-DD)
+ * @param {Object} closeData - { counted: { Cash, Card }, notes, closedBy }
+ * @returns {Promise<Object>} - The cash-up that was written
+ */
+export const closeDay = async (gymId, date, closeData) => {
+  const tallyRef = getDayTallyRef(gymId, date);
+
+  for (let attempt = 1; attempt <= CLOSE_ATTEMPTS; attempt++) {
+    // Read before the entries, so an entry written while they load moves it
+    const entriesWritten = readEntriesWritten(await getDoc(tallyRef));
+    const { entries, summary } = await getCashUpReport(gymId, date);
+
+    const cashUp = {
+      date,
+      expected: summary.byMethod,
+      counted: closeData.counted,
+      variance: calculateVariance(summary.byMethod, closeData.counted),
+      entryCount: entries.length,
+      total: summary.total,
+      notes: closeData.notes || "",
+      closed: true,
+      closedBy: closeData.closedBy || "admin",
+      closedAt: new Date().toISOString(),
+    };
+
+    // A transaction so two closers cannot both close the same day, and a
+    // payment, void or refund either lands in these totals or is refused
+    const closed = await runTransaction(db, async (transaction) => {
+      const [cashUpSnap, tallySnap] = await Promise.all([
+        transaction.get(getCashUpRef(gymId, date)),
+        transaction.get(tallyRef),
+      ]);
+      if (cashUpSnap.exists() && cashUpSnap.data().closed) {
+        throw new Error(`${date} has already been closed.`);
+      }
+      if (readEntriesWritten(tallySnap) !== entriesWritten) {
+        return false;
+      }
+      transaction.set(getCashUpRef(gymId, date), cashUp);
+      return true;
+    });
+
+    if (closed) {
+      console.log(`Cash-up closed for ${date} by ${cashUp.closedBy}`);
+      return cashUp;
+    }
+    console.log(`Entries were recorded on ${date} while closing; counting again`);
+  }
+
+  throw new Error(`Payments are still being recorded on ${date}. Try closing again.`);
+};
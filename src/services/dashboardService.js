@@ -7,11 +7,15 @@ import {
   orderBy,
   onSnapshot,
   doc,
+  limit as firestoreLimit,
 } from "firebase/firestore";
 import { db } from "./firebase";
+import { getRevenueEntries } from "./paymentService";
+import { getGymToday } from "./settingsService";
+import { addDays, addMonths, getDateRange } from "../utils/dateUtils";
 
 /**
- * Calculates actual monthly revenue from payment history
+ * Calculates actual monthly revenue from the payment ledger
  * @param {string} gymId - The gym ID
  * @param {string} month - Month in YYYY-MM format (optional, defaults to current month)
  * @returns {Promise<number>} Actual revenue for the month
@@ -19,40 +23,28 @@ import { db } from "./firebase";
 const calculateActualMonthlyRevenue = async (gymId, month = null) => {
   try {
     // Use current month if not specified
-    const targetMonth = month || new Date().toISOString().substring(0, 7);
+    const targetMonth = month || (await getGymToday(gymId)).substring(0, 7);
     console.log(`💰 Calculating actual revenue for month: ${targetMonth}`);
 
     let totalRevenue = 0;
     let paymentCount = 0;
 
-    // Get all members to access their payment history
-    const membersRef = collection(db, "gyms", gymId, "members");
-    const membersSnapshot = await getDocs(membersRef);
-
-    membersSnapshot.docs.forEach((doc) => {
-      const memberData = doc.data();
+    // Read the month's entries from the payment ledger (voided payments excluded)
+    const payments = await getRevenueEntries(
+      gymId,
+      `${targetMonth}-01`,
+      `${targetMonth}-31`
+    );
 
-      // Check if member has payment history
-      if (
-        memberData.paymentHistory &&
-        Array.isArray(memberData.paymentHistory)
-      ) {
-        memberData.paymentHistory.forEach((payment) => {
-          // Extract month from payment date (assuming YYYY-MM-DD format)
-          const paymentMonth = payment.date
-            ? payment.date.substring(0, 7)
-            : null;
-
-          if (paymentMonth === targetMonth && payment.amount) {
-            totalRevenue += Number(payment.amount);
-            paymentCount++;
-            console.log(
-              `✅ Added payment: ${payment.amount} from ${
-                memberData.Name || "Unknown"
-              }`
-            );
-          }
-        });
+    payments.forEach((payment) => {
+      if (payment.amount) {
+        totalRevenue += Number(payment.amount);
+        if (payment.type !== "refund") paymentCount++;
+        console.log(
+          `✅ Added payment: ${payment.amount} from ${
+            payment.memberName || "Unknown"
+          }`
+        );
       }
     });
 
@@ -129,9 +121,8 @@ export const getDashboardStats = async (gymId) => {
     console.log(`📊 Fetching enhanced dashboard stats for gym: ${gymId}`);
 
     // Get today's date in YYYY-MM-DD format
-    const today = new Date();
-    const todayString = today.toISOString().split("T")[0];
-    const currentMonth = today.toISOString().substring(0, 7);
+    const todayString = await getGymToday(gymId);
+    const currentMonth = todayString.substring(0, 7);
 
     console.log(`📅 Today: ${todayString}, Current Month: ${currentMonth}`);
 
@@ -187,7 +178,7 @@ export const getDashboardStats = async (gymId) => {
     // 3. Calculate BOTH actual and estimated monthly revenue
     console.log("💰 Calculating revenue metrics...");
 
-    // Get actual revenue from payment history
+    // Get actual revenue from the payment ledger
     const actualData = await calculateActualMonthlyRevenue(gymId, currentMonth);
     stats.actualRevenue = actualData.revenue;
     stats.paymentCount = actualData.paymentCount;
@@ -254,7 +245,7 @@ export const subscribeToDashboardUpdates = (gymId, callback) => {
         if (change.type === "modified") {
           const data = change.doc.data();
           return (
-            data.Payment_Status || data.paymentHistory || data.membershipTierId
+            data.Payment_Status || data.nextPaymentDue || data.membershipTierId
           );
         }
         return change.type === "added" || change.type === "removed";
@@ -283,45 +274,51 @@ export const getRecentAttendanceData = async (gymId, days = 7) => {
   try {
     console.log(`📈 Fetching attendance data for last ${days} days`);
 
-    const attendanceData = [];
-    const today = new Date();
+    const endDateString = await getGymToday(gymId);
+    const startDateString = addDays(endDateString, -(days - 1));
 
-    // Import the correct function
-    const { getAttendanceForDate } = await import("./attendanceService");
-
-    // Get data for the last N days
-    for (let i = days - 1; i >= 0; i--) {
-      const date = new Date(today);
-      date.setDate(today.getDate() - i);
-      const dateString = date.toISOString().split("T")[0];
+    // Daily rollups are a handful of small documents; the raw sessions are
+    // only read for days that have no rollup yet
+    const { getAttendanceRollups, getAttendanceForDateRange } = await import(
+      "./attendanceService"
+    );
+    const rollups = await getAttendanceRollups(gymId, startDateString, endDateString);
+
+    const dates = getDateRange(startDateString, endDateString);
+    const missingDates = dates.filter((dateString) => !rollups[dateString]);
+
+    // One read covers every day between the first and last missing rollup
+    let attendanceByDate = {};
+    if (missingDates.length > 0) {
+      attendanceByDate = await getAttendanceForDateRange(
+        gymId,
+        missingDates[0],
+        missingDates[missingDates.length - 1]
+      );
+    }
 
-      try {
-        // Use your existing working function
-        const dayAttendance = await getAttendanceForDate(gymId, dateString);
+    const counts = Object.fromEntries(
+      dates.map((dateString) => [
+        dateString,
+        rollups[dateString]
+          ? rollups[dateString].totalSessions || 0
+          : (attendanceByDate[dateString] || []).length,
+      ])
+    );
 
-        attendanceData.push({
-          date: dateString,
-          count: dayAttendance.length, // Count of attendance records
-          formattedDate: date.toLocaleDateString("en-US", {
-            month: "short",
-            day: "numeric",
-          }),
-        });
-
-        console.log(`📊 ${dateString}: ${dayAttendance.length} check-ins`);
-      } catch (error) {
-        // If no data for this date, add 0
-        attendanceData.push({
-          date: dateString,
-          count: 0,
-          formattedDate: date.toLocaleDateString("en-US", {
+    const attendanceData = Object.entries(counts).map(
+      ([dateString, count]) => ({
+        date: dateString,
+        count, // Count of check-in sessions
+        formattedDate: new Date(`${dateString}T00:00:00`).toLocaleDateString(
+          "en-US",
+          {
             month: "short",
             day: "numeric",
-          }),
-        });
-        console.log(`📊 ${dateString}: 0 check-ins (no data)`);
-      }
-    }
+          }
+        ),
+      })
+    );
 
     console.log("📈 Weekly attendance data:", attendanceData);
     return attendanceData;
@@ -352,47 +349,28 @@ export const getRecentMemberActivities = async (gymId, limit = 5) => {
   try {
     console.log(`🔄 Fetching ${limit} recent member activities`);
 
-    const activities = [];
-    const today = new Date();
-
-    // Look at the last 7 days for activities
-    for (let i = 0; i < 7 && activities.length < limit; i++) {
-      const date = new Date(today);
-      date.setDate(today.getDate() - i);
-      const dateString = date.toISOString().split("T")[0];
-
-      try {
-        const attendanceRef = collection(
-          db,
-          "gyms",
-          gymId,
-          "attendance",
-          dateString,
-          "sessions"
-        );
-        const q = query(attendanceRef, orderBy("timestamp", "desc"));
-        const snapshot = await getDocs(q);
-
-        snapshot.docs.forEach((doc) => {
-          if (activities.length < limit) {
-            const sessionData = doc.data();
-            activities.push({
-              id: doc.id,
-              type: "check-in",
-              memberName: sessionData.memberName || "Unknown Member",
-              timestamp: sessionData.timestamp,
-              date: dateString,
-              ...sessionData,
-            });
-          }
-        });
-      } catch (error) {
-        console.log(`No attendance data for ${dateString}`);
-      }
-    }
+    // The latest check-ins from the attendance sessions
+    const q = query(
+      collection(db, "gyms", gymId, "attendanceSessions"),
+      orderBy("checkInAt", "desc"),
+      firestoreLimit(limit)
+    );
+    const snapshot = await getDocs(q);
+
+    const activities = snapshot.docs.map((doc) => {
+      const sessionData = doc.data();
+      return {
+        id: doc.id,
+        type: "check-in",
+        activity: sessionData.checkOutAt ? "Visited" : "Checked in",
+        memberName: sessionData.memberName || "Unknown Member",
+        timestamp: sessionData.checkInAt,
+        date: sessionData.date,
+      };
+    });
 
     console.log(`🔄 Found ${activities.length} recent activities`);
-    return activities.slice(0, limit);
+    return activities;
   } catch (error) {
     console.error("❌ Error fetching recent member activities:", error);
     return [];
@@ -409,12 +387,12 @@ export const getMonthlyRevenueTrend = async (gymId) => {
     console.log("📈 Fetching monthly revenue trend...");
 
     const trend = [];
-    const today = new Date();
+    const firstOfMonth = `${(await getGymToday(gymId)).substring(0, 7)}-01`;
 
     // Get last 6 months
     for (let i = 5; i >= 0; i--) {
-      const date = new Date(today.getFullYear(), today.getMonth() - i, 1);
-      const monthString = date.toISOString().substring(0, 7);
+      const monthString = addMonths(firstOfMonth, -i).substring(0, 7);
+      const date = new Date(`${monthString}-01T00:00:00`);
 
       const monthData = await calculateActualMonthlyRevenue(gymId, monthString);
 
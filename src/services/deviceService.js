@@ -0,0 +1,492 @@
+// src/services/deviceService.js
+import {
+  collection,
+  query,
+  getDocs,
+  doc,
+  getDoc,
+  addDoc,
+  updateDoc,
+  where,
+  orderBy,
+  limit,
+  documentId,
+  onSnapshot,
+  runTransaction,
+  serverTimestamp,
+  Timestamp,
+} from "firebase/firestore";
+import { db } from "./firebase";
+import { addDays } from "../utils/dateUtils";
+
+/**
+ * Scanner devices
+ * gyms/{gymId}/devices/{deviceId} -> {
+ *   location, status ("online" | "busy" | ...), last_seen, uptime_seconds,
+ *   version, capabilities: { enrollment, attendance, audio, ... }
+ *   (written by the firmware),
+ *   name, retired, retiredAt, retiredBy, updatedAt (written by the app)
+ * }
+ * gyms/{gymId}/devices/{deviceId}/heartbeats/{YYYY-MM-DD} -> {
+ *   date, hours: { [H]: heartbeats }, restarts, lastUptimeSeconds
+ * } (kept by the recordDeviceHeartbeat Cloud Function)
+ * Retired devices stay on record but are not offered for enrollment.
+ */
+
+// A device that has not sent a heartbeat for this long is offline
+export const DEVICE_OFFLINE_AFTER_MS = 2 * 60 * 1000;
+
+/**
+ * Whether a device has sent a heartbeat recently enough to count as online
+ * @param {Object} device - From subscribeToDevices
+ * @param {Date} now - The time to judge against
+ */
+export const isDeviceOnline = (device, now = new Date()) => {
+  return Boolean(device.lastSeen) && now - device.lastSeen < DEVICE_OFFLINE_AFTER_MS;
+};
+
+const parseDeviceDoc = (docSnapshot) => {
+  const device = docSnapshot.data();
+  return {
+    id: docSnapshot.id,
+    name: device.name || "",
+    location: device.location || "Unknown Location",
+    status: device.status || "unknown",
+    lastSeen: device.last_seen?.toDate ? device.last_seen.toDate() : null,
+    uptimeSeconds: device.uptime_seconds ?? null,
+    version: device.version || "unknown",
+    capabilities: device.capabilities || {},
+    retired: Boolean(device.retired),
+    retiredAt: device.retiredAt?.toDate ? device.retiredAt.toDate() : null,
+    retiredBy: device.retiredBy || null,
+  };
+};
+
+/**
+ * Listens to a gym's devices. The listener fires on every heartbeat, so the
+ * list stays live without polling.
+ * @param {string} gymId - The gym ID
+ * @param {Function} onChange - Called with the devices, sorted by name or location
+ * @param {Function} onError - Called if the listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToDevices = (gymId, onChange, onError) => {
+  return onSnapshot(
+    collection(db, "gyms", gymId, "devices"),
+    (devicesSnapshot) => {
+      const devices = devicesSnapshot.docs
+        .map(parseDeviceDoc)
+        .sort((a, b) => (a.name || a.location).localeCompare(b.name || b.location));
+      onChange(devices);
+    },
+    (error) => {
+      console.error("❌ Devices listener error:", error);
+      if (onError) onError(error);
+    }
+  );
+};
+
+/**
+ * Renames or relocates a device
+ * @param {string} gymId - The gym ID
+ * @param {string} deviceId - The device ID
+ * @param {Object} details - { name, location }
+ */
+export const updateDeviceDetails = async (gymId, deviceId, details) => {
+  try {
+    const location = details.location?.trim();
+    if (!location) {
+      throw new Error("Location is required");
+    }
+
+    await updateDoc(doc(db, "gyms", gymId, "devices", deviceId), {
+      name: details.name?.trim() || "",
+      location,
+      updatedAt: serverTimestamp(),
+    });
+    console.log(`✅ Device ${deviceId} updated`);
+  } catch (error) {
+    console.error("❌ Error updating device:", error);
+    throw new Error(`Could not update device: ${error.message}`);
+  }
+};
+
+/**
+ * Retires a device, or brings a retired one back
+ * @param {string} gymId - The gym ID
+ * @param {string} deviceId - The device ID
+ * @param {boolean} retired - true to retire, false to reinstate
+ * @param {string} changedBy - Email of the staff member
+ */
+export const setDeviceRetired = async (gymId, deviceId, retired, changedBy) => {
+  try {
+    await updateDoc(doc(db, "gyms", gymId, "devices", deviceId), {
+      retired,
+      retiredAt: retired ? serverTimestamp() : null,
+      retiredBy: retired ? changedBy || "unknown" : null,
+      updatedAt: serverTimestamp(),
+    });
+    console.log(`✅ Device ${deviceId} ${retired ? "retired" : "reinstated"}`);
+  } catch (error) {
+    console.error("❌ Error changing device retirement:", error);
+    throw new Error(`Could not ${retired ? "retire" : "reinstate"} device.`);
+  }
+};
+
+/**
+ * Fetches a device's heartbeat history, one entry per day including days
+ * with no heartbeats
+ * @param {string} gymId - The gym ID
+ * @param {string} deviceId - The device ID
+ * @param {string} today - The gym's today (YYYY-MM-DD)
+ * @param {number} days - How many days back, today included (default 7)
+ * @returns {Promise<Array>} [{ date, hours: { [H]: heartbeats }, total, restarts }]
+ */
+export const getDeviceHeartbeats = async (gymId, deviceId, today, days = 7) => {
+  try {
+    const startDate = addDays(today, -(days - 1));
+    const heartbeatsSnapshot = await getDocs(
+      query(
+        collection(db, "gyms", gymId, "devices", deviceId, "heartbeats"),
+        where(documentId(), ">=", startDate),
+        where(documentId(), "<=", today)
+      )
+    );
+    const byDate = Object.fromEntries(
+      heartbeatsSnapshot.docs.map((heartbeatDoc) => [heartbeatDoc.id, heartbeatDoc.data()])
+    );
+
+    return Array.from({ length: days }, (_, index) => {
+      const date = addDays(startDate, index);
+      const hours = byDate[date]?.hours || {};
+      return {
+        date,
+        hours,
+        total: Object.values(hours).reduce((total, count) => total + count, 0),
+        restarts: byDate[date]?.restarts || 0,
+      };
+    });
+  } catch (error) {
+    console.error("❌ Error fetching device heartbeats:", error);
+    throw new Error("Could not fetch device heartbeat history.");
+  }
+};
+
+// ==================== COMMAND QUEUE ====================
+
+/**
+ * Device command queue
+ * gyms/{gymId}/devices/{deviceId}/commandQueue/{commandId} -> {
+ *   type, payload, status, result, message,
+ *   attempts, maxAttempts, timeoutSeconds, deadlineAt,
+ *   createdAt, createdBy, acknowledgedAt, startedAt, completedAt,
+ *   cancelledBy, discardedAt, discardedBy
+ * }
+ * Any number of commands can wait for a device, so two staff members no
+ * longer overwrite each other's requests. The scanner listens for its
+ * "queued" commands and takes them oldest first: it claims one by setting
+ * "acknowledged" (in a transaction), sets "running" when it starts, and
+ * finishes with "done" (details in result) or "failed" (reason in message).
+ * Each attempt must finish by deadlineAt. A late attempt is queued again
+ * while attempts remain and otherwise marked "timed_out", by the
+ * expireDeviceCommands Cloud Function or by a client waiting on it.
+ *
+ * Payloads and results by type:
+ *   enroll             { tempId, memberName, gymMemberId, blockedSlots }
+ *                      -> { fingerprintId }, never one of blockedSlots; the
+ *                      template is posted to uploadTemplate, with the
+ *                      command's ID, before "done". A result the app cannot
+ *                      use is marked discarded, and the trackTemplateCommands
+ *                      Cloud Function takes its backup back off the scanners
+ *   delete_template    { fingerprintId }, "done" also when the slot was empty
+ *   install_template   { fingerprintId, checksum }, fetched from deviceTemplates
+ *   reboot             {}
+ *   sync_time          { timeZone, sentAt (epoch ms) }
+ *   clear_all          {}
+ *   download_templates {} -> { templateCount, fingerprintIds }, installs every
+ *                      backed-up template the device is missing
+ */
+export const DEVICE_COMMANDS = {
+  enroll: { label: "Enroll fingerprint", timeoutSeconds: 180, maxAttempts: 1 },
+  delete_template: { label: "Delete fingerprint", timeoutSeconds: 120, maxAttempts: 3 },
+  install_template: { label: "Install fingerprint", timeoutSeconds: 120, maxAttempts: 3 },
+  reboot: { label: "Reboot", timeoutSeconds: 120, maxAttempts: 2 },
+  sync_time: { label: "Sync time", timeoutSeconds: 60, maxAttempts: 3 },
+  clear_all: { label: "Clear all fingerprints", timeoutSeconds: 300, maxAttempts: 1 },
+  download_templates: { label: "Download fingerprints", timeoutSeconds: 600, maxAttempts: 2 },
+};
+
+export const COMMAND_STATUSES = {
+  queued: "Queued",
+  acknowledged: "Acknowledged",
+  running: "Running",
+  done: "Done",
+  failed: "Failed",
+  cancelled: "Cancelled",
+  timed_out: "Timed out",
+};
+
+export const PENDING_COMMAND_STATUSES = ["queued", "acknowledged", "running"];
+
+// How long past a deadline a waiting client gives the device before giving up
+const DEADLINE_GRACE_MS = 15 * 1000;
+
+const getCommandQueueRef = (gymId, deviceId) => {
+  return collection(db, "gyms", gymId, "devices", deviceId, "commandQueue");
+};
+
+const toDate = (value) => (value?.toDate ? value.toDate() : null);
+
+const parseCommandDoc = (docSnapshot) => {
+  const command = docSnapshot.data();
+  return {
+    id: docSnapshot.id,
+    type: command.type,
+    label: DEVICE_COMMANDS[command.type]?.label || command.type,
+    payload: command.payload || {},
+    status: command.status,
+    result: command.result || null,
+    message: command.message || "",
+    attempts: command.attempts || 1,
+    maxAttempts: command.maxAttempts || 1,
+    createdBy: command.createdBy || null,
+    createdAt: toDate(command.createdAt),
+    deadlineAt: toDate(command.deadlineAt),
+    completedAt: toDate(command.completedAt),
+  };
+};
+
+/**
+ * Adds a command to a device's queue
+ * @param {string} gymId - The gym ID
+ * @param {string} deviceId - The device ID
+ * @param {string} type - A DEVICE_COMMANDS key
+ * @param {Object} payload - Type-specific details (see above)
+ * @param {string} createdBy - Email of the staff member, or the service queuing it
+ * @returns {Promise<string>} The command ID
+ */
+export const queueDeviceCommand = async (gymId, deviceId, type, payload = {}, createdBy) => {
+  try {
+    const definition = DEVICE_COMMANDS[type];
+    if (!definition) {
+      throw new Error(`Unknown command type "${type}"`);
+    }
+
+    const deviceSnap = await getDoc(doc(db, "gyms", gymId, "devices", deviceId));
+    if (!deviceSnap.exists()) {
+      throw new Error("Device not found");
+    }
+    if (deviceSnap.data().retired) {
+      throw new Error("Device has been retired");
+    }
+
+    const commandRef = await addDoc(getCommandQueueRef(gymId, deviceId), {
+      type,
+      payload,
+      status: "queued",
+      result: null,
+      message: "",
+      attempts: 1,
+      maxAttempts: definition.maxAttempts,
+      timeoutSeconds: definition.timeoutSeconds,
+      deadlineAt: Timestamp.fromMillis(Date.now() + definition.timeoutSeconds * 1000),
+      createdAt: serverTimestamp(),
+      createdBy: createdBy || "react_app",
+    });
+
+    console.log(`📡 Queued ${type} command ${commandRef.id} for ${deviceId}`);
+    return commandRef.id;
+  } catch (error) {
+    console.error("❌ Error queuing device command:", error);
+    throw new Error(`Could not send command to device: ${error.message}`);
+  }
+};
+
+/**
+ * Listens to one queued command
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToDeviceCommand = (gymId, deviceId, commandId, onChange, onError) => {
+  return onSnapshot(
+    doc(getCommandQueueRef(gymId, deviceId), commandId),
+    (commandSnap) => {
+      if (commandSnap.exists()) onChange(parseCommandDoc(commandSnap));
+    },
+    (error) => {
+      console.error("❌ Device command listener error:", error);
+      if (onError) onError(error);
+    }
+  );
+};
+
+/**
+ * Listens to a device's most recent commands, newest first
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToDeviceCommands = (gymId, deviceId, onChange, onError, count = 20) => {
+  return onSnapshot(
+    query(getCommandQueueRef(gymId, deviceId), orderBy("createdAt", "desc"), limit(count)),
+    (commandsSnapshot) => onChange(commandsSnapshot.docs.map(parseCommandDoc)),
+    (error) => {
+      console.error("❌ Device commands listener error:", error);
+      if (onError) onError(error);
+    }
+  );
+};
+
+/**
+ * Re-queues or times out a command that is past its deadline, the same way
+ * the expireDeviceCommands Cloud Function does, for clients that cannot wait
+ * for its next run
+ * @returns {Promise<string|null>} The new status, or null if nothing changed
+ */
+const expireDeviceCommand = async (gymId, deviceId, commandId) => {
+  const commandRef = doc(getCommandQueueRef(gymId, deviceId), commandId);
+  return runTransaction(db, async (transaction) => {
+    const commandSnap = await transaction.get(commandRef);
+    // Leave deleted commands and ones the device has already finished alone
+    if (!commandSnap.exists()) return null;
+    const command = commandSnap.data();
+    if (
+      !PENDING_COMMAND_STATUSES.includes(command.status) ||
+      !command.deadlineAt ||
+      command.deadlineAt.toMillis() > Date.now()
+    ) {
+      return null;
+    }
+
+    const attempts = command.attempts || 1;
+    if (attempts < (command.maxAttempts || 1)) {
+      transaction.update(commandRef, {
+        status: "queued",
+        attempts: attempts + 1,
+        deadlineAt: Timestamp.fromMillis(Date.now() + command.timeoutSeconds * 1000),
+        acknowledgedAt: null,
+        startedAt: null,
+        message: `Attempt ${attempts} timed out while ${command.status}; retrying`,
+      });
+      return "queued";
+    }
+
+    transaction.update(commandRef, {
+      status: "timed_out",
+      completedAt: serverTimestamp(),
+      message: `Timed out while ${command.status} after ${attempts} attempt${
+        attempts === 1 ? "" : "s"
+      }`,
+    });
+    return "timed_out";
+  });
+};
+
+/**
+ * Waits for a queued command to finish
+ * @param {string} gymId - The gym ID
+ * @param {string} deviceId - The device ID
+ * @param {string} commandId - From queueDeviceCommand
+ * @param {Function} onUpdate - Called with the command on every status change
+ * @returns {Promise<Object>} The finished command; rejects if it failed,
+ * was cancelled or timed out
+ */
+export const waitForDeviceCommand = (gymId, deviceId, commandId, onUpdate) => {
+  return new Promise((resolve, reject) => {
+    let deadlineTimer = null;
+    let unsubscribe = null;
+
+    const finish = (callback) => {
+      clearTimeout(deadlineTimer);
+      if (unsubscribe) unsubscribe();
+      callback();
+    };
+
+    unsubscribe = subscribeToDeviceCommand(
+      gymId,
+      deviceId,
+      commandId,
+      (command) => {
+        if (onUpdate) onUpdate(command);
+
+        if (command.status === "done") {
+          finish(() => resolve(command));
+        } else if (command.status === "failed") {
+          finish(() => reject(new Error(command.message || `${command.label} failed`)));
+        } else if (command.status === "cancelled") {
+          finish(() => reject(new Error(`${command.label} was cancelled`)));
+        } else if (command.status === "timed_out") {
+          finish(() =>
+            reject(
+              new Error(`${command.label} timeout - the device did not finish in time`)
+            )
+          );
+        } else if (command.deadlineAt) {
+          // Each retry moves the deadline, so reset the timer on every update
+          clearTimeout(deadlineTimer);
+          deadlineTimer = setTimeout(() => {
+            expireDeviceCommand(gymId, deviceId, commandId).catch((error) =>
+              console.error("❌ Error expiring device command:", error)
+            );
+          }, Math.max(0, command.deadlineAt - Date.now()) + DEADLINE_GRACE_MS);
+        }
+      },
+      (error) =>
+        finish(() => reject(new Error(`Firebase connection error: ${error.message}`)))
+    );
+  });
+};
+
+/**
+ * Cancels a command the device has not finished. The device stops a running
+ * command when it sees the status change.
+ * @param {string} cancelledBy - Email of the staff member
+ */
+export const cancelDeviceCommand = async (gymId, deviceId, commandId, cancelledBy) => {
+  try {
+    const commandRef = doc(getCommandQueueRef(gymId, deviceId), commandId);
+    await runTransaction(db, async (transaction) => {
+      const commandSnap = await transaction.get(commandRef);
+      if (!commandSnap.exists()) {
+        throw new Error("Command not found");
+      }
+      if (!PENDING_COMMAND_STATUSES.includes(commandSnap.data().status)) {
+        throw new Error(`Command already ${commandSnap.data().status}`);
+      }
+      transaction.update(commandRef, {
+        status: "cancelled",
+        completedAt: serverTimestamp(),
+        cancelledBy: cancelledBy || "react_app",
+      });
+    });
+    console.log(`✅ Command ${commandId} cancelled`);
+  } catch (error) {
+    console.error("❌ Error cancelling device command:", error);
+    throw new Error(`Could not cancel command: ${error.message}`);
+  }
+};
+
+/**
+ * Marks a finished enroll command's fingerprint as unused, so the
+ * trackTemplateCommands Cloud Function deletes its backup and erases it from
+ * the scanners it was pushed to
+ * @param {string} discardedBy - Email of the staff member
+ */
+export const discardEnrollCommand = async (gymId, deviceId, commandId, discardedBy) => {
+  try {
+    await updateDoc(doc(getCommandQueueRef(gymId, deviceId), commandId), {
+      discardedAt: serverTimestamp(),
+      discardedBy: discardedBy || "react_app",
+    });
+    console.log(`🗑️ Enrollment ${commandId} discarded`);
+  } catch (error) {
+    console.error("❌ Error discarding enrollment:", error);
+    throw new Error(`Could not discard enrollment: ${error.message}`);
+  }
+};
+
+/**
+ * Queues a fresh copy of a failed, cancelled or timed out command
+ * @param {Object} command - From subscribeToDeviceCommands
+ * @returns {Promise<string>} The new command ID
+ */
+export const retryDeviceCommand = async (gymId, deviceId, command, createdBy) => {
+  return queueDeviceCommand(gymId, deviceId, command.type, command.payload, createdBy);
+};
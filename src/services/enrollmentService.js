@@ -4,14 +4,24 @@ import {
   doc,
   setDoc,
   getDoc, // ✅ MISSING IMPORT - This was causing the error
-  updateDoc,
-  onSnapshot,
   serverTimestamp,
   getDocs,
   query,
   where,
 } from "firebase/firestore";
 import { db } from "./firebase";
+import {
+  DEVICE_OFFLINE_AFTER_MS,
+  queueDeviceCommand,
+  waitForDeviceCommand,
+  discardEnrollCommand,
+  subscribeToDeviceCommand,
+  cancelDeviceCommand,
+} from "./deviceService";
+import {
+  getBlockedFingerprintSlots,
+  isFingerprintSlotBlocked,
+} from "./templateService";
 
 /**
  * Production-ready enrollment service with comprehensive error handling
@@ -21,17 +31,75 @@ import { db } from "./firebase";
 // ==================== ENROLLMENT WORKFLOW ====================
 
 /**
- * Creates enrollment request and waits for ESP32 to assign fingerprint ID
+ * Shapes an enroll command for the enrollment screens
+ * @param {Object} command - From the device command queue
+ * @returns {Object} - { status, commandId, fingerprintId, message, memberName, attempts }
+ */
+const toEnrollmentUpdate = (command) => ({
+  status: command.status,
+  commandId: command.id,
+  fingerprintId: command.result?.fingerprintId ?? null,
+  message: command.message,
+  memberName: command.payload.memberName,
+  attempts: command.attempts,
+});
+
+/**
+ * Erases a template the device stored in a slot enrollment cannot use. The
+ * enrolling device deletes it here; discarding the enroll command has the
+ * Cloud Functions take back any backup already pushed to the other
+ * scanners. A failure is only logged so the caller can still report why it
+ * gave up.
+ * @param {string} gymId - The gym ID
+ * @param {string} deviceId - The device that enrolled the finger
+ * @param {string} commandId - The enroll command
+ * @param {string} fingerprintId - The slot it stored the template in
+ * @param {string} requestedBy - Email of the staff member (optional)
+ */
+const discardEnrolledTemplate = async (
+  gymId,
+  deviceId,
+  commandId,
+  fingerprintId,
+  requestedBy
+) => {
+  try {
+    await queueDeviceCommand(
+      gymId,
+      deviceId,
+      "delete_template",
+      { fingerprintId: parseInt(fingerprintId) },
+      requestedBy
+    );
+    console.log(`🗑️ Template ${fingerprintId} deletion queued on ${deviceId}`);
+  } catch (error) {
+    console.error(`❌ Could not queue template deletion on ${deviceId}:`, error);
+  }
+
+  try {
+    await discardEnrollCommand(gymId, deviceId, commandId, requestedBy);
+  } catch (error) {
+    console.error(`❌ Could not discard enrollment ${commandId}:`, error);
+  }
+};
+
+/**
+ * Queues an enroll command and waits for the ESP32 to assign a fingerprint ID
  * This is the main function called by the React UI
  * @param {string} gymId - The gym ID
  * @param {Object} memberData - Member information from form
  * @param {string} deviceId - Specific device ID (optional, defaults to main scanner)
+ * @param {Function} onStatusChange - Called with each status update, the
+ * first one carrying the commandId needed to cancel (optional)
+ * @param {string} requestedBy - Email of the staff member (optional)
  * @returns {Promise<Object>} - Complete enrollment result
  */
 export const createMemberAndStartEnrollment = async (
   gymId,
   memberData,
-  deviceId = "fingerprint_scanner_1"
+  deviceId = "fingerprint_scanner_1",
+  onStatusChange,
+  requestedBy
 ) => {
   try {
     console.log("🎯 Starting production enrollment process");
@@ -58,43 +126,78 @@ export const createMemberAndStartEnrollment = async (
       gymMemberId,
     };
 
-    // Step 1: Create enrollment command for ESP32
-    const commandRef = doc(
-      db,
-      "gyms",
-      gymId,
-      "devices",
-      deviceId,
-      "commands",
-      "enroll"
-    );
+    // Step 1: Queue the enroll command for the ESP32. Slots whose old
+    // template is still being erased are passed along so it skips them.
+    const blockedSlots = await getBlockedFingerprintSlots(gymId);
     const tempEnrollmentId = `temp_${Date.now()}_${Math.random()
       .toString(36)
       .substr(2, 9)}`;
 
-    const enrollmentCommand = {
-      status: "pending",
-      tempId: tempEnrollmentId,
-      memberName: memberData.Name,
-      timestamp: serverTimestamp(),
-      requestedBy: "react_app",
-    };
-
-    await setDoc(commandRef, enrollmentCommand);
-    console.log("📡 Enrollment command sent to ESP32 device");
+    const commandId = await queueDeviceCommand(
+      gymId,
+      deviceId,
+      "enroll",
+      {
+        tempId: tempEnrollmentId,
+        memberName: memberData.Name,
+        gymMemberId,
+        blockedSlots,
+      },
+      requestedBy
+    );
+    console.log("📡 Enrollment command queued for ESP32 device");
 
-    // Step 2: Wait for ESP32 response with comprehensive monitoring
-    const result = await waitForEnrollmentCompletion(
+    // Step 2: Wait for the ESP32 to finish, forwarding each status change
+    const command = await waitForDeviceCommand(
       gymId,
       deviceId,
-      tempEnrollmentId
+      commandId,
+      (update) => {
+        console.log("📡 Real-time enrollment update:", update.status);
+        if (onStatusChange) onStatusChange(toEnrollmentUpdate(update));
+      }
     );
+    const result = {
+      success: Boolean(command.result?.fingerprintId),
+      fingerprintId: command.result?.fingerprintId?.toString(),
+      message: command.message || "Enrollment completed successfully",
+      commandId,
+      deviceId,
+    };
 
     // Step 3: If enrollment on ESP32 was successful, create member in Firestore
     if (result.success && result.fingerprintId) {
       const membersCollectionRef = collection(db, "gyms", gymId, "members");
       const newMemberRef = doc(membersCollectionRef, result.fingerprintId.toString()); // Use fingerprint ID as document ID
 
+      // Never attach a new person to a slot that still belongs to someone.
+      // The device has already stored the new finger there, so erase it
+      // before giving up or it would keep matching the wrong member.
+      if (await isFingerprintSlotBlocked(gymId, result.fingerprintId)) {
+        await discardEnrolledTemplate(
+          gymId,
+          deviceId,
+          commandId,
+          result.fingerprintId,
+          requestedBy
+        );
+        throw new Error(
+          `Fingerprint slot ${result.fingerprintId} is still being cleared on the scanners. Please enroll again.`
+        );
+      }
+      if ((await getDoc(newMemberRef)).exists()) {
+        await discardEnrolledTemplate(
+          gymId,
+          deviceId,
+          commandId,
+          result.fingerprintId,
+          requestedBy
+        );
+        throw new Error(
+          `Fingerprint slot ${result.fingerprintId} already belongs to another member.`
+        );
+      }
+
       const finalMemberData = {
         ...enhancedMemberData,
         fingerprintId: parseInt(result.fingerprintId), // Store as number
@@ -120,7 +223,9 @@ export const createMemberAndStartEnrollment = async (
       };
     } else {
       // Handle cases where the hardware part failed or didn't return an ID
-      throw new Error(result.message || "Enrollment failed on the device.");
+      throw new Error(
+        "Enrollment failed on the device - no fingerprint ID was returned."
+      );
     }
   } catch (error) {
     console.error("❌ Enrollment process failed:", error);
@@ -138,91 +243,6 @@ export const createMemberAndStartEnrollment = async (
   }
 };
 
-/**
- * Waits for ESP32 to complete enrollment with real-time updates
- * @param {string} gymId - Gym ID
- * @param {string} deviceId - Device ID
- * @param {string} tempId - Temporary enrollment ID
- * @returns {Promise<Object>} - Enrollment result
- */
-const waitForEnrollmentCompletion = (gymId, deviceId, tempId) => {
-  return new Promise((resolve, reject) => {
-    const commandRef = doc(
-      db,
-      "gyms",
-      gymId,
-      "devices",
-      deviceId,
-      "commands",
-      "enroll"
-    );
-
-    // Set up timeout with device-specific intervals
-    const timeout = setTimeout(() => {
-      unsubscribe();
-      reject(
-        new Error(
-          "Enrollment timeout - ESP32 device did not respond within 3 minutes"
-        )
-      );
-    }, 180000); // 3 minutes for production use
-
-    // Real-time listener for status changes
-    const unsubscribe = onSnapshot(
-      commandRef,
-      (doc) => {
-        if (doc.exists()) {
-          const data = doc.data();
-
-          console.log("📡 Real-time enrollment update:", {
-            status: data.status,
-            tempId: data.tempId,
-            fingerprintId: data.fingerprintId,
-            message: data.message,
-          });
-
-          // Check if this update is for our enrollment request
-          if (data.tempId === tempId) {
-            if (data.status === "completed" && data.fingerprintId) {
-              clearTimeout(timeout);
-              unsubscribe();
-
-              resolve({
-                success: true,
-                fingerprintId: data.fingerprintId.toString(),
-                memberName: data.memberName,
-                message: data.message || "Enrollment completed successfully",
-                enrollmentTime: data.timestamp,
-                deviceId: deviceId,
-              });
-            } else if (data.status === "failed") {
-              clearTimeout(timeout);
-              unsubscribe();
-
-              reject(
-                new Error(data.message || "Enrollment failed - unknown error")
-              );
-            } else if (data.status === "in_progress") {
-              console.log("🔄 Enrollment in progress on ESP32 device");
-              // Continue waiting, enrollment is actively being processed
-            } else if (data.status === "cancelled") {
-              clearTimeout(timeout);
-              unsubscribe();
-
-              reject(new Error("Enrollment was cancelled"));
-            }
-          }
-        }
-      },
-      (error) => {
-        clearTimeout(timeout);
-        console.error("❌ Firebase listener error:", error);
-        reject(new Error(`Firebase connection error: ${error.message}`));
-      }
-    );
-  });
-};
-
 // ==================== DEVICE MANAGEMENT ====================
 
 /**
@@ -245,12 +265,19 @@ export const checkDeviceStatus = async (gymId, deviceId) => {
     }
 
     const deviceData = deviceDoc.data();
+    if (deviceData.retired) {
+      return {
+        available: false,
+        reason: "Device has been retired",
+      };
+    }
+
     const lastSeen = deviceData.last_seen?.toDate();
     const now = new Date();
     const timeDiff = now - lastSeen;
 
     // Device is considered offline if not seen in last 2 minutes
-    if (timeDiff > 120000) {
+    if (timeDiff > DEVICE_OFFLINE_AFTER_MS) {
       return {
         available: false,
         reason: `Device offline - last seen ${Math.floor(
@@ -286,7 +313,7 @@ export const checkDeviceStatus = async (gymId, deviceId) => {
 };
 
 /**
- * Gets all available devices for a gym
+ * Gets all available devices for a gym, leaving out retired ones
  * @param {string} gymId - Gym ID
  * @returns {Promise<Array>} - List of available devices
  */
@@ -300,14 +327,17 @@ export const getAvailableDevices = async (gymId) => {
 
     devicesSnapshot.forEach((doc) => {
       const deviceData = doc.data();
+      if (deviceData.retired) return;
+
       const lastSeen = deviceData.last_seen?.toDate();
       const timeDiff = lastSeen ? now - lastSeen : Infinity;
 
       devices.push({
         id: doc.id,
+        name: deviceData.name || "",
         location: deviceData.location || "Unknown Location",
         status: deviceData.status || "unknown",
-        isOnline: timeDiff < 120000, // Online if seen in last 2 minutes
+        isOnline: timeDiff < DEVICE_OFFLINE_AFTER_MS, // Online if seen in last 2 minutes
         lastSeen: lastSeen,
         timeDiff: Math.floor(timeDiff / 1000),
         capabilities: deviceData.capabilities || {},
@@ -329,45 +359,28 @@ export const getAvailableDevices = async (gymId) => {
  * Used by React components to show live enrollment progress
  * @param {string} gymId - The gym ID
  * @param {string} deviceId - Device ID
+ * @param {string} commandId - The enroll command to follow
  * @param {Function} onStatusChange - Callback for status updates
  * @returns {Function} - Unsubscribe function
  */
-export const listenToEnrollmentStatus = (gymId, deviceId, onStatusChange) => {
-  console.log(`🎧 Setting up enrollment listener for ${gymId}/${deviceId}`);
+export const listenToEnrollmentStatus = (
+  gymId,
+  deviceId,
+  commandId,
+  onStatusChange
+) => {
+  console.log(`🎧 Setting up enrollment listener for ${deviceId}/${commandId}`);
 
-  const commandRef = doc(
-    db,
-    "gyms",
+  return subscribeToDeviceCommand(
     gymId,
-    "devices",
     deviceId,
-    "commands",
-    "enroll"
-  );
-
-  return onSnapshot(
-    commandRef,
-    (doc) => {
-      if (doc.exists()) {
-        const data = doc.data();
-
-        // FIXED: Properly extract fingerprintId from Firestore format
-        const statusUpdate = {
-          status: data.status,
-          fingerprintId: data.fingerprintId, // This should work now
-          message: data.message,
-          memberName: data.memberName,
-          attempts: data.attempts || 0,
-          timestamp: data.timestamp,
-          tempId: data.tempId,
-        };
-
-        console.log("📡 Enrollment status update:", statusUpdate);
-        onStatusChange(statusUpdate);
-      }
+    commandId,
+    (command) => {
+      const statusUpdate = toEnrollmentUpdate(command);
+      console.log("📡 Enrollment status update:", statusUpdate);
+      onStatusChange(statusUpdate);
     },
     (error) => {
-      console.error("❌ Error in enrollment listener:", error);
       onStatusChange({
         status: "error",
         message: `Connection error: ${error.message}`,
@@ -380,31 +393,19 @@ export const listenToEnrollmentStatus = (gymId, deviceId, onStatusChange) => {
  * Cancels an ongoing enrollment process
  * @param {string} gymId - The gym ID
  * @param {string} deviceId - Device ID
+ * @param {string} commandId - The enroll command to cancel
+ * @param {string} cancelledBy - Email of the staff member (optional)
  * @returns {Promise<void>}
  */
 export const cancelEnrollment = async (
   gymId,
-  deviceId = "fingerprint_scanner_1"
+  deviceId,
+  commandId,
+  cancelledBy
 ) => {
   try {
-    console.log(`❌ Cancelling enrollment on ${gymId}/${deviceId}`);
-
-    const commandRef = doc(
-      db,
-      "gyms",
-      gymId,
-      "devices",
-      deviceId,
-      "commands",
-      "enroll"
-    );
-
-    await updateDoc(commandRef, {
-      status: "cancelled",
-      timestamp: serverTimestamp(),
-      cancelledBy: "react_app",
-    });
-
+    console.log(`❌ Cancelling enrollment ${commandId} on ${gymId}/${deviceId}`);
+    await cancelDeviceCommand(gymId, deviceId, commandId, cancelledBy);
     console.log("✅ Enrollment cancellation sent to ESP32");
   } catch (error) {
     console.error("❌ Error cancelling enrollment:", error);
@@ -1,7 +1,7 @@
 // src/services/firebase.js
 import { initializeApp } from "firebase/app";
-import { getAuth } from "firebase/auth";
-import { getFirestore } from "firebase/firestore"; // <-- CORRECT IMPORT
+import { getAuth, connectAuthEmulator } from "firebase/auth";
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore"; // <-- CORRECT IMPORT
 
 // Your web app's Firebase configuration from your .env file
 const firebaseConfig = {
@@ -19,4 +19,11 @@ const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
 const db = getFirestore(app); // <-- CORRECTLY get Firestore instance
 
+// Local development against the Firebase emulators (see firebase.json and
+// scripts/device-simulator for a simulated scanner)
+if (import.meta.env.VITE_USE_EMULATORS === "true") {
+  connectAuthEmulator(auth, "http://127.0.0.1:9099");
+  connectFirestoreEmulator(db, "127.0.0.1", 8080);
+}
+
 export { auth, db }; // 'db' is now your Firestore instance
@@ -0,0 +1,302 @@
+// src/services/freezeService.js
+import {
+  collection,
+  query,
+  getDocs,
+  doc,
+  getDoc,
+  where,
+  writeBatch,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "./firebase";
+import {
+  getMemberCharges,
+  buildChargeRecord,
+  syncMemberPaymentSummary,
+} from "./paymentService";
+import { getGymToday } from "./settingsService";
+import { addDays, daysBetween } from "../utils/dateUtils";
+
+/**
+ * Membership freezes
+ * gyms/{gymId}/freezes/{freezeId} -> {
+ *   memberId, memberName, startDate, endDate (YYYY-MM-DD, inclusive), days,
+ *   fee, feeChargeId, reason, blockCheckIn, shiftedChargeIds, cancelled,
+ *   recordedBy, createdAt
+ * }
+ * Creating a freeze moves the member's current and later billing periods
+ * forward by the frozen days. Freezes never overlap. The member document
+ * keeps the running freeze, or else the next one scheduled, in currentFreeze
+ * so overdue checks and check-in can skip frozen members without another read.
+ */
+
+// Helper function to get the freezes collection reference
+const getFreezesCollectionRef = (gymId) => {
+  return collection(db, "gyms", gymId, "freezes");
+};
+
+/**
+ * Number of days in a freeze, counting both the start and end date.
+ * @param {string} startDate - First frozen day (YYYY-MM-DD)
+ * @param {string} endDate - Last frozen day (YYYY-MM-DD)
+ * @returns {number}
+ */
+export const getFreezeDays = (startDate, endDate) => {
+  return daysBetween(startDate, endDate) + 1;
+};
+
+/**
+ * Whether a freeze covers a given day.
+ * @param {Object|null} freeze - { startDate, endDate, cancelled }
+ * @param {string} today - Date to check (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+export const isFreezeActive = (freeze, today) => {
+  if (!freeze || freeze.cancelled) return false;
+  return freeze.startDate <= today && today <= freeze.endDate;
+};
+
+// The freeze that belongs in currentFreeze: the one running today, or else
+// the next one to start. Freezes never overlap, so that is the earliest
+// starting freeze that has not ended.
+const pickCurrentFreeze = (freezes, today) => {
+  return (
+    freezes
+      .filter((freeze) => !freeze.cancelled && freeze.endDate >= today)
+      .sort((a, b) => a.startDate.localeCompare(b.startDate))[0] || null
+  );
+};
+
+// The currentFreeze field stored on the member document
+const toCurrentFreeze = (freeze) => {
+  if (!freeze) return null;
+  return {
+    id: freeze.id,
+    startDate: freeze.startDate,
+    endDate: freeze.endDate,
+    blockCheckIn: Boolean(freeze.blockCheckIn),
+  };
+};
+
+/**
+ * Fetches all freezes for a member, newest first.
+ * @param {string} gymId - The gym ID
+ * @param {string} memberId - The member ID
+ * @returns {Promise<Array>}
+ */
+export const getMemberFreezes = async (gymId, memberId) => {
+  try {
+    const q = query(
+      getFreezesCollectionRef(gymId),
+      where("memberId", "==", memberId)
+    );
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => b.startDate.localeCompare(a.startDate));
+  } catch (error) {
+    console.error("Error fetching member freezes:", error);
+    throw new Error("Could not fetch membership freezes.");
+  }
+};
+
+/**
+ * Freezes a membership for a date range.
+ * @param {string} gymId - The gym ID
+ * @param {string} memberId - The member ID
+ * @param {Object} freezeData - { startDate, endDate, fee, reason, blockCheckIn, recordedBy }
+ * @returns {Promise<Object>} - The freeze that was written
+ */
+export const createFreeze = async (gymId, memberId, freezeData) => {
+  const { startDate, endDate } = freezeData;
+  if (!startDate || !endDate || endDate < startDate) {
+    throw new Error("The freeze must end on or after its start date.");
+  }
+
+  const [memberSnap, freezes, charges, today] = await Promise.all([
+    getDoc(doc(db, "gyms", gymId, "members", memberId)),
+    getMemberFreezes(gymId, memberId),
+    getMemberCharges(gymId, memberId),
+    getGymToday(gymId),
+  ]);
+
+  if (!memberSnap.exists()) {
+    throw new Error("Member not found.");
+  }
+
+  const overlapping = freezes.find(
+    (freeze) =>
+      !freeze.cancelled &&
+      freeze.startDate <= endDate &&
+      startDate <= freeze.endDate
+  );
+  if (overlapping) {
+    throw new Error(
+      `This member is already frozen from ${overlapping.startDate} to ${overlapping.endDate}.`
+    );
+  }
+
+  try {
+    const memberData = memberSnap.data();
+    const days = getFreezeDays(startDate, endDate);
+    const fee = Number(freezeData.fee) || 0;
+    const batch = writeBatch(db);
+    const freezeRef = doc(getFreezesCollectionRef(gymId));
+
+    // Push the period running at the start of the freeze, and every later
+    // period, forward by the frozen days
+    const shiftedChargeIds = [];
+    charges
+      .filter(
+        (charge) =>
+          !charge.cancelled &&
+          (charge.category || "membership") === "membership" &&
+          charge.periodEnd > startDate
+      )
+      .forEach((charge) => {
+        batch.update(doc(db, "gyms", gymId, "charges", charge.id), {
+          periodStart:
+            charge.periodStart >= startDate
+              ? addDays(charge.periodStart, days)
+              : charge.periodStart,
+          periodEnd: addDays(charge.periodEnd, days),
+        });
+        shiftedChargeIds.push(charge.id);
+      });
+
+    let feeChargeId = null;
+    if (fee > 0) {
+      const feeChargeRef = doc(collection(db, "gyms", gymId, "charges"));
+      batch.set(
+        feeChargeRef,
+        buildChargeRecord({
+          memberId,
+          memberName: memberData.Name,
+          membershipTierId: memberData.membershipTierId,
+          amount: fee,
+          category: "freeze_fee",
+          description: `Freeze ${startDate} to ${endDate}`,
+          periodStart: startDate,
+          periodEnd: startDate,
+        })
+      );
+      feeChargeId = feeChargeRef.id;
+    }
+
+    const freezeRecord = {
+      memberId,
+      memberName: memberData.Name || "Unknown Member",
+      startDate,
+      endDate,
+      days,
+      fee,
+      feeChargeId,
+      reason: freezeData.reason || "",
+      blockCheckIn: Boolean(freezeData.blockCheckIn),
+      shiftedChargeIds,
+      cancelled: false,
+      recordedBy: freezeData.recordedBy || "admin",
+      createdAt: serverTimestamp(),
+    };
+    batch.set(freezeRef, freezeRecord);
+
+    // A freeze scheduled after one that is running or already scheduled
+    // leaves currentFreeze alone
+    const currentFreeze = pickCurrentFreeze(
+      [...freezes, { id: freezeRef.id, ...freezeRecord }],
+      today
+    );
+    if (currentFreeze?.id === freezeRef.id) {
+      batch.update(memberSnap.ref, {
+        currentFreeze: toCurrentFreeze(currentFreeze),
+        updatedAt: new Date().toISOString(),
+      });
+    }
+
+    await batch.commit();
+    await syncMemberPaymentSummary(gymId, memberId);
+
+    console.log(
+      `❄️ Membership frozen for member ${memberId}: ${startDate} to ${endDate} (${days} days)`
+    );
+    return { id: freezeRef.id, ...freezeRecord };
+  } catch (error) {
+    console.error("Error creating freeze:", error);
+    throw new Error("Could not freeze membership.");
+  }
+};
+
+/**
+ * Cancels a freeze, moving the member's billing periods back and withdrawing
+ * any freeze fee.
+ * @param {string} gymId - The gym ID
+ * @param {string} freezeId - The freeze ID
+ * @returns {Promise<void>}
+ */
+export const cancelFreeze = async (gymId, freezeId) => {
+  try {
+    const freezeRef = doc(db, "gyms", gymId, "freezes", freezeId);
+    const freezeSnap = await getDoc(freezeRef);
+
+    if (!freezeSnap.exists()) {
+      throw new Error("Freeze not found");
+    }
+
+    const freeze = freezeSnap.data();
+    if (freeze.cancelled) return;
+
+    const charges = await getMemberCharges(gymId, freeze.memberId);
+    const batch = writeBatch(db);
+
+    charges
+      .filter((charge) => freeze.shiftedChargeIds?.includes(charge.id))
+      .forEach((charge) => {
+        batch.update(doc(db, "gyms", gymId, "charges", charge.id), {
+          periodStart:
+            charge.periodStart >= addDays(freeze.startDate, freeze.days)
+              ? addDays(charge.periodStart, -freeze.days)
+              : charge.periodStart,
+          periodEnd: addDays(charge.periodEnd, -freeze.days),
+        });
+      });
+
+    if (freeze.feeChargeId) {
+      batch.update(doc(db, "gyms", gymId, "charges", freeze.feeChargeId), {
+        cancelled: true,
+        cancelledBy: freezeId,
+      });
+    }
+
+    batch.update(freezeRef, {
+      cancelled: true,
+      cancelledAt: new Date().toISOString(),
+    });
+
+    // The next scheduled freeze, if any, takes the cancelled one's place
+    const memberRef = doc(db, "gyms", gymId, "members", freeze.memberId);
+    const memberSnap = await getDoc(memberRef);
+    if (memberSnap.exists() && memberSnap.data().currentFreeze?.id === freezeId) {
+      const [freezes, today] = await Promise.all([
+        getMemberFreezes(gymId, freeze.memberId),
+        getGymToday(gymId),
+      ]);
+      const nextFreeze = pickCurrentFreeze(
+        freezes.filter((other) => other.id !== freezeId),
+        today
+      );
+      batch.update(memberRef, {
+        currentFreeze: toCurrentFreeze(nextFreeze),
+        updatedAt: new Date().toISOString(),
+      });
+    }
+
+    await batch.commit();
+    await syncMemberPaymentSummary(gymId, freeze.memberId);
+
+    console.log(`❄️ Freeze ${freezeId} cancelled for member ${freeze.memberId}`);
+  } catch (error) {
+    console.error("Error cancelling freeze:", error);
+    throw new Error("Could not cancel freeze.");
+  }
+};
@@ -7,12 +7,31 @@ import {
   doc,
   getDoc,
   updateDoc,
-  deleteDoc,
   orderBy,
   where,
   setDoc,
+  writeBatch,
+  serverTimestamp,
 } from "firebase/firestore";
 import { db } from "./firebase";
+import {
+  getRevenueEntries,
+  getMemberAccounts,
+  getChargesDue,
+  issueCharge,
+  buildPaymentSummary,
+  syncMemberPaymentSummary,
+  getEntryCategoryAmounts,
+} from "./paymentService";
+import { getBillingPolicy, getGymToday } from "./settingsService";
+import { addDays } from "../utils/dateUtils";
+import { isFreezeActive } from "./freezeService";
+import {
+  getTemplateDeviceIds,
+  blockFingerprintSlot,
+  queueTemplateDeletions,
+  isFingerprintSlotBlocked,
+} from "./templateService";
 
 /**
  * Fetches all members for a given gym ID from Firestore with membership tier info
@@ -62,7 +81,6 @@ export const getMembersForGym = async (gymId) => {
         monthlyFee: memberTier ? memberTier.price : 0,
         lastPaymentDate: data.lastPaymentDate || null,
         nextPaymentDue: data.nextPaymentDue || null,
-        paymentHistory: data.paymentHistory || [],
         ...data, // The rest of the member data (Name, Age, etc.)
       };
     });
@@ -118,7 +136,6 @@ export const getMemberById = async (gymId, fingerprintId) => {
         monthlyFee: memberTier ? memberTier.price : 0,
         lastPaymentDate: data.lastPaymentDate || null,
         nextPaymentDue: data.nextPaymentDue || null,
-        paymentHistory: data.paymentHistory || [],
         ...data,
       };
     } else {
@@ -160,14 +177,12 @@ export const updateMember = async (gymId, fingerprintId, memberData) => {
         const tierData = tierSnap.data();
 
         // Set next payment due to 30 days from now if not already set
+        const today = await getGymToday(gymId);
         if (!updateData.nextPaymentDue) {
-          const nextDue = new Date();
-          nextDue.setDate(nextDue.getDate() + 30);
-          updateData.nextPaymentDue = nextDue.toISOString().split("T")[0];
+          updateData.nextPaymentDue = addDays(today, 30);
         }
 
         // Update payment status based on due date
-        const today = new Date().toISOString().split("T")[0];
         if (updateData.nextPaymentDue && updateData.nextPaymentDue < today) {
           updateData.Payment_Status = "Unpaid";
         }
@@ -208,13 +223,12 @@ export const assignMembershipTier = async (gymId, memberId, tierId) => {
     const tierData = tierSnap.data();
 
     // Calculate next payment due date (30 days from now)
-    const nextDue = new Date();
-    nextDue.setDate(nextDue.getDate() + 30);
+    const nextDue = addDays(await getGymToday(gymId), 30);
 
     const memberRef = doc(db, "gyms", gymId, "members", memberId);
     await updateDoc(memberRef, {
       membershipTierId: tierId,
-      nextPaymentDue: nextDue.toISOString().split("T")[0],
+      nextPaymentDue: nextDue,
       updatedAt: new Date().toISOString(),
     });
 
@@ -227,64 +241,6 @@ export const assignMembershipTier = async (gymId, memberId, tierId) => {
   }
 };
 
-/**
- * Records a payment for a member
- * @param {string} gymId - The gym ID
- * @param {string} memberId - The member ID
- * @param {Object} paymentData - Payment information
- * @returns {Promise<void>}
- */
-export const recordPayment = async (gymId, memberId, paymentData) => {
-  try {
-    console.log(`Recording payment for member ${memberId}`);
-
-    const memberRef = doc(db, "gyms", gymId, "members", memberId);
-    const memberSnap = await getDoc(memberRef);
-
-    if (!memberSnap.exists()) {
-      throw new Error("Member not found");
-    }
-
-    const memberData = memberSnap.data();
-    const paymentHistory = memberData.paymentHistory || [];
-
-    // Create payment record
-    const paymentRecord = {
-      id: `payment_${Date.now()}`,
-      amount: paymentData.amount,
-      date: paymentData.date || new Date().toISOString().split("T")[0],
-      method: paymentData.method || "Cash",
-      notes: paymentData.notes || "",
-      recordedBy: paymentData.recordedBy || "admin",
-      tierName: paymentData.tierName || "",
-      timestamp: new Date().toISOString(),
-    };
-
-    // Add to payment history
-    paymentHistory.push(paymentRecord);
-
-    // Calculate next payment due date
-    const currentDue = new Date(memberData.nextPaymentDue || new Date());
-    const nextDue = new Date(currentDue);
-    nextDue.setDate(nextDue.getDate() + 30);
-
-    // Update member record
-    await updateDoc(memberRef, {
-      Payment_Status: "Paid",
-      lastPaymentDate: paymentRecord.date,
-      nextPaymentDue: nextDue.toISOString().split("T")[0],
-      paymentHistory: paymentHistory,
-      updatedAt: new Date().toISOString(),
-    });
-
-    console.log(`Payment recorded successfully for member ${memberId}`);
-    return paymentRecord;
-  } catch (error) {
-    console.error("Error recording payment:", error);
-    throw new Error("Could not record payment.");
-  }
-};
-
 /**
  * Gets members with overdue payments
  * @param {string} gymId - The gym ID
@@ -295,10 +251,11 @@ export const getOverdueMembers = async (gymId) => {
     console.log(`Getting overdue members for gym: ${gymId}`);
 
     const members = await getMembersForGym(gymId);
-    const today = new Date().toISOString().split("T")[0];
+    const today = await getGymToday(gymId);
 
     const overdueMembers = members.filter((member) => {
       return (
+        !isFreezeActive(member.currentFreeze, today) &&
         member.nextPaymentDue &&
         member.nextPaymentDue < today &&
         member.Payment_Status !== "Paid"
@@ -313,6 +270,41 @@ export const getOverdueMembers = async (gymId) => {
   }
 };
 
+/**
+ * Gets members who owe money on their account, including partial payers
+ * @param {string} gymId - The gym ID
+ * @returns {Promise<Object>} - { members, totalOutstanding, totalCredit, partiallyPaidCount }
+ */
+export const getOutstandingBalances = async (gymId) => {
+  try {
+    console.log(`Getting outstanding balances for gym: ${gymId}`);
+
+    const members = await getMembersForGym(gymId);
+
+    const owingMembers = members
+      .filter((member) => (Number(member.outstandingBalance) || 0) > 0)
+      .sort((a, b) => b.outstandingBalance - a.outstandingBalance);
+
+    return {
+      members: owingMembers,
+      totalOutstanding: owingMembers.reduce(
+        (sum, member) => sum + Number(member.outstandingBalance),
+        0
+      ),
+      totalCredit: members.reduce(
+        (sum, member) => sum + (Number(member.accountCredit) || 0),
+        0
+      ),
+      partiallyPaidCount: members.filter(
+        (member) => member.Payment_Status === "Partially paid"
+      ).length,
+    };
+  } catch (error) {
+    console.error("Error getting outstanding balances:", error);
+    throw new Error("Could not fetch outstanding balances.");
+  }
+};
+
 /**
  * Gets revenue analytics by membership tier
  * @param {string} gymId - The gym ID
@@ -326,38 +318,42 @@ export const getRevenueAnalytics = async (gymId, startDate, endDate) => {
       `Getting revenue analytics for ${gymId} from ${startDate} to ${endDate}`
     );
 
-    const members = await getMembersForGym(gymId);
+    // Voided payments are excluded and refunds count as negative revenue
+    const payments = await getRevenueEntries(gymId, startDate, endDate);
     const analytics = {
       totalRevenue: 0,
       paymentCount: 0,
       revenueByTier: {},
+      revenueByCategory: {},
       revenueByMonth: {},
       averagePerMember: 0,
+      refundTotal: 0,
     };
 
-    members.forEach((member) => {
-      if (member.paymentHistory && member.paymentHistory.length > 0) {
-        member.paymentHistory.forEach((payment) => {
-          const paymentDate = payment.date;
-
-          // Check if payment is within date range
-          if (paymentDate >= startDate && paymentDate <= endDate) {
-            analytics.totalRevenue += payment.amount;
-            analytics.paymentCount++;
-
-            // Revenue by tier
-            const tierName =
-              payment.tierName || member.membershipTier?.name || "No Tier";
-            analytics.revenueByTier[tierName] =
-              (analytics.revenueByTier[tierName] || 0) + payment.amount;
-
-            // Revenue by month
-            const month = paymentDate.substring(0, 7); // YYYY-MM
-            analytics.revenueByMonth[month] =
-              (analytics.revenueByMonth[month] || 0) + payment.amount;
-          }
-        });
+    payments.forEach((payment) => {
+      const amount = Number(payment.amount) || 0;
+      analytics.totalRevenue += amount;
+      if (payment.type === "refund") {
+        analytics.refundTotal += -amount;
+      } else {
+        analytics.paymentCount++;
       }
+
+      // Revenue by tier
+      const tierName = payment.tierName || "No Tier";
+      analytics.revenueByTier[tierName] =
+        (analytics.revenueByTier[tierName] || 0) + amount;
+
+      // Revenue by category (membership, joining fee, add-ons...)
+      Object.entries(getEntryCategoryAmounts(payment)).forEach(([category, value]) => {
+        analytics.revenueByCategory[category] =
+          (analytics.revenueByCategory[category] || 0) + value;
+      });
+
+      // Revenue by month
+      const month = payment.paymentDate.substring(0, 7); // YYYY-MM
+      analytics.revenueByMonth[month] =
+        (analytics.revenueByMonth[month] || 0) + amount;
     });
 
     // Calculate average per member
@@ -383,31 +379,66 @@ export const updatePaymentStatuses = async (gymId) => {
   try {
     console.log(`Updating payment statuses for gym: ${gymId}`);
 
-    const members = await getMembersForGym(gymId);
-    const today = new Date().toISOString().split("T")[0];
+    const [members, accounts, policy] = await Promise.all([
+      getMembersForGym(gymId),
+      getMemberAccounts(gymId),
+      getBillingPolicy(gymId),
+    ]);
+    const today = await getGymToday(gymId);
 
     let updatedCount = 0;
-    const batch = [];
 
     for (const member of members) {
-      let shouldUpdate = false;
-      let newStatus = member.Payment_Status;
+      // Frozen members are not billed or marked overdue until the freeze ends
+      if (isFreezeActive(member.currentFreeze, today)) continue;
+
+      const account = accounts[member.id];
+
+      if (account) {
+        // Bill the next period once the last one has ended
+        const chargesDue = getChargesDue({
+          account,
+          tier: member.membershipTier,
+          policy,
+          today,
+        });
 
-      // Check if payment is overdue (previously paid members)
-      if (
-        member.nextPaymentDue &&
-        member.nextPaymentDue < today &&
-        member.Payment_Status === "Paid"
-      ) {
-        newStatus = "Unpaid";
-        shouldUpdate = true;
+        for (const charge of chargesDue) {
+          await issueCharge(gymId, {
+            ...charge,
+            memberId: member.id,
+            memberName: member.Name,
+            membershipTierId: member.membershipTierId,
+            tierName: member.membershipTier?.name,
+            issuedDate: today,
+          });
+        }
+
+        if (chargesDue.length > 0) {
+          await syncMemberPaymentSummary(gymId, member.id);
+          updatedCount++;
+          continue;
+        }
+
+        const summary = buildPaymentSummary(account);
+        const changed = Object.keys(summary).some(
+          (key) => (member[key] ?? null) !== summary[key]
+        );
+
+        if (changed) {
+          const memberRef = doc(db, "gyms", gymId, "members", member.id);
+          await updateDoc(memberRef, {
+            ...summary,
+            updatedAt: new Date().toISOString(),
+          });
+          updatedCount++;
+        }
       }
 
       // Handle never-paid members who are now overdue (30+ days after enrollment)
       else if (
         (member.Payment_Status === "Unpaid" || !member.Payment_Status) &&
-        (!member.paymentHistory || member.paymentHistory.length === 0) &&
-        member.createdAt &&
+        typeof member.createdAt === "string" &&
         !member.nextPaymentDue
       ) {
         // Calculate if 30 days have passed since enrollment
@@ -415,9 +446,7 @@ export const updatePaymentStatuses = async (gymId) => {
           ? member.createdAt.split("T")[0]
           : member.createdAt.substring(0, 10);
 
-        const overdueDate = new Date(enrollmentDate);
-        overdueDate.setDate(overdueDate.getDate() + 30);
-        const overdueDateStr = overdueDate.toISOString().split("T")[0];
+        const overdueDateStr = addDays(enrollmentDate, 30);
 
         if (overdueDateStr < today) {
           // Set their first due date and keep status as Unpaid
@@ -428,18 +457,8 @@ export const updatePaymentStatuses = async (gymId) => {
             updatedAt: new Date().toISOString(),
           });
           updatedCount++;
-          shouldUpdate = false; // Skip the regular update below since we already updated
         }
       }
-
-      if (shouldUpdate) {
-        const memberRef = doc(db, "gyms", gymId, "members", member.id);
-        await updateDoc(memberRef, {
-          Payment_Status: newStatus,
-          updatedAt: new Date().toISOString(),
-        });
-        updatedCount++;
-      }
     }
 
     console.log(`Updated payment status for ${updatedCount} members`);
@@ -456,26 +475,151 @@ export const updatePaymentStatuses = async (gymId) => {
   }
 };
 
-// Export existing functions (keeping them unchanged)
-export const deleteMember = async (gymId, fingerprintId) => {
+// Ledger and history entries that name their member by fingerprint slot
+const MEMBER_KEYED_COLLECTIONS = [
+  "charges",
+  "payments",
+  "freezes",
+  "attendanceSessions",
+  "accessAttempts",
+];
+
+// Stays under Firestore's 500 writes per batch
+const HISTORY_BATCH_SIZE = 400;
+
+/**
+ * Moves a removed member's charges, payments, freezes, visits and access
+ * attempts off their fingerprint slot, so a member later enrolled into the
+ * same slot starts with a clean account and history
+ * @param {string} gymId - The gym ID
+ * @param {string} fingerprintId - The slot being freed
+ * @param {string} formerMemberId - The memberId the entries move to
+ * @returns {Promise<number>} - Entries moved
+ */
+const moveMemberHistory = async (gymId, fingerprintId, formerMemberId) => {
+  let moved = 0;
+  for (const collectionName of MEMBER_KEYED_COLLECTIONS) {
+    const entriesSnapshot = await getDocs(
+      query(
+        collection(db, "gyms", gymId, collectionName),
+        where("memberId", "==", fingerprintId)
+      )
+    );
+    for (let start = 0; start < entriesSnapshot.docs.length; start += HISTORY_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      entriesSnapshot.docs.slice(start, start + HISTORY_BATCH_SIZE).forEach((entryDoc) => {
+        batch.update(entryDoc.ref, {
+          memberId: formerMemberId,
+          formerFingerprintId: parseInt(fingerprintId),
+        });
+      });
+      await batch.commit();
+    }
+    moved += entriesSnapshot.size;
+  }
+  return moved;
+};
+
+/**
+ * Removes a member document and blocks its fingerprint slot, then asks every
+ * scanner to erase the template (see templateService). The member's ledger
+ * and history move to "archived_{archiveId}" first, the archive ID being the
+ * archivedMembers document of an archived member.
+ * @param {string} gymId - The gym ID
+ * @param {string} fingerprintId - The member's document ID
+ * @param {string} reason - "deleted" or "archived"
+ * @param {string} removedBy - Email of the staff member
+ * @returns {Promise<Object>} - { queued, failed } template deletions
+ */
+const removeMember = async (gymId, fingerprintId, reason, removedBy) => {
+  const memberRef = doc(db, "gyms", gymId, "members", fingerprintId);
+  const memberSnap = await getDoc(memberRef);
+  if (!memberSnap.exists()) {
+    throw new Error("Member not found");
+  }
+
+  // Moved before the slot is blocked, so it is never released while entries
+  // still point at it; running the removal again moves whatever is left
+  const archiveRef = doc(collection(db, "gyms", gymId, "archivedMembers"));
+  const formerMemberId = `archived_${archiveRef.id}`;
+  const moved = await moveMemberHistory(gymId, fingerprintId, formerMemberId);
+  console.log(`Moved ${moved} ledger and history entries to ${formerMemberId}`);
+
+  const deviceIds = await getTemplateDeviceIds(gymId);
+  const batch = writeBatch(db);
+
+  if (reason === "archived") {
+    batch.set(archiveRef, {
+      ...memberSnap.data(),
+      formerFingerprintId: parseInt(fingerprintId),
+      formerMemberId,
+      archivedAt: serverTimestamp(),
+      archivedBy: removedBy || "unknown",
+    });
+  }
+  batch.delete(memberRef);
+  batch.delete(doc(db, "gyms", gymId, "accessDecisions", fingerprintId));
+  blockFingerprintSlot(batch, gymId, fingerprintId, deviceIds, {
+    reason,
+    memberName: memberSnap.data().Name,
+    requestedBy: removedBy,
+  });
+  await batch.commit();
+
+  return queueTemplateDeletions(gymId, fingerprintId, deviceIds, removedBy);
+};
+
+/**
+ * Deletes a member and erases their fingerprint from the scanners. The slot
+ * cannot be reused until every scanner confirms. Their payments and visits
+ * are kept, moved off the slot.
+ * @param {string} gymId - The gym ID
+ * @param {string} fingerprintId - The member's document ID
+ * @param {string} deletedBy - Email of the staff member
+ * @returns {Promise<Object>} - { queued, failed } template deletions
+ */
+export const deleteMember = async (gymId, fingerprintId, deletedBy) => {
   try {
-    const memberRef = doc(db, "gyms", gymId, "members", fingerprintId);
-    await deleteDoc(memberRef);
+    const result = await removeMember(gymId, fingerprintId, "deleted", deletedBy);
     console.log(
       `Member with fingerprint ID ${fingerprintId} deleted successfully`
     );
+    return result;
   } catch (error) {
     console.error("Error deleting member:", error);
     throw new Error("Could not delete member from the database.");
   }
 };
 
+/**
+ * Archives a member: their record moves to archivedMembers and their
+ * fingerprint is erased from the scanners, freeing the slot once confirmed
+ * @param {string} gymId - The gym ID
+ * @param {string} fingerprintId - The member's document ID
+ * @param {string} archivedBy - Email of the staff member
+ * @returns {Promise<Object>} - { queued, failed } template deletions
+ */
+export const archiveMember = async (gymId, fingerprintId, archivedBy) => {
+  try {
+    const result = await removeMember(gymId, fingerprintId, "archived", archivedBy);
+    console.log(`Member with fingerprint ID ${fingerprintId} archived`);
+    return result;
+  } catch (error) {
+    console.error("Error archiving member:", error);
+    throw new Error("Could not archive member.");
+  }
+};
+
 export const createMemberWithFingerprintId = async (
   gymId,
   fingerprintId,
   memberData
 ) => {
   try {
+    if (await isFingerprintSlotBlocked(gymId, fingerprintId)) {
+      throw new Error(`Fingerprint slot ${fingerprintId} is still being cleared`);
+    }
+
     const memberRef = doc(db, "gyms", gymId, "members", fingerprintId);
 
     await setDoc(memberRef, {
@@ -4,83 +4,989 @@ import {
   query,
   getDocs,
   addDoc,
-  orderBy,
+  updateDoc,
+  where,
   serverTimestamp,
   doc,
   getDoc,
+  runTransaction,
+  increment,
 } from "firebase/firestore";
 import { db } from "./firebase";
-import { updateMember } from "./memberService";
+import { getBillingPolicy, getGymToday } from "./settingsService";
+import { addDays, getToday } from "../utils/dateUtils";
+import {
+  DEFAULT_BILLING_POLICY,
+  getEntryType,
+  getChargeCategory,
+  getPaymentReversals,
+  addTierDuration,
+  isWithinPaidPeriod,
+  calculateMemberAccount,
+  getChargesDue,
+} from "../utils/billingUtils";
+import { getTierPrice, getPromoCodeRef, getPromoCodeProblem } from "./pricingService";
+
+/**
+ * Payment ledger
+ * Every payment lives in a single gym-level collection:
+ * gyms/{gymId}/payments/{paymentId} -> {
+ *   memberId, memberName, membershipTierId, tierName, amount, method, notes,
+ *   paymentDate (YYYY-MM-DD), periodStart, periodEnd, chargeId, itemChargeIds, receiptNumber,
+ *   lineItems, categoryBreakdown, promoCode, billingAccountId, recordedBy, createdAt
+ * }
+ * Entries are never edited or deleted. A mistaken payment is reversed by a
+ * second entry { type: "void" | "refund", reversesPaymentId, amount < 0, reason };
+ * entries without a type are payments.
+ * Receipt numbers are sequential per gym and handed out from the counter at
+ * gyms/{gymId}/settings/receipts -> { lastReceiptNumber } when a payment,
+ * void or refund is recorded. Entries from before receipts existed have none.
+ * Each billing period is billed as a charge at the tier price:
+ * gyms/{gymId}/charges/{chargeId} -> {
+ *   memberId, memberName, membershipTierId, tierName, amount, category,
+ *   description, lineItems, periodStart, periodEnd, issuedDate, cancelled, createdAt
+ * }
+ * Tier payments are priced by pricingService; the line items showing the tier
+ * price and each discount are kept on both the charge and the payment.
+ * Joining fees and add-ons from the charge item catalogue are issued as
+ * charges of their own category when they are sold at the desk. Each payment
+ * keeps categoryBreakdown, the part of its amount that went to each category,
+ * so revenue can be reported by category.
+ * Other amounts owed (e.g. a freeze fee) are charges with their own category;
+ * they count towards the balance but not the paid-through date.
+ * Payments are applied to charges oldest first, so a short payment leaves the
+ * period partially paid and any excess stays on the account as credit.
+ * The member document only keeps a summary (Payment_Status, lastPaymentDate,
+ * nextPaymentDue, outstandingBalance, accountCredit) which is always
+ * rewritten from the ledger.
+ * Once a day is closed at the cash-up (gyms/{gymId}/cashUps/{date}), no
+ * payment, void or refund can be dated on it and its payments cannot be voided.
+ * Every entry also bumps its day's tally, so a close that counted the day
+ * while an entry was being written can tell and count again:
+ * gyms/{gymId}/cashUps/{date}/ledger/tally -> { entriesWritten }
+ * How much of each payment has been reversed is kept alongside the ledger and
+ * written with each void or refund:
+ * gyms/{gymId}/paymentReversals/{paymentId} -> { voided, refundedAmount }
+ */
+
+// The billing rules themselves are pure and live in utils/billingUtils so the
+// Cloud Functions tests can check their copy against them
+export {
+  getPaymentReversals,
+  addTierDuration,
+  isWithinPaidPeriod,
+  calculateMemberAccount,
+  getChargesDue,
+};
+
+// Helper function to get the payments ledger collection reference
+const getPaymentsCollectionRef = (gymId) => {
+  return collection(db, "gyms", gymId, "payments");
+};
+
+// Helper function to get the charges collection reference
+const getChargesCollectionRef = (gymId) => {
+  return collection(db, "gyms", gymId, "charges");
+};
+
+// Helper function to get the receipt number counter document reference
+const getReceiptCounterRef = (gymId) => {
+  return doc(db, "gyms", gymId, "settings", "receipts");
+};
+
+// Helper function to read the next receipt number inside a transaction.
+// The caller must write it back with claimReceiptNumber in the same transaction.
+const readNextReceiptNumber = async (transaction, gymId) => {
+  const counterSnap = await transaction.get(getReceiptCounterRef(gymId));
+  const lastReceiptNumber = counterSnap.exists()
+    ? Number(counterSnap.data().lastReceiptNumber) || 0
+    : 0;
+  return lastReceiptNumber + 1;
+};
+
+// Helper function to get the cash-up document for a day
+const getCashUpRef = (gymId, date) => {
+  return doc(db, "gyms", gymId, "cashUps", date);
+};
+
+// Helper function to get a day's ledger tally document reference
+export const getDayTallyRef = (gymId, date) => {
+  return doc(db, "gyms", gymId, "cashUps", date, "ledger", "tally");
+};
+
+// Helper function to count a new ledger entry on its day inside a transaction
+const tallyLedgerEntry = (transaction, gymId, date) => {
+  transaction.set(
+    getDayTallyRef(gymId, date),
+    { entriesWritten: increment(1) },
+    { merge: true }
+  );
+};
+
+// Helper function to get the running reversal totals of a payment
+const getReversalTotalsRef = (gymId, paymentId) => {
+  return doc(db, "gyms", gymId, "paymentReversals", paymentId);
+};
+
+// An error the desk can act on, passed on with its message unchanged
+const validationError = (message) => Object.assign(new Error(message), { validation: true });
+
+// Throws when a day has been closed at the cash-up
+const assertDayOpen = (cashUpSnap, date) => {
+  if (cashUpSnap.exists() && cashUpSnap.data().closed) {
+    throw validationError(`${date} has been closed at the cash-up and is locked.`);
+  }
+};
+
+// Helper function to store a receipt number as the gym's latest
+const claimReceiptNumber = (transaction, gymId, receiptNumber) => {
+  transaction.set(
+    getReceiptCounterRef(gymId),
+    { lastReceiptNumber: receiptNumber },
+    { merge: true }
+  );
+};
 
 /**
- * Fetches the payment history for a specific member.
+ * Formats a receipt number for display, e.g. 42 -> "RCT-000042".
+ * @param {number} receiptNumber - Sequential receipt number
+ * @returns {string}
+ */
+export const formatReceiptNumber = (receiptNumber) => {
+  if (!receiptNumber) return "Unnumbered";
+  return `RCT-${String(receiptNumber).padStart(6, "0")}`;
+};
+
+// Helper function to group documents by their memberId field
+const groupByMember = (docs) => {
+  const grouped = {};
+  docs.forEach((doc) => {
+    const item = { id: doc.id, ...doc.data() };
+    if (!item.memberId) return;
+    if (!grouped[item.memberId]) grouped[item.memberId] = [];
+    grouped[item.memberId].push(item);
+  });
+  return grouped;
+};
+
+// Rounds to cents so split amounts add back up to the payment
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Splits a payment across the charges it settles, oldest first, after any
+// credit already on the account. Money left over becomes credit for later
+// membership periods.
+const getPaymentAllocation = (dueCharges, credit, amount) => {
+  const allocation = {};
+  let availableCredit = credit;
+  let remaining = amount;
+
+  [...dueCharges]
+    .sort((a, b) => a.periodStart.localeCompare(b.periodStart))
+    .forEach((charge) => {
+      let due = charge.amountDue;
+      const fromCredit = Math.min(due, availableCredit);
+      availableCredit -= fromCredit;
+      due -= fromCredit;
+
+      const paid = Math.min(due, remaining);
+      remaining -= paid;
+      if (paid > 0) {
+        const category = getChargeCategory(charge);
+        allocation[category] = roundAmount((allocation[category] || 0) + paid);
+      }
+    });
+
+  if (remaining > 0) {
+    allocation.membership = roundAmount((allocation.membership || 0) + remaining);
+  }
+  return allocation;
+};
+
+/**
+ * The part of a ledger entry that went to each charge category. Entries
+ * recorded before categories existed count entirely as membership.
+ * @param {Object} entry - Ledger entry
+ * @returns {Object} - { [category]: amount }
+ */
+export const getEntryCategoryAmounts = (entry) => {
+  return entry.categoryBreakdown || { membership: Number(entry.amount) || 0 };
+};
+
+/**
+ * Works out the period a payment covers.
+ * periodEnd is the next due date: the member is paid up to the day before it.
+ * @param {Object} options
+ * @param {string} options.paymentDate - Date of payment (YYYY-MM-DD)
+ * @param {string|null} options.previousEnd - Member's current paid-through date from the ledger
+ * @param {Object} options.tier - Membership tier the payment is for
+ * @param {Object} options.policy - Billing policy ({ extendFrom, graceDays })
+ * @returns {{periodStart: string, periodEnd: string}}
+ */
+export const calculateBillingPeriod = ({
+  paymentDate,
+  previousEnd,
+  tier,
+  policy = DEFAULT_BILLING_POLICY,
+}) => {
+  let periodStart = paymentDate;
+
+  // Continue from the previous period unless the member lapsed beyond the grace window
+  if (
+    policy.extendFrom === "previous_end" &&
+    previousEnd &&
+    paymentDate <= addDays(previousEnd, Number(policy.graceDays) || 0)
+  ) {
+    periodStart = previousEnd;
+  }
+
+  return { periodStart, periodEnd: addTierDuration(periodStart, tier) };
+};
+
+/**
+ * Member document fields derived from an account. nextPaymentDue is left out
+ * when the account has no due date, so a never-paid member keeps the one set
+ * after enrollment.
+ * @param {Object} account - Result of calculateMemberAccount
+ * @returns {Object} - { Payment_Status, lastPaymentDate, nextPaymentDue, outstandingBalance, accountCredit }
+ */
+export const buildPaymentSummary = (account) => {
+  const nextPaymentDue = account.paidThrough || account.openCharge?.periodStart;
+  return {
+    Payment_Status: account.status,
+    lastPaymentDate: account.lastPaymentDate,
+    ...(nextPaymentDue && { nextPaymentDue }),
+    outstandingBalance: account.outstanding,
+    accountCredit: account.credit,
+  };
+};
+
+// Newest payment first; same-day payments ordered by when they were recorded
+const sortByPaymentDateDesc = (payments) => {
+  return payments.sort((a, b) => {
+    if (a.paymentDate !== b.paymentDate) {
+      return b.paymentDate.localeCompare(a.paymentDate);
+    }
+    const aCreated = a.createdAt?.toMillis ? a.createdAt.toMillis() : 0;
+    const bCreated = b.createdAt?.toMillis ? b.createdAt.toMillis() : 0;
+    return bCreated - aCreated;
+  });
+};
+
+/**
+ * Fetches the payment history for a specific member from the ledger.
  * @param {string} gymId - The ID of the gym.
  * @param {string} memberId - The ID of the member.
- * @returns {Promise<Array>} - An array of payment history objects.
+ * @returns {Promise<Array>} - Ledger entries, newest first.
  */
 export const getPaymentHistory = async (gymId, memberId) => {
   try {
-    const paymentsRef = collection(db, "gyms", gymId, "members", memberId, "payments");
-    const q = query(paymentsRef, orderBy("paymentDate", "desc"));
+    const q = query(
+      getPaymentsCollectionRef(gymId),
+      where("memberId", "==", memberId)
+    );
     const querySnapshot = await getDocs(q);
-    return querySnapshot.docs.map((doc) => ({
+    const payments = querySnapshot.docs.map((doc) => ({
       id: doc.id,
       ...doc.data(),
     }));
+    return sortByPaymentDateDesc(payments);
   } catch (error) {
     console.error("Error fetching payment history:", error);
     throw new Error("Could not fetch payment history.");
   }
 };
 
+/**
+ * Fetches all ledger entries with a payment date inside a range (inclusive).
+ * @param {string} gymId - The ID of the gym.
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Ledger entries, newest first.
+ */
+export const getPaymentsForDateRange = async (gymId, startDate, endDate) => {
+  try {
+    const q = query(
+      getPaymentsCollectionRef(gymId),
+      where("paymentDate", ">=", startDate),
+      where("paymentDate", "<=", endDate)
+    );
+    const querySnapshot = await getDocs(q);
+    const payments = querySnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
+    return sortByPaymentDateDesc(payments);
+  } catch (error) {
+    console.error("Error fetching payments for date range:", error);
+    throw new Error("Could not fetch payments.");
+  }
+};
+
+/**
+ * Fetches the ledger entries that count towards revenue in a date range.
+ * Voided payments are left out entirely, whenever the void was recorded;
+ * refunds count as negative revenue on the day they were given.
+ * @param {string} gymId - The ID of the gym.
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Ledger entries, newest first.
+ */
+export const getRevenueEntries = async (gymId, startDate, endDate) => {
+  const [entries, voidsSnapshot] = await Promise.all([
+    getPaymentsForDateRange(gymId, startDate, endDate),
+    getDocs(query(getPaymentsCollectionRef(gymId), where("type", "==", "void"))),
+  ]);
+  const voidedIds = new Set(
+    voidsSnapshot.docs.map((doc) => doc.data().reversesPaymentId)
+  );
+
+  return entries.filter((entry) => {
+    const type = getEntryType(entry);
+    if (type === "void") return false;
+    if (type === "payment") return !voidedIds.has(entry.id);
+    return true;
+  });
+};
+
+/**
+ * Fetches the charges issued to a specific member.
+ * @param {string} gymId - The ID of the gym.
+ * @param {string} memberId - The ID of the member.
+ * @returns {Promise<Array>} - Charges, oldest period first.
+ */
+export const getMemberCharges = async (gymId, memberId) => {
+  try {
+    const q = query(
+      getChargesCollectionRef(gymId),
+      where("memberId", "==", memberId)
+    );
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => a.periodStart.localeCompare(b.periodStart));
+  } catch (error) {
+    console.error("Error fetching member charges:", error);
+    throw new Error("Could not fetch member charges.");
+  }
+};
+
+/**
+ * Builds a charge document from loosely supplied data.
+ * @param {Object} chargeData - { memberId, memberName, membershipTierId, tierName, amount, category, description, lineItems, periodStart, periodEnd, issuedDate }
+ * @returns {Object} - Charge document ready to write
+ */
+export const buildChargeRecord = (chargeData) => ({
+  memberId: chargeData.memberId,
+  memberName: chargeData.memberName || "Unknown Member",
+  membershipTierId: chargeData.membershipTierId || null,
+  tierName: chargeData.tierName || "",
+  amount: Number(chargeData.amount) || 0,
+  category: chargeData.category || "membership",
+  description: chargeData.description || "",
+  lineItems: chargeData.lineItems || [],
+  periodStart: chargeData.periodStart,
+  periodEnd: chargeData.periodEnd,
+  issuedDate: chargeData.issuedDate || getToday(),
+  createdAt: serverTimestamp(),
+});
+
+/**
+ * Issues a charge for one billing period.
+ * @param {string} gymId - The ID of the gym.
+ * @param {Object} chargeData - { memberId, memberName, membershipTierId, tierName, amount, periodStart, periodEnd, issuedDate }
+ * @returns {Promise<Object>} - The charge that was written
+ */
+export const issueCharge = async (gymId, chargeData) => {
+  try {
+    const chargeRecord = buildChargeRecord(chargeData);
+    const chargeRef = await addDoc(getChargesCollectionRef(gymId), chargeRecord);
+    return { id: chargeRef.id, ...chargeRecord };
+  } catch (error) {
+    console.error("Error issuing charge:", error);
+    throw new Error("Could not issue charge.");
+  }
+};
+
+/**
+ * Loads the charges and payments for one member and applies them.
+ * @param {string} gymId - The ID of the gym.
+ * @param {string} memberId - The ID of the member.
+ * @returns {Promise<Object>} - Result of calculateMemberAccount
+ */
+export const getMemberAccount = async (gymId, memberId) => {
+  const [charges, payments, policy, today] = await Promise.all([
+    getMemberCharges(gymId, memberId),
+    getPaymentHistory(gymId, memberId),
+    getBillingPolicy(gymId),
+    getGymToday(gymId),
+  ]);
+  return calculateMemberAccount(charges, payments, { today, policy });
+};
+
+/**
+ * Builds the account for every member that has charges or payments.
+ * @param {string} gymId - The ID of the gym.
+ * @returns {Promise<Object>} - { [memberId]: account }
+ */
+export const getMemberAccounts = async (gymId) => {
+  try {
+    const [chargesSnapshot, paymentsSnapshot, policy, today] = await Promise.all([
+      getDocs(getChargesCollectionRef(gymId)),
+      getDocs(getPaymentsCollectionRef(gymId)),
+      getBillingPolicy(gymId),
+      getGymToday(gymId),
+    ]);
+    const chargesByMember = groupByMember(chargesSnapshot.docs);
+    const paymentsByMember = groupByMember(paymentsSnapshot.docs);
+    const memberIds = new Set([
+      ...Object.keys(chargesByMember),
+      ...Object.keys(paymentsByMember),
+    ]);
+
+    const accounts = {};
+    memberIds.forEach((memberId) => {
+      accounts[memberId] = calculateMemberAccount(
+        chargesByMember[memberId] || [],
+        paymentsByMember[memberId] || [],
+        { today, policy }
+      );
+    });
+
+    return accounts;
+  } catch (error) {
+    console.error("Error building member accounts:", error);
+    throw new Error("Could not read the payment ledger.");
+  }
+};
+
+/**
+ * Rewrites the payment summary on the member document from the ledger.
+ * @param {string} gymId - The ID of the gym.
+ * @param {string} memberId - The ID of the member.
+ * @returns {Promise<Object>} - The summary that was written.
+ */
+export const syncMemberPaymentSummary = async (gymId, memberId) => {
+  const account = await getMemberAccount(gymId, memberId);
+  const summary = buildPaymentSummary(account);
+
+  const memberRef = doc(db, "gyms", gymId, "members", memberId);
+  await updateDoc(memberRef, {
+    ...summary,
+    updatedAt: new Date().toISOString(),
+  });
+
+  return summary;
+};
+
+/**
+ * Records a payment for a member in the ledger and updates the member summary.
+ * This is the single write path used by every payment screen.
+ * The payment is applied to the member's open charge; when every charge is
+ * settled a charge for the next billing period is issued at the tier price.
+ * When `pricing` (from getTierPrice) is given, that charge is issued at the
+ * discounted total instead, or an open charge with nothing paid against it
+ * yet is repriced, and a promo code in the pricing is redeemed.
+ * Catalogue `items` ({ itemId, name, category, price, quantity }) are issued
+ * as charges alongside the payment. A payment that only covers what is
+ * already owed and the items does not start a new membership period.
+ * @param {string} gymId - The gym ID
+ * @param {string} memberId - The member ID
+ * @param {Object} paymentData - { amount, method, notes, date, tierName, membershipTierId, pricing, items, recordedBy }
+ * @returns {Promise<Object>} - The ledger entry that was written
+ */
+export const recordPayment = async (gymId, memberId, paymentData) => {
+  const paymentDate = paymentData.date || (await getGymToday(gymId));
+  assertDayOpen(await getDoc(getCashUpRef(gymId, paymentDate)), paymentDate);
+
+  try {
+    console.log(`Recording payment for member ${memberId}`);
+
+    const memberRef = doc(db, "gyms", gymId, "members", memberId);
+    const memberSnap = await getDoc(memberRef);
+
+    if (!memberSnap.exists()) {
+      throw validationError("Member not found");
+    }
+
+    const memberData = memberSnap.data();
+    const amount = Number(paymentData.amount);
+    const membershipTierId =
+      paymentData.membershipTierId || memberData.membershipTierId || null;
+
+    let tier = null;
+    if (membershipTierId) {
+      const tierSnap = await getDoc(
+        doc(db, "gyms", gymId, "membershipTiers", membershipTierId)
+      );
+      tier = tierSnap.exists() ? tierSnap.data() : null;
+    }
+
+    const [charges, history, policy] = await Promise.all([
+      getMemberCharges(gymId, memberId),
+      getPaymentHistory(gymId, memberId),
+      getBillingPolicy(gymId),
+    ]);
+    const account = calculateMemberAccount(charges, history, {
+      today: paymentDate,
+      policy,
+    });
+
+    const { pricing } = paymentData;
+    const itemCharges = (paymentData.items || [])
+      .filter((item) => Number(item.quantity) > 0)
+      .map((item) => {
+        const quantity = Number(item.quantity);
+        const itemAmount = roundAmount((Number(item.price) || 0) * quantity);
+        const label = quantity > 1 ? `${item.name} x ${quantity}` : item.name;
+        return {
+          ref: doc(getChargesCollectionRef(gymId)),
+          record: buildChargeRecord({
+            memberId,
+            memberName: memberData.Name,
+            membershipTierId,
+            amount: itemAmount,
+            category: item.category,
+            description: label,
+            lineItems: [{ label, type: "item", amount: itemAmount, itemId: item.itemId || null }],
+            periodStart: paymentDate,
+            periodEnd: paymentDate,
+            issuedDate: paymentDate,
+          }),
+        };
+      });
+    const itemsTotal = itemCharges.reduce((sum, item) => sum + item.record.amount, 0);
+
+    let charge = account.openCharge;
+    let newCharge = null;
+    let repricedCharge = null;
+    if (charge && pricing && Number(charge.amount) !== pricing.total) {
+      if (charge.amountPaid > 0) {
+        throw validationError(
+          "Discounts can only be applied to a period that has not been part-paid."
+        );
+      }
+      repricedCharge = {
+        ref: doc(getChargesCollectionRef(gymId), charge.id),
+        update: { amount: pricing.total, lineItems: pricing.lineItems },
+      };
+    }
+    // Buying add-ons or settling a fee should not start the next period
+    if (!charge && (pricing || amount > account.outstanding + itemsTotal)) {
+      const { periodStart, periodEnd } = calculateBillingPeriod({
+        paymentDate,
+        previousEnd: account.lastChargeEnd,
+        tier,
+        policy,
+      });
+      const chargeRecord = buildChargeRecord({
+        memberId,
+        memberName: memberData.Name,
+        membershipTierId,
+        tierName: paymentData.tierName || tier?.name || "",
+        // Without a tier the payment itself sets the price of the period
+        amount: pricing ? pricing.total : tier ? tier.price : amount,
+        lineItems: pricing?.lineItems,
+        periodStart,
+        periodEnd,
+        issuedDate: paymentDate,
+      });
+      newCharge = { ref: doc(getChargesCollectionRef(gymId)), record: chargeRecord };
+      charge = { id: newCharge.ref.id, periodStart, periodEnd };
+    }
+
+    const dueCharges = [
+      ...account.charges
+        .filter((c) => c.amountDue > 0)
+        .map((c) =>
+          repricedCharge && c.id === charge.id ? { ...c, amountDue: pricing.total } : c
+        ),
+      ...(newCharge ? [{ ...newCharge.record, amountDue: newCharge.record.amount }] : []),
+      ...itemCharges.map((item) => ({ ...item.record, amountDue: item.record.amount })),
+    ];
+
+    const paymentRecord = {
+      type: "payment",
+      memberId,
+      memberName: memberData.Name || "Unknown Member",
+      membershipTierId,
+      tierName: paymentData.tierName || tier?.name || "",
+      amount,
+      method: paymentData.method || "Cash",
+      notes: paymentData.notes || "",
+      paymentDate,
+      periodStart: charge?.periodStart || null,
+      periodEnd: charge?.periodEnd || null,
+      chargeId: charge?.id || null,
+      itemChargeIds: itemCharges.map((item) => item.ref.id),
+      lineItems: [
+        ...(pricing?.lineItems || []),
+        ...itemCharges.flatMap((item) => item.record.lineItems),
+      ],
+      categoryBreakdown: getPaymentAllocation(dueCharges, account.credit, amount),
+      promoCode: pricing?.promoCode || null,
+      billingAccountId: pricing?.billingAccountId || memberData.billingAccountId || null,
+      recordedBy: paymentData.recordedBy || "admin",
+      createdAt: serverTimestamp(),
+    };
+
+    // The receipt number, the charge, the promo code usage and the payment
+    // are written together
+    const paymentRef = doc(getPaymentsCollectionRef(gymId));
+    const receiptNumber = await runTransaction(db, async (transaction) => {
+      const nextReceiptNumber = await readNextReceiptNumber(transaction, gymId);
+      // Checked again here in case the day was closed while this was prepared
+      assertDayOpen(
+        await transaction.get(getCashUpRef(gymId, paymentDate)),
+        paymentDate
+      );
+
+      let promoRef = null;
+      let promo = null;
+      if (pricing?.promoCode) {
+        promoRef = getPromoCodeRef(gymId, pricing.promoCode);
+        const promoSnap = await transaction.get(promoRef);
+        promo = promoSnap.exists() ? promoSnap.data() : null;
+        // Re-checked here so two desks cannot both use the last redemption
+        const problem = getPromoCodeProblem(promo, {
+          tierId: membershipTierId,
+          today: paymentDate,
+        });
+        if (problem) throw validationError(problem);
+      }
+
+      if (newCharge) {
+        transaction.set(newCharge.ref, newCharge.record);
+      }
+      itemCharges.forEach((item) => transaction.set(item.ref, item.record));
+      if (repricedCharge) {
+        transaction.update(repricedCharge.ref, repricedCharge.update);
+      }
+      if (promoRef) {
+        transaction.update(promoRef, { timesUsed: (promo.timesUsed || 0) + 1 });
+      }
+      transaction.set(paymentRef, {
+        ...paymentRecord,
+        receiptNumber: nextReceiptNumber,
+      });
+      claimReceiptNumber(transaction, gymId, nextReceiptNumber);
+      tallyLedgerEntry(transaction, gymId, paymentDate);
+      return nextReceiptNumber;
+    });
+    await syncMemberPaymentSummary(gymId, memberId);
+
+    console.log(
+      `Payment recorded successfully for member ${memberId} (${formatReceiptNumber(receiptNumber)})`
+    );
+    return { id: paymentRef.id, ...paymentRecord, receiptNumber };
+  } catch (error) {
+    console.error("Error recording payment:", error);
+    if (error.validation) throw error;
+    throw new Error("Could not record payment.");
+  }
+};
+
+/**
+ * Loads a ledger entry for printing a receipt. Entries recorded before
+ * receipts existed have no receiptNumber and print as unnumbered. A void or
+ * refund also carries reversesReceiptNumber, the receipt number of the
+ * payment it reverses.
+ * @param {string} gymId - The ID of the gym.
+ * @param {string} paymentId - The ledger entry ID.
+ * @returns {Promise<Object>} - The ledger entry
+ */
+export const getPaymentReceipt = async (gymId, paymentId) => {
+  try {
+    const paymentSnap = await getDoc(doc(db, "gyms", gymId, "payments", paymentId));
+    if (!paymentSnap.exists()) {
+      throw new Error("Payment not found");
+    }
+
+    const entry = { id: paymentSnap.id, ...paymentSnap.data() };
+    if (getEntryType(entry) !== "payment" && entry.reversesPaymentId) {
+      const reversedSnap = await getDoc(
+        doc(db, "gyms", gymId, "payments", entry.reversesPaymentId)
+      );
+      entry.reversesReceiptNumber = reversedSnap.exists()
+        ? reversedSnap.data().receiptNumber || null
+        : null;
+    }
+
+    return entry;
+  } catch (error) {
+    console.error("Error loading payment receipt:", error);
+    throw new Error("Could not load payment receipt.");
+  }
+};
+
 /**
  * Records a new payment for a member based on their assigned tier.
+ * The amount is the tier price after the gym's discount rules, the member's
+ * family/group account and an optional promo code.
  * @param {string} gymId - The ID of the gym.
  * @param {string} memberId - The ID of the member.
  * @param {string} membershipTierId - The ID of the membership tier.
- * @returns {Promise<void>}
+ * @param {string} recordedBy - Staff member recording the payment.
+ * @param {Object} options - { promoCode, method, items }
+ * @returns {Promise<Object>} - The ledger entry that was written
  */
-export const recordTierBasedPayment = async (gymId, memberId, membershipTierId) => {
+export const recordTierBasedPayment = async (
+  gymId,
+  memberId,
+  membershipTierId,
+  recordedBy = "admin",
+  options = {}
+) => {
   try {
     if (!membershipTierId) {
       throw new Error("Member does not have an assigned membership tier.");
     }
 
-    // 1. Get the price from the membership tier document
+    // Get the price from the membership tier document
     const tierRef = doc(db, "gyms", gymId, "membershipTiers", membershipTierId);
-    const tierSnap = await getDoc(tierRef);
+    const [tierSnap, memberSnap] = await Promise.all([
+      getDoc(tierRef),
+      getDoc(doc(db, "gyms", gymId, "members", memberId)),
+    ]);
 
     if (!tierSnap.exists()) {
       throw new Error("Membership tier not found.");
     }
 
-    const tierData = tierSnap.data();
-    const amountPaid = tierData.price;
+    const tierData = { id: tierSnap.id, ...tierSnap.data() };
+    const pricing = await getTierPrice(gymId, {
+      tier: tierData,
+      member: memberSnap.exists() ? memberSnap.data() : {},
+      promoCode: options.promoCode,
+      today: await getGymToday(gymId),
+    });
+
+    const itemsTotal = (options.items || []).reduce(
+      (sum, item) => sum + (Number(item.price) || 0) * (Number(item.quantity) || 0),
+      0
+    );
 
-    // 2. Create a new document in the member's 'payments' subcollection
-    const paymentsRef = collection(db, "gyms", gymId, "members", memberId, "payments");
-    await addDoc(paymentsRef, {
-      amountPaid,
-      paymentDate: serverTimestamp(),
-      membershipTierId: membershipTierId,
+    const payment = await recordPayment(gymId, memberId, {
+      amount: roundAmount(pricing.total + itemsTotal),
+      membershipTierId,
       tierName: tierData.name,
-      recordedBy: "admin",
-      method: "Cash", // Default method
+      method: options.method || "Cash", // Default method
+      pricing,
+      items: options.items,
+      recordedBy,
     });
 
-    // 3. Update the main member document with new payment status and due date
-    const nextDueDate = new Date();
-    nextDueDate.setDate(nextDueDate.getDate() + 30);
+    console.log(`Payment recorded: ${payment.amount} LKR for member ${memberId}`);
+    return payment;
+  } catch (error) {
+    console.error("Error recording payment:", error);
+    throw error;
+  }
+};
+
+/**
+ * Pays the next tier period for every member on a family/group account,
+ * each with their own ledger entry and receipt.
+ * @param {string} gymId - The ID of the gym.
+ * @param {Array} members - Members on the account (from getBillingAccountMembers)
+ * @param {string} recordedBy - Staff member recording the payments.
+ * @param {Object} options - { promoCode, method }
+ * @returns {Promise<Array>} - The ledger entries that were written
+ */
+export const recordBillingAccountPayment = async (
+  gymId,
+  members,
+  recordedBy = "admin",
+  options = {}
+) => {
+  const payments = [];
+  // One at a time so receipt numbers follow the order of the members
+  for (const member of members.filter((m) => m.membershipTierId)) {
+    payments.push(
+      await recordTierBasedPayment(
+        gymId,
+        member.id,
+        member.membershipTierId,
+        recordedBy,
+        options
+      )
+    );
+  }
+  return payments;
+};
+
+// Writes a void or refund entry against a payment and recomputes the member.
+// When the payment is reversed in full and it was the only payment on the
+// member's latest charge, that charge is cancelled so the period is not billed.
+// The checks run inside the transaction that writes the entry, against the
+// payment's running reversal totals and both cash-up days, so two desks
+// cannot reverse the same money twice or write into a day being closed.
+const reversePayment = async (gymId, paymentId, type, details) => {
+  const reason = (details.reason || "").trim();
+  if (!reason) {
+    throw new Error("A reason is required.");
+  }
+
+  const paymentRef = doc(db, "gyms", gymId, "payments", paymentId);
+  const paymentSnap = await getDoc(paymentRef);
+  if (!paymentSnap.exists()) {
+    throw new Error("Payment not found.");
+  }
+
+  // Queries cannot run in a transaction, so the member's ledger and charges
+  // are loaded first; ledger entries never change once written
+  const { memberId } = paymentSnap.data();
+  const [history, charges, reversalDate] = await Promise.all([
+    getPaymentHistory(gymId, memberId),
+    getMemberCharges(gymId, memberId),
+    getGymToday(gymId),
+  ]);
+  const ledgerReversals = getPaymentReversals(history);
+
+  const reversalRef = doc(getPaymentsCollectionRef(gymId));
+  const reversalTotalsRef = getReversalTotalsRef(gymId, paymentId);
+
+  const { reversalRecord, receiptNumber } = await runTransaction(db, async (transaction) => {
+    const currentSnap = await transaction.get(paymentRef);
+    const payment = { id: currentSnap.id, ...currentSnap.data() };
+    if (getEntryType(payment) !== "payment") {
+      throw new Error("Only payments can be voided or refunded.");
+    }
+
+    // A void rewrites the day the payment was taken; a refund is new money out today
+    const [paymentDayCashUp, todayCashUp, totalsSnap] = await Promise.all([
+      transaction.get(getCashUpRef(gymId, payment.paymentDate)),
+      transaction.get(getCashUpRef(gymId, reversalDate)),
+      transaction.get(reversalTotalsRef),
+    ]);
+    if (type === "void") {
+      assertDayOpen(paymentDayCashUp, payment.paymentDate);
+    }
+    assertDayOpen(todayCashUp, reversalDate);
+
+    // Payments reversed before the running totals were kept fall back to the ledger
+    const reversal = totalsSnap.exists()
+      ? totalsSnap.data()
+      : ledgerReversals[paymentId] || { voided: false, refundedAmount: 0 };
+
+    if (reversal.voided) {
+      throw new Error("This payment has already been voided.");
+    }
+    if (type === "void" && reversal.refundedAmount > 0) {
+      throw new Error("This payment has been partly refunded; refund the rest instead.");
+    }
+
+    const remaining = roundAmount((Number(payment.amount) || 0) - reversal.refundedAmount);
+    const amount = type === "void" ? remaining : Number(details.amount);
+    if (!(amount > 0) || amount > remaining) {
+      throw new Error(`Refund amount must be more than 0 and at most ${remaining}.`);
+    }
+
+    const record = {
+      type,
+      reversesPaymentId: paymentId,
+      memberId: payment.memberId,
+      memberName: payment.memberName || "Unknown Member",
+      membershipTierId: payment.membershipTierId || null,
+      tierName: payment.tierName || "",
+      amount: -amount,
+      // Reversed in the same proportions the payment was split across categories
+      categoryBreakdown: Object.fromEntries(
+        Object.entries(getEntryCategoryAmounts(payment)).map(([category, value]) => [
+          category,
+          -roundAmount((value * amount) / (Number(payment.amount) || amount)),
+        ])
+      ),
+      method: details.method || payment.method || "Cash",
+      reason,
+      paymentDate: reversalDate,
+      recordedBy: details.recordedBy || "admin",
+      createdAt: serverTimestamp(),
+    };
+
+    const cancelledChargeIds = [];
+
+    // Add-ons sold with the payment are withdrawn when it is reversed in full
+    if (amount === remaining) {
+      cancelledChargeIds.push(...(payment.itemChargeIds || []));
+    }
+
+    if (amount === remaining && payment.chargeId) {
+      const latestCharge = charges
+        .filter(
+          (charge) => !charge.cancelled && getChargeCategory(charge) === "membership"
+        )
+        .pop();
+      const chargeStillPaid = history.some(
+        (p) =>
+          getEntryType(p) === "payment" &&
+          p.id !== paymentId &&
+          p.chargeId === payment.chargeId &&
+          !ledgerReversals[p.id]?.voided
+      );
 
-    await updateMember(gymId, memberId, {
-      Payment_Status: "Paid",
-      lastPaymentDate: new Date().toISOString().split("T")[0],
-      nextPaymentDueDate: nextDueDate.toISOString().split("T")[0],
+      if (latestCharge?.id === payment.chargeId && !chargeStillPaid) {
+        cancelledChargeIds.push(payment.chargeId);
+      }
+    }
+
+    // The reversal gets its own receipt number, claimed with the entry itself
+    const nextReceiptNumber = await readNextReceiptNumber(transaction, gymId);
+    transaction.set(reversalRef, { ...record, receiptNumber: nextReceiptNumber });
+    cancelledChargeIds.forEach((chargeId) => {
+      transaction.update(doc(db, "gyms", gymId, "charges", chargeId), {
+        cancelled: true,
+        cancelledBy: reversalRef.id,
+      });
     });
+    transaction.set(reversalTotalsRef, {
+      voided: type === "void",
+      refundedAmount: roundAmount(
+        reversal.refundedAmount + (type === "refund" ? amount : 0)
+      ),
+    });
+    claimReceiptNumber(transaction, gymId, nextReceiptNumber);
+    tallyLedgerEntry(transaction, gymId, reversalDate);
+    return { reversalRecord: record, receiptNumber: nextReceiptNumber };
+  });
+  await syncMemberPaymentSummary(gymId, memberId);
 
-    console.log(`Payment recorded: ${amountPaid} LKR for member ${memberId}`);
+  return { id: reversalRef.id, ...reversalRecord, receiptNumber };
+};
+
+/**
+ * Voids a payment recorded in error. The original entry is kept and a linked
+ * void entry cancels its full amount.
+ * @param {string} gymId - The ID of the gym.
+ * @param {string} paymentId - The ledger entry to void.
+ * @param {Object} details - { reason, recordedBy }
+ * @returns {Promise<Object>} - The void entry that was written
+ */
+export const voidPayment = async (gymId, paymentId, details) => {
+  try {
+    const entry = await reversePayment(gymId, paymentId, "void", details);
+    console.log(`Payment ${paymentId} voided: ${details.reason}`);
+    return entry;
   } catch (error) {
-    console.error("Error recording payment:", error);
+    console.error("Error voiding payment:", error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Refunds all or part of a payment. The original entry is kept and a linked
+ * refund entry records the money returned.
+ * @param {string} gymId - The ID of the gym.
+ * @param {string} paymentId - The ledger entry to refund.
+ * @param {Object} details - { amount, reason, method, recordedBy }
+ * @returns {Promise<Object>} - The refund entry that was written
+ */
+export const refundPayment = async (gymId, paymentId, details) => {
+  try {
+    const entry = await reversePayment(gymId, paymentId, "refund", details);
+    console.log(`Payment ${paymentId} refunded ${details.amount}: ${details.reason}`);
+    return entry;
+  } catch (error) {
+    console.error("Error refunding payment:", error);
+    throw error;
+  }
+};
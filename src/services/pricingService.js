@@ -0,0 +1,462 @@
+// src/services/pricingService.js
+import {
+  collection,
+  query,
+  getDocs,
+  doc,
+  getDoc,
+  setDoc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  where,
+} from "firebase/firestore";
+import { db } from "./firebase";
+
+/**
+ * Pricing rules
+ * The amount charged for a tier period starts at the tier price and is then
+ * reduced by, in order:
+ * - automatic discounts: gyms/{gymId}/pricingRules/{ruleId} -> {
+ *     name, discountType ("percentage" | "fixed"), value,
+ *     eligibility ("all" | "student" | "senior"), tierIds ([] = every tier), active
+ *   }
+ *   "student" and "senior" rules apply to members whose `concession` matches.
+ * - the member's family/group account: gyms/{gymId}/billingAccounts/{accountId} -> {
+ *     name, type ("family" | "group"), discountType, value
+ *   }
+ *   Members join an account through `billingAccountId` on the member document.
+ * - a promo code entered at the desk: gyms/{gymId}/promoCodes/{CODE} -> {
+ *     code, discountType, value, validFrom, validUntil, maxUses, timesUsed,
+ *     tierIds, active
+ *   }
+ *   Codes are stored upper-case under their own ID; timesUsed is incremented
+ *   in the same transaction as the payment that redeems the code.
+ * Each step is recorded as a line item so the payment shows how the amount
+ * was reached.
+ */
+
+export const DISCOUNT_TYPES = {
+  percentage: "Percentage (%)",
+  fixed: "Fixed amount (LKR)",
+};
+
+export const CONCESSIONS = {
+  student: "Student",
+  senior: "Senior",
+};
+
+// Helper functions to get the pricing collection references
+const getPricingRulesCollectionRef = (gymId) => {
+  return collection(db, "gyms", gymId, "pricingRules");
+};
+
+const getPromoCodesCollectionRef = (gymId) => {
+  return collection(db, "gyms", gymId, "promoCodes");
+};
+
+const getBillingAccountsCollectionRef = (gymId) => {
+  return collection(db, "gyms", gymId, "billingAccounts");
+};
+
+/**
+ * Normalizes a promo code as typed at the desk.
+ * @param {string} code
+ * @returns {string}
+ */
+export const normalizePromoCode = (code) => (code || "").trim().toUpperCase();
+
+/**
+ * Document reference for a promo code, used when a payment redeems it.
+ * @param {string} gymId - The gym ID
+ * @param {string} code - The promo code
+ */
+export const getPromoCodeRef = (gymId, code) => {
+  return doc(db, "gyms", gymId, "promoCodes", normalizePromoCode(code));
+};
+
+// Rounds to cents so percentages never leave fractions of a rupee cent behind
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Whether a rule or code is limited to other tiers
+const appliesToTier = (item, tierId) => {
+  return !item.tierIds?.length || item.tierIds.includes(tierId);
+};
+
+// The amount a discount takes off the running price
+const getDiscountAmount = (discount, price) => {
+  const value = Number(discount.value) || 0;
+  const amount =
+    discount.discountType === "percentage" ? (price * value) / 100 : value;
+  return roundAmount(Math.min(Math.max(amount, 0), price));
+};
+
+// Short description of a discount for line items, e.g. "10%" or "LKR 500"
+const describeDiscount = (discount) => {
+  return discount.discountType === "percentage"
+    ? `${Number(discount.value) || 0}%`
+    : `LKR ${Number(discount.value) || 0}`;
+};
+
+/**
+ * Checks whether a promo code can be used today for a tier.
+ * @param {Object} promo - Promo code document
+ * @param {Object} options
+ * @param {string} options.tierId - Tier being paid for
+ * @param {string} options.today - Date of payment (YYYY-MM-DD)
+ * @returns {string|null} - Why the code cannot be used, or null when it can
+ */
+export const getPromoCodeProblem = (promo, { tierId, today }) => {
+  if (!promo || promo.active === false) return "This promo code is not active.";
+  if (promo.validFrom && today < promo.validFrom) {
+    return `This promo code is valid from ${promo.validFrom}.`;
+  }
+  if (promo.validUntil && today > promo.validUntil) {
+    return `This promo code expired on ${promo.validUntil}.`;
+  }
+  if (promo.maxUses && (promo.timesUsed || 0) >= promo.maxUses) {
+    return "This promo code has reached its usage limit.";
+  }
+  if (!appliesToTier(promo, tierId)) {
+    return "This promo code does not apply to this membership tier.";
+  }
+  return null;
+};
+
+/**
+ * Works out the price of one tier period for a member.
+ * @param {Object} options
+ * @param {Object} options.tier - The membership tier ({ id, name, price })
+ * @param {Object} options.member - The member ({ concession })
+ * @param {Array} options.rules - Automatic discount rules
+ * @param {Object|null} options.billingAccount - The member's family/group account
+ * @param {Object|null} options.promo - A validated promo code
+ * @returns {Object} - { listPrice, total, lineItems: [{ label, type, amount }] }
+ */
+export const calculateTierPrice = ({
+  tier,
+  member = {},
+  rules = [],
+  billingAccount = null,
+  promo = null,
+}) => {
+  const listPrice = Number(tier.price) || 0;
+  const lineItems = [{ label: tier.name || "Membership", type: "base", amount: listPrice }];
+  let total = listPrice;
+
+  const applyDiscount = (discount, label) => {
+    const amount = getDiscountAmount(discount, total);
+    if (amount <= 0) return;
+    total = roundAmount(total - amount);
+    lineItems.push({ label, type: "discount", amount: -amount });
+  };
+
+  rules
+    .filter(
+      (rule) =>
+        rule.active !== false &&
+        appliesToTier(rule, tier.id) &&
+        (!rule.eligibility ||
+          rule.eligibility === "all" ||
+          rule.eligibility === member.concession)
+    )
+    .forEach((rule) => applyDiscount(rule, `${rule.name} (${describeDiscount(rule)})`));
+
+  if (billingAccount) {
+    applyDiscount(
+      billingAccount,
+      `${billingAccount.name} ${billingAccount.type === "group" ? "group" : "family"} (${describeDiscount(billingAccount)})`
+    );
+  }
+
+  if (promo) {
+    applyDiscount(promo, `Promo ${promo.code} (${describeDiscount(promo)})`);
+  }
+
+  return { listPrice, total, lineItems };
+};
+
+/**
+ * Fetches the automatic discount rules for a gym
+ */
+export const getPricingRules = async (gymId) => {
+  try {
+    const querySnapshot = await getDocs(getPricingRulesCollectionRef(gymId));
+    return querySnapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+  } catch (error) {
+    console.error("❌ Error fetching pricing rules:", error);
+    throw new Error("Could not fetch pricing rules.");
+  }
+};
+
+/**
+ * Adds an automatic discount rule
+ */
+export const addPricingRule = async (gymId, ruleData) => {
+  try {
+    await addDoc(getPricingRulesCollectionRef(gymId), {
+      name: ruleData.name,
+      discountType: ruleData.discountType,
+      value: Number(ruleData.value) || 0,
+      eligibility: ruleData.eligibility || "all",
+      tierIds: ruleData.tierIds || [],
+      active: ruleData.active !== false,
+      createdAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Error adding pricing rule:", error);
+    throw new Error("Could not add pricing rule.");
+  }
+};
+
+/**
+ * Updates an automatic discount rule
+ */
+export const updatePricingRule = async (gymId, ruleId, updatedData) => {
+  try {
+    await updateDoc(doc(db, "gyms", gymId, "pricingRules", ruleId), {
+      ...updatedData,
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Error updating pricing rule:", error);
+    throw new Error("Could not update pricing rule.");
+  }
+};
+
+/**
+ * Deletes an automatic discount rule
+ */
+export const deletePricingRule = async (gymId, ruleId) => {
+  try {
+    await deleteDoc(doc(db, "gyms", gymId, "pricingRules", ruleId));
+  } catch (error) {
+    console.error("❌ Error deleting pricing rule:", error);
+    throw new Error("Could not delete pricing rule.");
+  }
+};
+
+/**
+ * Fetches all promo codes for a gym
+ */
+export const getPromoCodes = async (gymId) => {
+  try {
+    const querySnapshot = await getDocs(getPromoCodesCollectionRef(gymId));
+    return querySnapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => a.code.localeCompare(b.code));
+  } catch (error) {
+    console.error("❌ Error fetching promo codes:", error);
+    throw new Error("Could not fetch promo codes.");
+  }
+};
+
+/**
+ * Creates a promo code. Codes are unique per gym.
+ */
+export const addPromoCode = async (gymId, promoData) => {
+  const code = normalizePromoCode(promoData.code);
+  if (!code) {
+    throw new Error("Please enter a promo code.");
+  }
+
+  const promoRef = getPromoCodeRef(gymId, code);
+  const existing = await getDoc(promoRef);
+  if (existing.exists()) {
+    throw new Error(`Promo code ${code} already exists.`);
+  }
+
+  try {
+    await setDoc(promoRef, {
+      code,
+      discountType: promoData.discountType,
+      value: Number(promoData.value) || 0,
+      validFrom: promoData.validFrom || null,
+      validUntil: promoData.validUntil || null,
+      maxUses: Number(promoData.maxUses) || null,
+      timesUsed: 0,
+      tierIds: promoData.tierIds || [],
+      active: true,
+      createdAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Error adding promo code:", error);
+    throw new Error("Could not add promo code.");
+  }
+};
+
+/**
+ * Updates a promo code
+ */
+export const updatePromoCode = async (gymId, code, updatedData) => {
+  try {
+    await updateDoc(getPromoCodeRef(gymId, code), {
+      ...updatedData,
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Error updating promo code:", error);
+    throw new Error("Could not update promo code.");
+  }
+};
+
+/**
+ * Deletes a promo code
+ */
+export const deletePromoCode = async (gymId, code) => {
+  try {
+    await deleteDoc(getPromoCodeRef(gymId, code));
+  } catch (error) {
+    console.error("❌ Error deleting promo code:", error);
+    throw new Error("Could not delete promo code.");
+  }
+};
+
+/**
+ * Looks up a promo code and checks it can be used for a tier today.
+ * @param {string} gymId - The gym ID
+ * @param {string} code - The promo code as entered
+ * @param {Object} options - { tierId, today }
+ * @returns {Promise<Object>} - The promo code document
+ */
+export const validatePromoCode = async (gymId, code, { tierId, today }) => {
+  const promoSnap = await getDoc(getPromoCodeRef(gymId, code));
+  if (!promoSnap.exists()) {
+    throw new Error(`Promo code ${normalizePromoCode(code)} was not found.`);
+  }
+
+  const promo = { id: promoSnap.id, ...promoSnap.data() };
+  const problem = getPromoCodeProblem(promo, { tierId, today });
+  if (problem) {
+    throw new Error(problem);
+  }
+  return promo;
+};
+
+/**
+ * Fetches all family/group billing accounts for a gym
+ */
+export const getBillingAccounts = async (gymId) => {
+  try {
+    const querySnapshot = await getDocs(getBillingAccountsCollectionRef(gymId));
+    return querySnapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+  } catch (error) {
+    console.error("❌ Error fetching billing accounts:", error);
+    throw new Error("Could not fetch billing accounts.");
+  }
+};
+
+/**
+ * Fetches one family/group billing account
+ */
+export const getBillingAccount = async (gymId, accountId) => {
+  try {
+    const accountSnap = await getDoc(doc(db, "gyms", gymId, "billingAccounts", accountId));
+    return accountSnap.exists() ? { id: accountSnap.id, ...accountSnap.data() } : null;
+  } catch (error) {
+    console.error("❌ Error fetching billing account:", error);
+    throw new Error("Could not fetch billing account.");
+  }
+};
+
+/**
+ * Creates a family/group billing account
+ */
+export const addBillingAccount = async (gymId, accountData) => {
+  try {
+    await addDoc(getBillingAccountsCollectionRef(gymId), {
+      name: accountData.name,
+      type: accountData.type || "family",
+      discountType: accountData.discountType || "percentage",
+      value: Number(accountData.value) || 0,
+      createdAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Error adding billing account:", error);
+    throw new Error("Could not add billing account.");
+  }
+};
+
+/**
+ * Deletes a family/group billing account. Members must be removed first.
+ */
+export const deleteBillingAccount = async (gymId, accountId) => {
+  const members = await getBillingAccountMembers(gymId, accountId);
+  if (members.length > 0) {
+    throw new Error("Remove every member from this account before deleting it.");
+  }
+
+  try {
+    await deleteDoc(doc(db, "gyms", gymId, "billingAccounts", accountId));
+  } catch (error) {
+    console.error("❌ Error deleting billing account:", error);
+    throw new Error("Could not delete billing account.");
+  }
+};
+
+/**
+ * Fetches the members sharing a billing account
+ */
+export const getBillingAccountMembers = async (gymId, accountId) => {
+  try {
+    const q = query(
+      collection(db, "gyms", gymId, "members"),
+      where("billingAccountId", "==", accountId)
+    );
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  } catch (error) {
+    console.error("❌ Error fetching billing account members:", error);
+    throw new Error("Could not fetch billing account members.");
+  }
+};
+
+/**
+ * Combined balance of every member on a billing account.
+ * @param {string} gymId - The gym ID
+ * @param {string} accountId - The billing account ID
+ * @returns {Promise<Object>} - { members, outstandingBalance, accountCredit }
+ */
+export const getBillingAccountBalance = async (gymId, accountId) => {
+  const members = await getBillingAccountMembers(gymId, accountId);
+  return {
+    members,
+    outstandingBalance: members.reduce(
+      (sum, m) => sum + (Number(m.outstandingBalance) || 0),
+      0
+    ),
+    accountCredit: members.reduce((sum, m) => sum + (Number(m.accountCredit) || 0), 0),
+  };
+};
+
+/**
+ * Loads everything needed to price a tier period for a member.
+ * @param {string} gymId - The gym ID
+ * @param {Object} options
+ * @param {Object} options.tier - The membership tier (with id)
+ * @param {Object} options.member - The member document
+ * @param {string} options.promoCode - Promo code entered at the desk, if any
+ * @param {string} options.today - Date of payment (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Result of calculateTierPrice plus promoCode
+ */
+export const getTierPrice = async (gymId, { tier, member, promoCode, today }) => {
+  const [rules, billingAccount, promo] = await Promise.all([
+    getPricingRules(gymId),
+    member?.billingAccountId
+      ? getBillingAccount(gymId, member.billingAccountId)
+      : Promise.resolve(null),
+    promoCode
+      ? validatePromoCode(gymId, promoCode, { tierId: tier.id, today })
+      : Promise.resolve(null),
+  ]);
+
+  return {
+    ...calculateTierPrice({ tier, member, rules, billingAccount, promo }),
+    promoCode: promo ? promo.code : null,
+    billingAccountId: billingAccount ? billingAccount.id : null,
+  };
+};
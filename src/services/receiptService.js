@@ -0,0 +1,179 @@
+// src/services/receiptService.js
+import { jsPDF } from "jspdf";
+import { formatReceiptNumber } from "./paymentService";
+import { getEntryType } from "../utils/billingUtils";
+
+/**
+ * Payment receipts
+ * Receipts are rendered client-side from a ledger entry and the gym info
+ * returned by getGymInfo, either printed or saved as an A5 PDF.
+ */
+
+// Helper function to format an amount in LKR for the PDF.
+// Intl separates the currency code with a non-breaking space; the PDF uses a plain one.
+const formatAmount = (amount) => {
+  return new Intl.NumberFormat("en-LK", {
+    style: "currency",
+    currency: "LKR",
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })
+    .format(Number(amount) || 0)
+    .replace(/\u00a0/g, " ");
+};
+
+// How each kind of ledger entry is headed and totalled on its receipt
+const RECEIPT_HEADINGS = {
+  payment: { title: "PAYMENT RECEIPT", amountLabel: "Amount Paid" },
+  void: { title: "VOID RECEIPT", amountLabel: "Amount Voided" },
+  refund: { title: "REFUND RECEIPT", amountLabel: "Amount Refunded" },
+};
+
+/**
+ * The title and amount line of a receipt. Voids and refunds show the amount
+ * taken back as a positive figure.
+ * @param {Object} payment - Ledger entry
+ * @returns {Object} - { title, amountLabel, amount }
+ */
+export const getReceiptHeading = (payment) => ({
+  ...(RECEIPT_HEADINGS[getEntryType(payment)] || RECEIPT_HEADINGS.payment),
+  amount: Math.abs(Number(payment.amount) || 0),
+});
+
+/**
+ * Builds the rows shown on a receipt, shared by the on-screen view and the PDF.
+ * @param {Object} payment - Ledger entry (with receiptNumber, and
+ *   reversesReceiptNumber for a void or refund)
+ * @returns {Array} - [{ label, value }]
+ */
+export const getReceiptRows = (payment) => {
+  const rows = [
+    { label: "Receipt No", value: formatReceiptNumber(payment.receiptNumber) },
+    { label: "Date", value: payment.paymentDate },
+    { label: "Member", value: payment.memberName || "Unknown Member" },
+    { label: "Member ID", value: payment.memberId },
+    { label: "Membership", value: payment.tierName || "No Tier" },
+  ];
+
+  if (getEntryType(payment) !== "payment") {
+    rows.push(
+      { label: "Reverses Receipt", value: formatReceiptNumber(payment.reversesReceiptNumber) },
+      { label: "Reason", value: payment.reason || "-" }
+    );
+  }
+
+  if (payment.periodStart && payment.periodEnd) {
+    rows.push({
+      label: "Period",
+      value: `${payment.periodStart} to ${payment.periodEnd}`,
+    });
+  }
+
+  // Price breakdown, only when a discount or add-on is on the payment
+  if (payment.lineItems?.some((item) => item.type !== "base")) {
+    payment.lineItems.forEach((item) => {
+      rows.push({ label: item.label, value: formatAmount(item.amount) });
+    });
+  }
+
+  rows.push(
+    { label: "Payment Method", value: payment.method || "Cash" },
+    { label: "Recorded By", value: payment.recordedBy || "admin" }
+  );
+
+  if (payment.notes) {
+    rows.push({ label: "Notes", value: payment.notes });
+  }
+
+  return rows;
+};
+
+/**
+ * Renders a receipt as a PDF document.
+ * @param {Object} payment - Ledger entry (with receiptNumber)
+ * @param {Object} gymInfo - { name, address, contact } from getGymInfo
+ * @returns {jsPDF} - The PDF document
+ */
+export const buildReceiptPdf = (payment, gymInfo) => {
+  const pdf = new jsPDF({ unit: "mm", format: "a5" });
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const margin = 12;
+  const heading = getReceiptHeading(payment);
+  let y = 18;
+
+  // Gym header
+  pdf.setFont("helvetica", "bold");
+  pdf.setFontSize(16);
+  pdf.text(gymInfo?.name || "Gym", pageWidth / 2, y, { align: "center" });
+  y += 6;
+
+  pdf.setFont("helvetica", "normal");
+  pdf.setFontSize(9);
+  [gymInfo?.address, gymInfo?.contact].filter(Boolean).forEach((line) => {
+    pdf.text(String(line), pageWidth / 2, y, { align: "center" });
+    y += 4.5;
+  });
+
+  y += 3;
+  pdf.line(margin, y, pageWidth - margin, y);
+  y += 8;
+
+  pdf.setFont("helvetica", "bold");
+  pdf.setFontSize(12);
+  pdf.text(heading.title, pageWidth / 2, y, { align: "center" });
+  y += 9;
+
+  // Receipt details
+  pdf.setFontSize(10);
+  getReceiptRows(payment).forEach(({ label, value }) => {
+    pdf.setFont("helvetica", "bold");
+    pdf.text(label, margin, y);
+    pdf.setFont("helvetica", "normal");
+    const lines = pdf.splitTextToSize(String(value ?? "-"), pageWidth - margin - 50);
+    pdf.text(lines, 50, y);
+    y += 6 * lines.length;
+  });
+
+  // Amount
+  y += 2;
+  pdf.line(margin, y, pageWidth - margin, y);
+  y += 8;
+  pdf.setFont("helvetica", "bold");
+  pdf.setFontSize(13);
+  pdf.text(heading.amountLabel, margin, y);
+  pdf.text(formatAmount(heading.amount), pageWidth - margin, y, { align: "right" });
+  y += 12;
+
+  if (getEntryType(payment) === "payment") {
+    pdf.setFont("helvetica", "normal");
+    pdf.setFontSize(9);
+    pdf.text("Thank you for your payment.", pageWidth / 2, y, { align: "center" });
+  }
+
+  return pdf;
+};
+
+/**
+ * Saves a receipt as a PDF file.
+ * @param {Object} payment - Ledger entry (with receiptNumber)
+ * @param {Object} gymInfo - { name, address, contact } from getGymInfo
+ */
+export const downloadReceiptPdf = (payment, gymInfo) => {
+  const pdf = buildReceiptPdf(payment, gymInfo);
+  pdf.save(
+    payment.receiptNumber
+      ? `${formatReceiptNumber(payment.receiptNumber)}.pdf`
+      : `receipt-${payment.id}.pdf`
+  );
+};
+
+/**
+ * Opens a receipt in a new tab with the browser print dialog.
+ * @param {Object} payment - Ledger entry (with receiptNumber)
+ * @param {Object} gymInfo - { name, address, contact } from getGymInfo
+ */
+export const printReceipt = (payment, gymInfo) => {
+  const pdf = buildReceiptPdf(payment, gymInfo);
+  pdf.autoPrint();
+  window.open(pdf.output("bloburl"), "_blank");
+};
@@ -0,0 +1,241 @@
+// src/services/retentionService.js
+import { getMembersForGym } from "./memberService";
+import { getAttendanceForDateRange } from "./attendanceService";
+import { isFreezeActive } from "./freezeService";
+import { getBillingPolicy, getGymTimeZone, getGymToday } from "./settingsService";
+import { addDays, addMonths, daysBetween, toZonedDateString } from "../utils/dateUtils";
+
+/**
+ * Member retention
+ * Looks across every member's attendance and payments for members who are
+ * likely to leave, and tracks how each join-month cohort keeps coming in.
+ * A visit is a day with at least one check-in, so members who scan in twice
+ * on the same day are not counted twice.
+ *
+ * Churn-risk signals:
+ *   frequency_drop  - visits per week over the last RECENT_DAYS fell by at
+ *                     least FREQUENCY_DROP_PERCENT against the BASELINE_DAYS
+ *                     before that (members who came at least once a week)
+ *   inactive_paying - paid up but no visit for INACTIVE_DAYS or more
+ *   payment_lapsed  - unpaid past the billing grace days
+ * Frozen members are left out, since they are expected to stay away.
+ */
+
+export const RETENTION_THRESHOLDS = {
+  RECENT_DAYS: 28,
+  BASELINE_DAYS: 56,
+  FREQUENCY_DROP_PERCENT: 50,
+  MIN_BASELINE_WEEKLY_VISITS: 1,
+  INACTIVE_DAYS: 14,
+};
+
+export const RISK_SIGNALS = {
+  frequency_drop: "Visiting less",
+  inactive_paying: "Paying but not visiting",
+  payment_lapsed: "Payment lapsed",
+};
+
+// How many join months the cohort table covers, the current month included
+export const COHORT_MONTHS = 6;
+
+// The day a member joined, from createdAt (an ISO string or a Timestamp)
+const getJoinDate = (member, timeZone) => {
+  if (typeof member.createdAt === "string") return member.createdAt.substring(0, 10);
+  if (member.createdAt?.toDate) return toZonedDateString(member.createdAt.toDate(), timeZone);
+  return null;
+};
+
+// Visit days per member, oldest first
+const getVisitDatesByMember = (attendanceByDate) => {
+  const visitDates = {};
+  for (const [date, records] of Object.entries(attendanceByDate).sort(([a], [b]) =>
+    a.localeCompare(b)
+  )) {
+    for (const memberId of new Set(records.map((record) => record.memberId))) {
+      visitDates[memberId] = visitDates[memberId] || [];
+      visitDates[memberId].push(date);
+    }
+  }
+  return visitDates;
+};
+
+/**
+ * Scores one member's churn risk. Each signal adds 20-40 points, so members
+ * with several signals rank above members with one.
+ * @returns {Object|null} - The at-risk entry, or null when no signal applies
+ */
+const assessMember = (member, visitDates, context) => {
+  const { today, graceDays, timeZone } = context;
+  const {
+    RECENT_DAYS,
+    BASELINE_DAYS,
+    FREQUENCY_DROP_PERCENT,
+    MIN_BASELINE_WEEKLY_VISITS,
+    INACTIVE_DAYS,
+  } = RETENTION_THRESHOLDS;
+  const recentStart = addDays(today, -(RECENT_DAYS - 1));
+  const joinDate = getJoinDate(member, timeZone);
+  const signals = [];
+  let score = 0;
+
+  const recentVisits = visitDates.filter((date) => date >= recentStart).length;
+  const baselineVisits = visitDates.length - recentVisits;
+  const recentWeeklyVisits = parseFloat(((recentVisits / RECENT_DAYS) * 7).toFixed(1));
+  const baselineWeeklyVisits = parseFloat(((baselineVisits / BASELINE_DAYS) * 7).toFixed(1));
+
+  // Members who joined during the baseline have no full baseline to compare with
+  const hasBaseline = !joinDate || joinDate <= addDays(recentStart, -BASELINE_DAYS);
+  if (hasBaseline && baselineWeeklyVisits >= MIN_BASELINE_WEEKLY_VISITS) {
+    const dropPercent = Math.round((1 - recentWeeklyVisits / baselineWeeklyVisits) * 100);
+    if (dropPercent >= FREQUENCY_DROP_PERCENT) {
+      signals.push({
+        type: "frequency_drop",
+        detail: `${baselineWeeklyVisits} → ${recentWeeklyVisits} visits a week`,
+      });
+      score += Math.round(dropPercent * 0.4);
+    }
+  }
+
+  const lastVisit = visitDates.length ? visitDates[visitDates.length - 1] : null;
+  // With no visit on record, count from joining or from the start of the data
+  const inactiveSince = lastVisit || (joinDate && joinDate > context.startDate ? joinDate : null);
+  const daysSinceLastVisit = inactiveSince ? daysBetween(inactiveSince, today) : null;
+  const inactiveDays = daysSinceLastVisit ?? RECENT_DAYS + BASELINE_DAYS;
+  if (member.Payment_Status === "Paid" && inactiveDays >= INACTIVE_DAYS) {
+    signals.push({
+      type: "inactive_paying",
+      detail: lastVisit
+        ? `No visit for ${inactiveDays} days`
+        : `No visit in the last ${inactiveDays} days`,
+    });
+    score += 25 + Math.min(15, inactiveDays - INACTIVE_DAYS);
+  }
+
+  if (member.Payment_Status !== "Paid" && member.nextPaymentDue) {
+    const daysOverdue = daysBetween(member.nextPaymentDue, today);
+    if (daysOverdue > graceDays) {
+      signals.push({
+        type: "payment_lapsed",
+        detail: `${daysOverdue} days overdue`,
+      });
+      score += 20 + Math.min(20, daysOverdue - graceDays);
+    }
+  }
+
+  if (signals.length === 0) return null;
+
+  return {
+    memberId: member.id,
+    name: member.Name || "Unknown Member",
+    gymMemberId: member.gymMemberId,
+    paymentStatus: member.Payment_Status || "Unpaid",
+    nextPaymentDue: member.nextPaymentDue,
+    lastVisit,
+    daysSinceLastVisit,
+    recentWeeklyVisits,
+    baselineWeeklyVisits,
+    signals,
+    score,
+  };
+};
+
+/**
+ * Builds join-month cohorts and the share of each cohort that visited in
+ * each month since joining.
+ * @returns {Array} - [{ month, size, retention: [{ offset, month, active, percent, partial }] }]
+ */
+const buildCohorts = (members, visitDatesByMember, context) => {
+  const { today, timeZone } = context;
+  const currentMonth = today.substring(0, 7);
+  const firstMonth = addMonths(`${currentMonth}-01`, -(COHORT_MONTHS - 1)).substring(0, 7);
+
+  const cohorts = {};
+  for (const member of members) {
+    const joinMonth = getJoinDate(member, timeZone)?.substring(0, 7);
+    if (!joinMonth || joinMonth < firstMonth || joinMonth > currentMonth) continue;
+
+    cohorts[joinMonth] = cohorts[joinMonth] || { month: joinMonth, members: [] };
+    cohorts[joinMonth].members.push(member.id);
+  }
+
+  return Object.values(cohorts)
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .map((cohort) => {
+      const retention = [];
+      let month = cohort.month;
+      while (month <= currentMonth) {
+        const active = cohort.members.filter((memberId) =>
+          (visitDatesByMember[memberId] || []).some((date) => date.startsWith(month))
+        ).length;
+        retention.push({
+          offset: retention.length,
+          month,
+          active,
+          percent: Math.round((active / cohort.members.length) * 100),
+          partial: month === currentMonth,
+        });
+        month = addMonths(`${month}-01`, 1).substring(0, 7);
+      }
+      return { month: cohort.month, size: cohort.members.length, retention };
+    });
+};
+
+/**
+ * Gets the ranked list of members at risk of leaving and the join-month
+ * cohort retention curves, from one read of the members and their attendance.
+ * @param {string} gymId - The gym ID
+ * @returns {Promise<Object>} - { atRisk (highest score first), cohorts, today }
+ */
+export const getRetentionOverview = async (gymId) => {
+  try {
+    console.log(`📉 Building retention overview for gym: ${gymId}`);
+
+    const [today, timeZone, billingPolicy, members] = await Promise.all([
+      getGymToday(gymId),
+      getGymTimeZone(gymId),
+      getBillingPolicy(gymId),
+      getMembersForGym(gymId),
+    ]);
+
+    // Enough history for the risk baseline and for every cohort month
+    const { RECENT_DAYS, BASELINE_DAYS } = RETENTION_THRESHOLDS;
+    const riskStart = addDays(today, -(RECENT_DAYS + BASELINE_DAYS - 1));
+    const cohortStart = addMonths(`${today.substring(0, 7)}-01`, -(COHORT_MONTHS - 1));
+    const startDate = riskStart < cohortStart ? riskStart : cohortStart;
+
+    const attendanceByDate = await getAttendanceForDateRange(gymId, startDate, today);
+    const visitDatesByMember = getVisitDatesByMember(attendanceByDate);
+
+    const context = {
+      today,
+      timeZone,
+      startDate,
+      graceDays: Number(billingPolicy.graceDays) || 0,
+    };
+
+    const atRisk = members
+      .filter((member) => !isFreezeActive(member.currentFreeze, today))
+      .map((member) =>
+        assessMember(
+          member,
+          (visitDatesByMember[member.id] || []).filter((date) => date >= riskStart),
+          context
+        )
+      )
+      .filter(Boolean)
+      .sort(
+        (a, b) =>
+          b.score - a.score || (b.daysSinceLastVisit ?? 0) - (a.daysSinceLastVisit ?? 0)
+      );
+
+    const cohorts = buildCohorts(members, visitDatesByMember, context);
+
+    console.log(
+      `✅ Retention overview: ${atRisk.length} members at risk, ${cohorts.length} cohorts`
+    );
+    return { atRisk, cohorts, today };
+  } catch (error) {
+    console.error("❌ Error building retention overview:", error);
+    throw new Error("Could not build the member retention overview.");
+  }
+};
@@ -4,12 +4,61 @@ import {
   query,
   getDocs,
   doc,
+  getDoc,
+  setDoc,
   addDoc,
   updateDoc,
   deleteDoc,
   orderBy,
+  limit,
 } from "firebase/firestore";
 import { db } from "./firebase";
+import { DEFAULT_TIME_ZONE, getToday } from "../utils/dateUtils";
+import { TIER_DURATIONS, DEFAULT_BILLING_POLICY } from "../utils/billingUtils";
+
+// Tier durations and the default policy are defined with the billing rules
+export { TIER_DURATIONS, DEFAULT_BILLING_POLICY };
+
+// Time zones already read from gym documents, by gym ID
+const gymTimeZones = {};
+
+/**
+ * Fetches the gym's time zone (gyms/{gymId}.timeZone). Business dates such as
+ * attendance days and due dates are calendar dates in this zone.
+ */
+export const getGymTimeZone = async (gymId) => {
+  if (gymTimeZones[gymId]) return gymTimeZones[gymId];
+
+  try {
+    const gymSnap = await getDoc(doc(db, "gyms", gymId));
+    gymTimeZones[gymId] = gymSnap.data()?.timeZone || DEFAULT_TIME_ZONE;
+    return gymTimeZones[gymId];
+  } catch (error) {
+    console.error("❌ Error fetching gym time zone:", error);
+    return DEFAULT_TIME_ZONE;
+  }
+};
+
+/**
+ * Today's date in the gym's time zone (YYYY-MM-DD)
+ */
+export const getGymToday = async (gymId) => getToday(await getGymTimeZone(gymId));
+
+/**
+ * Saves the gym's time zone
+ */
+export const updateGymTimeZone = async (gymId, timeZone) => {
+  try {
+    // Throws a RangeError for names the runtime does not know
+    new Intl.DateTimeFormat("en-US", { timeZone });
+
+    await updateDoc(doc(db, "gyms", gymId), { timeZone });
+    gymTimeZones[gymId] = timeZone;
+  } catch (error) {
+    console.error("❌ Error updating gym time zone:", error);
+    throw new Error("Could not update the gym time zone.");
+  }
+};
 
 // Helper function to get the membership tiers collection reference
 const getTiersCollectionRef = (gymId) => {
@@ -86,4 +135,355 @@ export const deleteMembershipTier = async (gymId, tierId) => {
     console.error("❌ Error deleting membership tier:", error);
     throw new Error("Could not delete membership tier.");
   }
-};
\ No newline at end of file
+};
+/**
+ * Short label for a tier's billing period, e.g. "month" or "45 days".
+ * Tiers created before durations existed are treated as monthly.
+ */
+export const getTierDurationLabel = (tier) => {
+  const durationType = tier?.durationType || "monthly";
+  if (durationType === "days") {
+    return `${tier.durationDays || 30} days`;
+  }
+  return (TIER_DURATIONS[durationType] || TIER_DURATIONS.monthly).unit;
+};
+
+/**
+ * Fetches the billing policy for a gym
+ */
+export const getBillingPolicy = async (gymId) => {
+  try {
+    const policyRef = doc(db, "gyms", gymId, "settings", "billing");
+    const policySnap = await getDoc(policyRef);
+
+    if (!policySnap.exists()) {
+      return { ...DEFAULT_BILLING_POLICY };
+    }
+
+    return { ...DEFAULT_BILLING_POLICY, ...policySnap.data() };
+  } catch (error) {
+    console.error("❌ Error fetching billing policy:", error);
+    throw new Error("Could not fetch billing policy.");
+  }
+};
+
+/**
+ * Saves the billing policy for a gym
+ */
+export const updateBillingPolicy = async (gymId, policy) => {
+  try {
+    console.log(`📝 Updating billing policy:`, policy);
+    const policyRef = doc(db, "gyms", gymId, "settings", "billing");
+    await setDoc(
+      policyRef,
+      {
+        extendFrom: policy.extendFrom,
+        graceDays: Number(policy.graceDays) || 0,
+        updatedAt: new Date().toISOString(),
+      },
+      { merge: true }
+    );
+    console.log(`✅ Billing policy updated successfully`);
+  } catch (error) {
+    console.error("❌ Error updating billing policy:", error);
+    throw new Error("Could not update billing policy.");
+  }
+};
+
+/**
+ * Default auto-logout policy, applied hourly by the autoLogoutForgottenMembers
+ * function (functions/attendance/autoLogout.js) to members who never scan out.
+ * - closeTime: "HH:MM" in the gym's time zone; open sessions close after it
+ * - maxSessionHours: sessions open longer than this are closed early
+ * - imputedCheckOut: how the missing check-out is estimated
+ * - typicalSessionMinutes: used by "typical_duration", and as the fallback
+ * - capacity: most members allowed inside at once (0 for no limit)
+ * - capacityWarningPercent: occupancy at which the live panel warns staff
+ */
+export const DEFAULT_ATTENDANCE_POLICY = {
+  closeTime: "22:00",
+  maxSessionHours: 4,
+  imputedCheckOut: "close_time",
+  typicalSessionMinutes: 90,
+  capacity: 0,
+  capacityWarningPercent: 80,
+};
+
+export const IMPUTED_CHECKOUT_METHODS = {
+  close_time: "Gym closing time",
+  typical_duration: "Check-in plus a typical session",
+  member_median: "Check-in plus the member's usual session",
+};
+
+/**
+ * Fetches the auto-logout and capacity policy for a gym
+ */
+export const getAttendancePolicy = async (gymId) => {
+  try {
+    const policySnap = await getDoc(doc(db, "gyms", gymId, "settings", "attendance"));
+
+    if (!policySnap.exists()) {
+      return { ...DEFAULT_ATTENDANCE_POLICY };
+    }
+
+    return { ...DEFAULT_ATTENDANCE_POLICY, ...policySnap.data() };
+  } catch (error) {
+    console.error("❌ Error fetching attendance policy:", error);
+    throw new Error("Could not fetch attendance policy.");
+  }
+};
+
+/**
+ * Saves the auto-logout and capacity policy for a gym
+ */
+export const updateAttendancePolicy = async (gymId, policy) => {
+  try {
+    await setDoc(doc(db, "gyms", gymId, "settings", "attendance"), {
+      closeTime: policy.closeTime,
+      maxSessionHours: Number(policy.maxSessionHours),
+      imputedCheckOut: policy.imputedCheckOut,
+      typicalSessionMinutes: Number(policy.typicalSessionMinutes),
+      capacity: Number(policy.capacity) || 0,
+      capacityWarningPercent: Number(policy.capacityWarningPercent) || 80,
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Error updating attendance policy:", error);
+    throw new Error("Could not update attendance policy.");
+  }
+};
+
+/**
+ * Default scanner access policy. The checkAccess function and the
+ * accessDecisions documents (functions/access/accessControl.js) apply it when
+ * a finger is matched. Members blocked from their profile are always denied.
+ * - enabled: whether payment and freeze status are checked at all
+ * - unpaidAction / expiredAction / frozenAction: "allow", "warn" or "deny"
+ * - expiredAfterDays: days past the due date before an unpaid member counts
+ *   as expired rather than overdue (the billing grace days come first)
+ */
+export const DEFAULT_ACCESS_POLICY = {
+  enabled: false,
+  unpaidAction: "warn",
+  expiredAction: "deny",
+  frozenAction: "deny",
+  expiredAfterDays: 30,
+};
+
+export const ACCESS_ACTIONS = {
+  allow: "Let in",
+  warn: "Let in with a warning",
+  deny: "Deny entry",
+};
+
+export const ACCESS_REASONS = {
+  banned: "Blocked",
+  frozen: "Frozen",
+  expired: "Expired",
+  unpaid: "Payment overdue",
+  unknown_member: "Unknown fingerprint",
+};
+
+/**
+ * Fetches the scanner access policy for a gym
+ */
+export const getAccessPolicy = async (gymId) => {
+  try {
+    const policySnap = await getDoc(doc(db, "gyms", gymId, "settings", "access"));
+
+    if (!policySnap.exists()) {
+      return { ...DEFAULT_ACCESS_POLICY };
+    }
+
+    return { ...DEFAULT_ACCESS_POLICY, ...policySnap.data() };
+  } catch (error) {
+    console.error("❌ Error fetching access policy:", error);
+    throw new Error("Could not fetch access policy.");
+  }
+};
+
+/**
+ * Saves the scanner access policy for a gym
+ */
+export const updateAccessPolicy = async (gymId, policy) => {
+  try {
+    await setDoc(doc(db, "gyms", gymId, "settings", "access"), {
+      enabled: Boolean(policy.enabled),
+      unpaidAction: policy.unpaidAction,
+      expiredAction: policy.expiredAction,
+      frozenAction: policy.frozenAction,
+      expiredAfterDays: Number(policy.expiredAfterDays) || 0,
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Error updating access policy:", error);
+    throw new Error("Could not update access policy.");
+  }
+};
+
+/**
+ * Categories a charge can belong to. Tier periods are "membership"; the
+ * charge item catalogue offers joining fees and add-ons sold at the desk.
+ */
+export const CHARGE_CATEGORIES = {
+  membership: "Membership",
+  joining_fee: "Joining fee",
+  add_on: "Add-ons",
+  freeze_fee: "Freeze fee",
+};
+
+// Helper function to get the charge item catalogue collection reference
+const getChargeItemsCollectionRef = (gymId) => {
+  return collection(db, "gyms", gymId, "chargeItems");
+};
+
+/**
+ * Fetches the charge item catalogue (joining fees and add-ons) for a gym
+ */
+export const getChargeItems = async (gymId) => {
+  try {
+    const q = query(getChargeItemsCollectionRef(gymId), orderBy("name"));
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  } catch (error) {
+    console.error("❌ Error fetching charge items:", error);
+    throw new Error("Could not fetch charge items.");
+  }
+};
+
+/**
+ * Adds an item to the charge catalogue
+ */
+export const addChargeItem = async (gymId, itemData) => {
+  try {
+    console.log(`➕ Adding new charge item:`, itemData);
+    await addDoc(getChargeItemsCollectionRef(gymId), {
+      name: itemData.name,
+      category: itemData.category,
+      price: Number(itemData.price) || 0,
+      active: true,
+      createdAt: new Date().toISOString(),
+    });
+    console.log(`✅ Charge item added successfully`);
+  } catch (error) {
+    console.error("❌ Error adding charge item:", error);
+    throw new Error("Could not add charge item.");
+  }
+};
+
+/**
+ * Updates an item in the charge catalogue
+ */
+export const updateChargeItem = async (gymId, itemId, updatedData) => {
+  try {
+    const itemRef = doc(db, "gyms", gymId, "chargeItems", itemId);
+    await updateDoc(itemRef, {
+      ...updatedData,
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Error updating charge item:", error);
+    throw new Error("Could not update charge item.");
+  }
+};
+
+/**
+ * Deletes an item from the charge catalogue. Charges already issued keep
+ * their own name and price.
+ */
+export const deleteChargeItem = async (gymId, itemId) => {
+  try {
+    await deleteDoc(doc(db, "gyms", gymId, "chargeItems", itemId));
+  } catch (error) {
+    console.error("❌ Error deleting charge item:", error);
+    throw new Error("Could not delete charge item.");
+  }
+};
+
+/**
+ * Default payment reminder settings. Reminders are sent by the daily overdue
+ * check (functions/notifications) and stay off until a gym enables them.
+ * - channel: "sms", "email" or "whatsapp"
+ * - daysBefore: days before the due date to send a first reminder (0 for none)
+ * - daysAfter: days after the due date to send an overdue reminder
+ * - templates: per-stage { subject, body } overrides; empty uses the default
+ */
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: false,
+  channel: "sms",
+  daysBefore: 3,
+  daysAfter: [1, 7],
+  templates: {},
+};
+
+export const NOTIFICATION_CHANNELS = {
+  sms: "SMS",
+  email: "Email",
+  whatsapp: "WhatsApp",
+};
+
+export const REMINDER_STAGES = {
+  before_due: "Before due date",
+  due_today: "On the due date",
+  overdue: "Overdue",
+};
+
+/**
+ * Fetches the payment reminder settings for a gym
+ */
+export const getNotificationSettings = async (gymId) => {
+  try {
+    const settingsRef = doc(db, "gyms", gymId, "settings", "notifications");
+    const settingsSnap = await getDoc(settingsRef);
+
+    if (!settingsSnap.exists()) {
+      return { ...DEFAULT_NOTIFICATION_SETTINGS };
+    }
+
+    return { ...DEFAULT_NOTIFICATION_SETTINGS, ...settingsSnap.data() };
+  } catch (error) {
+    console.error("❌ Error fetching notification settings:", error);
+    throw new Error("Could not fetch notification settings.");
+  }
+};
+
+/**
+ * Saves the payment reminder settings for a gym
+ */
+export const updateNotificationSettings = async (gymId, settings) => {
+  try {
+    const settingsRef = doc(db, "gyms", gymId, "settings", "notifications");
+    await setDoc(settingsRef, {
+      enabled: Boolean(settings.enabled),
+      channel: settings.channel,
+      daysBefore: Number(settings.daysBefore) || 0,
+      daysAfter: (settings.daysAfter || [])
+        .map(Number)
+        .filter((days) => days > 0)
+        .sort((a, b) => a - b),
+      templates: settings.templates || {},
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Error updating notification settings:", error);
+    throw new Error("Could not update notification settings.");
+  }
+};
+
+/**
+ * Fetches the most recent reminders the gym has sent, skipped or failed
+ */
+export const getRecentNotifications = async (gymId, count = 20) => {
+  try {
+    const q = query(
+      collection(db, "gyms", gymId, "notifications"),
+      orderBy("createdAt", "desc"),
+      limit(count)
+    );
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  } catch (error) {
+    console.error("❌ Error fetching notifications:", error);
+    throw new Error("Could not fetch notifications.");
+  }
+};
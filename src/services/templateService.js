@@ -0,0 +1,280 @@
+// src/services/templateService.js
+import {
+  collection,
+  query,
+  getDocs,
+  doc,
+  getDoc,
+  updateDoc,
+  where,
+  onSnapshot,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "./firebase";
+import { queueDeviceCommand } from "./deviceService";
+
+/**
+ * Fingerprint templates on the scanners
+ * Member documents are keyed by the fingerprint slot their template sits in,
+ * so removing a member must also erase the template from every scanner.
+ * Until it is gone, the slot is blocked:
+ * gyms/{gymId}/fingerprintSlots/{fingerprintId} -> {
+ *   fingerprintId, status ("pending_deletion" | "released"),
+ *   reason ("deleted" | "archived"), memberName,
+ *   devices: { [deviceId]: "pending" | "deleted" | "failed" },
+ *   requestedAt, requestedBy, releasedAt, releasedBy
+ * }
+ * Each device gets a delete_template command. The trackTemplateCommands Cloud
+ * Function records each device's outcome and releases the slot once every
+ * device has confirmed. Blocked slots are sent with enroll commands so the
+ * scanner does not hand them out, and an enrollment that lands on one anyway
+ * is refused.
+ */
+
+const getFingerprintSlotRef = (gymId, fingerprintId) => {
+  return doc(db, "gyms", gymId, "fingerprintSlots", String(fingerprintId));
+};
+
+/**
+ * IDs of the devices that may hold templates. Retired devices are left out:
+ * they cannot run commands, so clear and restore one when reinstating it.
+ * @param {string} gymId - The gym ID
+ * @returns {Promise<Array<string>>}
+ */
+export const getTemplateDeviceIds = async (gymId) => {
+  const devicesSnapshot = await getDocs(collection(db, "gyms", gymId, "devices"));
+  return devicesSnapshot.docs
+    .filter((deviceDoc) => !deviceDoc.data().retired)
+    .map((deviceDoc) => deviceDoc.id);
+};
+
+/**
+ * Adds the write that blocks a fingerprint slot to a batch, so the slot is
+ * blocked in the same commit that removes the member
+ * @param {Object} batch - A Firestore write batch
+ * @param {string} gymId - The gym ID
+ * @param {string} fingerprintId - The member's slot
+ * @param {Array<string>} deviceIds - From getTemplateDeviceIds
+ * @param {Object} details - { reason, memberName, requestedBy }
+ */
+export const blockFingerprintSlot = (batch, gymId, fingerprintId, deviceIds, details) => {
+  batch.set(getFingerprintSlotRef(gymId, fingerprintId), {
+    fingerprintId: parseInt(fingerprintId),
+    status: deviceIds.length > 0 ? "pending_deletion" : "released",
+    reason: details.reason,
+    memberName: details.memberName || "",
+    devices: Object.fromEntries(deviceIds.map((deviceId) => [deviceId, "pending"])),
+    requestedAt: serverTimestamp(),
+    requestedBy: details.requestedBy || "unknown",
+    releasedAt: deviceIds.length > 0 ? null : serverTimestamp(),
+    releasedBy: null,
+  });
+};
+
+/**
+ * Sends delete_template to each device. A device whose command cannot be
+ * queued is marked failed so staff can retry it.
+ * @param {string} gymId - The gym ID
+ * @param {string} fingerprintId - The slot to erase
+ * @param {Array<string>} deviceIds - Devices to erase it from
+ * @param {string} requestedBy - Email of the staff member
+ * @returns {Promise<Object>} - { queued, failed }
+ */
+export const queueTemplateDeletions = async (gymId, fingerprintId, deviceIds, requestedBy) => {
+  let queued = 0;
+  const failedUpdates = {};
+
+  for (const deviceId of deviceIds) {
+    try {
+      await queueDeviceCommand(
+        gymId,
+        deviceId,
+        "delete_template",
+        { fingerprintId: parseInt(fingerprintId) },
+        requestedBy
+      );
+      queued++;
+    } catch (error) {
+      console.error(`❌ Could not queue template deletion on ${deviceId}:`, error);
+      failedUpdates[`devices.${deviceId}`] = "failed";
+    }
+  }
+
+  if (Object.keys(failedUpdates).length > 0) {
+    await updateDoc(getFingerprintSlotRef(gymId, fingerprintId), failedUpdates);
+  }
+
+  console.log(`📡 Template ${fingerprintId} deletion queued on ${queued} device(s)`);
+  return { queued, failed: Object.keys(failedUpdates).length };
+};
+
+/**
+ * Slots still waiting for their templates to be erased
+ * @param {string} gymId - The gym ID
+ * @returns {Promise<Array<number>>} - Blocked fingerprint IDs
+ */
+export const getBlockedFingerprintSlots = async (gymId) => {
+  try {
+    const slotsSnapshot = await getDocs(
+      query(
+        collection(db, "gyms", gymId, "fingerprintSlots"),
+        where("status", "==", "pending_deletion")
+      )
+    );
+    return slotsSnapshot.docs.map((slotDoc) => slotDoc.data().fingerprintId);
+  } catch (error) {
+    console.error("❌ Error fetching blocked fingerprint slots:", error);
+    throw new Error("Could not fetch blocked fingerprint slots.");
+  }
+};
+
+/**
+ * Whether a slot is blocked until its old template is erased
+ * @param {string} gymId - The gym ID
+ * @param {string|number} fingerprintId - The slot
+ * @returns {Promise<boolean>}
+ */
+export const isFingerprintSlotBlocked = async (gymId, fingerprintId) => {
+  const slotSnap = await getDoc(getFingerprintSlotRef(gymId, fingerprintId));
+  return slotSnap.exists() && slotSnap.data().status === "pending_deletion";
+};
+
+/**
+ * Listens to the slots waiting for their templates to be erased
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToPendingTemplateDeletions = (gymId, onChange, onError) => {
+  return onSnapshot(
+    query(
+      collection(db, "gyms", gymId, "fingerprintSlots"),
+      where("status", "==", "pending_deletion")
+    ),
+    (slotsSnapshot) => {
+      const slots = slotsSnapshot.docs
+        .map((slotDoc) => {
+          const slot = slotDoc.data();
+          return {
+            ...slot,
+            id: slotDoc.id,
+            requestedAt: slot.requestedAt?.toDate ? slot.requestedAt.toDate() : null,
+          };
+        })
+        .sort((a, b) => a.fingerprintId - b.fingerprintId);
+      onChange(slots);
+    },
+    (error) => {
+      console.error("❌ Fingerprint slots listener error:", error);
+      if (onError) onError(error);
+    }
+  );
+};
+
+/**
+ * Queues the deletion again on the devices that failed it
+ * @param {string} gymId - The gym ID
+ * @param {Object} slot - From subscribeToPendingTemplateDeletions
+ * @param {string} requestedBy - Email of the staff member
+ */
+export const retryTemplateDeletion = async (gymId, slot, requestedBy) => {
+  try {
+    const failedDeviceIds = Object.keys(slot.devices).filter(
+      (deviceId) => slot.devices[deviceId] === "failed"
+    );
+    const { failed } = await queueTemplateDeletions(
+      gymId,
+      slot.fingerprintId,
+      failedDeviceIds,
+      requestedBy
+    );
+    if (failed > 0) {
+      throw new Error(`${failed} device(s) could not be reached`);
+    }
+  } catch (error) {
+    console.error("❌ Error retrying template deletion:", error);
+    throw new Error(`Could not retry template deletion: ${error.message}`);
+  }
+};
+
+/**
+ * Releases a slot without every device confirming, for a scanner that was
+ * wiped or replaced
+ * @param {string} gymId - The gym ID
+ * @param {string|number} fingerprintId - The slot
+ * @param {string} releasedBy - Email of the staff member
+ */
+export const forceReleaseFingerprintSlot = async (gymId, fingerprintId, releasedBy) => {
+  try {
+    await updateDoc(getFingerprintSlotRef(gymId, fingerprintId), {
+      status: "released",
+      releasedAt: serverTimestamp(),
+      releasedBy: releasedBy || "unknown",
+    });
+    console.log(`✅ Fingerprint slot ${fingerprintId} released manually`);
+  } catch (error) {
+    console.error("❌ Error releasing fingerprint slot:", error);
+    throw new Error("Could not release fingerprint slot.");
+  }
+};
+
+// ==================== MULTI-SCANNER SYNC ====================
+
+/**
+ * Listens to the sync status of every backed-up template. The templates
+ * themselves stay in templateVault, which only Cloud Functions read; see
+ * functions/devices/templateSync.js.
+ * gyms/{gymId}/templateSync/{fingerprintId} -> {
+ *   fingerprintId, checksum, sourceDeviceId, enrollCommandId, updatedAt,
+ *   devices: { [deviceId]: "pending" | "synced" | "failed" }
+ * }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToTemplateSync = (gymId, onChange, onError) => {
+  return onSnapshot(
+    collection(db, "gyms", gymId, "templateSync"),
+    (syncSnapshot) => {
+      onChange(
+        syncSnapshot.docs.map((syncDoc) => ({
+          ...syncDoc.data(),
+          id: syncDoc.id,
+          devices: syncDoc.data().devices || {},
+        }))
+      );
+    },
+    (error) => {
+      console.error("❌ Template sync listener error:", error);
+      if (onError) onError(error);
+    }
+  );
+};
+
+/**
+ * Counts how many backed-up templates a device holds
+ * @param {Array} templates - From subscribeToTemplateSync
+ * @param {string} deviceId - The device ID
+ * @returns {Object} - { total, synced, pending, failed, missing }
+ */
+export const summarizeDeviceSync = (templates, deviceId) => {
+  const summary = { total: templates.length, synced: 0, pending: 0, failed: 0, missing: 0 };
+  templates.forEach((template) => {
+    const status = template.devices[deviceId];
+    if (status in summary) {
+      summary[status]++;
+    } else {
+      // Devices added after the template was backed up have no entry yet
+      summary.missing++;
+    }
+  });
+  return summary;
+};
+
+/**
+ * Loads every backed-up template onto a device, for a new or replaced
+ * sensor or one that missed updates
+ * @param {string} gymId - The gym ID
+ * @param {string} deviceId - The device ID
+ * @param {string} requestedBy - Email of the staff member
+ * @returns {Promise<string>} The command ID
+ */
+export const restoreDeviceTemplates = async (gymId, deviceId, requestedBy) => {
+  return queueDeviceCommand(gymId, deviceId, "download_templates", {}, requestedBy);
+};
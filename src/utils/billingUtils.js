@@ -0,0 +1,210 @@
+// src/utils/billingUtils.js
+import { addDays, addMonths, getToday } from "./dateUtils.js";
+
+/**
+ * Billing rules shared by the services and pages: how a tier's period is
+ * measured, and how a member's charges and ledger entries add up to a
+ * balance, a paid-through date and a status. Nothing here reads Firestore.
+ * functions/billing/accounts.js holds the Cloud Functions copy;
+ * functions/test/sharedLogic.test.js checks that the two agree.
+ */
+
+/**
+ * Billing durations a membership tier can have.
+ * "days" tiers use the tier's `durationDays` field.
+ */
+export const TIER_DURATIONS = {
+  monthly: { label: "Monthly", unit: "month", months: 1 },
+  quarterly: { label: "Quarterly", unit: "quarter", months: 3 },
+  annual: { label: "Annual", unit: "year", months: 12 },
+  days: { label: "Custom (days)", unit: "days", months: 0 },
+};
+
+/**
+ * Default billing policy used until a gym saves its own.
+ * - extendFrom: "previous_end" continues from the member's paid-through date,
+ *   "payment_date" starts a fresh period on the day of payment
+ * - graceDays: days after the paid-through date before a member is overdue,
+ *   and how late a payment can be while still extending the previous period
+ */
+export const DEFAULT_BILLING_POLICY = {
+  extendFrom: "previous_end",
+  graceDays: 0,
+};
+
+// Helper function to read the type of a ledger entry
+export const getEntryType = (entry) => entry.type || "payment";
+
+// Helper function to read the category of a charge.
+// Charges without a category bill a membership period.
+export const getChargeCategory = (charge) => charge.category || "membership";
+
+/**
+ * Summarises the voids and refunds recorded against each payment.
+ * @param {Array} entries - Ledger entries (payments and reversals)
+ * @returns {Object} - { [paymentId]: { voided, refundedAmount } }
+ */
+export const getPaymentReversals = (entries) => {
+  const reversals = {};
+  entries.forEach((entry) => {
+    const type = getEntryType(entry);
+    if (type === "payment" || !entry.reversesPaymentId) return;
+
+    const reversal = reversals[entry.reversesPaymentId] || {
+      voided: false,
+      refundedAmount: 0,
+    };
+    if (type === "void") reversal.voided = true;
+    if (type === "refund") reversal.refundedAmount += Math.abs(Number(entry.amount) || 0);
+    reversals[entry.reversesPaymentId] = reversal;
+  });
+  return reversals;
+};
+
+/**
+ * Adds one billing duration of a tier to a date.
+ * Tiers without a duration are treated as monthly.
+ * @param {string} dateString - Start date (YYYY-MM-DD)
+ * @param {Object} tier - Membership tier ({ durationType, durationDays })
+ * @returns {string} - End date (YYYY-MM-DD)
+ */
+export const addTierDuration = (dateString, tier) => {
+  const durationType = tier?.durationType || "monthly";
+  if (durationType === "days") {
+    return addDays(dateString, Number(tier.durationDays) || 30);
+  }
+  const months = TIER_DURATIONS[durationType]?.months || 1;
+  return addMonths(dateString, months);
+};
+
+/**
+ * Whether a paid-through date still counts as paid on a given day.
+ * @param {string|null} paidThrough - Paid-through date (YYYY-MM-DD)
+ * @param {string} today - Date to check (YYYY-MM-DD)
+ * @param {Object} policy - Billing policy ({ graceDays })
+ * @returns {boolean}
+ */
+export const isWithinPaidPeriod = (paidThrough, today, policy = DEFAULT_BILLING_POLICY) => {
+  if (!paidThrough) return false;
+  return addDays(paidThrough, Number(policy.graceDays) || 0) >= today;
+};
+
+/**
+ * Applies a member's payments to their charges, oldest charge first.
+ * Voids and refunds are negative entries, so they simply reduce what was paid.
+ * paidThrough is the end of the last fully paid charge; anything paid beyond
+ * the charges issued so far is returned as credit.
+ * @param {Array} charges - Charges for one member
+ * @param {Array} payments - Ledger entries for one member
+ * @param {Object} options
+ * @param {string} options.today - Date the status is evaluated on (YYYY-MM-DD)
+ * @param {Object} options.policy - Billing policy ({ graceDays })
+ * @returns {Object} - { charges, totalCharged, totalPaid, outstanding, credit, paidThrough, lastChargeEnd, lastPaymentDate, openCharge, status }
+ */
+export const calculateMemberAccount = (
+  charges,
+  payments,
+  { today = getToday(), policy = DEFAULT_BILLING_POLICY } = {}
+) => {
+  const totalPaid = payments.reduce((sum, p) => sum + (Number(p.amount) || 0), 0);
+  let unapplied = totalPaid;
+  let totalCharged = 0;
+  let paidThrough = null;
+  let lastChargeEnd = null;
+  let openCharge = null;
+
+  const appliedCharges = charges
+    .filter((charge) => !charge.cancelled)
+    .sort((a, b) => a.periodStart.localeCompare(b.periodStart))
+    .map((charge) => {
+      const amount = Number(charge.amount) || 0;
+      const amountPaid = Math.min(amount, unapplied);
+      unapplied -= amountPaid;
+      totalCharged += amount;
+
+      let status = "open";
+      if (amountPaid >= amount) status = "paid";
+      else if (amountPaid > 0) status = "partial";
+
+      const applied = { ...charge, amountPaid, amountDue: amount - amountPaid, status };
+
+      // Only membership periods move the paid-through date; fees are just owed
+      if (getChargeCategory(charge) !== "membership") return applied;
+
+      if (status === "paid" && !openCharge) paidThrough = charge.periodEnd;
+      if (status !== "paid" && !openCharge) openCharge = applied;
+      if (!lastChargeEnd || charge.periodEnd > lastChargeEnd) {
+        lastChargeEnd = charge.periodEnd;
+      }
+      return applied;
+    });
+
+  let status = "Unpaid";
+  if (isWithinPaidPeriod(paidThrough, today, policy)) {
+    status = "Paid";
+  } else if (openCharge && openCharge.amountPaid > 0) {
+    status = "Partially paid";
+  }
+
+  const reversals = getPaymentReversals(payments);
+  const lastPaymentDate = payments
+    .filter((p) => getEntryType(p) === "payment" && !reversals[p.id]?.voided)
+    .reduce(
+      (latest, p) => (!latest || p.paymentDate > latest ? p.paymentDate : latest),
+      null
+    );
+
+  return {
+    charges: appliedCharges,
+    totalCharged,
+    totalPaid,
+    outstanding: Math.max(totalCharged - totalPaid, 0),
+    credit: unapplied,
+    paidThrough,
+    lastChargeEnd,
+    lastPaymentDate,
+    openCharge,
+    status,
+  };
+};
+
+/**
+ * Works out which charges should be issued for a member whose last billed
+ * period has ended. Credit on the account is used for as many periods as it
+ * covers; with continuous billing ("previous_end") one further period is
+ * billed as outstanding, otherwise the next period starts when they pay.
+ * @param {Object} options
+ * @param {Object} options.account - Result of calculateMemberAccount
+ * @param {Object} options.tier - The member's membership tier
+ * @param {Object} options.policy - Billing policy ({ extendFrom })
+ * @param {string} options.today - Today's date (YYYY-MM-DD)
+ * @returns {Array} - [{ periodStart, periodEnd, amount }]
+ */
+export const getChargesDue = ({
+  account,
+  tier,
+  policy = DEFAULT_BILLING_POLICY,
+  today,
+}) => {
+  const chargesDue = [];
+  if (!tier || account.openCharge || !account.lastChargeEnd) return chargesDue;
+
+  const price = Number(tier.price) || 0;
+  let credit = account.credit;
+  let periodStart = account.lastChargeEnd;
+
+  // Safety cap so a long-lapsed account never issues an unbounded backlog
+  while (periodStart <= today && chargesDue.length < 12) {
+    const coveredByCredit = credit >= price;
+    if (!coveredByCredit && policy.extendFrom !== "previous_end") break;
+
+    const periodEnd = addTierDuration(periodStart, tier);
+    chargesDue.push({ periodStart, periodEnd, amount: price });
+    credit -= price;
+    periodStart = periodEnd;
+
+    if (!coveredByCredit) break;
+  }
+
+  return chargesDue;
+};
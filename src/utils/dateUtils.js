@@ -0,0 +1,171 @@
+// src/utils/dateUtils.js
+
+/**
+ * Date helpers shared by the services and pages. Business dates (attendance
+ * days, due dates, payment dates) are "YYYY-MM-DD" strings in the gym's time
+ * zone, so "today" is the gym's today wherever the browser or server runs.
+ * Date-string arithmetic is done in UTC so it never shifts across DST.
+ * functions/utils/dates.js mirrors these for the Cloud Functions;
+ * functions/test/sharedLogic.test.js checks that both give the same results.
+ */
+
+// Used for gyms that have not chosen a time zone
+export const DEFAULT_TIME_ZONE = "Asia/Colombo";
+
+// Reads the calendar and clock fields of an instant in a time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone || DEFAULT_TIME_ZONE,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  return Object.fromEntries(parts.map((part) => [part.type, part.value]));
+};
+
+/**
+ * The date of an instant in a time zone.
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone, e.g. "Asia/Colombo"
+ * @returns {string} - YYYY-MM-DD
+ */
+export const toZonedDateString = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Today's date in a time zone.
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - YYYY-MM-DD
+ */
+export const getToday = (timeZone) => toZonedDateString(new Date(), timeZone);
+
+/**
+ * The hour (0-23) of an instant in a time zone.
+ */
+export const getZonedHour = (date, timeZone) => {
+  return parseInt(getZonedParts(date, timeZone).hour, 10);
+};
+
+/**
+ * Converts a wall-clock time in a time zone to an instant, e.g. a scanner's
+ * "2025-07-17 06:35:30".
+ * @param {string} dateTimeString - "YYYY-MM-DD HH:MM[:SS]" or "YYYY-MM-DDTHH:MM[:SS]"
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date|null}
+ */
+export const zonedTimeToDate = (dateTimeString, timeZone) => {
+  const [datePart, timePart = "00:00:00"] = String(dateTimeString).trim().split(/[ T]/);
+  const utcGuess = new Date(`${datePart}T${timePart}Z`);
+  if (isNaN(utcGuess.getTime())) return null;
+
+  // The zone's offset at that moment, checked again in case it crosses a DST change
+  const offsetAt = (date) => {
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(
+      Number(parts.year),
+      Number(parts.month) - 1,
+      Number(parts.day),
+      Number(parts.hour),
+      Number(parts.minute),
+      Number(parts.second)
+    );
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+  };
+  const firstOffset = offsetAt(utcGuess);
+  const result = new Date(utcGuess.getTime() - firstOffset);
+  const secondOffset = offsetAt(result);
+  return secondOffset === firstOffset
+    ? result
+    : new Date(utcGuess.getTime() - secondOffset);
+};
+
+/**
+ * Adds days to a date string.
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} - YYYY-MM-DD
+ */
+export const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+};
+
+/**
+ * Adds calendar months to a date string. Clamps to the last day of the
+ * target month (Jan 31 + 1 month = Feb 28/29).
+ */
+export const addMonths = (dateString, months) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDayOfMonth = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDayOfMonth));
+  return date.toISOString().split("T")[0];
+};
+
+/**
+ * Whole days from one date string to another.
+ */
+export const daysBetween = (fromDate, toDate) => {
+  const from = new Date(`${fromDate}T00:00:00Z`);
+  const to = new Date(`${toDate}T00:00:00Z`);
+  return Math.round((to - from) / (1000 * 60 * 60 * 24));
+};
+
+/**
+ * Day of the week of a date string, 0 (Sunday) to 6 (Saturday).
+ */
+export const getWeekday = (dateString) => {
+  return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+};
+
+/**
+ * The Monday on or before a date string.
+ */
+export const getWeekStart = (dateString) => {
+  return addDays(dateString, -((getWeekday(dateString) + 6) % 7));
+};
+
+/**
+ * Every date from startDate to endDate inclusive.
+ * @returns {Array<string>}
+ */
+export const getDateRange = (startDate, endDate) => {
+  const dates = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * Formats an instant's time of day in a time zone, e.g. "06:35 AM".
+ */
+export const formatZonedTime = (date, timeZone, options = {}) => {
+  return date.toLocaleTimeString("en-US", {
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: true,
+    timeZone: timeZone || DEFAULT_TIME_ZONE,
+    ...options,
+  });
+};
+
+/**
+ * IANA time zones the browser knows, for the settings picker.
+ */
+export const getSupportedTimeZones = () => {
+  return typeof Intl.supportedValuesOf === "function"
+    ? Intl.supportedValuesOf("timeZone")
+    : [DEFAULT_TIME_ZONE, "UTC"];
+};